@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+/**
+ * pixelqr.js - Command-line QR code generator
+ *
+ * Renders codes through the same core as the browser app (js/qr-core.js and
+ * js/qr-renderer.js), with defaults from js/config.js.
+ *
+ *   pixelqr "https://example.com" -o code.svg
+ *   pixelqr --batch codes.json --out-dir build/qr
+ *   cat urls.txt | pixelqr --format pdf
+ *
+ * Batch input is a JSON array whose items are either content strings or
+ * objects with `content`, an optional `output` file name and any option
+ * below under its config name (size, symbolType, errorCorrection, version,
+ * mask, segmentMode, eci, foregroundColor, backgroundColor, margin, format) or a
+ * style option the app saves (moduleShape, finderOuterShape, gradients, ...).
+ * Input that is not JSON is read as one content string per line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// The browser loads these as <script> globals; recreate that scope for Node
+global.Config = require('../js/config.js');
+global.QRDecoder = require('../js/qr-decoder.js');
+global.QREncoder = require('../js/qr-encoder.js');
+global.MicroQREncoder = require('../js/micro-qr-encoder.js');
+global.RMQREncoder = require('../js/rmqr-encoder.js');
+global.ReedSolomon = require('../js/reed-solomon.js');
+global.DataMatrixEncoder = require('../js/datamatrix-encoder.js');
+global.AztecEncoder = require('../js/aztec-encoder.js');
+global.PDF417Encoder = require('../js/pdf417-encoder.js');
+global.LinearBarcodeEncoder = require('../js/linear-barcode-encoder.js');
+global.QRRenderer = require('../js/qr-renderer.js');
+const QRCore = require('../js/qr-core.js');
+
+const FORMATS = ['svg', 'png', 'pdf'];
+
+// Options a batch item may set, besides content, output and format
+const STYLE_OPTIONS = [
+    'size', 'symbolType', 'errorCorrection', 'version', 'mask', 'segmentMode', 'eci', 'margin', 'foregroundColor', 'backgroundColor',
+    'foregroundGradient', 'backgroundGradient', 'moduleShape', 'finderOuterShape',
+    'finderInnerShape', 'finderOuterColor', 'finderInnerColor'
+];
+
+const USAGE = `Usage: pixelqr [options] <content>
+       pixelqr [options] --batch <file|->
+
+Options:
+  -o, --output <file>      Output file, or - for standard output (default: qrcode.<format>)
+  -f, --format <format>    ${FORMATS.join(', ')} (default: from the output extension, else ${Config.EXPORT.DEFAULT_FORMAT})
+  -s, --size <pixels>      Symbol width, ${Config.QR_CODE.MIN_SIZE}-${Config.QR_CODE.MAX_SIZE} (default: ${Config.QR_CODE.DEFAULT_SIZE})
+      --symbol <type>      Symbol type, ${Object.keys(QRCore.SYMBOL_TYPES).join(', ')} (default: ${Config.QR_CODE.DEFAULT_SYMBOL_TYPE})
+  -e, --ecc <level>        Error correction, ${Config.QR_CODE.ALLOWED_ERROR_CORRECTION_LEVELS.join(', ')} (default: ${Config.QR_CODE.DEFAULT_ERROR_CORRECTION});
+                           Micro QR has L, M and Q, rMQR has M and H; Data Matrix and
+                           linear barcodes have none
+      --qr-version <v>     Symbol version, 1-40, M1-M4, an rMQR size such as R11x43, a Data
+                           Matrix size such as 16x16, Aztec C1-C4 or F1-F32, or PDF417
+                           columns 1-30 (default: the smallest that fits)
+      --mask <n>           Mask pattern, 0-7 or 0-3 for Micro QR (default: the best score)
+      --mode <mode>        Encoding mode, ${Object.keys(QREncoder.SEGMENT_MODES).join(', ')} (default: ${Config.QR_CODE.DEFAULT_SEGMENT_MODE})
+      --no-eci             Leave out the UTF-8 ECI header for non-ASCII text
+      --foreground <color> Module color (default: ${Config.QR_CODE.DEFAULT_COLOR_DARK})
+      --background <color> Background color (default: ${Config.QR_CODE.DEFAULT_COLOR_LIGHT})
+  -m, --margin <modules>   Quiet zone width (default: ${Config.QR_CODE.DEFAULT_MARGIN}, ${Config.QR_CODE.MICRO_MARGIN} for Micro QR
+                           and rMQR, or the quiet zone of the other symbologies)
+  -b, --batch <file|->     Generate every code in a JSON file, or standard input
+  -d, --out-dir <dir>      Directory for batch output (default: current directory)
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+With no content and piped input, standard input is read as a batch.`;
+
+/**
+ * Check a code's options and fill in the defaults from Config
+ * @param {Object} job - Content and options from the command line or a batch item
+ * @param {string} defaultFormat - Format used when neither job.format nor the output extension sets one
+ * @returns {Object} - { content, format, options }
+ */
+function normalizeJob(job, defaultFormat = Config.EXPORT.DEFAULT_FORMAT) {
+    const { QR_CODE } = Config;
+    const content = typeof job.content === 'string' ? job.content : '';
+    if (!content.trim()) {
+        throw new Error('Content is empty');
+    }
+
+    const options = {};
+    STYLE_OPTIONS.forEach(key => {
+        if (job[key] !== undefined && job[key] !== null) {
+            options[key] = job[key];
+        }
+    });
+
+    options.size = options.size !== undefined ? Number(options.size) : QR_CODE.DEFAULT_SIZE;
+    if (!Number.isInteger(options.size) || options.size < QR_CODE.MIN_SIZE || options.size > QR_CODE.MAX_SIZE) {
+        throw new Error(`Size must be a whole number from ${QR_CODE.MIN_SIZE} to ${QR_CODE.MAX_SIZE}`);
+    }
+
+    options.symbolType = String(options.symbolType || QR_CODE.DEFAULT_SYMBOL_TYPE).toLowerCase();
+    if (!(options.symbolType in QRCore.SYMBOL_TYPES)) {
+        throw new Error(`Symbol type must be one of ${Object.keys(QRCore.SYMBOL_TYPES).join(', ')}`);
+    }
+    const encoder = QRCore.getEncoder(options.symbolType);
+    const symbolName = QRCore.SYMBOL_TYPES[options.symbolType];
+
+    // Symbologies without levels ignore the setting, as saved app styles always carry one
+    if (encoder.ERROR_CORRECTION_LEVELS.length) {
+        options.errorCorrection = String(options.errorCorrection || QR_CODE.DEFAULT_ERROR_CORRECTION).toUpperCase();
+        if (!encoder.ERROR_CORRECTION_LEVELS.includes(options.errorCorrection)) {
+            throw new Error(`Error correction must be one of ${encoder.ERROR_CORRECTION_LEVELS.join(', ')}`);
+        }
+    } else {
+        delete options.errorCorrection;
+    }
+
+    // Other versions are names, checked by their encoders
+    if (options.version !== undefined && options.version !== 'auto') {
+        if (!encoder.VERSIONS.length) {
+            throw new Error(`${symbolName} has no versions to choose`);
+        }
+        if (options.symbolType === 'qr') {
+            options.version = Number(options.version);
+            if (!Number.isInteger(options.version) || options.version < 1 || options.version > 40) {
+                throw new Error('Version must be a whole number from 1 to 40');
+            }
+        } else {
+            options.version = String(options.version);
+        }
+    } else {
+        delete options.version;
+    }
+
+    if (options.mask !== undefined && options.mask !== 'auto') {
+        if (!encoder.MASK_COUNT) {
+            throw new Error(options.symbolType === 'rmqr' ? 'rMQR codes always use the same mask' : `${symbolName} has no mask patterns`);
+        }
+        options.mask = Number(options.mask);
+        if (!Number.isInteger(options.mask) || options.mask < 0 || options.mask >= encoder.MASK_COUNT) {
+            throw new Error(`Mask must be a whole number from 0 to ${encoder.MASK_COUNT - 1}`);
+        }
+    } else {
+        delete options.mask;
+    }
+
+    if (options.segmentMode !== undefined && !(options.segmentMode in QREncoder.SEGMENT_MODES)) {
+        throw new Error(`Mode must be one of ${Object.keys(QREncoder.SEGMENT_MODES).join(', ')}`);
+    }
+
+    options.margin = options.margin !== undefined ? Number(options.margin) : QRCore.getDefaultMargin(options.symbolType);
+    if (!Number.isInteger(options.margin) || options.margin < 0) {
+        throw new Error('Margin must be a whole number of modules');
+    }
+
+    ['foregroundColor', 'backgroundColor', 'finderOuterColor', 'finderInnerColor'].forEach(key => {
+        if (options[key] !== undefined && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(options[key])) {
+            throw new Error(`${key} must be a #rgb or #rrggbb color`);
+        }
+    });
+    options.foregroundColor = options.foregroundColor || QR_CODE.DEFAULT_COLOR_DARK;
+    options.backgroundColor = options.backgroundColor || QR_CODE.DEFAULT_COLOR_LIGHT;
+
+    const extension = job.output ? path.extname(job.output).slice(1).toLowerCase() : '';
+    const format = String(job.format || (FORMATS.includes(extension) ? extension : defaultFormat)).toLowerCase();
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    return { content, format, options };
+}
+
+/**
+ * Render a code in one of FORMATS
+ * @returns {Buffer}
+ */
+function buildFile(content, format, options) {
+    const { geometry } = QRCore.createSymbol(content, options);
+
+    switch (format) {
+        case 'svg':
+            return Buffer.from(QRRenderer.toSVG(geometry));
+        case 'png': {
+            // Loaded on demand so SVG and PDF output work without the native module
+            const { createCanvas } = require('@napi-rs/canvas');
+            return QRCore.drawToCanvas(createCanvas(1, 1), geometry, options).toBuffer('image/png');
+        }
+        case 'pdf': {
+            const { jsPDF } = require('jspdf');
+            return Buffer.from(QRCore.buildPDF(jsPDF, geometry, options).output('arraybuffer'));
+        }
+        default:
+            throw new Error(`Unsupported format: ${format}`);
+    }
+}
+
+/**
+ * Parse batch input into jobs
+ * @param {string} text - JSON array, or one content string per line
+ * @returns {Object[]}
+ */
+function parseBatch(text) {
+    const source = text.replace(/^\uFEFF/, '').trim();
+    if (!/^[[{]/.test(source)) {
+        return source.split(/\r?\n/).filter(line => line.trim()).map(content => ({ content }));
+    }
+
+    let items;
+    try {
+        items = JSON.parse(source);
+    } catch (error) {
+        throw new Error(`Batch input is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(items)) {
+        throw new Error('Batch input must be a JSON array');
+    }
+    return items.map(item => (typeof item === 'string' ? { content: item } : item || {}));
+}
+
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Generate every job, continuing past failures
+ * @returns {number} - Number of jobs that failed
+ */
+function runBatch(jobs, defaults, defaultFormat, outDir) {
+    let failed = 0;
+    fs.mkdirSync(outDir, { recursive: true });
+
+    jobs.forEach((item, i) => {
+        try {
+            const job = normalizeJob({ ...defaults, ...item }, defaultFormat);
+            const output = path.join(outDir, item.output || `qrcode-${i + 1}.${job.format}`);
+            fs.mkdirSync(path.dirname(output), { recursive: true });
+            fs.writeFileSync(output, buildFile(job.content, job.format, job.options));
+            console.log(output);
+        } catch (error) {
+            failed++;
+            console.error(`pixelqr: item ${i + 1}: ${error.message}`);
+        }
+    });
+
+    return failed;
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f' },
+            size: { type: 'string', short: 's' },
+            symbol: { type: 'string' },
+            ecc: { type: 'string', short: 'e' },
+            'qr-version': { type: 'string' },
+            mask: { type: 'string' },
+            mode: { type: 'string' },
+            'no-eci': { type: 'boolean' },
+            foreground: { type: 'string' },
+            background: { type: 'string' },
+            margin: { type: 'string', short: 'm' },
+            batch: { type: 'string', short: 'b' },
+            'out-dir': { type: 'string', short: 'd' },
+            help: { type: 'boolean', short: 'h' },
+            version: { type: 'boolean', short: 'v' }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (values.version) {
+        console.log(Config.VERSION);
+        return 0;
+    }
+
+    // Command-line options under their config names, shared by every batch item
+    const defaults = {
+        size: values.size,
+        symbolType: values.symbol,
+        errorCorrection: values.ecc,
+        version: values['qr-version'],
+        mask: values.mask,
+        segmentMode: values.mode,
+        eci: values['no-eci'] ? false : undefined,
+        foregroundColor: values.foreground,
+        backgroundColor: values.background,
+        margin: values.margin
+    };
+
+    const content = positionals.join(' ');
+    const batch = values.batch || (!content && !process.stdin.isTTY ? '-' : null);
+
+    if (batch) {
+        const text = batch === '-' ? await readStream(process.stdin) : fs.readFileSync(batch, 'utf8');
+        const jobs = parseBatch(text);
+        if (jobs.length === 0) {
+            throw new Error('Batch input has no codes');
+        }
+
+        const failed = runBatch(jobs, defaults, values.format, values['out-dir'] || '.');
+        if (failed > 0) {
+            console.error(`pixelqr: ${jobs.length - failed} of ${jobs.length} codes generated`);
+            return 1;
+        }
+        return 0;
+    }
+
+    if (!content) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const toStdout = values.output === '-';
+    const job = normalizeJob({ ...defaults, content, format: values.format, output: toStdout ? undefined : values.output });
+    const file = buildFile(job.content, job.format, job.options);
+
+    if (toStdout) {
+        process.stdout.write(file);
+    } else {
+        const output = values.output || `qrcode.${job.format}`;
+        fs.writeFileSync(output, file);
+        console.log(output);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(
+        code => { process.exitCode = code; },
+        error => {
+            console.error(`pixelqr: ${error.message}`);
+            process.exitCode = 1;
+        }
+    );
+}
+
+module.exports = { main, normalizeJob, buildFile, parseBatch };
@@ -0,0 +1,481 @@
+/**
+ * aztec-encoder.js - Aztec code encoder for QR Code Generator
+ *
+ * Builds compact (1-4 layers) and full-range (1-32 layers) Aztec symbols
+ * (ISO/IEC 24778). Text is split between the upper, lower, mixed,
+ * punctuation and digit modes and binary shifts for the fewest bits;
+ * non-ASCII text is UTF-8 announced with an ECI. Error correction levels
+ * map to the share of the symbol spent on check words.
+ */
+
+// Character codes of the text modes, by mode; the punctuation mode also has two-character codes
+const AZTEC_MODES = ['upper', 'lower', 'mixed', 'punct', 'digit'];
+const AZTEC_CHARSETS = {
+    upper: [' ', ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'].map((char, i) => [char, i + 1]),
+    lower: [' ', ...'abcdefghijklmnopqrstuvwxyz'].map((char, i) => [char, i + 1]),
+    mixed: [' ', ...Array.from({ length: 13 }, (_, i) => String.fromCharCode(i + 1)),
+        ...[27, 28, 29, 30, 31].map(code => String.fromCharCode(code)), ...'@\\^_`|~\x7F'].map((char, i) => [char, i + 1]),
+    punct: ['\r', '\r\n', '. ', ', ', ': ', ...'!"#$%&\'()*+,-./:;<=>?[]{}'].map((char, i) => [char, i + 1]),
+    digit: [' ', ...'0123456789,.'].map((char, i) => [char, i + 1])
+};
+
+// Codes that switch from one mode to another, as [code, bits] pairs
+const AZTEC_LATCHES = {
+    upper: { lower: [[28, 5]], mixed: [[29, 5]], punct: [[29, 5], [30, 5]], digit: [[30, 5]] },
+    lower: { upper: [[30, 5], [14, 4]], mixed: [[29, 5]], punct: [[29, 5], [30, 5]], digit: [[30, 5]] },
+    mixed: { upper: [[29, 5]], lower: [[28, 5]], punct: [[30, 5]], digit: [[29, 5], [30, 5]] },
+    punct: { upper: [[31, 5]], lower: [[31, 5], [28, 5]], mixed: [[31, 5], [29, 5]], digit: [[31, 5], [30, 5]] },
+    digit: { upper: [[14, 4]], lower: [[14, 4], [28, 5]], mixed: [[14, 4], [29, 5]], punct: [[14, 4], [29, 5], [30, 5]] }
+};
+
+// Word size by layer count, index 0 being the mode message
+const AZTEC_WORD_SIZES = [4, 6, 6, 8, 8, 8, 8, 8, 8, ...new Array(14).fill(10), ...new Array(10).fill(12)];
+
+// Data bits of the last text, which the capacity meter measures at every level
+let aztecDataBits = { key: null, bits: null };
+
+class AztecEncoder {
+    static get VERSIONS() {
+        return [
+            ...Array.from({ length: 4 }, (_, i) => `C${i + 1}`),
+            ...Array.from({ length: 32 }, (_, i) => `F${i + 1}`)
+        ];
+    }
+
+    static get ERROR_CORRECTION_LEVELS() {
+        return ['L', 'M', 'Q', 'H'];
+    }
+
+    // Share of the symbol's words, in percent, kept for check words at each level, plus
+    // three more; M is the minimum ISO/IEC 24778 recommends
+    static get ERROR_CORRECTION_PERCENT() {
+        return { L: 10, M: 23, Q: 36, H: 50 };
+    }
+
+    // Galois field polynomial for each word size
+    static get FIELD_POLYNOMIALS() {
+        return { 4: 0x13, 6: 0x43, 8: 0x12D, 10: 0x409, 12: 0x1069 };
+    }
+
+    static get MAX_BINARY_SHIFT() {
+        return 2078;
+    }
+
+    static getVersionLabel(version) {
+        const layers = parseInt(version.slice(1));
+        const size = AztecEncoder.getSize(version[0] === 'C', layers);
+        return `${version[0] === 'C' ? 'Compact' : 'Full'}, ${layers} layer${layers > 1 ? 's' : ''} (${size}×${size})`;
+    }
+
+    /**
+     * Side length of a symbol, in modules, including the reference grid of full-range symbols
+     */
+    static getSize(compact, layers) {
+        const base = (compact ? 11 : 14) + layers * 4;
+        return compact ? base : base + 1 + 2 * Math.floor((base / 2 - 1) / 15);
+    }
+
+    /**
+     * Encode text as an Aztec code
+     * @param {string} content - Text to encode
+     * @param {Object} options - { errorCorrection: a key of ERROR_CORRECTION_PERCENT, version: C1-C4 or
+     *     F1-F32, or null for the smallest that fits, eci: false to leave out the UTF-8 ECI }
+     * @returns {Object} - { symbolType, version, errorCorrection, mask, eci, dataBits, capacityBits,
+     *     width, height, finders, getModuleCount(), isDark(row, col) }
+     */
+    static encode(content, options = {}) {
+        const { version, errorCorrection, bits, eci, fit } = AztecEncoder.fitSymbol(content, options);
+        if (!fit) {
+            throw new Error(version !== null
+                ? `Content does not fit in Aztec version ${version} at error correction level ${errorCorrection}`
+                : `Content is too long for an Aztec code at error correction level ${errorCorrection}`);
+        }
+
+        const { compact, layers, totalBits, wordSize, stuffed, dataWords, capacityBits } = fit;
+        const message = AztecEncoder.addCheckWords(stuffed, totalBits, wordSize);
+        const modeMessage = AztecEncoder.addCheckWords(compact
+            ? [...AztecEncoder.toBits(layers - 1, 2), ...AztecEncoder.toBits(dataWords - 1, 6)]
+            : [...AztecEncoder.toBits(layers - 1, 5), ...AztecEncoder.toBits(dataWords - 1, 11)], compact ? 28 : 40, 4);
+        const size = AztecEncoder.getSize(compact, layers);
+        const modules = AztecEncoder.drawSymbol(message, modeMessage, compact, layers, size);
+
+        return {
+            symbolType: 'aztec',
+            version: `${compact ? 'C' : 'F'}${layers}`,
+            errorCorrection,
+            mask: null,
+            eci,
+            dataBits: bits.length,
+            capacityBits,
+            width: size,
+            height: size,
+            finders: [],
+            getModuleCount: () => size,
+            isDark: (row, col) => modules[row * size + col] === 1
+        };
+    }
+
+    /**
+     * Measure text without building the symbol (see QREncoder.measure)
+     */
+    static measure(content, options = {}) {
+        const { errorCorrection, bits, eci, candidates, fit } = AztecEncoder.fitSymbol(content, options);
+        const capacities = candidates.map(({ compact, layers }) => AztecEncoder.getCapacityBits(compact, layers, errorCorrection));
+        const version = fit ? `${fit.compact ? 'C' : 'F'}${fit.layers}` : null;
+        const size = fit ? AztecEncoder.getSize(fit.compact, fit.layers) : null;
+
+        return {
+            fits: !!fit,
+            version,
+            width: size,
+            height: size,
+            used: fit ? bits.length : null,
+            capacity: fit ? fit.capacityBits : null,
+            maxUsed: bits.length,
+            maxCapacity: Math.max(...capacities),
+            unit: 'bits',
+            segments: null,
+            eci
+        };
+    }
+
+    /**
+     * Data bits and the smallest symbol they fit
+     * @returns {Object} - { version: the chosen version or null, errorCorrection, bits, eci, candidates:
+     *     [{ compact, layers }], fit: { compact, layers, totalBits, wordSize, stuffed, dataWords,
+     *     capacityBits } for the first candidate the bits fit, or null }
+     */
+    static fitSymbol(content, options) {
+        const errorCorrection = options.errorCorrection || Config.QR_CODE.DEFAULT_ERROR_CORRECTION;
+        if (!AztecEncoder.ERROR_CORRECTION_LEVELS.includes(errorCorrection)) {
+            throw new Error(`Aztec codes support error correction levels ${AztecEncoder.ERROR_CORRECTION_LEVELS.join(', ')}`);
+        }
+
+        const version = options.version ? String(options.version).toUpperCase() : null;
+        if (version !== null && !AztecEncoder.VERSIONS.includes(version)) {
+            throw new Error('Aztec version must be C1-C4 (compact) or F1-F32 (full range)');
+        }
+
+        const bytes = new TextEncoder().encode(String(content));
+        const eci = options.eci !== false && bytes.some(byte => byte > 0x7F);
+        const text = String.fromCharCode(...bytes);
+        if (aztecDataBits.key !== `${eci}:${text}`) {
+            aztecDataBits = { key: `${eci}:${text}`, bits: AztecEncoder.getDataBits(text, eci) };
+        }
+        const bits = aztecDataBits.bits;
+
+        // Automatic sizes go from compact to full range; full range starts at 4 layers
+        const candidates = version !== null
+            ? [{ compact: version[0] === 'C', layers: parseInt(version.slice(1)) }]
+            : [1, 2, 3, 4].map(layers => ({ compact: true, layers }))
+                .concat(Array.from({ length: 29 }, (_, i) => ({ compact: false, layers: i + 4 })));
+
+        let fit = null;
+        for (const { compact, layers } of candidates) {
+            const capacityBits = AztecEncoder.getCapacityBits(compact, layers, errorCorrection);
+            if (bits.length > capacityBits) continue;
+
+            const totalBits = AztecEncoder.getTotalBits(compact, layers);
+            const wordSize = AZTEC_WORD_SIZES[layers];
+            const stuffed = AztecEncoder.stuffBits(bits, wordSize);
+            const dataWords = stuffed.length / wordSize;
+            // The mode message counts data words in 6 bits for compact symbols and 11 for full range
+            if (dataWords * wordSize > capacityBits || dataWords > (compact ? 64 : 2048)) continue;
+            fit = { compact, layers, totalBits, wordSize, stuffed, dataWords, capacityBits };
+            break;
+        }
+        return { version, errorCorrection, bits, eci, candidates, fit };
+    }
+
+    /**
+     * Data bits a symbol holds once its check words are taken out
+     */
+    static getCapacityBits(compact, layers, errorCorrection) {
+        const wordSize = AZTEC_WORD_SIZES[layers];
+        const totalWords = Math.floor(AztecEncoder.getTotalBits(compact, layers) / wordSize);
+        return (totalWords - AztecEncoder.getCheckWordCount(totalWords, errorCorrection)) * wordSize;
+    }
+
+    static getCheckWordCount(totalWords, errorCorrection) {
+        return Math.ceil(totalWords * AztecEncoder.ERROR_CORRECTION_PERCENT[errorCorrection] / 100) + 3;
+    }
+
+    static getTotalBits(compact, layers) {
+        return ((compact ? 88 : 112) + 16 * layers) * layers;
+    }
+
+    static toBits(value, length) {
+        return Array.from({ length }, (_, i) => (value >>> (length - 1 - i)) & 1);
+    }
+
+    /**
+     * Bits for the text: the shortest path through the text modes and binary shifts
+     * @param {string} text - One character per byte
+     * @param {boolean} eci - Start with an ECI flag for UTF-8
+     * @returns {number[]}
+     */
+    static getDataBits(text, eci) {
+        const codes = AztecEncoder.getCodeTables();
+        const width = mode => (mode === 'digit' ? 4 : 5);
+        const latchBits = (from, to) => (from === to ? 0 : AZTEC_LATCHES[from][to].reduce((sum, [, bits]) => sum + bits, 0));
+
+        const start = [];
+        if (eci) {
+            // P/S FLG(n), then the ECI number as n digit codes
+            const digits = String(QREncoder.ECI_UTF8);
+            start.push({ code: 0, bits: 5 }, { code: 0, bits: 5 }, { code: digits.length, bits: 3 },
+                ...Array.from(digits, digit => ({ code: parseInt(digit) + 2, bits: 4 })));
+        }
+
+        // Each step maps a mode, or a mode with a binary shift open, to its cheapest path so far
+        const steps = Array.from({ length: text.length + 1 }, () => new Map());
+        steps[0].set('upper', { mode: 'upper', binary: 0, cost: start.reduce((sum, item) => sum + item.bits, 0), prev: null, output: start });
+        const relax = (step, key, state) => {
+            const current = steps[step].get(key);
+            if (!current || state.cost < current.cost) {
+                steps[step].set(key, state);
+            }
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            // A binary shift can end before any character
+            Array.from(steps[i].values()).forEach(state => {
+                if (state.binary) {
+                    relax(i, state.mode, { mode: state.mode, binary: 0, cost: state.cost, prev: state, output: [] });
+                }
+            });
+
+            const char = text[i];
+            const pair = text.substr(i, 2);
+            steps[i].forEach(state => {
+                const { mode, cost } = state;
+                const move = (step, target, extra, output, binary = 0) => relax(step, binary ? `${target}:binary` : target,
+                    { mode: target, binary, cost: cost + extra, prev: state, output });
+
+                if (state.binary) {
+                    // Runs over 31 bytes need an 11-bit length extension
+                    if (state.binary < AztecEncoder.MAX_BINARY_SHIFT) {
+                        move(i + 1, mode, 8 + (state.binary === 31 ? 11 : 0), [{ byte: char.charCodeAt(0) }], state.binary + 1);
+                    }
+                    return;
+                }
+
+                // Latch to a mode that has the character
+                AZTEC_MODES.forEach(target => {
+                    if (codes[target].has(char)) {
+                        move(i + 1, target, latchBits(mode, target) + width(target),
+                            [...AztecEncoder.latchCodes(mode, target), { code: codes[target].get(char), bits: width(target) }]);
+                    }
+                });
+
+                // Shift to punctuation, or to upper case from lower case and digits, for one character
+                if (mode !== 'punct' && codes.punct.has(char)) {
+                    move(i + 1, mode, width(mode) + 5, [{ code: 0, bits: width(mode) }, { code: codes.punct.get(char), bits: 5 }]);
+                }
+                if ((mode === 'lower' || mode === 'digit') && codes.upper.has(char)) {
+                    move(i + 1, mode, width(mode) + 5,
+                        [{ code: mode === 'lower' ? 28 : 15, bits: width(mode) }, { code: codes.upper.get(char), bits: 5 }]);
+                }
+
+                // Two-character punctuation codes
+                if (pair.length === 2 && codes.punct.has(pair)) {
+                    move(i + 2, 'punct', latchBits(mode, 'punct') + 5,
+                        [...AztecEncoder.latchCodes(mode, 'punct'), { code: codes.punct.get(pair), bits: 5 }]);
+                    if (mode !== 'punct') {
+                        move(i + 2, mode, width(mode) + 5, [{ code: 0, bits: width(mode) }, { code: codes.punct.get(pair), bits: 5 }]);
+                    }
+                }
+
+                // Binary shifts start from upper, lower or mixed
+                const from = mode === 'punct' || mode === 'digit' ? 'upper' : mode;
+                move(i + 1, from, latchBits(mode, from) + 18,
+                    [...AztecEncoder.latchCodes(mode, from), { binaryShift: true }, { byte: char.charCodeAt(0) }], 1);
+            });
+        }
+
+        let best = null;
+        steps[text.length].forEach(state => {
+            if (!best || state.cost < best.cost) {
+                best = state;
+            }
+        });
+
+        const items = [];
+        for (let state = best; state; state = state.prev) {
+            items.unshift(...state.output);
+        }
+        return AztecEncoder.writeItems(items);
+    }
+
+    /**
+     * Character to code maps for each mode
+     */
+    static getCodeTables() {
+        const tables = {};
+        AZTEC_MODES.forEach(mode => {
+            tables[mode] = new Map(AZTEC_CHARSETS[mode]);
+        });
+        return tables;
+    }
+
+    static latchCodes(from, to) {
+        return from === to ? [] : AZTEC_LATCHES[from][to].map(([code, bits]) => ({ code, bits }));
+    }
+
+    /**
+     * Write codes and binary shift runs out as bits; a run's length goes in front of its bytes
+     */
+    static writeItems(items) {
+        const bits = [];
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (item.binaryShift) {
+                let end = i + 1;
+                while (end < items.length && items[end].byte !== undefined) end++;
+                const length = end - i - 1;
+                bits.push(...AztecEncoder.toBits(31, 5));
+                if (length <= 31) {
+                    bits.push(...AztecEncoder.toBits(length, 5));
+                } else {
+                    bits.push(...AztecEncoder.toBits(0, 5), ...AztecEncoder.toBits(length - 31, 11));
+                }
+            } else if (item.byte !== undefined) {
+                bits.push(...AztecEncoder.toBits(item.byte, 8));
+            } else {
+                bits.push(...AztecEncoder.toBits(item.code, item.bits));
+            }
+        }
+        return bits;
+    }
+
+    /**
+     * Split the bits into words, stuffing a complementary bit after any
+     * word-less-one run of all zeros or all ones, and pad the last word with ones
+     */
+    static stuffBits(bits, wordSize) {
+        const result = [];
+        const mask = (1 << wordSize) - 2;
+        for (let i = 0; i < bits.length; i += wordSize) {
+            let word = 0;
+            for (let j = 0; j < wordSize; j++) {
+                if (i + j >= bits.length || bits[i + j]) {
+                    word |= 1 << (wordSize - 1 - j);
+                }
+            }
+            if ((word & mask) === mask) {
+                result.push(...AztecEncoder.toBits(word & mask, wordSize));
+                i--;
+            } else if ((word & mask) === 0) {
+                result.push(...AztecEncoder.toBits(word | 1, wordSize));
+                i--;
+            } else {
+                result.push(...AztecEncoder.toBits(word, wordSize));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Append Reed-Solomon check words to fill totalBits, padding the front to a whole number of words
+     */
+    static addCheckWords(bits, totalBits, wordSize) {
+        const words = [];
+        for (let i = 0; i < bits.length; i += wordSize) {
+            words.push(parseInt(bits.slice(i, i + wordSize).join(''), 2));
+        }
+        const checkWords = ReedSolomon.encode(words, Math.floor(totalBits / wordSize) - words.length,
+            AztecEncoder.FIELD_POLYNOMIALS[wordSize]);
+
+        const result = new Array(totalBits % wordSize).fill(0);
+        [...words, ...checkWords].forEach(word => result.push(...AztecEncoder.toBits(word, wordSize)));
+        return result;
+    }
+
+    /**
+     * Lay the message out in two-module-wide layers spiralling around the
+     * bull's-eye, then draw the mode message, bull's-eye and reference grid
+     * @returns {Uint8Array} - size * size modules, 1 for dark
+     */
+    static drawSymbol(message, modeMessage, compact, layers, size) {
+        const modules = new Uint8Array(size * size);
+        const set = (x, y) => {
+            modules[y * size + x] = 1;
+        };
+
+        // Full-range symbols skip every 16th row and column for the reference grid
+        const baseSize = (compact ? 11 : 14) + layers * 4;
+        const center = Math.floor(size / 2);
+        const alignment = new Array(baseSize);
+        if (compact) {
+            for (let i = 0; i < baseSize; i++) alignment[i] = i;
+        } else {
+            const baseCenter = baseSize / 2;
+            for (let i = 0; i < baseCenter; i++) {
+                const offset = i + Math.floor(i / 15);
+                alignment[baseCenter - i - 1] = center - offset - 1;
+                alignment[baseCenter + i] = center + offset + 1;
+            }
+        }
+
+        for (let i = 0, offset = 0; i < layers; i++) {
+            const rowSize = (layers - i) * 4 + (compact ? 9 : 12);
+            for (let j = 0; j < rowSize; j++) {
+                const column = j * 2;
+                for (let k = 0; k < 2; k++) {
+                    if (message[offset + column + k]) set(alignment[i * 2 + k], alignment[i * 2 + j]);
+                    if (message[offset + rowSize * 2 + column + k]) set(alignment[i * 2 + j], alignment[baseSize - 1 - i * 2 - k]);
+                    if (message[offset + rowSize * 4 + column + k]) set(alignment[baseSize - 1 - i * 2 - k], alignment[baseSize - 1 - i * 2 - j]);
+                    if (message[offset + rowSize * 6 + column + k]) set(alignment[baseSize - 1 - i * 2 - j], alignment[i * 2 + k]);
+                }
+            }
+            offset += rowSize * 8;
+        }
+
+        // Mode message around the bull's-eye, skipping the grid line through the center
+        const sideLength = compact ? 7 : 10;
+        const distance = compact ? 5 : 7;
+        for (let i = 0; i < sideLength; i++) {
+            const offset = compact ? center - 3 + i : center - 5 + i + Math.floor(i / 5);
+            if (modeMessage[i]) set(offset, center - distance);
+            if (modeMessage[i + sideLength]) set(center + distance, offset);
+            if (modeMessage[sideLength * 3 - 1 - i]) set(offset, center + distance);
+            if (modeMessage[sideLength * 4 - 1 - i]) set(center - distance, offset);
+        }
+
+        // Bull's-eye rings and the orientation marks at its corners
+        const eye = compact ? 5 : 7;
+        for (let i = 0; i < eye; i += 2) {
+            for (let j = center - i; j <= center + i; j++) {
+                set(j, center - i);
+                set(j, center + i);
+                set(center - i, j);
+                set(center + i, j);
+            }
+        }
+        set(center - eye, center - eye);
+        set(center - eye + 1, center - eye);
+        set(center - eye, center - eye + 1);
+        set(center + eye, center - eye);
+        set(center + eye, center - eye + 1);
+        set(center + eye, center + eye - 1);
+
+        // Reference grid lines every 16 modules out from the center, across the whole symbol
+        if (!compact) {
+            for (let j = 0; j <= center; j += 16) {
+                for (let k = center & 1; k < size; k += 2) {
+                    set(center - j, k);
+                    set(center + j, k);
+                    set(k, center - j);
+                    set(k, center + j);
+                }
+            }
+        }
+
+        return modules;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AztecEncoder;
+}
@@ -0,0 +1,165 @@
+/**
+ * batch-generator.js - CSV batch generation for QR Code Generator
+ *
+ * Fills a content template and a filename template from each table row,
+ * renders every code with the current styling through the same pipeline as
+ * the preview, and downloads the files plus a manifest as one ZIP.
+ */
+
+class BatchGenerator {
+    constructor(appInstance) {
+        this.app = appInstance;
+        this.running = false;
+    }
+
+    static get MANIFEST_COLUMNS() {
+        return ['row', 'content', 'files', 'status', 'scannability', 'error'];
+    }
+
+    /**
+     * Column names used as {{placeholders}} in a template
+     */
+    static getPlaceholders(template) {
+        return Array.from(template.matchAll(/\{\{\s*([^{}]+?)\s*\}\}/g), match => match[1]);
+    }
+
+    /**
+     * Replace {{column}} placeholders with row values
+     */
+    static renderTemplate(template, values) {
+        return template.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, key) => values[key]);
+    }
+
+    /**
+     * Throw if a template refers to a column the table does not have.
+     * {{row}} is always available and holds the 1-based row number.
+     */
+    static checkTemplate(template, headers, label) {
+        const unknown = BatchGenerator.getPlaceholders(template)
+            .filter(key => key !== 'row' && !headers.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`${label} uses unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+        }
+    }
+
+    /**
+     * Generate every row of a table and download the results as a ZIP
+     * @param {Object} params - { text, contentTemplate, filenameTemplate, formats } where formats
+     *     are keys of Config.EXPORT.FORMATS
+     * @returns {Promise<Array|null>} - Manifest entries, or null if the batch did not run
+     */
+    async generate({ text, contentTemplate, filenameTemplate, formats }) {
+        if (this.running) {
+            notificationManager.warning('A batch is already running');
+            return null;
+        }
+
+        let table;
+        try {
+            table = CSVParser.parse(text);
+            if (table.rows.length === 0) {
+                throw new Error('The table has no data rows');
+            }
+            if (!contentTemplate.trim()) {
+                throw new Error('Enter a content template');
+            }
+            if (formats.length === 0) {
+                throw new Error('Choose at least one file format');
+            }
+            BatchGenerator.checkTemplate(contentTemplate, table.headers, 'Content template');
+            BatchGenerator.checkTemplate(filenameTemplate, table.headers, 'Filename template');
+        } catch (error) {
+            notificationManager.error(error.message);
+            return null;
+        }
+
+        this.running = true;
+        const { rows } = table;
+        const options = this.app.getStyleOptions();
+        const zip = new ZipWriter();
+        const usedNames = new Set();
+        const manifest = [];
+        const progress = notificationManager.loading(`Generating 0 of ${rows.length} QR codes...`);
+
+        try {
+            for (let i = 0; i < rows.length; i++) {
+                const values = { row: String(i + 1), ...rows[i] };
+                const entry = { row: i + 1, content: '', files: '', status: 'ok', scannability: '', error: '' };
+
+                try {
+                    entry.content = BatchGenerator.renderTemplate(contentTemplate, values);
+                    if (!entry.content.trim()) {
+                        throw new Error('Content is empty');
+                    }
+
+                    const qrCode = { content: entry.content, ...options, ...this.app.buildQRCode(entry.content, options) };
+                    entry.scannability = qrCode.scannability.status;
+
+                    const baseName = this.getUniqueName(
+                        ExportManager.sanitizeFilename(BatchGenerator.renderTemplate(filenameTemplate || '{{row}}', values)),
+                        usedNames
+                    );
+                    const files = [];
+                    for (const format of formats) {
+                        const spec = Config.EXPORT.FORMATS[format];
+                        const name = `${baseName}${spec.suffix || ''}.${spec.extension}`;
+                        const blob = await this.app.exportManager.buildFile(qrCode, format);
+                        zip.addFile(name, await blob.arrayBuffer());
+                        files.push(name);
+                    }
+                    entry.files = files.join(' ');
+                } catch (error) {
+                    entry.status = 'error';
+                    entry.error = error.message;
+                }
+
+                manifest.push(entry);
+                progress.update(`Generating ${i + 1} of ${rows.length} QR codes...`);
+
+                // Let the browser repaint the progress message between rows
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            zip.addFile('manifest.csv', CSVParser.stringify(BatchGenerator.MANIFEST_COLUMNS, manifest));
+
+            const link = document.createElement('a');
+            link.download = `qrcodes-${Date.now()}.zip`;
+            link.href = URL.createObjectURL(zip.toBlob());
+            link.click();
+            URL.revokeObjectURL(link.href);
+
+            const failed = manifest.filter(entry => entry.status === 'error').length;
+            if (failed > 0) {
+                progress.hide();
+                notificationManager.warning(`${rows.length - failed} QR codes exported; ${failed} row${failed > 1 ? 's' : ''} failed (see manifest.csv)`);
+            } else {
+                progress.success(`${rows.length} QR codes exported`);
+            }
+
+            return manifest;
+        } catch (error) {
+            console.error('Error generating batch:', error);
+            progress.error('Error generating batch: ' + error.message);
+            return null;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Append -2, -3, ... to names already used in this batch
+     */
+    getUniqueName(name, usedNames) {
+        let unique = name;
+        for (let n = 2; usedNames.has(unique.toLowerCase()); n++) {
+            unique = `${name}-${n}`;
+        }
+        usedNames.add(unique.toLowerCase());
+        return unique;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchGenerator;
+}
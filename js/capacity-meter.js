@@ -0,0 +1,270 @@
+/**
+ * capacity-meter.js - Live capacity measurement for QR Code Generator
+ *
+ * Measures content against the selected symbol type at every error correction
+ * level it has, without drawing a symbol, so the form can show how full the
+ * code is while the user types and say what to change before it overflows.
+ * Fill is measured against the largest symbol allowed: the pinned version, or
+ * the largest version when the version is automatic. A Structured Append set
+ * is measured by how many of its 16 symbols the content takes.
+ */
+
+// The last report, returned again while the content and options stay the same,
+// e.g. when the preview is generated from text the meter has just measured
+let lastCapacityReport = { key: null, report: null };
+
+class CapacityMeter {
+    static get STATUS_LABELS() {
+        return {
+            ok: 'Fits',
+            warn: 'Nearly full',
+            overflow: 'Too long',
+            invalid: 'Cannot encode'
+        };
+    }
+
+    /**
+     * Measure content for the capacity meter
+     * @param {string} content - Text to encode
+     * @param {Object} options - symbolType, errorCorrection, version, segmentMode, eci and
+     *     structuredAppendCount
+     * @returns {Object} - { status: 'ok'|'warn'|'overflow'|'invalid', symbolType, errorCorrection,
+     *     bytes, ratio: share of the largest symbol used or null, current: the measurement at the
+     *     selected level or null, levels: [{ level, fits, version, remaining, unit, symbols }], mode,
+     *     summary, advice: what to change, or null when nothing needs changing }
+     */
+    static measure(content, options = {}) {
+        const key = JSON.stringify([content, options.symbolType, options.errorCorrection, options.version,
+            options.segmentMode, options.eci, options.structuredAppendCount]);
+        if (lastCapacityReport.key !== key) {
+            lastCapacityReport = { key, report: CapacityMeter.measureContent(content, options) };
+        }
+        return lastCapacityReport.report;
+    }
+
+    static measureContent(content, options) {
+        const symbolType = options.symbolType || Config.QR_CODE.DEFAULT_SYMBOL_TYPE;
+        const encoder = QRCore.getEncoder(symbolType);
+        const hasLevels = encoder.ERROR_CORRECTION_LEVELS.length > 0;
+        const errorCorrection = hasLevels ? options.errorCorrection || Config.QR_CODE.DEFAULT_ERROR_CORRECTION : null;
+        const report = {
+            status: 'invalid',
+            symbolType,
+            errorCorrection,
+            bytes: new TextEncoder().encode(content).length,
+            ratio: null,
+            current: null,
+            levels: [],
+            mode: null,
+            summary: '',
+            advice: null
+        };
+
+        let measurements;
+        try {
+            measurements = (hasLevels ? encoder.ERROR_CORRECTION_LEVELS : [null])
+                .map(level => ({ level, measurement: QRCore.measure(content, { ...options, symbolType, errorCorrection: level }) }))
+                .filter(({ measurement }) => measurement !== null);
+        } catch (error) {
+            report.advice = error.message;
+            return report;
+        }
+
+        const current = measurements.find(({ level }) => level === errorCorrection);
+        if (!current) {
+            // Micro QR M1 only detects errors and M2 and M3 stop short of level Q
+            report.advice = `${QRCore.SYMBOL_TYPES[symbolType]} version ${options.version} has no error correction level ${errorCorrection}`;
+            return report;
+        }
+
+        const measurement = current.measurement;
+        report.current = measurement;
+        report.ratio = CapacityMeter.getRatio(measurement);
+        report.status = !measurement.fits ? 'overflow'
+            : (report.ratio !== null && report.ratio >= Config.CAPACITY.WARNING_RATIO ? 'warn' : 'ok');
+        report.levels = measurements.filter(({ level }) => level !== null).map(({ level, measurement: m }) => ({
+            level,
+            fits: m.fits,
+            version: m.version,
+            remaining: m.maxCapacity - m.maxUsed,
+            unit: m.unit
+        }));
+        report.mode = CapacityMeter.getModeText(measurement);
+        if (symbolType === 'qr' && options.structuredAppendCount) {
+            return CapacityMeter.measureSet(report, content, options);
+        }
+        report.summary = CapacityMeter.getSummary(report, encoder);
+        report.advice = CapacityMeter.getAdvice(report, content, options);
+        return report;
+    }
+
+    /**
+     * Share of the largest symbol the content takes, kept finite so it can be shown
+     * @returns {number|null} - null for symbols without a maximum, such as linear barcodes
+     */
+    static getRatio({ maxUsed, maxCapacity }) {
+        if (!maxCapacity || !Number.isFinite(maxUsed)) {
+            return null;
+        }
+        return Math.min(Math.max(0, maxUsed / maxCapacity), CapacityMeter.MAX_RATIO);
+    }
+
+    // Fills past this are shown as "over" it, e.g. content pasted into a Micro QR code
+    static get MAX_RATIO() {
+        return 10;
+    }
+
+    /**
+     * Fill in a report for content split across a Structured Append set: the
+     * symbols it takes at each level, filling the meter towards the 16 a set holds
+     * @param {Object} report - Report for the content as a single QR code
+     * @returns {Object} - The report, with levels giving symbols instead of room left
+     */
+    static measureSet(report, content, options) {
+        const sets = QREncoder.ERROR_CORRECTION_LEVELS.map(level => {
+            try {
+                return { level, set: StructuredAppend.split(content, { ...options, errorCorrection: level, count: options.structuredAppendCount }) };
+            } catch (error) {
+                return { level, error };
+            }
+        });
+        report.levels = sets.map(({ level, set }) => ({
+            level,
+            fits: !!set,
+            version: set ? set.version : null,
+            remaining: null,
+            unit: null,
+            symbols: set ? set.parts.length : null
+        }));
+
+        const bytes = `${report.bytes} byte${report.bytes === 1 ? '' : 's'}`;
+        const { set, error } = sets.find(({ level }) => level === report.errorCorrection);
+        if (!set) {
+            const fitting = report.levels.filter(entry => entry.fits);
+            report.status = 'overflow';
+            report.ratio = 1;
+            report.current = { ...report.current, fits: false };
+            report.summary = [bytes, report.mode].join(' · ');
+            report.advice = error.message +
+                (fitting.length ? `: lower the error correction to ${fitting.map(entry => entry.level).join(' or ')}.` : '.');
+            return report;
+        }
+
+        // The preview debounce scales with the modules of the whole set
+        const total = set.parts.length;
+        const size = set.version * 4 + 17;
+        report.current = { ...report.current, fits: true, version: set.version, width: size, height: size * total };
+        report.ratio = total / StructuredAppend.MAX_SYMBOLS;
+        report.status = options.structuredAppendCount === 'auto' && report.ratio >= Config.CAPACITY.WARNING_RATIO ? 'warn' : 'ok';
+        report.summary = [`${total} linked codes at version ${set.version} (${size}×${size})`, bytes, report.mode].join(' · ');
+
+        const fewer = report.levels.filter(entry => entry.fits && entry.symbols < total);
+        report.advice = report.status === 'warn'
+            ? `Near the ${StructuredAppend.MAX_SYMBOLS}-code limit` +
+                (fewer.length ? `; error correction ${fewer.map(entry => entry.level).join(' or ')} needs fewer codes.` : '.')
+            : null;
+        return report;
+    }
+
+    /**
+     * Segment modes of a QR, Micro QR or rMQR measurement, e.g. "numeric + byte"
+     * @returns {string|null} - null for symbologies without segments
+     */
+    static getModeText(measurement) {
+        if (!measurement.segments) {
+            return null;
+        }
+        const modes = [...new Set(measurement.segments.map(segment => segment.mode))];
+        return `${modes.join(' + ') || 'no'} mode${modes.length > 1 ? 's' : ''}${measurement.eci ? ' with UTF-8 ECI' : ''}`;
+    }
+
+    /**
+     * One line on the symbol the content gets: size, bytes, mode and fill
+     */
+    static getSummary(report, encoder) {
+        const { current, symbolType } = report;
+        const parts = [];
+
+        if (current.fits) {
+            const size = `${current.width}×${current.height}`;
+            if (current.version === null) {
+                parts.push(`${current.width} modules wide`);
+            } else {
+                const label = encoder.getVersionLabel(current.version);
+                const prefix = QRCore.isQRSymbol(symbolType) ? 'Version ' : (symbolType === 'datamatrix' ? 'Size ' : '');
+                parts.push(`${prefix}${label}${label.includes(size) ? '' : ` (${size})`}`);
+            }
+        }
+        parts.push(`${report.bytes} byte${report.bytes === 1 ? '' : 's'}`);
+        if (report.mode) {
+            parts.push(report.mode);
+        }
+        if (report.ratio !== null) {
+            const percent = Math.max(1, Math.round(report.ratio * 100));
+            parts.push(`${report.ratio >= CapacityMeter.MAX_RATIO ? 'over ' : ''}${percent}% of the maximum`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * What to change when the content is too long or nearly so: a lower error
+     * correction level that fits, a larger version, or how much to cut
+     * @returns {string|null}
+     */
+    static getAdvice(report, content, options) {
+        const { current, status, errorCorrection, levels } = report;
+        const room = levels.filter(entry => entry.level !== errorCorrection && entry.remaining > current.maxCapacity - current.maxUsed);
+
+        if (status === 'warn') {
+            const left = CapacityMeter.formatAmount(current.maxCapacity - current.maxUsed, current.unit);
+            return `Only ${left} left` + (room.length ? `; error correction ${room.map(entry => entry.level).join(' or ')} leaves more room.` : '.');
+        }
+        if (status !== 'overflow') {
+            return null;
+        }
+
+        const fixes = [];
+        const fitting = levels.filter(entry => entry.fits);
+        if (fitting.length) {
+            fixes.push(`lower the error correction to ${fitting.map(entry => entry.level).join(' or ')}`);
+        }
+        if (options.version) {
+            const unpinned = QRCore.measure(content, { ...options, version: null });
+            if (unpinned && unpinned.fits) {
+                fixes.push('choose a larger version or Auto');
+            }
+        }
+        const excess = current.maxUsed - current.maxCapacity;
+        fixes.push(Number.isFinite(excess)
+            ? `shorten it by ${CapacityMeter.formatAmount(excess, current.unit, true)}`
+            : 'shorten it');
+
+        const symbolName = QRCore.SYMBOL_TYPES[report.symbolType];
+        const level = errorCorrection ? ` at error correction level ${errorCorrection}` : '';
+        const advice = fixes.join(', or ');
+        return `Too long for ${options.version ? `${symbolName} version ${options.version}` : symbolName}${level}: ` +
+            `${advice[0].toUpperCase()}${advice.slice(1)}.`;
+    }
+
+    /**
+     * Format a capacity amount; bits are shown as whole bytes
+     * @param {number} amount - Bits or codewords
+     * @param {string} unit - 'bits' or 'codewords'
+     * @param {boolean} roundUp - Round part bytes up, for amounts to cut
+     */
+    static formatAmount(amount, unit, roundUp = false) {
+        if (!Number.isFinite(amount)) {
+            return `an unknown number of ${unit === 'bits' ? 'bytes' : 'codewords'}`;
+        }
+        if (unit === 'bits') {
+            const bytes = roundUp ? Math.ceil(amount / 8) : Math.floor(amount / 8);
+            return `about ${bytes} byte${bytes === 1 ? '' : 's'}`;
+        }
+        return `${amount} codeword${amount === 1 ? '' : 's'}`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CapacityMeter;
+}
@@ -12,34 +12,179 @@ const Config = {
         DEFAULT_SIZE: 256,
         DEFAULT_ERROR_CORRECTION: 'M', // L, M, Q, H
         DEFAULT_MARGIN: 4,
+        MICRO_MARGIN: 2, // Quiet zone of Micro QR and rMQR symbols, in modules
+        DEFAULT_SYMBOL_TYPE: 'qr', // A key of QRCore.SYMBOL_TYPES
         DEFAULT_COLOR_DARK: '#000000',
         DEFAULT_COLOR_LIGHT: '#FFFFFF',
         ALLOWED_ERROR_CORRECTION_LEVELS: ['L', 'M', 'Q', 'H'],
+        DEFAULT_SEGMENT_MODE: 'auto', // Shortest mix of numeric, alphanumeric, byte and kanji segments
+        USE_UTF8_ECI: true, // Announce UTF-8 in front of non-ASCII byte segments
         MIN_SIZE: 64,
         MAX_SIZE: 1024
     },
 
+    // Data Matrix, Aztec, PDF417 and linear barcode settings
+    BARCODE: {
+        // Quiet zone of each symbology in modules; EAN-13 and UPC-A use their left-side minimum
+        QUIET_ZONES: { datamatrix: 1, aztec: 1, pdf417: 2, code128: 10, ean13: 11, upca: 9 },
+        BAR_HEIGHTS: { code128: 50, ean13: 69, upca: 69 }, // Linear bar heights in modules
+        // Code 128 symbol characters between the start and check codes. The standard sets no
+        // limit, but longer barcodes are too wide for handheld scanners to read.
+        CODE128_MAX_CODEWORDS: 80,
+        PDF417_ROW_HEIGHT: 3, // Modules per PDF417 row
+        PDF417_ASPECT_RATIO: 3 // Width to height the automatic PDF417 column count aims for
+    },
+
+    // Physical print sizes
+    PRINT: {
+        DEFAULT_WIDTH_MM: 30,
+        DEFAULT_DPI: 300,
+        DPI_OPTIONS: [72, 150, 300, 600, 1200],
+        MIN_PIXEL_SIZE: 64,
+        MAX_PIXEL_SIZE: 4096, // Larger prints render at a lower effective DPI
+        DEFAULT_SCAN_DISTANCE_MM: 300,
+        SCAN_DISTANCE_RATIO: 250, // Scanning distance per module width, about 10:1 for a 25-module code
+        MIN_MODULE_SIZE_MM: 0.4 // Smallest module most print processes reproduce cleanly
+    },
+
+    // Center logo settings
+    LOGO: {
+        DEFAULT_SIZE: 0.2, // Fraction of the symbol width
+        DEFAULT_PADDING: 0.5, // Modules between the logo and the knockout edge
+        DEFAULT_CORNER_RADIUS: 0.2, // Fraction of half the logo box
+        // Largest share of the symbol area a logo may cover at each error correction level
+        MAX_AREA_RATIO: { L: 0.03, M: 0.07, Q: 0.12, H: 0.15 },
+        ACCEPTED_TYPES: ['image/png', 'image/svg+xml'],
+        MAX_FILE_SIZE: 512 * 1024
+    },
+
     // Database settings
     DATABASE: {
         GITHUB_API_URL: 'https://api.github.com',
         REPO_NAME: 'pixel-qr-codes',
         USERNAME: 'pixel-qr-user',
         ACCESS_TOKEN: null,
-        LOCAL_STORAGE_PREFIX: 'pixelQR_'
+        CODES_PATH: 'qr-codes',
+        LOCAL_STORAGE_PREFIX: 'pixelQR_',
+        INDEXED_DB_NAME: 'pixelQR',
+        INDEXED_DB_VERSION: 1,
+        LOCAL_STORAGE_QUOTA: 5 * 1024 * 1024, // Typical per-origin localStorage limit
+        STORAGE_WARNING_RATIO: 0.8,
+        MAX_REVISIONS: 50 // Earlier revisions of a saved code kept in its history
+    },
+
+    // Post-render scannability checks
+    SCANNABILITY: {
+        MIN_CONTRAST_RATIO: 2, // Below this the code is flagged as failing
+        RECOMMENDED_CONTRAST_RATIO: 4,
+        MIN_QUIET_ZONE: 4, // Modules of blank margin
+        MIN_MICRO_QUIET_ZONE: 2, // Micro QR and rMQR need half as much
+        MIN_MODULE_PIXELS: 3
+    },
+
+    // Content split across linked QR codes
+    STRUCTURED_APPEND: {
+        MAX_SYMBOLS: 16, // The symbol count field holds 1 to 16
+        // Automatic splits use the fewest symbols up to this version before going larger
+        COMFORTABLE_VERSION: 10,
+        SHEET_GAP: 0.1, // Space between codes on an SVG sheet, as a share of one code's width
+        CAPTION_SIZE: 0.08 // Caption font size on an SVG sheet, as a share of one code's width
+    },
+
+    // Live capacity meter under the content box
+    CAPACITY: {
+        WARNING_RATIO: 0.9 // Share of the largest symbol allowed that turns the meter amber
+    },
+
+    // QR code import settings
+    DECODER: {
+        MAX_IMAGE_SIZE: 1600 // Longest side in pixels; larger photos are scaled down before decoding
     },
 
     // UI settings
     UI: {
         NOTIFICATION_DURATION: 3000,
         ANIMATION_DURATION: 300,
+        // Wait after the last keystroke before the preview regenerates; larger
+        // symbols take longer to encode, so they wait up to the longer delay
+        PREVIEW_DELAY: 200,
+        LARGE_PREVIEW_DELAY: 600,
+        SAVED_CODES_PAGE_SIZE: 20, // Saved codes listed per page
+        // Saved code thumbnails are drawn at this size, shown smaller in the
+        // grid and at full size on hover; the cache keeps this many
+        THUMBNAIL_SIZE: 192,
+        THUMBNAIL_CACHE_SIZE: 300,
         THEME: 'dark'
     },
 
     // Export settings
     EXPORT: {
-        FORMATS: ['png', 'svg', 'pdf'],
+        // Export formats, in the order they are offered. `quality` marks lossy formats.
+        FORMATS: {
+            png: { label: 'PNG Image', name: 'PNG', extension: 'png', mimeType: 'image/png' },
+            'png-transparent': {
+                label: 'PNG, Transparent Background',
+                name: 'Transparent PNG',
+                extension: 'png',
+                suffix: '-transparent', // Keeps batch file names apart from the opaque PNG
+                mimeType: 'image/png'
+            },
+            jpeg: { label: 'JPEG Image', name: 'JPEG', extension: 'jpg', mimeType: 'image/jpeg', quality: true },
+            webp: { label: 'WebP Image', name: 'WebP', extension: 'webp', mimeType: 'image/webp', quality: true },
+            ico: { label: 'Favicon (ICO)', name: 'ICO', extension: 'ico', mimeType: 'image/x-icon' },
+            svg: { label: 'SVG Vector', name: 'SVG', extension: 'svg', mimeType: 'image/svg+xml' },
+            pdf: { label: 'PDF Document', name: 'PDF', extension: 'pdf', mimeType: 'application/pdf' },
+            eps: { label: 'EPS Vector', name: 'EPS', extension: 'eps', mimeType: 'application/postscript' }
+        },
         DEFAULT_FORMAT: 'png',
-        INCLUDE_BORDER: true
+        DEFAULT_QUALITY: 92, // Percent, for JPEG and WebP
+        ICO_SIZES: [16, 32, 48, 64, 128, 256],
+        // {name}, {size}, {ecc}, {date} and {timestamp} are replaced
+        DEFAULT_FILENAME_PATTERN: '{name}-{size}-{ecc}',
+        INCLUDE_BORDER: true,
+        LOGO_RESOLUTION: 300, // Pixels across the logo patch embedded in PDF and EPS output
+        // Page sizes for PDF output, in millimetres
+        PAGE_SIZES: {
+            a4: { label: 'A4', width: 210, height: 297 },
+            letter: { label: 'US Letter', width: 215.9, height: 279.4 }
+        },
+        // Commercial label sheets, in millimetres
+        LABEL_TEMPLATES: {
+            avery5160: {
+                label: 'Avery 5160 (3 × 10, US Letter)',
+                pageSize: 'letter',
+                columns: 3,
+                rows: 10,
+                labelWidth: 66.675,
+                labelHeight: 25.4,
+                marginLeft: 4.7625,
+                marginTop: 12.7,
+                gutterX: 3.175,
+                gutterY: 0
+            },
+            averyL7163: {
+                label: 'Avery L7163 (2 × 7, A4)',
+                pageSize: 'a4',
+                columns: 2,
+                rows: 7,
+                labelWidth: 99.1,
+                labelHeight: 38.1,
+                marginLeft: 4.65,
+                marginTop: 15.15,
+                gutterX: 2.5,
+                gutterY: 0
+            }
+        },
+        SHEET: {
+            DEFAULT_ROWS: 4,
+            DEFAULT_COLUMNS: 3,
+            DEFAULT_MARGIN: 10,
+            DEFAULT_GUTTER: 5,
+            LABEL_PADDING: 2, // Keeps codes clear of die-cut label edges
+            CAPTION_FONT_SIZE: 8, // Points; shrunk on small labels
+            CROP_MARK_LENGTH: 5,
+            CROP_MARK_OFFSET: 1.5 // Gap between the grid and its crop marks
+        }
     }
 };
 
@@ -0,0 +1,138 @@
+/**
+ * csv-parser.js - CSV and pasted table parsing for QR Code Generator
+ *
+ * Handles quoted fields, escaped quotes and line breaks inside quotes
+ * (RFC 4180), and detects comma, semicolon or tab delimiters so tables
+ * pasted from a spreadsheet work as well as exported CSV files.
+ */
+
+class CSVParser {
+    static get DELIMITERS() {
+        return [',', '\t', ';'];
+    }
+
+    /**
+     * Parse CSV text whose first row holds the column names
+     * @param {string} text - CSV or tab-separated text
+     * @param {Object} options - { delimiter } to skip detection
+     * @returns {Object} - { headers: string[], rows: Object[] } with one object per data row
+     */
+    static parse(text, options = {}) {
+        // Drop the byte order mark spreadsheet exports often start with
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = options.delimiter || CSVParser.detectDelimiter(source);
+        const records = CSVParser.parseRecords(source, delimiter)
+            .filter(record => record.some(field => field.trim() !== ''));
+
+        if (records.length === 0) {
+            throw new Error('The table is empty');
+        }
+
+        const headers = records[0].map(header => header.trim());
+        if (headers.some(header => !header)) {
+            throw new Error('Every column needs a name in the first row');
+        }
+        const duplicate = headers.find((header, i) => headers.indexOf(header) !== i);
+        if (duplicate) {
+            throw new Error(`Column "${duplicate}" appears more than once`);
+        }
+
+        const rows = records.slice(1).map(record => {
+            const row = {};
+            headers.forEach((header, i) => {
+                row[header] = record[i] !== undefined ? record[i] : '';
+            });
+            return row;
+        });
+
+        return { headers, rows };
+    }
+
+    /**
+     * Pick the delimiter that splits the header line into the most columns
+     */
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        let best = ',';
+        let bestCount = 0;
+        CSVParser.DELIMITERS.forEach(delimiter => {
+            const count = firstLine.split(delimiter).length - 1;
+            if (count > bestCount) {
+                best = delimiter;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Split text into records of fields
+     * @returns {string[][]}
+     */
+    static parseRecords(text, delimiter) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('Unterminated quoted field');
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * Serialize rows as CSV, quoting fields only where needed
+     * @param {string[]} headers - Column names, in order
+     * @param {Object[]} rows - Objects keyed by column name
+     * @returns {string} - CSV text with CRLF line endings
+     */
+    static stringify(headers, rows) {
+        const escape = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [headers, ...rows.map(row => headers.map(header => row[header]))]
+            .map(fields => fields.map(escape).join(','))
+            .join('\r\n') + '\r\n';
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVParser;
+}
@@ -3,55 +3,150 @@
  *
  * This implementation uses GitHub as a simple database solution by:
  * 1. Creating a GitHub repository for QR code collections
- * 2. Using GitHub API to save/load QR code data as JSON files
- * 3. Providing offline fallback to localStorage
+ * 2. Using the GitHub Contents API to save/load QR code data as JSON files
+ * 3. Keeping a local copy in IndexedDB (or localStorage where IndexedDB is unavailable)
+ *
+ * All requests go to Config.DATABASE.GITHUB_API_URL, so the same code works
+ * against github.com, GitHub Enterprise (`https://<host>/api/v3`) or a mock server.
  */
 
 class DatabaseManager {
     constructor(app) {
         this.app = app;
-        this.GITHUB_API_URL = Config.DATABASE.GITHUB_API_URL;
+        this.GITHUB_API_URL = Config.DATABASE.GITHUB_API_URL.replace(/\/+$/, '');
         this.REPO_NAME = Config.DATABASE.REPO_NAME;
         this.USERNAME = Config.DATABASE.USERNAME;
-        this.ACCESS_TOKEN = null; // This would be obtained via OAuth
+        this.CODES_PATH = Config.DATABASE.CODES_PATH;
+        this.ACCESS_TOKEN = Config.DATABASE.ACCESS_TOKEN;
         this.LOCAL_STORAGE_PREFIX = Config.DATABASE.LOCAL_STORAGE_PREFIX;
 
+        // Blob SHAs of files we have read or written, keyed by repository path
+        this.fileShas = new Map();
+
+        // Queued changes and what was last in sync with GitHub
+        this.sync = new SyncEngine(this);
+
+        // Local storage backend, decided once IndexedDB has been opened
+        this.store = QRCodeStore.isSupported() ? new QRCodeStore() : null;
+        this.useIndexedDB = false;
+        this.storageWarningShown = false;
+
         // Check if we have GitHub credentials
         this.checkGitHubCredentials();
     }
 
+    /**
+     * Open the local store and migrate any codes saved by older versions.
+     * Falls back to localStorage when IndexedDB can't be opened (e.g. some private modes).
+     */
+    async initStorage() {
+        if (this.store) {
+            try {
+                await this.store.open();
+                this.useIndexedDB = true;
+                await this.migrateFromLocalStorage();
+            } catch (error) {
+                console.warn('IndexedDB unavailable, using localStorage:', error);
+                this.useIndexedDB = false;
+            }
+        }
+        return this.useIndexedDB;
+    }
+
+    /**
+     * Move `pixelQR_qrcode_<id>` and `pixelQR_saved_codes` entries into IndexedDB,
+     * then remove them so the migration only ever runs once
+     */
+    async migrateFromLocalStorage() {
+        const savedCodesKey = `${this.LOCAL_STORAGE_PREFIX}saved_codes`;
+        const codePrefix = `${this.LOCAL_STORAGE_PREFIX}qrcode_`;
+        const migrated = new Map();
+        const keysToRemove = [];
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(codePrefix)) {
+                keysToRemove.push(key);
+                try {
+                    const qrData = JSON.parse(localStorage.getItem(key));
+                    migrated.set(qrData.id, qrData);
+                } catch (error) {
+                    console.warn('Skipping unreadable QR code during migration:', key, error);
+                }
+            }
+        }
+
+        const savedCodes = localStorage.getItem(savedCodesKey);
+        if (savedCodes !== null) {
+            keysToRemove.push(savedCodesKey);
+            try {
+                JSON.parse(savedCodes).forEach(qrData => migrated.set(qrData.id, qrData));
+            } catch (error) {
+                console.warn('Skipping unreadable saved codes list during migration:', error);
+            }
+        }
+
+        if (keysToRemove.length === 0) {
+            return 0;
+        }
+
+        await this.store.putMany(Array.from(migrated.values()));
+        keysToRemove.forEach(key => localStorage.removeItem(key));
+
+        if (migrated.size > 0) {
+            notificationManager.info(`Moved ${migrated.size} saved QR codes to IndexedDB`);
+        }
+        return migrated.size;
+    }
+
     /**
      * Check if GitHub credentials are available
      */
     checkGitHubCredentials() {
-        // In a real implementation, this would check for stored OAuth tokens
-        // For this demo, we'll use localStorage as a fallback
-        this.ACCESS_TOKEN = localStorage.getItem(this.LOCAL_STORAGE_PREFIX + 'github_access_token');
+        const storedToken = localStorage.getItem(this.LOCAL_STORAGE_PREFIX + 'github_access_token');
+        if (storedToken) {
+            this.ACCESS_TOKEN = storedToken;
+            this.USERNAME = localStorage.getItem(this.LOCAL_STORAGE_PREFIX + 'github_owner') || this.USERNAME;
+            this.REPO_NAME = localStorage.getItem(this.LOCAL_STORAGE_PREFIX + 'github_repo') || this.REPO_NAME;
+            this.sync.useRepository(`${this.USERNAME}/${this.REPO_NAME}`);
+        }
 
         if (!this.ACCESS_TOKEN) {
-            console.log('No GitHub credentials found. Using localStorage fallback.');
-            // In a real app, you would prompt the user to connect GitHub here
+            console.log('No GitHub credentials found. Saving QR codes locally only.');
         }
     }
 
     /**
-     * Connect to GitHub (simulated OAuth flow)
+     * Connect to GitHub with a personal access token
+     * @param {string} token - Personal access token with the `repo` scope
+     * @param {string} repoName - Repository to store QR codes in (created if missing)
      */
-    async connectToGitHub() {
-        // In a real implementation, this would:
-        // 1. Open GitHub OAuth dialog
-        // 2. Get access token
-        // 3. Store token securely
-        // 4. Create repository if it doesn't exist
-
-        // For this demo, we'll simulate a successful connection
-        this.ACCESS_TOKEN = 'simulated-github-token-' + Math.random().toString(36).substr(2, 8);
-        localStorage.setItem(this.LOCAL_STORAGE_PREFIX + 'github_access_token', this.ACCESS_TOKEN);
+    async connectToGitHub(token, repoName = this.REPO_NAME) {
+        if (!token || !token.trim()) {
+            throw new Error('Please enter a GitHub personal access token');
+        }
+
+        this.ACCESS_TOKEN = token.trim();
+        this.REPO_NAME = (repoName || Config.DATABASE.REPO_NAME).trim();
 
-        // Simulate repository creation
-        await this.createRepositoryIfNotExists();
+        try {
+            // Validate the token and find out who owns the repository
+            const user = await this.githubRequest('/user');
+            this.USERNAME = user.login;
+
+            await this.createRepositoryIfNotExists();
+        } catch (error) {
+            this.ACCESS_TOKEN = null;
+            this.USERNAME = Config.DATABASE.USERNAME;
+            throw error;
+        }
+
+        localStorage.setItem(this.LOCAL_STORAGE_PREFIX + 'github_access_token', this.ACCESS_TOKEN);
+        localStorage.setItem(this.LOCAL_STORAGE_PREFIX + 'github_owner', this.USERNAME);
+        localStorage.setItem(this.LOCAL_STORAGE_PREFIX + 'github_repo', this.REPO_NAME);
+        this.sync.useRepository(`${this.USERNAME}/${this.REPO_NAME}`);
 
-        notificationManager.success('Connected to GitHub database');
+        notificationManager.success(`Connected to GitHub repository ${this.USERNAME}/${this.REPO_NAME}`);
         return true;
     }
 
@@ -59,240 +154,358 @@ class DatabaseManager {
      * Create repository if it doesn't exist
      */
     async createRepositoryIfNotExists() {
-        // In a real implementation, this would use GitHub API to create the repo
-        // For this demo, we'll just log the action
-        console.log('Checking/creating GitHub repository:', this.REPO_NAME);
-
-        // Simulate API call delay
-        await new Promise(resolve => setTimeout(resolve, 500));
+        try {
+            await this.githubRequest(`/repos/${this.USERNAME}/${this.REPO_NAME}`);
+            return false;
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+        }
 
+        console.log('Creating GitHub repository:', this.REPO_NAME);
+        await this.githubRequest('/user/repos', {
+            method: 'POST',
+            body: {
+                name: this.REPO_NAME,
+                description: `QR codes saved by ${Config.APP_NAME}`,
+                private: true,
+                auto_init: true
+            }
+        });
         return true;
     }
 
     /**
-     * Save a QR code to the database
+     * Perform an authenticated GitHub REST API request
+     * @param {string} path - API path, e.g. `/user`
+     * @param {Object} options - `method` and JSON `body`
+     * @returns {Promise<Object|null>} - Parsed JSON response, or null for empty responses
+     * @throws {Error} With `status` for an HTTP error, or `offline` set when no response came back
      */
-    async saveQRCodeToDatabase(qrData) {
-        if (!this.ACCESS_TOKEN) {
-            // Fallback to localStorage if no GitHub connection
-            return this.saveQRCodeToLocalStorage(qrData);
+    async githubRequest(path, options = {}) {
+        const { method = 'GET', body } = options;
+        const headers = {
+            'Accept': 'application/vnd.github+json',
+            'Authorization': `Bearer ${this.ACCESS_TOKEN}`,
+            'X-GitHub-Api-Version': '2022-11-28'
+        };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
         }
 
+        let response;
         try {
-            // Create file content
-            const fileContent = JSON.stringify(qrData, null, 2);
-            const fileName = `${qrData.name.replace(/\s+/g, '_')}_${qrData.id}.json`;
-
-            // In a real implementation, this would:
-            // 1. Create a blob with the file content
-            // 2. Use GitHub API to commit the file to the repository
-            // 3. Handle conflicts if the file already exists
+            response = await fetch(this.GITHUB_API_URL + path, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            // No response at all: offline, or GitHub could not be reached
+            error.offline = true;
+            throw error;
+        }
 
-            console.log('Saving QR code to GitHub:', fileName);
-            console.log('File content:', fileContent);
+        const text = await response.text();
+        let data = null;
+        if (text) {
+            try {
+                data = JSON.parse(text);
+            } catch (parseError) {
+                data = { message: text };
+            }
+        }
 
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        if (!response.ok) {
+            const message = (data && data.message) || response.statusText;
+            const error = new Error(`GitHub API ${response.status}: ${message}`);
+            error.status = response.status;
+            throw error;
+        }
 
-            notificationManager.success(`QR code "${qrData.name}" saved to GitHub`);
-            return true;
+        return data;
+    }
 
-        } catch (error) {
-            console.error('Error saving QR code to GitHub:', error);
-            notificationManager.error('Error saving to GitHub: ' + error.message);
+    /**
+     * Contents API URL for a file in the codes repository
+     */
+    getContentsPath(filePath) {
+        const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+        return `/repos/${this.USERNAME}/${this.REPO_NAME}/contents/${encodedPath}`;
+    }
 
-            // Fallback to localStorage
-            return this.saveQRCodeToLocalStorage(qrData);
-        }
+    /**
+     * Repository path for a QR code. Files are keyed by id only, so renaming
+     * a code updates the same file instead of leaving the old one behind.
+     */
+    getQRCodeFilePath(qrId) {
+        return `${this.CODES_PATH}/qrcode_${qrId}.json`;
     }
 
     /**
-     * Save QR code to localStorage as fallback
+     * Fetch a file from the repository, or null if it does not exist
      */
-    saveQRCodeToLocalStorage(qrData) {
+    async fetchRepositoryFile(filePath) {
         try {
-            const storageKey = `${this.LOCAL_STORAGE_PREFIX}qrcode_${qrData.id}`;
-            localStorage.setItem(storageKey, JSON.stringify(qrData));
-
-            // Also update the main saved codes list
-            const savedCodesKey = `${this.LOCAL_STORAGE_PREFIX}saved_codes`;
-            const existingCodes = localStorage.getItem(savedCodesKey);
-            const savedCodes = existingCodes ? JSON.parse(existingCodes) : [];
-
-            // Remove existing code with same ID if it exists
-            const existingIndex = savedCodes.findIndex(code => code.id === qrData.id);
-            if (existingIndex !== -1) {
-                savedCodes[existingIndex] = qrData;
-            } else {
-                savedCodes.push(qrData);
+            const file = await this.githubRequest(this.getContentsPath(filePath));
+            this.fileShas.set(filePath, file.sha);
+            return file;
+        } catch (error) {
+            if (error.status === 404) {
+                this.fileShas.delete(filePath);
+                return null;
             }
+            throw error;
+        }
+    }
 
-            localStorage.setItem(savedCodesKey, JSON.stringify(savedCodes));
+    /**
+     * Save a QR code to the database. The local store is written first; while
+     * connected, the change is then queued and sent to GitHub, or kept in the
+     * queue until the connection returns.
+     * @param {Object} qrData - Record to save; its `updatedAt` is set to now
+     * @param {Object} options - { silent } to skip the success notification, e.g. when saving many codes
+     */
+    async saveQRCodeToDatabase(qrData, options = {}) {
+        qrData.updatedAt = new Date().toISOString();
 
-            notificationManager.success(`QR code "${qrData.name}" saved locally`);
-            return true;
+        if (!this.ACCESS_TOKEN) {
+            // Fallback to local storage if no GitHub connection
+            return this.saveQRCodeLocally(qrData, options);
+        }
 
-        } catch (error) {
-            console.error('Error saving QR code locally:', error);
-            notificationManager.error('Error saving QR code: ' + error.message);
+        if (!await this.saveQRCodeLocally(qrData, { silent: true })) {
             return false;
         }
+
+        this.sync.enqueue(qrData.id, 'put');
+        await this.replayChanges(options.silent ? null : `QR code "${qrData.name}" saved to GitHub`);
+        return true;
     }
 
     /**
-     * Load all QR codes from database
+     * Create or update a file through the Contents API
      */
-    async loadAllQRCodesFromDatabase() {
-        if (!this.ACCESS_TOKEN) {
-            // Fallback to localStorage if no GitHub connection
-            return this.loadAllQRCodesFromLocalStorage();
+    async putRepositoryFile(filePath, fileContent, message) {
+        const body = {
+            message,
+            content: this.encodeBase64(fileContent)
+        };
+        if (this.fileShas.has(filePath)) {
+            body.sha = this.fileShas.get(filePath);
         }
 
+        const result = await this.githubRequest(this.getContentsPath(filePath), {
+            method: 'PUT',
+            body
+        });
+        this.fileShas.set(filePath, result.content.sha);
+        return result;
+    }
+
+    /**
+     * Save QR code to the local store (IndexedDB, or the localStorage fallback)
+     */
+    async saveQRCodeLocally(qrData, options = {}) {
         try {
-            // In a real implementation, this would:
-            // 1. Use GitHub API to list all files in the repository
-            // 2. Filter for .json files
-            // 3. Download each file and parse as QR code data
-            // 4. Import each QR code
-
-            console.log('Loading QR codes from GitHub...');
-
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 1500));
-
-            // For this demo, we'll simulate finding some QR codes
-            const simulatedQRCodes = [
-                {
-                    id: 1001,
-                    name: 'Website_URL',
-                    content: 'https://example.com',
-                    size: 256,
-                    errorCorrection: 'M',
-                    foregroundColor: '#000000',
-                    backgroundColor: '#ffffff',
-                    timestamp: '2024-01-15T10:30:00.000Z'
-                },
-                {
-                    id: 1002,
-                    name: 'Contact_Info',
-                    content: 'BEGIN:VCARD\\nFN:John Doe\\nTEL:+1234567890\\nEMAIL:john@example.com\\nEND:VCARD',
-                    size: 256,
-                    errorCorrection: 'H',
-                    foregroundColor: '#ff0000',
-                    backgroundColor: '#ffffff',
-                    timestamp: '2024-01-14T15:45:00.000Z'
+            if (this.useIndexedDB) {
+                await this.store.put(qrData);
+            } else {
+                const savedCodes = this.readLocalStorageCodes();
+
+                // Replace existing code with same ID if it exists
+                const existingIndex = savedCodes.findIndex(code => code.id === qrData.id);
+                if (existingIndex !== -1) {
+                    savedCodes[existingIndex] = qrData;
+                } else {
+                    savedCodes.push(qrData);
                 }
-            ];
-
-            // Save each QR code to localStorage
-            let savedCount = 0;
-            simulatedQRCodes.forEach(qrData => {
-                const storageKey = `${this.LOCAL_STORAGE_PREFIX}qrcode_${qrData.id}`;
-                localStorage.setItem(storageKey, JSON.stringify(qrData));
-                savedCount++;
-            });
 
-            // Update the main saved codes list
-            const savedCodesKey = `${this.LOCAL_STORAGE_PREFIX}saved_codes`;
-            localStorage.setItem(savedCodesKey, JSON.stringify(simulatedQRCodes));
+                this.writeLocalStorageCodes(savedCodes);
+            }
 
-            notificationManager.success('QR codes loaded from GitHub');
-            return savedCount;
+            if (!options.silent) {
+                notificationManager.success(`QR code "${qrData.name}" saved locally`);
+            }
+            this.checkStorageQuota();
+            return true;
 
         } catch (error) {
-            console.error('Error loading QR codes from GitHub:', error);
-            notificationManager.error('Error loading from GitHub: ' + error.message);
+            console.error('Error saving QR code locally:', error);
+            notificationManager.error(this.isQuotaError(error)
+                ? 'Local storage is full. Delete or export some QR codes to free up space.'
+                : 'Error saving QR code: ' + error.message);
+            return false;
+        }
+    }
 
-            // Fallback to localStorage
-            return this.loadAllQRCodesFromLocalStorage();
+    /**
+     * Get every QR code in the local store
+     * @returns {Promise<Array>}
+     */
+    async getLocalQRCodes() {
+        if (this.useIndexedDB) {
+            return this.store.getAll();
         }
+        return this.readLocalStorageCodes();
     }
 
     /**
-     * Load QR codes from localStorage as fallback
+     * The localStorage fallback keeps a single `saved_codes` array
      */
-    loadAllQRCodesFromLocalStorage() {
-        try {
-            let loadedCount = 0;
+    readLocalStorageCodes() {
+        const existingCodes = localStorage.getItem(`${this.LOCAL_STORAGE_PREFIX}saved_codes`);
+        return existingCodes ? JSON.parse(existingCodes) : [];
+    }
 
-            // Load all QR codes from localStorage
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith(`${this.LOCAL_STORAGE_PREFIX}qrcode_`)) {
-                    // Count it but don't actually load the data here
-                    // The main app will handle updating the UI
-                    loadedCount++;
-                }
-            }
+    writeLocalStorageCodes(savedCodes) {
+        localStorage.setItem(`${this.LOCAL_STORAGE_PREFIX}saved_codes`, JSON.stringify(savedCodes));
+    }
+
+    isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
 
-            return loadedCount;
+    /**
+     * Send the queued changes to GitHub, telling the user about any that have to wait
+     * @param {string|null} successMessage - Shown once every change has been sent; without one,
+     *     nothing is shown and the database status is left to show what is still pending
+     * @returns {Promise<Object|null>} - Summary of the sync (see SyncEngine.reconcileAll), or null if it failed
+     */
+    async replayChanges(successMessage = null) {
+        try {
+            const summary = await this.sync.flush();
+            if (!successMessage) {
+                return summary;
+            }
+            if (summary.offline) {
+                notificationManager.info('You are offline; changes will be sent to GitHub when the connection returns');
+            } else if (summary.conflicts > 0) {
+                notificationManager.warning('Some QR codes were also changed on GitHub. Choose which version to keep under Database Operations.');
+            } else if (summary.failed > 0) {
+                notificationManager.error('Some changes could not be sent to GitHub; they will be retried on the next sync');
+            } else {
+                notificationManager.success(successMessage);
+            }
+            return summary;
 
         } catch (error) {
-            console.error('Error loading QR codes from localStorage:', error);
-            notificationManager.error('Error loading QR codes: ' + error.message);
-            return 0;
+            console.error('Error sending changes to GitHub:', error);
+            notificationManager.error('Error sending changes to GitHub: ' + error.message);
+            return null;
         }
     }
 
     /**
-     * Delete a QR code from database
+     * Sync the local store with GitHub both ways. Codes changed on only one
+     * side are copied to the other; codes changed on both are left as
+     * conflicts for the user to resolve.
+     * @returns {Promise<Object|null>} - Summary of the sync (see SyncEngine.reconcileAll), or null if it failed
      */
-    async deleteQRCodeFromDatabase(qrId) {
+    async syncWithGitHub() {
         if (!this.ACCESS_TOKEN) {
-            // Fallback to localStorage if no GitHub connection
-            return this.deleteQRCodeFromLocalStorage(qrId);
+            return null;
         }
 
         try {
-            // In a real implementation, this would:
-            // 1. Find the file corresponding to this QR code
-            // 2. Use GitHub API to delete the file
-            // 3. Handle any conflicts
-
-            console.log('Deleting QR code from GitHub:', qrId);
-
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 800));
+            return await this.sync.syncAll();
+        } catch (error) {
+            console.error('Error syncing with GitHub:', error);
+            notificationManager.error('Error syncing with GitHub: ' + error.message);
+            return null;
+        }
+    }
 
-            notificationManager.success('QR code deleted from GitHub');
+    /**
+     * Keep one side of a sync conflict, or both
+     * @param {number|string} qrId - Code id
+     * @param {string} choice - 'local', 'remote' or 'both' (see SyncEngine.resolve)
+     * @returns {Promise<boolean>}
+     */
+    async resolveSyncConflict(qrId, choice) {
+        try {
+            await this.sync.resolve(qrId, choice);
             return true;
-
         } catch (error) {
-            console.error('Error deleting QR code from GitHub:', error);
-            notificationManager.error('Error deleting from GitHub: ' + error.message);
+            if (SyncEngine.isOffline(error)) {
+                notificationManager.info('You are offline; resolve the conflict once the connection returns');
+            } else {
+                console.error('Error resolving sync conflict:', error);
+                notificationManager.error('Error resolving the conflict: ' + error.message);
+            }
+            return false;
+        }
+    }
 
-            // Fallback to localStorage
-            return this.deleteQRCodeFromLocalStorage(qrId);
+    /**
+     * Delete a QR code from database: from the local store at once and, while
+     * connected, from GitHub as soon as the change can be sent
+     * @param {Object} options - { silent } to skip the success notification
+     */
+    async deleteQRCodeFromDatabase(qrId, options = {}) {
+        if (!this.ACCESS_TOKEN) {
+            // Fallback to local storage if no GitHub connection
+            return this.deleteQRCodeLocally(qrId, options);
+        }
+
+        if (!await this.deleteQRCodeLocally(qrId, { silent: true })) {
+            return false;
         }
+
+        this.sync.enqueue(qrId, 'delete');
+        await this.replayChanges(options.silent ? null : 'QR code deleted from GitHub');
+        return true;
     }
 
     /**
-     * Delete QR code from localStorage as fallback
+     * Delete QR code from the local store
      */
-    deleteQRCodeFromLocalStorage(qrId) {
+    async deleteQRCodeLocally(qrId, options = {}) {
         try {
-            const storageKey = `${this.LOCAL_STORAGE_PREFIX}qrcode_${qrId}`;
-            localStorage.removeItem(storageKey);
-
-            // Also remove from the main saved codes list
-            const savedCodesKey = `${this.LOCAL_STORAGE_PREFIX}saved_codes`;
-            const existingCodes = localStorage.getItem(savedCodesKey);
-            if (existingCodes) {
-                const savedCodes = JSON.parse(existingCodes);
-                const filteredCodes = savedCodes.filter(code => code.id !== qrId);
-                localStorage.setItem(savedCodesKey, JSON.stringify(filteredCodes));
+            if (this.useIndexedDB) {
+                await this.store.delete(qrId);
+            } else {
+                const savedCodes = this.readLocalStorageCodes();
+                this.writeLocalStorageCodes(savedCodes.filter(code => code.id !== qrId));
             }
 
-            notificationManager.success('QR code deleted from local storage');
+            if (!options.silent) {
+                notificationManager.success('QR code deleted from local storage');
+            }
             return true;
 
         } catch (error) {
-            console.error('Error deleting QR code from localStorage:', error);
+            console.error('Error deleting QR code locally:', error);
             notificationManager.error('Error deleting QR code: ' + error.message);
             return false;
         }
     }
 
+    /**
+     * Base64-encode a string as UTF-8, as the Contents API expects
+     */
+    encodeBase64(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 file content returned by the Contents API (may contain newlines)
+     */
+    decodeBase64(base64) {
+        const binary = atob((base64 || '').replace(/\s/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new TextDecoder().decode(bytes);
+    }
+
     /**
      * Get GitHub connection status
      */
@@ -301,54 +514,95 @@ class DatabaseManager {
     }
 
     /**
-     * Disconnect from GitHub
+     * Disconnect from GitHub. Changes still queued stay queued for the repository
+     * and are sent when it is connected again.
      */
     disconnectFromGitHub() {
+        const pending = this.sync.queue.length;
         this.ACCESS_TOKEN = null;
+        this.fileShas.clear();
+        this.sync.useRepository(null);
         localStorage.removeItem(this.LOCAL_STORAGE_PREFIX + 'github_access_token');
-        notificationManager.info('Disconnected from GitHub');
+        localStorage.removeItem(this.LOCAL_STORAGE_PREFIX + 'github_owner');
+        localStorage.removeItem(this.LOCAL_STORAGE_PREFIX + 'github_repo');
+        notificationManager.info(pending > 0
+            ? `Disconnected from GitHub; ${pending} unsent change${pending === 1 ? '' : 's'} will be sent when you reconnect to ${this.USERNAME}/${this.REPO_NAME}`
+            : 'Disconnected from GitHub');
     }
 
     /**
-     * Get database status information
+     * Get database status information, including local storage usage
      */
-    getDatabaseStatus() {
+    async getDatabaseStatus() {
         return {
             githubConnected: this.isGitHubConnected(),
-            localQRCodes: this.getLocalQRCodeCount(),
-            repoName: this.REPO_NAME
+            localQRCodes: await this.getLocalQRCodeCount(),
+            repoName: this.REPO_NAME,
+            repoOwner: this.USERNAME,
+            storageBackend: this.useIndexedDB ? 'indexeddb' : 'localstorage',
+            pendingChanges: this.sync.queue.length,
+            conflicts: this.sync.getConflicts(),
+            storage: await this.getStorageEstimate()
         };
     }
 
     /**
      * Get count of locally stored QR codes
      */
-    getLocalQRCodeCount() {
-        let count = 0;
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(`${this.LOCAL_STORAGE_PREFIX}qrcode_`)) {
-                count++;
-            }
+    async getLocalQRCodeCount() {
+        if (this.useIndexedDB) {
+            return this.store.count();
         }
-        return count;
+        return this.readLocalStorageCodes().length;
     }
 
     /**
-     * Export all QR codes to a backup file
+     * Estimate local storage usage
+     * @returns {Promise<{usage: number, quota: number, ratio: number}|null>} - Bytes used and available
      */
-    async exportAllQRCodes() {
+    async getStorageEstimate() {
         try {
-            const allQRCodes = [];
+            if (this.useIndexedDB) {
+                if (!navigator.storage || !navigator.storage.estimate) {
+                    return null;
+                }
+                const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+                return { usage, quota, ratio: quota ? usage / quota : 0 };
+            }
 
-            // Collect all QR codes from localStorage
+            // localStorage has no estimate API: count UTF-16 characters against the usual ~5 MB limit
+            let usage = 0;
             for (let i = 0; i < localStorage.length; i++) {
                 const key = localStorage.key(i);
-                if (key && key.startsWith(`${this.LOCAL_STORAGE_PREFIX}qrcode_`)) {
-                    const qrData = JSON.parse(localStorage.getItem(key));
-                    allQRCodes.push(qrData);
-                }
+                usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
             }
+            const quota = Config.DATABASE.LOCAL_STORAGE_QUOTA;
+            return { usage, quota, ratio: usage / quota };
+
+        } catch (error) {
+            console.warn('Could not estimate storage usage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Warn once per session when local storage is nearly full
+     */
+    async checkStorageQuota() {
+        const estimate = await this.getStorageEstimate();
+        if (estimate && estimate.ratio >= Config.DATABASE.STORAGE_WARNING_RATIO && !this.storageWarningShown) {
+            this.storageWarningShown = true;
+            notificationManager.warning(`Local storage is ${Math.round(estimate.ratio * 100)}% full. Export or delete QR codes to free up space.`);
+        }
+        return estimate;
+    }
+
+    /**
+     * Export all QR codes to a backup file
+     */
+    async exportAllQRCodes() {
+        try {
+            const allQRCodes = await this.getLocalQRCodes();
 
             const exportData = {
                 version: Config.VERSION,
@@ -387,20 +641,27 @@ class DatabaseManager {
                 throw new Error('Invalid backup file format');
             }
 
-            let importedCount = 0;
-
             // Import each QR code
-            importData.qrCodes.forEach(qrData => {
+            const importedCodes = importData.qrCodes.map(qrData => {
                 // Ensure the QR code has a unique ID
                 if (!qrData.id) {
                     qrData.id = Date.now() + Math.random();
                 }
-
-                const storageKey = `${this.LOCAL_STORAGE_PREFIX}qrcode_${qrData.id}`;
-                localStorage.setItem(storageKey, JSON.stringify(qrData));
-                importedCount++;
+                return qrData;
             });
 
+            if (this.useIndexedDB) {
+                await this.store.putMany(importedCodes);
+            } else {
+                const savedCodes = this.readLocalStorageCodes();
+                const byId = new Map(savedCodes.map(code => [code.id, code]));
+                importedCodes.forEach(qrData => byId.set(qrData.id, qrData));
+                this.writeLocalStorageCodes(Array.from(byId.values()));
+            }
+
+            const importedCount = importedCodes.length;
+            this.checkStorageQuota();
+
             notificationManager.success(`Imported ${importedCount} QR codes`);
             return importedCount;
 
@@ -0,0 +1,344 @@
+/**
+ * datamatrix-encoder.js - Data Matrix (ECC 200) encoder for QR Code Generator
+ *
+ * Builds square and rectangular Data Matrix symbols (ISO/IEC 16022). Text
+ * goes out in ASCII mode, with digit pairs packed into one codeword, or in
+ * Base 256 mode when that is shorter; non-ASCII text is UTF-8 announced with
+ * an ECI. The error correction level is fixed by the symbol size.
+ */
+
+// Symbol rows and columns, data region rows and columns, data codewords,
+// error correction codewords and interleaved blocks; squares first, by size
+const DATA_MATRIX_SIZES = [
+    [10, 10, 8, 8, 3, 5, 1],
+    [12, 12, 10, 10, 5, 7, 1],
+    [14, 14, 12, 12, 8, 10, 1],
+    [16, 16, 14, 14, 12, 12, 1],
+    [18, 18, 16, 16, 18, 14, 1],
+    [20, 20, 18, 18, 22, 18, 1],
+    [22, 22, 20, 20, 30, 20, 1],
+    [24, 24, 22, 22, 36, 24, 1],
+    [26, 26, 24, 24, 44, 28, 1],
+    [32, 32, 14, 14, 62, 36, 1],
+    [36, 36, 16, 16, 86, 42, 1],
+    [40, 40, 18, 18, 114, 48, 1],
+    [44, 44, 20, 20, 144, 56, 1],
+    [48, 48, 22, 22, 174, 68, 1],
+    [52, 52, 24, 24, 204, 84, 2],
+    [64, 64, 14, 14, 280, 112, 2],
+    [72, 72, 16, 16, 368, 144, 4],
+    [80, 80, 18, 18, 456, 192, 4],
+    [88, 88, 20, 20, 576, 224, 4],
+    [96, 96, 22, 22, 696, 272, 4],
+    [104, 104, 24, 24, 816, 336, 6],
+    [120, 120, 18, 18, 1050, 408, 6],
+    [132, 132, 20, 20, 1304, 496, 8],
+    [144, 144, 22, 22, 1558, 620, 10],
+    [8, 18, 6, 16, 5, 7, 1],
+    [8, 32, 6, 14, 10, 11, 1],
+    [12, 26, 10, 24, 16, 14, 1],
+    [12, 36, 10, 16, 22, 18, 1],
+    [16, 36, 14, 16, 32, 24, 1],
+    [16, 48, 14, 22, 49, 28, 1]
+];
+
+// Index of the 144x144 size, which interleaves its error correction differently
+const DATA_MATRIX_144 = 23;
+
+class DataMatrixEncoder {
+    static get VERSIONS() {
+        return DATA_MATRIX_SIZES.map(([rows, columns]) => `${rows}x${columns}`);
+    }
+
+    // The error correction level is set by the symbol size
+    static get ERROR_CORRECTION_LEVELS() {
+        return [];
+    }
+
+    static get CODEWORDS() {
+        return { pad: 129, upperShift: 235, base256Latch: 231, eci: 241 };
+    }
+
+    // GF(256) field polynomial for the error correction codewords
+    static get FIELD_POLYNOMIAL() {
+        return 0x12D;
+    }
+
+    static getVersionLabel(version) {
+        return version.replace('x', '×');
+    }
+
+    /**
+     * Encode text as a Data Matrix symbol
+     * @param {string} content - Text to encode
+     * @param {Object} options - { version: e.g. '16x16' or '12x26', or null for the smallest
+     *     square that fits, eci: false to leave out the UTF-8 ECI }
+     * @returns {Object} - { symbolType, version, errorCorrection, mask, eci, dataCodewords,
+     *     capacityCodewords, width, height, finders, getModuleCount(), isDark(row, col) }
+     */
+    static encode(content, options = {}) {
+        const { index, data, eci, fit } = DataMatrixEncoder.fitSize(content, options);
+        if (fit === undefined) {
+            throw new Error(index !== null
+                ? `Content does not fit in a ${DataMatrixEncoder.VERSIONS[index]} Data Matrix symbol`
+                : 'Content is too long for a Data Matrix symbol');
+        }
+
+        const [rows, columns, , , capacity] = DATA_MATRIX_SIZES[fit];
+        const codewords = DataMatrixEncoder.addErrorCorrection(DataMatrixEncoder.addPadding(data, capacity), fit);
+        const modules = DataMatrixEncoder.drawSymbol(codewords, fit);
+
+        return {
+            symbolType: 'datamatrix',
+            version: DataMatrixEncoder.VERSIONS[fit],
+            errorCorrection: null,
+            mask: null,
+            eci,
+            dataCodewords: data.length,
+            capacityCodewords: capacity,
+            width: columns,
+            height: rows,
+            finders: [],
+            getModuleCount: () => columns,
+            isDark: (row, col) => modules[row * columns + col] === 1
+        };
+    }
+
+    /**
+     * Measure text without building the symbol (see QREncoder.measure); sizes count codewords
+     */
+    static measure(content, options = {}) {
+        const { data, eci, candidates, fit } = DataMatrixEncoder.fitSize(content, options);
+        const largest = candidates.reduce((best, i) => (DATA_MATRIX_SIZES[i][4] > DATA_MATRIX_SIZES[best][4] ? i : best));
+        const fits = fit !== undefined;
+
+        return {
+            fits,
+            version: fits ? DataMatrixEncoder.VERSIONS[fit] : null,
+            width: fits ? DATA_MATRIX_SIZES[fit][1] : null,
+            height: fits ? DATA_MATRIX_SIZES[fit][0] : null,
+            used: fits ? data.length : null,
+            capacity: fits ? DATA_MATRIX_SIZES[fit][4] : null,
+            maxUsed: data.length,
+            maxCapacity: DATA_MATRIX_SIZES[largest][4],
+            unit: 'codewords',
+            segments: null,
+            eci
+        };
+    }
+
+    /**
+     * Data codewords and the smallest size they fit
+     * @returns {Object} - { index: the chosen size or null, data, eci, candidates: size indexes,
+     *     fit: the first candidate the data fits, or undefined }
+     */
+    static fitSize(content, options) {
+        let index = null;
+        if (options.version) {
+            index = DataMatrixEncoder.VERSIONS.indexOf(String(options.version).toLowerCase().replace('×', 'x'));
+            if (index < 0) {
+                throw new Error(`Data Matrix size must be one of ${DataMatrixEncoder.VERSIONS.join(', ')}`);
+            }
+        }
+
+        const bytes = new TextEncoder().encode(String(content));
+        const eci = options.eci !== false && bytes.some(byte => byte > 0x7F);
+        const data = DataMatrixEncoder.getDataCodewords(bytes, eci);
+
+        // Rectangular sizes are only used when chosen
+        const candidates = index !== null ? [index] : DATA_MATRIX_SIZES.map((_, i) => i).filter(i => DATA_MATRIX_SIZES[i][0] === DATA_MATRIX_SIZES[i][1]);
+        const fit = candidates.find(i => DATA_MATRIX_SIZES[i][4] >= data.length);
+        return { index, data, eci, candidates, fit };
+    }
+
+    /**
+     * Codewords for the text: ASCII mode, or a Base 256 field when that is shorter
+     * @param {Uint8Array} bytes - UTF-8 text
+     * @param {boolean} eci - Announce UTF-8 first
+     * @returns {number[]}
+     */
+    static getDataCodewords(bytes, eci) {
+        const { upperShift, base256Latch, eci: eciCodeword } = DataMatrixEncoder.CODEWORDS;
+        const prefix = eci ? [eciCodeword, QREncoder.ECI_UTF8 + 1] : [];
+        const isDigit = byte => byte >= 0x30 && byte <= 0x39;
+
+        const ascii = [...prefix];
+        for (let i = 0; i < bytes.length; i++) {
+            if (isDigit(bytes[i]) && isDigit(bytes[i + 1])) {
+                ascii.push(130 + (bytes[i] - 0x30) * 10 + bytes[i + 1] - 0x30);
+                i++;
+            } else if (bytes[i] < 0x80) {
+                ascii.push(bytes[i] + 1);
+            } else {
+                ascii.push(upperShift, bytes[i] - 127);
+            }
+        }
+
+        // The length field and data of a Base 256 field are randomized by position
+        const length = bytes.length <= 249 ? [bytes.length] : [Math.floor(bytes.length / 250) + 249, bytes.length % 250];
+        const base256 = [...prefix, base256Latch];
+        [...length, ...bytes].forEach(value => {
+            const randomized = value + (149 * (base256.length + 1)) % 255 + 1;
+            base256.push(randomized <= 255 ? randomized : randomized - 256);
+        });
+
+        return base256.length < ascii.length ? base256 : ascii;
+    }
+
+    /**
+     * Fill the rest of the data capacity with randomized pad codewords
+     */
+    static addPadding(data, capacity) {
+        const padded = [...data];
+        if (padded.length < capacity) {
+            padded.push(DataMatrixEncoder.CODEWORDS.pad);
+        }
+        while (padded.length < capacity) {
+            const pad = DataMatrixEncoder.CODEWORDS.pad + (149 * (padded.length + 1)) % 253 + 1;
+            padded.push(pad <= 254 ? pad : pad - 254);
+        }
+        return padded;
+    }
+
+    /**
+     * Append the error correction codewords, computed per interleaved block
+     */
+    static addErrorCorrection(data, index) {
+        const [, , , , , eccLength, blocks] = DATA_MATRIX_SIZES[index];
+        const eccPerBlock = eccLength / blocks;
+        const result = [...data, ...new Array(eccLength)];
+
+        for (let block = 0; block < blocks; block++) {
+            const blockData = data.filter((_, i) => i % blocks === block);
+            // Readers take the 144x144 blocks' error correction two places along,
+            // after its two shorter blocks
+            const slot = index === DATA_MATRIX_144 ? (block + 2) % blocks : block;
+            ReedSolomon.encode(blockData, eccPerBlock, DataMatrixEncoder.FIELD_POLYNOMIAL).forEach((word, i) => {
+                result[data.length + slot + i * blocks] = word;
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Place the codewords and draw the finder and clock patterns around each data region
+     * @returns {Uint8Array} - rows * columns modules, 1 for dark
+     */
+    static drawSymbol(codewords, index) {
+        const [rows, columns, regionRows, regionColumns] = DATA_MATRIX_SIZES[index];
+        const mappingRows = rows / (regionRows + 2) * regionRows;
+        const mappingColumns = columns / (regionColumns + 2) * regionColumns;
+        const placement = DataMatrixEncoder.getPlacement(mappingRows, mappingColumns);
+        const modules = new Uint8Array(rows * columns);
+
+        for (let row = 0; row < mappingRows; row++) {
+            for (let col = 0; col < mappingColumns; col++) {
+                const value = placement[row * mappingColumns + col];
+                // 1 marks the fixed dark corner modules; other values are codeword * 10 + bit
+                const dark = value === 1 || (value > 1 && (codewords[Math.floor(value / 10) - 1] >> (8 - value % 10)) & 1);
+                const symbolRow = Math.floor(row / regionRows) * (regionRows + 2) + 1 + row % regionRows;
+                const symbolCol = Math.floor(col / regionColumns) * (regionColumns + 2) + 1 + col % regionColumns;
+                modules[symbolRow * columns + symbolCol] = dark ? 1 : 0;
+            }
+        }
+
+        // Solid left and bottom edges and alternating top and right edges on every region
+        for (let top = 0; top < rows; top += regionRows + 2) {
+            for (let col = 0; col < columns; col++) {
+                modules[top * columns + col] = col % 2 === 0 ? 1 : 0;
+                modules[(top + regionRows + 1) * columns + col] = 1;
+            }
+        }
+        for (let left = 0; left < columns; left += regionColumns + 2) {
+            for (let row = 0; row < rows; row++) {
+                modules[row * columns + left] = 1;
+                modules[row * columns + left + regionColumns + 1] = row % 2 === 1 ? 1 : 0;
+            }
+        }
+
+        return modules;
+    }
+
+    /**
+     * Codeword placement of ISO/IEC 16022 Annex F: a diagonal sweep of
+     * eight-module "utah" shapes, with special shapes at the corners
+     * @returns {Uint16Array} - codeword * 10 + bit (1 is the most significant) per module,
+     *     1 for a fixed dark module and 0 for a fixed light one
+     */
+    static getPlacement(rows, columns) {
+        const placement = new Uint16Array(rows * columns);
+        const module = (row, col, codeword, bit) => {
+            if (row < 0) {
+                row += rows;
+                col += 4 - ((rows + 4) % 8);
+            }
+            if (col < 0) {
+                col += columns;
+                row += 4 - ((columns + 4) % 8);
+            }
+            placement[row * columns + col] = codeword * 10 + bit;
+        };
+        const place = (codeword, positions) => {
+            positions.forEach(([row, col], i) => module(row, col, codeword, i + 1));
+        };
+        const utah = (row, col, codeword) => place(codeword, [
+            [row - 2, col - 2], [row - 2, col - 1], [row - 1, col - 2], [row - 1, col - 1],
+            [row - 1, col], [row, col - 2], [row, col - 1], [row, col]
+        ]);
+
+        let codeword = 1;
+        let row = 4;
+        let col = 0;
+        do {
+            if (row === rows && col === 0) {
+                place(codeword++, [[rows - 1, 0], [rows - 1, 1], [rows - 1, 2], [0, columns - 2],
+                    [0, columns - 1], [1, columns - 1], [2, columns - 1], [3, columns - 1]]);
+            }
+            if (row === rows - 2 && col === 0 && columns % 4) {
+                place(codeword++, [[rows - 3, 0], [rows - 2, 0], [rows - 1, 0], [0, columns - 4],
+                    [0, columns - 3], [0, columns - 2], [0, columns - 1], [1, columns - 1]]);
+            }
+            if (row === rows - 2 && col === 0 && columns % 8 === 4) {
+                place(codeword++, [[rows - 3, 0], [rows - 2, 0], [rows - 1, 0], [0, columns - 2],
+                    [0, columns - 1], [1, columns - 1], [2, columns - 1], [3, columns - 1]]);
+            }
+            if (row === rows + 4 && col === 2 && !(columns % 8)) {
+                place(codeword++, [[rows - 1, 0], [rows - 1, columns - 1], [0, columns - 3], [0, columns - 2],
+                    [0, columns - 1], [1, columns - 3], [1, columns - 2], [1, columns - 1]]);
+            }
+
+            // Up and to the right, then down and to the left
+            do {
+                if (row < rows && col >= 0 && !placement[row * columns + col]) {
+                    utah(row, col, codeword++);
+                }
+                row -= 2;
+                col += 2;
+            } while (row >= 0 && col < columns);
+            row += 1;
+            col += 3;
+
+            do {
+                if (row >= 0 && col < columns && !placement[row * columns + col]) {
+                    utah(row, col, codeword++);
+                }
+                row += 2;
+                col -= 2;
+            } while (row < rows && col >= 0);
+            row += 3;
+            col += 1;
+        } while (row < rows || col < columns);
+
+        // Sizes that leave the lower right corner empty fill it with a fixed pattern
+        if (!placement[rows * columns - 1]) {
+            placement[rows * columns - 1] = 1;
+            placement[(rows - 1) * columns - 2] = 1;
+        }
+        return placement;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataMatrixEncoder;
+}
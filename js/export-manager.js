@@ -5,49 +5,63 @@
 class ExportManager {
     constructor(appInstance) {
         this.app = appInstance;
-        this.config = window.Config;
+        this.config = Config;
     }
 
     /**
      * Main export function - handles different export formats
      */
-    exportQRCode() {
+    async exportQRCode() {
         if (!this.app.currentQRCode) {
             notificationManager.error('No QR code to export');
             return;
         }
 
         const format = document.getElementById('export-format-select').value;
+        const spec = this.config.EXPORT.FORMATS[format];
+        if (!spec) {
+            notificationManager.error('Unsupported export format');
+            return;
+        }
 
-        switch (format) {
-            case 'png':
-                this.downloadQRCode();
-                break;
-            case 'svg':
-                this.exportAsSVG();
-                break;
-            case 'pdf':
-                this.exportAsPDF();
-                break;
-            default:
-                notificationManager.error('Unsupported export format');
+        if (format === 'pdf' && document.getElementById('pdf-layout-select').value === 'sheet') {
+            this.exportAsLabelSheet();
+            return;
+        }
+
+        if (this.app.currentQRCode.structuredAppendSet) {
+            await this.exportStructuredAppendSet(format);
+            return;
+        }
+
+        try {
+            const blob = await this.buildFile(this.app.currentQRCode, format);
+            this.downloadBlob(blob, `${this.getFilename(this.app.currentQRCode)}${spec.suffix || ''}.${spec.extension}`);
+
+            notificationManager.success(`${spec.name} exported successfully!`);
+        } catch (error) {
+            console.error(`Error exporting ${spec.name}:`, error);
+            notificationManager.error(`Error exporting ${spec.name}: ` + error.message);
         }
     }
 
     /**
      * Download QR code as PNG
      */
-    downloadQRCode() {
+    async downloadQRCode() {
         if (!this.app.currentQRCode) {
             notificationManager.error('No QR code to download');
             return;
         }
 
+        if (this.app.currentQRCode.structuredAppendSet) {
+            await this.exportStructuredAppendSet('png');
+            return;
+        }
+
         try {
-            const link = document.createElement('a');
-            link.download = `qrcode-${Date.now()}.png`;
-            link.href = this.app.currentQRCode.canvas.toDataURL();
-            link.click();
+            const blob = await this.buildPNG(this.app.currentQRCode);
+            this.downloadBlob(blob, `${this.getFilename(this.app.currentQRCode)}.png`);
 
             notificationManager.success('QR code downloaded!');
         } catch (error) {
@@ -57,109 +71,731 @@ class ExportManager {
     }
 
     /**
-     * Export QR code as SVG
+     * Export every code of a Structured Append set together: SVG as one sheet,
+     * PDF with a page per code, and other formats as a ZIP of numbered files
+     * @param {string} format - Format key
      */
-    exportAsSVG() {
-        if (!this.app.currentQRCode) {
-            notificationManager.error('No QR code to export');
-            return;
-        }
+    async exportStructuredAppendSet(format) {
+        const spec = this.config.EXPORT.FORMATS[format];
+        const qrCode = this.app.currentQRCode;
+        const filename = `${this.getFilename(qrCode)}${spec.suffix || ''}`;
+        const count = qrCode.structuredAppendSet.length;
 
         try {
-            const { qr, size, foregroundColor, backgroundColor } = this.app.currentQRCode;
-            const cellSize = size / qr.getModuleCount();
-            const margin = parseInt(this.config.QR_CODE.DEFAULT_MARGIN) * cellSize;
-            const totalSize = size + (margin * 2);
-
-            // Generate SVG path data
-            let svgPath = '';
-            for (let row = 0; row < qr.getModuleCount(); row++) {
-                for (let col = 0; col < qr.getModuleCount(); col++) {
-                    if (qr.isDark(row, col)) {
-                        const x = Math.round(col * cellSize) + margin;
-                        const y = Math.round(row * cellSize) + margin;
-                        const width = Math.ceil(cellSize);
-                        const height = Math.ceil(cellSize);
-                        svgPath += `M${x} ${y}h${width}v${height}h-${width}z`;
-                    }
+            if (format === 'svg') {
+                this.downloadBlob(new Blob([this.buildSetSVG(qrCode)], { type: spec.mimeType }), `${filename}.svg`);
+            } else if (format === 'pdf') {
+                this.buildSetPDF(qrCode).save(`${filename}.pdf`);
+            } else {
+                const zip = new ZipWriter();
+                for (const item of this.getSetItems(qrCode)) {
+                    const blob = await this.buildFile(item, format);
+                    zip.addFile(`${filename}-${item.structuredAppend.index + 1}of${count}.${spec.extension}`, await blob.arrayBuffer());
                 }
+                this.downloadBlob(zip.toBlob(), `${filename}.zip`);
             }
 
-            // Create SVG content
-            const svgContent = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="${totalSize}" height="${totalSize}" viewBox="0 0 ${totalSize} ${totalSize}">
-    <rect width="100%" height="100%" fill="${backgroundColor}"/>
-    <path d="${svgPath}" fill="${foregroundColor}"/>
-</svg>`;
+            notificationManager.success(`${count} linked ${spec.name} codes exported!`);
+        } catch (error) {
+            console.error(`Error exporting ${spec.name}:`, error);
+            notificationManager.error(`Error exporting ${spec.name}: ` + error.message);
+        }
+    }
+
+    /**
+     * The codes of a Structured Append set as QR codes of their own, each with
+     * the style options of the set
+     * @param {Object} qrCode - Current QR code with `structuredAppendSet`
+     * @returns {Object[]} - Rendered QR codes in set order
+     */
+    getSetItems(qrCode) {
+        return qrCode.structuredAppendSet.map(symbol => ({
+            ...qrCode,
+            content: symbol.content,
+            version: symbol.version,
+            structuredAppend: symbol.structuredAppend,
+            qr: symbol.qr,
+            canvas: symbol.canvas,
+            scannability: symbol.scannability,
+            structuredAppendSet: null
+        }));
+    }
+
+    /**
+     * Caption naming a code's place in its set, e.g. "2 of 4"
+     */
+    static getSetCaption(structuredAppend) {
+        return `${structuredAppend.index + 1} of ${structuredAppend.total}`;
+    }
+
+    /**
+     * Encode a QR code in one of the formats listed in Config.EXPORT.FORMATS
+     * @param {Object} qrCode - Rendered QR code (needs `qr`, `canvas`, `content` and its style options)
+     * @param {string} format - Format key
+     * @returns {Promise<Blob>}
+     */
+    async buildFile(qrCode, format) {
+        const spec = this.config.EXPORT.FORMATS[format];
+
+        switch (format) {
+            case 'png':
+                return this.buildPNG(qrCode);
+            case 'png-transparent':
+                return this.buildPNG(qrCode, { transparent: true });
+            case 'jpeg':
+            case 'webp':
+                return this.buildRaster(qrCode, spec.mimeType, this.getQuality());
+            case 'ico':
+                return this.buildICO(qrCode);
+            case 'svg':
+                return new Blob([this.buildSVG(qrCode)], { type: spec.mimeType });
+            case 'pdf':
+                return new Blob([this.buildPDF(qrCode).output('arraybuffer')], { type: spec.mimeType });
+            case 'eps':
+                return new Blob([this.buildEPS(qrCode)], { type: spec.mimeType });
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    /**
+     * Save a file through a temporary download link
+     */
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+
+        // Clean up
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * JPEG and WebP quality from the export form, from 0 to 1
+     */
+    getQuality() {
+        return parseInt(document.getElementById('export-quality').value) / 100;
+    }
+
+    /**
+     * File name (without extension) from the export filename pattern
+     * @param {Object} qrCode - QR code with `content`, `size` and `errorCorrection`
+     * @returns {string}
+     */
+    getFilename(qrCode) {
+        const input = document.getElementById('export-filename-pattern');
+        const pattern = input.value.trim() || this.config.EXPORT.DEFAULT_FILENAME_PATTERN;
+        const values = {
+            name: this.app.generateQRName(qrCode.content),
+            size: qrCode.size,
+            ecc: qrCode.errorCorrection,
+            date: new Date().toISOString().slice(0, 10),
+            timestamp: Date.now()
+        };
+
+        // Unknown {placeholders} are kept as typed
+        const filename = pattern.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+        return ExportManager.sanitizeFilename(filename);
+    }
+
+    /**
+     * Make text safe to use as a file name
+     */
+    static sanitizeFilename(name) {
+        return name
+            .replace(/[\\/:*?"<>|\x00-\x1F]+/g, '-')
+            .replace(/^[.\s-]+|[.\s]+$/g, '')
+            .slice(0, 120) || 'qrcode';
+    }
+
+    /**
+     * Build the SVG document for a QR code, using the same geometry as the canvas preview
+     * @param {Object} qrCode - Current QR code (needs `qr` plus size, color and shape options)
+     * @returns {string} - SVG markup
+     */
+    buildSVG(qrCode) {
+        const geometry = QRCore.buildGeometry(qrCode.qr, qrCode);
+        return QRRenderer.toSVG(geometry);
+    }
+
+    /**
+     * Build one SVG document with every code of a Structured Append set in a grid
+     * @param {Object} qrCode - Current QR code with `structuredAppendSet`
+     * @returns {string} - SVG markup
+     */
+    buildSetSVG(qrCode) {
+        return QRRenderer.toSVGSheet(this.getSetItems(qrCode).map(item => ({
+            geometry: QRCore.buildGeometry(item.qr, item),
+            caption: ExportManager.getSetCaption(item.structuredAppend)
+        })));
+    }
+
+    /**
+     * Build the EPS document for a QR code, using the same geometry as the SVG export
+     * @param {Object} qrCode - Current QR code (needs `qr` plus size, color and shape options)
+     * @returns {string} - EPS source
+     */
+    buildEPS(qrCode) {
+        const geometry = QRCore.buildGeometry(qrCode.qr, qrCode);
+        const patch = geometry.logo ? this.renderLogoPatch(qrCode, geometry) : null;
+
+        return QRRenderer.toEPS(geometry, {
+            logoImage: patch ? patch.getContext('2d').getImageData(0, 0, patch.width, patch.height) : null
+        });
+    }
+
+    /**
+     * Rasterize the logo box, backdrop included, at print resolution. PDF and EPS
+     * draw everything else as vectors and place this patch over the logo area.
+     * @returns {HTMLCanvasElement|null} - Canvas covering geometry.logo, or null if the logo is not loaded
+     */
+    renderLogoPatch(qrCode, geometry) {
+        const logo = geometry.logo;
+        const logoImage = this.app.logoImages.get(logo.dataUrl);
+        if (!logoImage) {
+            return null;
+        }
+
+        const resolution = this.config.EXPORT.LOGO_RESOLUTION;
+        const canvas = document.createElement('canvas');
+        canvas.width = resolution;
+        canvas.height = resolution;
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(resolution / logo.size, resolution / logo.size);
+        ctx.translate(-logo.x, -logo.y);
+        QRRenderer.drawToCanvas(ctx, geometry, { ...qrCode, logoImage });
+
+        return canvas;
+    }
+
+    /**
+     * Draw a QR code into a PDF as vector paths
+     * @param {Object} pdf - jsPDF document
+     * @param {Object} qrCode - QR code (needs `qr` plus size, color and shape options)
+     * @param {number} x - Left edge in document units
+     * @param {number} y - Top edge in document units
+     * @param {number} width - Width in document units, quiet zone included
+     * @param {Object} geometry - Geometry of the code, when the caller already built it
+     */
+    drawQRCodeToPDF(pdf, qrCode, x, y, width, geometry = QRCore.buildGeometry(qrCode.qr, qrCode)) {
+        const patch = geometry.logo ? this.renderLogoPatch(qrCode, geometry) : null;
+
+        QRRenderer.drawToPDF(pdf, geometry, {
+            x,
+            y,
+            scale: width / geometry.width,
+            logoImage: patch ? patch.toDataURL('image/png') : null
+        });
+    }
+
+    /**
+     * Encode the rendered canvas as PNG bytes, tagged with its print resolution
+     * when the code has a physical size
+     * @param {Object} qrCode - Rendered QR code (needs `canvas`, optionally `print` and `size`)
+     * @param {Object} options - { transparent } to leave the background unpainted
+     * @returns {Promise<Blob>}
+     */
+    async buildPNG(qrCode, options = {}) {
+        const canvas = options.transparent
+            ? this.app.renderQRCode(qrCode.content, { ...qrCode, transparentBackground: true }).canvas
+            : qrCode.canvas;
+        const blob = await ExportManager.encodeCanvas(canvas, 'image/png');
+
+        if (!qrCode.print) {
+            return blob;
+        }
+
+        const dpi = PrintSizing.getEffectiveDPI(qrCode.print, qrCode.size);
+        const bytes = ExportManager.setPNGResolution(new Uint8Array(await blob.arrayBuffer()), dpi);
+        return new Blob([bytes], { type: 'image/png' });
+    }
+
+    /**
+     * Encode the rendered canvas as JPEG or WebP. JPEGs carry the print
+     * resolution in their JFIF header; WebP has no standard field for it.
+     * @param {Object} qrCode - Rendered QR code (needs `canvas`, optionally `print` and `size`)
+     * @param {string} mimeType - 'image/jpeg' or 'image/webp'
+     * @param {number} quality - From 0 to 1
+     * @returns {Promise<Blob>}
+     */
+    async buildRaster(qrCode, mimeType, quality) {
+        const blob = await ExportManager.encodeCanvas(qrCode.canvas, mimeType, quality);
+        if (blob.type !== mimeType) {
+            // Browsers fall back to PNG for types they cannot encode
+            throw new Error(`This browser cannot encode ${mimeType}`);
+        }
+
+        if (mimeType !== 'image/jpeg' || !qrCode.print) {
+            return blob;
+        }
+
+        const dpi = Math.round(PrintSizing.getEffectiveDPI(qrCode.print, qrCode.size));
+        const bytes = ExportManager.setJPEGResolution(new Uint8Array(await blob.arrayBuffer()), dpi);
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    /**
+     * Build a favicon bundle with the code scaled to every size in Config.EXPORT.ICO_SIZES.
+     * Codes that are not square (rMQR, PDF417, linear barcodes) are centered with transparent bands above and below.
+     * @param {Object} qrCode - Rendered QR code (needs `canvas`)
+     * @returns {Promise<Blob>}
+     */
+    async buildICO(qrCode) {
+        const images = [];
+        const source = qrCode.canvas;
+        for (const size of this.config.EXPORT.ICO_SIZES) {
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = true;
+            ctx.imageSmoothingQuality = 'high';
+            const scale = size / Math.max(source.width, source.height);
+            const width = source.width * scale;
+            const height = source.height * scale;
+            ctx.drawImage(source, (size - width) / 2, (size - height) / 2, width, height);
 
-            // Create and download file
-            const blob = new Blob([svgContent], { type: 'image/svg+xml' });
-            const link = document.createElement('a');
-            link.download = `qrcode-${Date.now()}.svg`;
-            link.href = URL.createObjectURL(blob);
-            link.click();
+            const blob = await ExportManager.encodeCanvas(canvas, 'image/png');
+            images.push({ size, bytes: new Uint8Array(await blob.arrayBuffer()) });
+        }
 
-            // Clean up
-            URL.revokeObjectURL(link.href);
+        return new Blob([IcoWriter.build(images)], { type: 'image/x-icon' });
+    }
 
-            notificationManager.success('SVG exported successfully!');
+    /**
+     * Promise wrapper around canvas.toBlob
+     * @returns {Promise<Blob>}
+     */
+    static encodeCanvas(canvas, mimeType, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Could not encode ${mimeType}`));
+                }
+            }, mimeType, quality);
+        });
+    }
+
+    /**
+     * Set the pixel density in a JFIF (APP0) header
+     * @param {Uint8Array} bytes - JPEG file
+     * @param {number} dpi - Dots per inch
+     * @returns {Uint8Array} - The same bytes, updated in place when a JFIF header is present
+     */
+    static setJPEGResolution(bytes, dpi) {
+        // SOI, then an APP0 segment whose identifier is "JFIF\0"
+        const isJFIF = bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF && bytes[3] === 0xE0 &&
+            String.fromCharCode(...bytes.subarray(6, 11)) === 'JFIF\0';
+        if (!isJFIF) {
+            return bytes;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const density = Math.min(Math.max(dpi, 1), 0xFFFF);
+        bytes[13] = 1; // Density unit: dots per inch
+        view.setUint16(14, density);
+        view.setUint16(16, density);
+        return bytes;
+    }
+
+    /**
+     * Write a pHYs chunk so image editors and print drivers know the DPI.
+     * Any existing pHYs chunk is replaced.
+     * @param {Uint8Array} bytes - PNG file
+     * @param {number} dpi - Dots per inch
+     * @returns {Uint8Array} - PNG file with the pHYs chunk after IHDR
+     */
+    static setPNGResolution(bytes, dpi) {
+        const pixelsPerMetre = Math.round(dpi / 0.0254);
+        const phys = new Uint8Array(21);
+        const physView = new DataView(phys.buffer);
+        physView.setUint32(0, 9);
+        phys.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        physView.setUint32(8, pixelsPerMetre);
+        physView.setUint32(12, pixelsPerMetre);
+        phys[16] = 1; // Unit: metre
+        // PNG uses the same CRC-32 as ZIP
+        physView.setUint32(17, ZipWriter.crc32(phys.subarray(4, 17)));
+
+        // Walk the chunks after the 8-byte signature, dropping any old pHYs
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const parts = [bytes.subarray(0, 8)];
+        for (let offset = 8; offset < bytes.length;) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const end = offset + 12 + length;
+            if (type !== 'pHYs') {
+                parts.push(bytes.subarray(offset, end));
+            }
+            if (type === 'IHDR') {
+                parts.push(phys);
+            }
+            offset = end;
+        }
+
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+
+    /**
+     * Build an A4 PDF with the QR code drawn as vectors (see QRCore.buildPDF)
+     * @param {Object} qrCode - QR code (needs `qr` plus size, color and shape options)
+     * @returns {Object} - jsPDF document
+     */
+    buildPDF(qrCode) {
+        const geometry = QRCore.buildGeometry(qrCode.qr, qrCode);
+        const patch = geometry.logo ? this.renderLogoPatch(qrCode, geometry) : null;
+
+        return QRCore.buildPDF(window.jspdf.jsPDF, geometry, qrCode, patch ? patch.toDataURL('image/png') : null);
+    }
+
+    /**
+     * Build a PDF with a page per code of a Structured Append set (see QRCore.buildPagesPDF)
+     * @param {Object} qrCode - Current QR code with `structuredAppendSet`
+     * @returns {Object} - jsPDF document
+     */
+    buildSetPDF(qrCode) {
+        const pages = this.getSetItems(qrCode).map(item => {
+            const geometry = QRCore.buildGeometry(item.qr, item);
+            const patch = geometry.logo ? this.renderLogoPatch(item, geometry) : null;
+            return {
+                geometry,
+                logoImage: patch ? patch.toDataURL('image/png') : null,
+                caption: ExportManager.getSetCaption(item.structuredAppend)
+            };
+        });
+
+        return QRCore.buildPagesPDF(window.jspdf.jsPDF, pages, qrCode);
+    }
+
+    /**
+     * Read the label sheet settings from the export form
+     */
+    getSheetSettings() {
+        const value = (id) => document.getElementById(id).value;
+
+        return {
+            template: value('sheet-template-select'),
+            pageSize: value('sheet-page-size-select'),
+            rows: parseInt(value('sheet-rows')),
+            columns: parseInt(value('sheet-columns')),
+            margin: parseFloat(value('sheet-margin')),
+            gutter: parseFloat(value('sheet-gutter')),
+            source: value('sheet-source-select'),
+            caption: value('sheet-caption-select'),
+            captionText: value('sheet-caption-text'),
+            cropMarks: document.getElementById('sheet-crop-marks').checked
+        };
+    }
+
+    /**
+     * Work out the page size and label cells for a sheet, in millimetres
+     * @param {Object} settings - Sheet settings as returned by getSheetSettings()
+     * @returns {Object} - { pageSize, pageWidth, pageHeight, cells: [{ x, y, width, height }] }
+     */
+    static getSheetLayout(settings) {
+        const template = Config.EXPORT.LABEL_TEMPLATES[settings.template];
+        const pageSize = template ? template.pageSize : settings.pageSize;
+        const page = Config.EXPORT.PAGE_SIZES[pageSize];
+        if (!page) {
+            throw new Error(`Unknown page size: ${pageSize}`);
+        }
+
+        let grid = template;
+        if (!grid) {
+            const { rows, columns, margin, gutter } = settings;
+            if (!(rows >= 1 && columns >= 1)) {
+                throw new Error('Rows and columns must be at least 1');
+            }
+            if (!(margin >= 0 && gutter >= 0)) {
+                throw new Error('Margins and gutters cannot be negative');
+            }
+
+            grid = {
+                columns,
+                rows,
+                labelWidth: (page.width - margin * 2 - gutter * (columns - 1)) / columns,
+                labelHeight: (page.height - margin * 2 - gutter * (rows - 1)) / rows,
+                marginLeft: margin,
+                marginTop: margin,
+                gutterX: gutter,
+                gutterY: gutter
+            };
+            if (grid.labelWidth <= 0 || grid.labelHeight <= 0) {
+                throw new Error('Margins and gutters leave no room for the codes');
+            }
+        }
+
+        const cells = [];
+        for (let row = 0; row < grid.rows; row++) {
+            for (let column = 0; column < grid.columns; column++) {
+                cells.push({
+                    x: grid.marginLeft + column * (grid.labelWidth + grid.gutterX),
+                    y: grid.marginTop + row * (grid.labelHeight + grid.gutterY),
+                    width: grid.labelWidth,
+                    height: grid.labelHeight
+                });
+            }
+        }
+
+        return { pageSize, pageWidth: page.width, pageHeight: page.height, cells };
+    }
+
+    /**
+     * Collect the codes to place on a sheet: the current code repeated to fill
+     * one page, or every saved code across as many pages as needed. The codes
+     * of a Structured Append set are each placed once.
+     * @returns {Promise<Array>} - [{ qrCode, caption }]
+     */
+    async getSheetItems(settings, cellsPerPage) {
+        const captionFor = (qrCode) => {
+            switch (settings.caption) {
+                case 'content':
+                    return qrCode.content;
+                case 'name':
+                    return qrCode.name || this.app.generateQRName(qrCode.content);
+                case 'custom':
+                    return settings.captionText;
+                default:
+                    return '';
+            }
+        };
+
+        if (settings.source !== 'saved') {
+            const current = this.app.currentQRCode;
+            if (current.structuredAppendSet) {
+                return this.getSetItems(current).map(item => ({ qrCode: item, caption: captionFor(item) }));
+            }
+            return new Array(cellsPerPage).fill({ qrCode: current, caption: captionFor(current) });
+        }
+
+        if (this.app.savedCodes.length === 0) {
+            throw new Error('There are no saved QR codes');
+        }
+
+        // Saved codes fill the sheet in the order the library is sorted in
+        const items = await this.renderSavedCodes(SavedCodesQuery.sort(this.app.savedCodes, this.app.savedQuery.sort));
+        return items.map(qrCode => ({ qrCode, caption: captionFor(qrCode) }));
+    }
+
+    /**
+     * Render saved codes with their own options, ready to export
+     * @param {Object[]} codes - Saved codes
+     * @returns {Promise<Object[]>} - Rendered QR codes; a Structured Append set gives each of its codes in order
+     */
+    async renderSavedCodes(codes) {
+        const items = [];
+        for (const qrCode of codes) {
+            if (qrCode.logo) {
+                await this.app.loadLogoImage(qrCode.logo.dataUrl);
+            }
+            if (qrCode.structuredAppendCount && qrCode.symbolType === 'qr') {
+                const symbols = this.app.buildQRCodeSet(qrCode.content, qrCode);
+                items.push(...this.getSetItems({ ...qrCode, structuredAppendSet: symbols }));
+                continue;
+            }
+            const { qr, canvas } = this.app.renderQRCode(qrCode.content, qrCode);
+            items.push({ ...qrCode, qr, canvas });
+        }
+        return items;
+    }
+
+    /**
+     * Export saved codes together: as a PDF with a page per code, captioned with
+     * its name, or as a ZIP with a file per code named after it
+     * @param {Object[]} codes - Saved codes
+     * @param {string} format - 'pdf-pages', or a format key of Config.EXPORT.FORMATS for a ZIP
+     */
+    async exportSavedCodes(codes, format) {
+        try {
+            const items = await this.renderSavedCodes(codes);
+
+            if (format === 'pdf-pages') {
+                const pages = items.map(qrCode => {
+                    const geometry = QRCore.buildGeometry(qrCode.qr, qrCode);
+                    const patch = geometry.logo ? this.renderLogoPatch(qrCode, geometry) : null;
+                    const caption = qrCode.structuredAppend
+                        ? `${qrCode.name} · ${ExportManager.getSetCaption(qrCode.structuredAppend)}`
+                        : qrCode.name;
+                    return { geometry, logoImage: patch ? patch.toDataURL('image/png') : null, caption };
+                });
+                QRCore.buildPagesPDF(window.jspdf.jsPDF, pages).save(`qrcodes-${Date.now()}.pdf`);
+                notificationManager.success(`${codes.length} QR codes exported as a ${pages.length}-page PDF`);
+                return;
+            }
+
+            const spec = this.config.EXPORT.FORMATS[format];
+            const zip = new ZipWriter();
+            const used = new Set();
+            for (const qrCode of items) {
+                // Codes of a set are numbered as exportStructuredAppendSet numbers them, and repeated names counted
+                const { structuredAppend } = qrCode;
+                const base = ExportManager.sanitizeFilename(structuredAppend
+                    ? `${qrCode.name}-${structuredAppend.index + 1}of${structuredAppend.total}`
+                    : qrCode.name);
+                let filename = base;
+                for (let n = 2; used.has(filename.toLowerCase()); n++) {
+                    filename = `${base}-${n}`;
+                }
+                used.add(filename.toLowerCase());
+
+                const blob = await this.buildFile(qrCode, format);
+                zip.addFile(`${filename}${spec.suffix || ''}.${spec.extension}`, await blob.arrayBuffer());
+            }
+            this.downloadBlob(zip.toBlob(), `qrcodes-${Date.now()}.zip`);
+            notificationManager.success(`${codes.length} QR codes exported as ${spec.name} files`);
         } catch (error) {
-            console.error('Error exporting SVG:', error);
-            notificationManager.error('Error exporting SVG: ' + error.message);
+            console.error('Error exporting QR codes:', error);
+            notificationManager.error('Error exporting QR codes: ' + error.message);
         }
     }
 
     /**
-     * Export QR code as PDF
+     * Build a PDF that lays codes out in a grid of labels
+     * @param {Array} items - [{ qrCode, caption }], one per label
+     * @param {Object} settings - Sheet settings as returned by getSheetSettings()
+     * @returns {Object} - jsPDF document
      */
-    exportAsPDF() {
-        if (!this.app.currentQRCode) {
-            notificationManager.error('No QR code to export');
-            return;
+    buildSheetPDF(items, settings) {
+        const layout = ExportManager.getSheetLayout(settings);
+        const sheet = Config.EXPORT.SHEET;
+        const { cells } = layout;
+
+        const { jsPDF } = window.jspdf;
+        const pdf = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: [layout.pageWidth, layout.pageHeight],
+            compress: true
+        });
+
+        items.forEach((item, i) => {
+            const cellIndex = i % cells.length;
+            if (i > 0 && cellIndex === 0) {
+                pdf.addPage([layout.pageWidth, layout.pageHeight], 'portrait');
+            }
+            if (cellIndex === 0 && settings.cropMarks) {
+                this.drawCropMarks(pdf, layout);
+            }
+
+            const cell = cells[cellIndex];
+            const width = cell.width - sheet.LABEL_PADDING * 2;
+            let height = cell.height - sheet.LABEL_PADDING * 2;
+
+            let fontSize = 0;
+            if (item.caption) {
+                // 1 pt = 0.3528 mm; leave room for line spacing
+                fontSize = Math.min(sheet.CAPTION_FONT_SIZE, height * 0.12 / 0.3528);
+                height -= fontSize * 0.3528 * 1.4;
+            }
+
+            // rMQR, PDF417 and linear barcodes are wider than they are tall
+            const geometry = QRCore.buildGeometry(item.qrCode.qr, item.qrCode);
+            const scale = Math.min(width / geometry.width, height / geometry.height);
+            if (scale <= 0) {
+                return;
+            }
+            const codeWidth = geometry.width * scale;
+            const codeHeight = geometry.height * scale;
+            const codeX = cell.x + (cell.width - codeWidth) / 2;
+            const codeY = cell.y + sheet.LABEL_PADDING + (height - codeHeight) / 2;
+
+            this.drawQRCodeToPDF(pdf, item.qrCode, codeX, codeY, codeWidth, geometry);
+
+            if (item.caption) {
+                pdf.setFontSize(fontSize);
+                pdf.text(this.fitText(pdf, item.caption, width), cell.x + cell.width / 2, codeY + codeHeight + fontSize * 0.3528 * 1.1, {
+                    align: 'center'
+                });
+            }
+        });
+
+        pdf.setProperties({
+            title: 'QR Code Labels',
+            subject: 'Generated QR Code label sheet',
+            creator: 'PixelQR Generator'
+        });
+
+        return pdf;
+    }
+
+    /**
+     * Truncate text with an ellipsis so it fits on one line
+     */
+    fitText(pdf, text, maxWidth) {
+        const line = String(text).replace(/\s+/g, ' ');
+        if (pdf.getTextWidth(line) <= maxWidth) {
+            return line;
         }
 
+        let length = line.length;
+        while (length > 0 && pdf.getTextWidth(line.slice(0, length) + '...') > maxWidth) {
+            length--;
+        }
+        return line.slice(0, length) + '...';
+    }
+
+    /**
+     * Draw crop marks in the page margins, in line with every label edge
+     */
+    drawCropMarks(pdf, layout) {
+        const { CROP_MARK_LENGTH, CROP_MARK_OFFSET } = Config.EXPORT.SHEET;
+        const { cells, pageWidth, pageHeight } = layout;
+
+        const xs = [...new Set(cells.flatMap(cell => [cell.x, cell.x + cell.width]))];
+        const ys = [...new Set(cells.flatMap(cell => [cell.y, cell.y + cell.height]))];
+        const left = Math.min(...xs);
+        const right = Math.max(...xs);
+        const top = Math.min(...ys);
+        const bottom = Math.max(...ys);
+
+        pdf.setDrawColor(0);
+        pdf.setLineWidth(0.1);
+
+        // Marks shrink to fit narrow margins and are left out when there is no margin
+        const mark = (space) => Math.min(CROP_MARK_LENGTH, space - CROP_MARK_OFFSET);
+
+        xs.forEach(x => {
+            const above = mark(top);
+            const below = mark(pageHeight - bottom);
+            if (above > 0) pdf.line(x, top - CROP_MARK_OFFSET - above, x, top - CROP_MARK_OFFSET);
+            if (below > 0) pdf.line(x, bottom + CROP_MARK_OFFSET, x, bottom + CROP_MARK_OFFSET + below);
+        });
+
+        ys.forEach(y => {
+            const before = mark(left);
+            const after = mark(pageWidth - right);
+            if (before > 0) pdf.line(left - CROP_MARK_OFFSET - before, y, left - CROP_MARK_OFFSET, y);
+            if (after > 0) pdf.line(right + CROP_MARK_OFFSET, y, right + CROP_MARK_OFFSET + after, y);
+        });
+    }
+
+    /**
+     * Export a printable sheet of labels as PDF
+     */
+    async exportAsLabelSheet() {
         try {
-            const { canvas, size } = this.app.currentQRCode;
-
-            // Create PDF
-            const { jsPDF } = window.jspdf;
-            const pdf = new jsPDF({
-                orientation: 'portrait',
-                unit: 'mm',
-                format: 'a4'
-            });
-
-            // Calculate dimensions to fit on page with margins
-            const pageWidth = pdf.internal.pageSize.getWidth();
-            const pageHeight = pdf.internal.pageSize.getHeight();
-            const margin = 20;
-            const availableWidth = pageWidth - (margin * 2);
-            const availableHeight = pageHeight - (margin * 2);
-
-            // Calculate scale to fit QR code on page
-            const scale = Math.min(availableWidth / size, availableHeight / size) * 0.8;
-            const qrSize = size * scale;
-            const qrX = (pageWidth - qrSize) / 2;
-            const qrY = (pageHeight - qrSize) / 2;
-
-            // Add QR code to PDF
-            const imgData = canvas.toDataURL('image/png');
-            pdf.addImage(imgData, 'PNG', qrX, qrY, qrSize, qrSize);
-
-            // Add metadata
-            pdf.setProperties({
-                title: 'QR Code',
-                subject: 'Generated QR Code',
-                creator: 'PixelQR Generator'
-            });
-
-            // Save PDF
-            pdf.save(`qrcode-${Date.now()}.pdf`);
-
-            notificationManager.success('PDF exported successfully!');
+            const settings = this.getSheetSettings();
+            const layout = ExportManager.getSheetLayout(settings);
+            const items = await this.getSheetItems(settings, layout.cells.length);
+            const pdf = this.buildSheetPDF(items, settings);
+
+            pdf.save(`qrcode-labels-${Date.now()}.pdf`);
+
+            const pages = Math.ceil(items.length / layout.cells.length);
+            notificationManager.success(`Label sheet exported (${items.length} labels on ${pages} page${pages > 1 ? 's' : ''})`);
         } catch (error) {
-            console.error('Error exporting PDF:', error);
-            notificationManager.error('Error exporting PDF: ' + error.message);
+            console.error('Error exporting label sheet:', error);
+            notificationManager.error('Error exporting label sheet: ' + error.message);
         }
     }
-}
\ No newline at end of file
+}
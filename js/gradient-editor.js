@@ -0,0 +1,203 @@
+/**
+ * gradient-editor.js - Fill mode and color stop controls for QR Code Generator
+ *
+ * Renders a solid/linear/radial selector with angle, center and color stop
+ * inputs into a container, and reads or writes the gradient settings that
+ * QRRenderer.resolveGradient() understands.
+ */
+
+class GradientEditor {
+    /**
+     * @param {HTMLElement} container - Element to render the controls into
+     * @param {Object} options - idPrefix, label, getBaseColor(), defaultEndColor, onChange()
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.idPrefix = options.idPrefix;
+        this.label = options.label;
+        this.getBaseColor = options.getBaseColor || (() => '#000000');
+        this.defaultEndColor = options.defaultEndColor || '#0066ff';
+        this.onChange = options.onChange || (() => {});
+        this.stops = [];
+
+        this.render();
+        this.bindEvents();
+    }
+
+    render() {
+        const p = this.idPrefix;
+        this.container.innerHTML = `
+            <div class="form-group gradient-editor">
+                <label for="${p}-fill-mode" class="form-label">
+                    <i class="fas fa-fill-drip"></i>
+                    ${this.label} Fill
+                </label>
+                <select id="${p}-fill-mode" class="form-select" data-role="mode">
+                    <option value="solid">Solid color</option>
+                    <option value="linear">Linear gradient</option>
+                    <option value="radial">Radial gradient</option>
+                </select>
+
+                <div class="gradient-settings hidden" data-role="settings">
+                    <div class="gradient-linear" data-role="linear">
+                        <label for="${p}-gradient-angle" class="option-label">
+                            Angle <span data-role="angle-value">0°</span>
+                        </label>
+                        <input type="range" id="${p}-gradient-angle" class="form-range" min="0" max="360" value="0"
+                            data-role="angle">
+                    </div>
+                    <div class="gradient-radial hidden" data-role="radial">
+                        <label for="${p}-gradient-center-x" class="option-label">
+                            Center X <span data-role="center-x-value">50%</span>
+                        </label>
+                        <input type="range" id="${p}-gradient-center-x" class="form-range" min="0" max="100" value="50"
+                            data-role="center-x">
+                        <label for="${p}-gradient-center-y" class="option-label">
+                            Center Y <span data-role="center-y-value">50%</span>
+                        </label>
+                        <input type="range" id="${p}-gradient-center-y" class="form-range" min="0" max="100" value="50"
+                            data-role="center-y">
+                    </div>
+                    <div class="gradient-stops" data-role="stops"></div>
+                    <button type="button" class="btn btn-secondary btn-small" data-role="add-stop">
+                        <i class="fas fa-plus"></i>
+                        Add Color Stop
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    bindEvents() {
+        this.container.addEventListener('input', (e) => {
+            this.readStops();
+            this.updateLabels();
+            if (e.target.dataset.role === 'mode') {
+                this.updateVisibility();
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.dataset.role === 'mode') {
+                if (e.target.value !== 'solid' && this.stops.length < 2) {
+                    this.stops = [
+                        { offset: 0, color: this.getBaseColor() },
+                        { offset: 1, color: this.defaultEndColor }
+                    ];
+                    this.renderStops();
+                }
+                this.updateVisibility();
+            }
+            this.readStops();
+            this.onChange();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.dataset.role === 'add-stop') {
+                const last = this.stops[this.stops.length - 1];
+                this.stops.push({ offset: 1, color: last ? last.color : this.defaultEndColor });
+                // Spread stops evenly so the new one is visible
+                this.stops.forEach((stop, i) => { stop.offset = i / (this.stops.length - 1); });
+                this.renderStops();
+                this.onChange();
+            } else if (button.dataset.role === 'remove-stop') {
+                if (this.stops.length <= 2) return;
+                this.stops.splice(parseInt(button.dataset.index), 1);
+                this.renderStops();
+                this.onChange();
+            }
+        });
+    }
+
+    query(role) {
+        return this.container.querySelector(`[data-role="${role}"]`);
+    }
+
+    renderStops() {
+        const p = this.idPrefix;
+        this.query('stops').innerHTML = this.stops.map((stop, i) => `
+            <div class="gradient-stop">
+                <input type="color" class="color-picker" value="${stop.color}" data-role="stop-color"
+                    data-index="${i}" title="Stop ${i + 1} color" aria-label="${this.label} stop ${i + 1} color">
+                <input type="number" class="form-input" min="0" max="100" value="${Math.round(stop.offset * 100)}"
+                    data-role="stop-offset" data-index="${i}" id="${p}-stop-offset-${i}"
+                    aria-label="${this.label} stop ${i + 1} position">
+                <span class="text-secondary">%</span>
+                <button type="button" class="action-btn" data-role="remove-stop" data-index="${i}"
+                    title="Remove stop"${this.stops.length <= 2 ? ' disabled' : ''}>
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    readStops() {
+        this.container.querySelectorAll('[data-role="stop-color"]').forEach(input => {
+            this.stops[input.dataset.index].color = input.value;
+        });
+        this.container.querySelectorAll('[data-role="stop-offset"]').forEach(input => {
+            const offset = Math.min(Math.max(parseFloat(input.value) || 0, 0), 100);
+            this.stops[input.dataset.index].offset = offset / 100;
+        });
+    }
+
+    updateVisibility() {
+        const mode = this.query('mode').value;
+        this.query('settings').classList.toggle('hidden', mode === 'solid');
+        this.query('linear').classList.toggle('hidden', mode !== 'linear');
+        this.query('radial').classList.toggle('hidden', mode !== 'radial');
+    }
+
+    updateLabels() {
+        this.query('angle-value').textContent = `${this.query('angle').value}°`;
+        this.query('center-x-value').textContent = `${this.query('center-x').value}%`;
+        this.query('center-y-value').textContent = `${this.query('center-y').value}%`;
+    }
+
+    /**
+     * Current gradient setting
+     * @returns {Object|null} - { type, angle, centerX, centerY, stops }, or null for a solid fill
+     */
+    getValue() {
+        const type = this.query('mode').value;
+        if (type === 'solid') {
+            return null;
+        }
+
+        return {
+            type,
+            angle: parseInt(this.query('angle').value),
+            centerX: parseInt(this.query('center-x').value) / 100,
+            centerY: parseInt(this.query('center-y').value) / 100,
+            stops: this.stops.map(stop => ({ offset: stop.offset, color: stop.color }))
+        };
+    }
+
+    /**
+     * Restore a gradient setting (null switches back to a solid fill)
+     */
+    setValue(gradient) {
+        if (gradient && Array.isArray(gradient.stops) && gradient.stops.length >= 2) {
+            this.query('mode').value = gradient.type === 'radial' ? 'radial' : 'linear';
+            this.query('angle').value = gradient.angle || 0;
+            this.query('center-x').value = Math.round((gradient.centerX !== undefined ? gradient.centerX : 0.5) * 100);
+            this.query('center-y').value = Math.round((gradient.centerY !== undefined ? gradient.centerY : 0.5) * 100);
+            this.stops = gradient.stops.map(stop => ({ offset: stop.offset, color: stop.color }));
+        } else {
+            this.query('mode').value = 'solid';
+            this.stops = [];
+        }
+
+        this.renderStops();
+        this.updateLabels();
+        this.updateVisibility();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GradientEditor;
+}
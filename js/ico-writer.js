@@ -0,0 +1,51 @@
+/**
+ * ico-writer.js - Favicon (.ico) builder for QR Code Generator
+ *
+ * Bundles several PNG images into one ICO file. PNG-compressed entries are
+ * read by every current browser and by Windows Vista and later.
+ */
+
+class IcoWriter {
+    /**
+     * Build an ICO file
+     * @param {Array} images - [{ size, bytes }] square PNG images, at most 256 pixels wide
+     * @returns {Uint8Array} - ICO file bytes
+     */
+    static build(images) {
+        const headerSize = 6 + images.length * 16;
+        const output = new Uint8Array(headerSize + images.reduce((sum, image) => sum + image.bytes.length, 0));
+        const view = new DataView(output.buffer);
+
+        view.setUint16(0, 0, true); // Reserved
+        view.setUint16(2, 1, true); // Type: icon
+        view.setUint16(4, images.length, true);
+
+        let offset = headerSize;
+        images.forEach((image, i) => {
+            if (image.size > 256) {
+                throw new Error('Icon images can be at most 256 pixels wide');
+            }
+
+            const entry = 6 + i * 16;
+            // A width or height of 0 means 256
+            output[entry] = image.size % 256;
+            output[entry + 1] = image.size % 256;
+            output[entry + 2] = 0; // No palette
+            output[entry + 3] = 0; // Reserved
+            view.setUint16(entry + 4, 1, true); // Color planes
+            view.setUint16(entry + 6, 32, true); // Bits per pixel
+            view.setUint32(entry + 8, image.bytes.length, true);
+            view.setUint32(entry + 12, offset, true);
+
+            output.set(image.bytes, offset);
+            offset += image.bytes.length;
+        });
+
+        return output;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IcoWriter;
+}
@@ -0,0 +1,295 @@
+/**
+ * linear-barcode-encoder.js - Code 128, EAN-13 and UPC-A encoder for QR Code Generator
+ *
+ * Builds one-dimensional barcodes as a row of bar modules stretched to the
+ * bar height in Config.BARCODE. Code 128 switches between code sets A, B and
+ * C for the fewest codewords, up to Config.BARCODE.CODE128_MAX_CODEWORDS;
+ * EAN-13 and UPC-A take their digits with or without the check digit, and a
+ * check digit that is given must be right.
+ */
+
+// Bar and space widths of the Code 128 symbol values 0 to 105, then the stop pattern
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+// EAN left-hand odd parity digit patterns; even parity is their mirror image
+// and the right-hand patterns their inverse
+const EAN_DIGIT_PATTERNS = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+
+// Parity of the six left-hand digits (O odd, E even) that carries the first EAN-13 digit
+const EAN_FIRST_DIGIT_PARITIES = ['OOOOOO', 'OOEOEE', 'OOEEOE', 'OOEEEO', 'OEOOEE', 'OEEOOE', 'OEEEOO', 'OEOEOE', 'OEOEEO', 'OEEOEO'];
+
+class LinearBarcodeEncoder {
+    static get SYMBOL_TYPES() {
+        return ['code128', 'ean13', 'upca'];
+    }
+
+    // Linear barcodes have no sizes to choose or error correction
+    static get VERSIONS() {
+        return [];
+    }
+
+    static get ERROR_CORRECTION_LEVELS() {
+        return [];
+    }
+
+    static get CODE128_VALUES() {
+        return {
+            shift: 98,
+            switchTo: { A: 101, B: 100, C: 99 },
+            start: { A: 103, B: 104, C: 105 },
+            stop: 106
+        };
+    }
+
+    /**
+     * Encode text as a linear barcode
+     * @param {string} content - Text for Code 128, digits for EAN-13 and UPC-A
+     * @param {Object} options - { symbolType: code128, ean13 or upca }
+     * @returns {Object} - { symbolType, version, errorCorrection, mask, eci, text, bars, width, height,
+     *     finders, getModuleCount(), isDark(row, col) } where bars holds 1 for each dark module
+     *     and text is the content with any check digit added
+     */
+    static encode(content, options = {}) {
+        const symbolType = options.symbolType || 'code128';
+        let text = String(content);
+        let bars;
+        switch (symbolType) {
+            case 'code128': {
+                const values = LinearBarcodeEncoder.getCode128Values(text);
+                const codewords = LinearBarcodeEncoder.getCode128Codewords(values);
+                const max = Config.BARCODE.CODE128_MAX_CODEWORDS;
+                if (codewords > max) {
+                    throw new Error(`Content is too long for Code 128: it takes ${codewords} codewords, and at most ${max} can be scanned reliably`);
+                }
+                bars = LinearBarcodeEncoder.getCode128Bars(values);
+                break;
+            }
+            case 'ean13':
+                text = LinearBarcodeEncoder.addCheckDigit(text, 13, 'EAN-13');
+                bars = LinearBarcodeEncoder.getEAN13Bars(text);
+                break;
+            case 'upca':
+                // UPC-A is EAN-13 with a leading zero
+                text = LinearBarcodeEncoder.addCheckDigit(text, 12, 'UPC-A');
+                bars = LinearBarcodeEncoder.getEAN13Bars('0' + text);
+                break;
+            default:
+                throw new Error(`Unknown linear barcode type ${symbolType}`);
+        }
+
+        const width = bars.length;
+        const height = Config.BARCODE.BAR_HEIGHTS[symbolType];
+        return {
+            symbolType,
+            version: null,
+            errorCorrection: null,
+            mask: null,
+            eci: false,
+            text,
+            bars,
+            width,
+            height,
+            finders: [],
+            getModuleCount: () => width,
+            isDark: (row, col) => bars[col] === 1
+        };
+    }
+
+    /**
+     * Measure text the way QREncoder.measure does. Linear barcodes grow with their
+     * content instead of filling a fixed capacity; Code 128 is measured in codewords
+     * against its practical maximum, EAN-13 and UPC-A only by size. Content a
+     * symbology cannot take throws as encode does.
+     */
+    static measure(content, options = {}) {
+        const symbolType = options.symbolType || 'code128';
+        const measurement = {
+            fits: true,
+            version: null,
+            width: null,
+            height: null,
+            used: null,
+            capacity: null,
+            maxUsed: null,
+            maxCapacity: null,
+            unit: null,
+            segments: null,
+            eci: false
+        };
+
+        if (symbolType === 'code128') {
+            const codewords = LinearBarcodeEncoder.getCode128Codewords(LinearBarcodeEncoder.getCode128Values(String(content)));
+            const max = Config.BARCODE.CODE128_MAX_CODEWORDS;
+            Object.assign(measurement, { maxUsed: codewords, maxCapacity: max, unit: 'codewords' });
+            if (codewords > max) {
+                measurement.fits = false;
+                return measurement;
+            }
+            Object.assign(measurement, { used: codewords, capacity: max });
+        }
+
+        const { width, height, eci } = LinearBarcodeEncoder.encode(content, options);
+        return { ...measurement, width, height, eci };
+    }
+
+    /**
+     * Validate EAN and UPC digits, adding the check digit when it is left out
+     * @param {string} text - Digits with or without the check digit
+     * @param {number} length - Digits including the check digit
+     * @param {string} name - Symbology name for error messages
+     * @returns {string} - All digits
+     */
+    static addCheckDigit(text, length, name) {
+        const digits = text.replace(/[\s-]/g, '');
+        if (!/^\d+$/.test(digits) || (digits.length !== length && digits.length !== length - 1)) {
+            throw new Error(`${name} needs ${length - 1} digits, or ${length} with the check digit`);
+        }
+
+        const check = LinearBarcodeEncoder.getCheckDigit(digits.slice(0, length - 1));
+        if (digits.length === length && Number(digits[length - 1]) !== check) {
+            throw new Error(`${name} check digit should be ${check}, not ${digits[length - 1]}`);
+        }
+        return digits.slice(0, length - 1) + check;
+    }
+
+    // Weights alternate 3 and 1 from the rightmost digit
+    static getCheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            sum += Number(digits[digits.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+        }
+        return (10 - sum % 10) % 10;
+    }
+
+    static getEAN13Bars(digits) {
+        const parities = EAN_FIRST_DIGIT_PARITIES[Number(digits[0])];
+        const inverse = pattern => pattern.replace(/./g, bit => (bit === '1' ? '0' : '1'));
+
+        let modules = '101';
+        for (let i = 1; i <= 6; i++) {
+            const pattern = EAN_DIGIT_PATTERNS[Number(digits[i])];
+            modules += parities[i - 1] === 'O' ? pattern : inverse(pattern).split('').reverse().join('');
+        }
+        modules += '01010';
+        for (let i = 7; i <= 12; i++) {
+            modules += inverse(EAN_DIGIT_PATTERNS[Number(digits[i])]);
+        }
+        modules += '101';
+        return Array.from(modules, Number);
+    }
+
+    /**
+     * Code 128 bar modules of symbol values from getCode128Values
+     */
+    static getCode128Bars(values) {
+        const modules = [];
+        values.forEach(value => {
+            Array.from(CODE128_PATTERNS[value]).forEach((width, i) => {
+                for (let j = 0; j < Number(width); j++) {
+                    modules.push(i % 2 === 0 ? 1 : 0);
+                }
+            });
+        });
+        return modules;
+    }
+
+    /**
+     * Codewords counted against Config.BARCODE.CODE128_MAX_CODEWORDS: the symbol
+     * values without the start code, check value and stop code
+     */
+    static getCode128Codewords(values) {
+        return values.length - 3;
+    }
+
+    /**
+     * Code 128 symbol values from the start code to the stop code, choosing code sets
+     * for the fewest values: C packs digit pairs, A holds control characters and B lowercase
+     * @param {string} text - ASCII text
+     * @returns {number[]}
+     */
+    static getCode128Values(text) {
+        if (!text.length) {
+            throw new Error('Code 128 needs at least one character');
+        }
+        const codes = Array.from(text, char => char.charCodeAt(0));
+        if (codes.some(code => code > 0x7F)) {
+            throw new Error('Code 128 encodes ASCII characters only');
+        }
+
+        const { shift, switchTo, start, stop } = LinearBarcodeEncoder.CODE128_VALUES;
+        const isDigit = code => code >= 0x30 && code <= 0x39;
+        const valueIn = (set, code) => {
+            if (set === 'A') return code < 0x20 ? code + 64 : (code < 0x60 ? code - 32 : null);
+            return code >= 0x20 ? code - 32 : null;
+        };
+
+        // Cheapest way to reach each position in each code set: { cost, previous, values };
+        // ties go to the first set listed
+        const sets = ['B', 'A', 'C'];
+        const steps = Array.from({ length: codes.length + 1 }, () => ({}));
+        const relax = (position, set, cost, previous, values) => {
+            const current = steps[position][set];
+            if (!current || cost < current.cost) {
+                steps[position][set] = { cost, previous, values };
+            }
+        };
+        sets.forEach(set => relax(0, set, 1, null, [start[set]]));
+
+        for (let i = 0; i < codes.length; i++) {
+            // Switching sets costs one value; one switch per position is always enough
+            const arrived = sets.map(set => steps[i][set]);
+            sets.forEach(to => arrived.forEach((step, j) => {
+                if (step && i > 0 && sets[j] !== to) {
+                    relax(i, to, step.cost + 1, step, [switchTo[to]]);
+                }
+            }));
+
+            sets.forEach(set => {
+                const step = steps[i][set];
+                if (!step) return;
+                if (set === 'C') {
+                    if (isDigit(codes[i]) && isDigit(codes[i + 1])) {
+                        relax(i + 2, 'C', step.cost + 1, step, [(codes[i] - 0x30) * 10 + codes[i + 1] - 0x30]);
+                    }
+                    return;
+                }
+                const value = valueIn(set, codes[i]);
+                if (value !== null) {
+                    relax(i + 1, set, step.cost + 1, step, [value]);
+                } else {
+                    // Shift A and B for a single character of the other set
+                    relax(i + 1, set, step.cost + 2, step, [shift, valueIn(set === 'A' ? 'B' : 'A', codes[i])]);
+                }
+            });
+        }
+
+        let step = sets.map(set => steps[codes.length][set]).filter(Boolean)
+            .reduce((best, candidate) => (candidate.cost < best.cost ? candidate : best));
+        const values = [];
+        while (step) {
+            values.unshift(...step.values);
+            step = step.previous;
+        }
+
+        // The checksum weights each value by its position, the start code counting once
+        const checksum = values.reduce((sum, value, i) => sum + value * Math.max(i, 1), 0) % 103;
+        return [...values, checksum, stop];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinearBarcodeEncoder;
+}
@@ -7,15 +7,41 @@ class QRCodeGenerator {
         this.currentQRCode = null;
         this.databaseManager = new DatabaseManager(this);
         this.exportManager = new ExportManager(this);
+        this.batchGenerator = new BatchGenerator(this);
+        this.thumbnails = new ThumbnailCache(this);
         this.savedCodes = [];
+        this.editingId = null; // Id of the saved code that saving updates, null for a new code
+        this.historyOpenId = null; // Saved code whose revision history is showing
+        this.labelsEditId = null; // Saved code whose tags and folder are being edited
+        this.selectedIds = new Set(); // Saved codes selected for bulk actions
+        this.selectionAnchorId = null; // Saved code a shift-click selects the range from
+        this.listedIds = []; // Ids of the saved codes listed on the current page, in order
+        // Search, filters, sort order and page of the saved codes library
+        this.savedQuery = { search: '', folder: '', tag: '', payloadType: '', errorCorrection: '', sort: 'newest', page: 1 };
+        this.savedView = localStorage.getItem(Config.DATABASE.LOCAL_STORAGE_PREFIX + 'saved_view') === 'grid' ? 'grid' : 'list';
+        this.logo = null; // { dataUrl, mimeType, width, height } of the uploaded center logo
+        this.logoImages = new Map(); // Decoded logo images keyed by data URL
+        this.structuredAppendPieces = []; // Imported codes of a Structured Append set still being collected
 
         this.init();
     }
 
-    init() {
+    async init() {
+        this.initPayloadTypes();
+        this.initShapeOptions();
+        this.initEncodingOptions();
+        this.initGradientEditors();
+        this.initSheetOptions();
+        this.initExportOptions();
+        this.initPrintOptions();
+        this.initSavedCodesFilters();
         this.bindEvents();
-        this.loadSavedCodes();
+        document.getElementById('github-repo-input').value = this.databaseManager.REPO_NAME;
+
+        await this.databaseManager.initStorage();
+        await this.loadSavedCodes();
         this.updateDatabaseStatus();
+        this.replayPendingChanges();
 
         // Show welcome notification
         notificationManager.success('QR Code Generator ready!');
@@ -37,14 +63,25 @@ class QRCodeGenerator {
             this.saveQRCode();
         });
 
-        // Connect GitHub button
-        document.getElementById('connect-github-btn').addEventListener('click', () => {
-            this.connectToDatabase();
+        document.getElementById('save-new-btn').addEventListener('click', () => {
+            this.saveQRCode({ asNew: true });
         });
 
-        // Load all button
+        // Sync button: both ways, for every saved code
         document.getElementById('load-all-btn').addEventListener('click', () => {
-            this.loadAllFromDatabase();
+            this.syncWithDatabase();
+        });
+
+        document.getElementById('sync-conflict-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.resolveSyncConflict(button.closest('[data-id]').dataset.id, button.dataset.action);
+            }
+        });
+
+        // Changes made while offline are sent once the connection returns
+        window.addEventListener('online', () => {
+            this.replayPendingChanges();
         });
 
         // Sync button
@@ -52,281 +89,2394 @@ class QRCodeGenerator {
             this.syncCurrentCode();
         });
 
-        // Export button
-        document.getElementById('export-btn').addEventListener('click', () => {
-            this.exportManager.exportQRCode();
-        });
+        // Export button
+        document.getElementById('export-btn').addEventListener('click', () => {
+            this.exportManager.exportQRCode();
+        });
+
+        // Import an existing QR code from a file, a drop or a pasted image
+        document.getElementById('decode-btn').addEventListener('click', () => {
+            document.getElementById('decode-file').click();
+        });
+
+        // Several files at once import the codes of a Structured Append set
+        document.getElementById('decode-file').addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            if (files.length) {
+                this.importFromImages(files);
+            }
+            e.target.value = '';
+        });
+
+        const dropZone = document.querySelector('.main-container');
+        dropZone.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+                e.preventDefault();
+                dropZone.classList.add('drag-over');
+            }
+        });
+        dropZone.addEventListener('dragleave', (e) => {
+            if (!dropZone.contains(e.relatedTarget)) {
+                dropZone.classList.remove('drag-over');
+            }
+        });
+        dropZone.addEventListener('drop', (e) => {
+            dropZone.classList.remove('drag-over');
+            const files = e.dataTransfer ? Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/')) : [];
+            if (files.length) {
+                e.preventDefault();
+                this.importFromImages(files);
+            }
+        });
+
+        // Only image pastes are intercepted; text still pastes into inputs normally
+        document.addEventListener('paste', (e) => {
+            const files = e.clipboardData ? Array.from(e.clipboardData.items)
+                .filter(i => i.kind === 'file' && i.type.startsWith('image/'))
+                .map(i => i.getAsFile()) : [];
+            if (files.length) {
+                e.preventDefault();
+                this.importFromImages(files);
+            }
+        });
+
+        // Export options
+        document.getElementById('export-format-select').addEventListener('change', () => this.updateExportOptions());
+        ['pdf-layout-select', 'sheet-template-select', 'sheet-caption-select'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateExportOptions());
+        });
+        document.getElementById('export-quality').addEventListener('input', () => this.updateExportOptions());
+
+        // Batch generation
+        document.getElementById('batch-file-btn').addEventListener('click', () => {
+            document.getElementById('batch-file').click();
+        });
+
+        document.getElementById('batch-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                document.getElementById('batch-data').value = await file.text();
+                this.updateBatchSummary();
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('batch-data').addEventListener('input', () => this.updateBatchSummary());
+
+        document.getElementById('batch-generate-btn').addEventListener('click', () => {
+            this.generateBatch();
+        });
+
+        // Backup & restore
+        document.getElementById('export-all-btn').addEventListener('click', () => {
+            this.databaseManager.exportAllQRCodes();
+        });
+
+        document.getElementById('import-btn').addEventListener('click', () => {
+            document.getElementById('import-file').click();
+        });
+
+        document.getElementById('import-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const count = await this.databaseManager.importQRCodesFromBackup(file);
+                if (count > 0) {
+                    await this.loadSavedCodes();
+                    this.updateDatabaseStatus();
+                }
+            }
+            e.target.value = '';
+        });
+
+        // Measure on every keystroke, then regenerate once typing pauses. Content that
+        // does not fit, or has not changed, is not regenerated, and larger symbols
+        // wait longer since they take longer to encode. Splitting content into a
+        // Structured Append set is too slow to measure per keystroke, so a set is
+        // measured once typing pauses and waits as long as the largest symbol.
+        let generateTimeout;
+        const scheduleGenerate = () => {
+            clearTimeout(generateTimeout);
+            const capacity = this.updateCapacityMeter({ deferSet: true });
+            if (!capacity) return;
+
+            const { PREVIEW_DELAY, LARGE_PREVIEW_DELAY } = Config.UI;
+            if (capacity.pending) {
+                generateTimeout = setTimeout(() => {
+                    const measured = this.updateCapacityMeter();
+                    if (measured && measured.current && measured.current.fits &&
+                        !(this.currentQRCode && this.currentQRCode.content === measured.content)) {
+                        this.generateQRCode();
+                    }
+                }, LARGE_PREVIEW_DELAY);
+                return;
+            }
+
+            if (!capacity.current || !capacity.current.fits) return;
+            if (this.currentQRCode && this.currentQRCode.content === capacity.content) return;
+
+            // 31329 modules is a version 40 QR code
+            const scale = Math.min(1, capacity.current.width * capacity.current.height / 31329);
+            generateTimeout = setTimeout(() => this.generateQRCode(), PREVIEW_DELAY + (LARGE_PREVIEW_DELAY - PREVIEW_DELAY) * scale);
+        };
+        document.getElementById('content-input').addEventListener('input', scheduleGenerate);
+
+        // Regenerate when styling changes
+        ['module-shape-select', 'finder-outer-shape-select', 'finder-inner-shape-select',
+            'finder-outer-color', 'finder-inner-color'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.regenerateIfActive());
+        });
+
+        document.getElementById('finder-custom-colors').addEventListener('change', () => {
+            this.toggleFinderColorInputs();
+            this.regenerateIfActive();
+        });
+
+        document.getElementById('symbol-type-select').addEventListener('change', () => {
+            this.updateSymbolTypeOptions();
+            this.updatePrintOptions();
+            this.regenerateIfActive();
+        });
+
+        document.getElementById('error-correction-select').addEventListener('change', () => {
+            this.updateLogoSizeHint();
+            this.regenerateIfActive();
+        });
+
+        ['version-select', 'mask-select', 'segment-mode-select', 'utf8-eci', 'structured-append-select'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.regenerateIfActive());
+        });
+
+        // Pixel presets or a physical print size
+        ['size-select', 'print-width', 'print-dpi'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updatePrintOptions();
+                this.regenerateIfActive();
+            });
+        });
+
+        document.getElementById('print-unit').addEventListener('change', (e) => {
+            this.setPrintUnit(e.target.value);
+        });
+
+        document.getElementById('scan-distance').addEventListener('input', () => this.updateScanDistanceHint());
+
+        document.getElementById('apply-print-size-btn').addEventListener('click', () => {
+            const recommended = this.getRecommendedPrintSize();
+            if (recommended) {
+                document.getElementById('print-width').value = recommended.width;
+                this.updatePrintOptions();
+                this.regenerateIfActive();
+            }
+        });
+
+        // Center logo
+        document.getElementById('logo-upload-btn').addEventListener('click', () => {
+            document.getElementById('logo-file').click();
+        });
+
+        document.getElementById('logo-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.uploadLogo(file);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('logo-remove-btn').addEventListener('click', () => {
+            this.setLogo(null);
+            this.regenerateIfActive();
+        });
+
+        ['logo-size', 'logo-padding', 'logo-radius'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateLogoOptionLabels());
+            document.getElementById(id).addEventListener('change', () => this.regenerateIfActive());
+        });
+        document.getElementById('logo-knockout').addEventListener('change', () => this.regenerateIfActive());
+
+        // Payload type selector and structured fields
+        document.getElementById('payload-type-select').addEventListener('change', (e) => {
+            this.renderPayloadFields(e.target.value);
+            this.updatePayloadPreview();
+        });
+
+        const payloadFields = document.getElementById('payload-fields');
+        ['input', 'change'].forEach(eventName => {
+            payloadFields.addEventListener(eventName, () => {
+                this.updatePayloadPreview();
+                scheduleGenerate();
+            });
+        });
+
+        // Saved codes search, filters, sort order and pages
+        document.getElementById('saved-search').addEventListener('input', (e) => {
+            this.setSavedQuery({ search: e.target.value });
+        });
+        [
+            ['saved-folder-filter', 'folder'],
+            ['saved-tag-filter', 'tag'],
+            ['saved-type-filter', 'payloadType'],
+            ['saved-ecc-filter', 'errorCorrection'],
+            ['saved-sort', 'sort']
+        ].forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('change', (e) => this.setSavedQuery({ [key]: e.target.value }));
+        });
+        document.getElementById('saved-prev-btn').addEventListener('click', () => {
+            this.setSavedQuery({ page: this.savedQuery.page - 1 });
+        });
+        document.getElementById('saved-next-btn').addEventListener('click', () => {
+            this.setSavedQuery({ page: this.savedQuery.page + 1 });
+        });
+
+        // Saved codes as a list or a grid of thumbnails, enlarged on hover
+        document.getElementById('saved-view-list').addEventListener('click', () => this.setSavedView('list'));
+        document.getElementById('saved-view-grid').addEventListener('click', () => this.setSavedView('grid'));
+        const savedList = document.getElementById('saved-codes-list');
+
+        // Buttons of the saved codes name their action; the code is the one they are listed under
+        savedList.addEventListener('click', (e) => this.handleSavedCodeClick(e));
+        savedList.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCodeLabels(this.findSavedCodeId(e.target));
+        });
+        savedList.addEventListener('mouseover', (e) => {
+            const img = e.target.closest('.saved-code-thumbnail img');
+            if (img) this.showThumbnailZoom(img);
+        });
+        savedList.addEventListener('mouseout', (e) => {
+            if (e.target.closest('.saved-code-thumbnail img')) this.hideThumbnailZoom();
+        });
+        savedList.addEventListener('scroll', () => this.hideThumbnailZoom());
+
+        // Bulk actions on the selected saved codes
+        document.getElementById('bulk-select-all-btn').addEventListener('click', () => this.selectAllSavedCodes());
+        document.getElementById('bulk-clear-btn').addEventListener('click', () => this.clearSelection());
+        document.getElementById('bulk-labels-btn').addEventListener('click', () => this.toggleBulkLabels());
+        document.getElementById('bulk-labels-cancel').addEventListener('click', () => this.toggleBulkLabels(false));
+        document.getElementById('bulk-labels-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyBulkLabels();
+        });
+        document.getElementById('bulk-restyle-btn').addEventListener('click', () => this.restyleSelectedCodes());
+        document.getElementById('bulk-export-btn').addEventListener('click', () => this.exportSelectedCodes());
+        document.getElementById('bulk-delete-btn').addEventListener('click', () => this.deleteSelectedCodes());
+
+        // Settings panel toggle
+        document.getElementById('settings-btn').addEventListener('click', () => {
+            this.toggleSettingsPanel();
+        });
+    }
+
+    initShapeOptions() {
+        const fill = (id, shapes) => {
+            document.getElementById(id).innerHTML = Object.entries(shapes)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join('');
+        };
+        fill('module-shape-select', QRRenderer.MODULE_SHAPES);
+        fill('finder-outer-shape-select', QRRenderer.FINDER_OUTER_SHAPES);
+        fill('finder-inner-shape-select', QRRenderer.FINDER_INNER_SHAPES);
+    }
+
+    /**
+     * Fill the symbol type, version, mask and encoding mode choices
+     */
+    initEncodingOptions() {
+        const symbolTypeSelect = document.getElementById('symbol-type-select');
+        symbolTypeSelect.innerHTML = Object.entries(QRCore.SYMBOL_TYPES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        symbolTypeSelect.value = Config.QR_CODE.DEFAULT_SYMBOL_TYPE;
+
+        document.getElementById('segment-mode-select').innerHTML = Object.entries(QREncoder.SEGMENT_MODES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        document.getElementById('segment-mode-select').value = Config.QR_CODE.DEFAULT_SEGMENT_MODE;
+        document.getElementById('utf8-eci').checked = Config.QR_CODE.USE_UTF8_ECI;
+
+        document.getElementById('structured-append-select').innerHTML =
+            '<option value="off">Off (one code)</option><option value="auto">Auto (fewest codes)</option>' +
+            Array.from({ length: StructuredAppend.MAX_SYMBOLS - 1 }, (_, i) => `<option value="${i + 2}">${i + 2} codes</option>`).join('');
+
+        this.updateSymbolTypeOptions();
+    }
+
+    /**
+     * Offer the versions, error correction levels, masks and encoding options of the
+     * selected symbol type; choices it does not have are disabled
+     */
+    updateSymbolTypeOptions() {
+        const symbolType = document.getElementById('symbol-type-select').value;
+        const encoder = QRCore.getEncoder(symbolType);
+
+        const versionSelect = document.getElementById('version-select');
+        const version = versionSelect.value;
+        versionSelect.innerHTML = '<option value="auto">Auto (smallest that fits)</option>' +
+            encoder.VERSIONS.map(v => `<option value="${v}">${encoder.getVersionLabel(v)}</option>`).join('');
+        versionSelect.value = encoder.VERSIONS.map(String).includes(version) ? version : 'auto';
+        versionSelect.disabled = encoder.VERSIONS.length === 0;
+
+        // Move to the nearest level the symbol type has, rounding up on a tie
+        const levels = Config.QR_CODE.ALLOWED_ERROR_CORRECTION_LEVELS;
+        const eccSelect = document.getElementById('error-correction-select');
+        Array.from(eccSelect.options).forEach(option => {
+            option.disabled = !encoder.ERROR_CORRECTION_LEVELS.includes(option.value);
+        });
+        // Data Matrix and linear barcodes have no level to choose
+        eccSelect.disabled = encoder.ERROR_CORRECTION_LEVELS.length === 0;
+        if (!eccSelect.disabled && !encoder.ERROR_CORRECTION_LEVELS.includes(eccSelect.value)) {
+            const distance = level => Math.abs(levels.indexOf(level) - levels.indexOf(eccSelect.value));
+            eccSelect.value = encoder.ERROR_CORRECTION_LEVELS.reduce((best, level) => (distance(level) <= distance(best) ? level : best));
+            this.updateLogoSizeHint();
+        }
+
+        // Segment modes are QR only; linear barcodes have no ECI
+        document.getElementById('segment-mode-select').disabled = !QRCore.isQRSymbol(symbolType);
+        document.getElementById('utf8-eci').disabled = encoder === LinearBarcodeEncoder;
+        // Micro QR and rMQR have no Structured Append header
+        document.getElementById('structured-append-select').disabled = symbolType !== 'qr';
+
+        this.updateMaskOptions(null);
+    }
+
+    /**
+     * Label the mask choices, with each mask's score once a code is encoded
+     * @param {Object|null} qr - Encoded symbol
+     */
+    updateMaskOptions(qr) {
+        const select = document.getElementById('mask-select');
+        const symbolType = document.getElementById('symbol-type-select').value;
+        const value = select.value || 'auto';
+
+        // rMQR has a single mask pattern and the other symbologies none
+        const maskCount = QRCore.getEncoder(symbolType).MASK_COUNT;
+        select.disabled = !maskCount;
+        if (!maskCount) {
+            select.innerHTML = symbolType === 'rmqr'
+                ? '<option value="auto">Fixed (rMQR uses one mask)</option>'
+                : `<option value="auto">None (${QRCore.SYMBOL_TYPES[symbolType]} has no masks)</option>`;
+            return;
+        }
+
+        // QR masks are scored by penalty (lower is better), Micro QR masks by score (higher is better)
+        const isMicro = symbolType === 'micro';
+        const scores = qr ? (isMicro ? qr.maskScores : qr.penalties) : null;
+        const best = scores ? scores.indexOf(isMicro ? Math.max(...scores) : Math.min(...scores)) : null;
+        const scoreName = isMicro ? 'score' : 'penalty';
+
+        select.innerHTML = `<option value="auto">Auto (${isMicro ? 'highest score' : 'lowest penalty'}${scores ? `: mask ${best}` : ''})</option>` +
+            Array.from({ length: maskCount }, (_, mask) =>
+                `<option value="${mask}">Mask ${mask}${scores ? ` (${scoreName} ${scores[mask]})` : ''}</option>`).join('');
+        select.value = value;
+        if (!select.value) {
+            select.value = 'auto';
+        }
+    }
+
+    /**
+     * Describe the version, mask and segments the encoder chose, or the size and
+     * capacity used of the other symbologies
+     * @param {Object} qr - Encoded symbol
+     * @param {Object[]|null} set - Codes of a Structured Append set, when qr is one of them
+     */
+    updateEncodingInfo(qr, set = null) {
+        const width = qr.width || qr.getModuleCount();
+        const height = qr.height || qr.getModuleCount();
+        const info = document.getElementById('encoding-info');
+
+        if (!QRCore.isQRSymbol(qr.symbolType)) {
+            const encoder = QRCore.getEncoder(qr.symbolType);
+            const eci = qr.eci ? ' with UTF-8 ECI' : '';
+            switch (qr.symbolType) {
+                case 'datamatrix':
+                    info.textContent = `Size ${encoder.getVersionLabel(qr.version)}${eci}. ` +
+                        `${qr.dataCodewords} of ${qr.capacityCodewords} data codewords used.`;
+                    break;
+                case 'aztec':
+                    info.textContent = `${encoder.getVersionLabel(qr.version)}${eci}. ` +
+                        `${qr.dataBits} of ${qr.capacityBits} data bits used.`;
+                    break;
+                case 'pdf417':
+                    info.textContent = `${encoder.getVersionLabel(qr.version)}, ${qr.rows} rows (${width}×${height} modules)${eci}. ` +
+                        `${qr.dataCodewords} of ${qr.capacityCodewords} data codewords used.`;
+                    break;
+                default:
+                    info.textContent = `${width} modules wide. Encodes ${qr.text}.`;
+            }
+            return;
+        }
+
+        const segments = qr.segments
+            .map(segment => `${segment.mode} ×${Array.from(segment.text).length}`)
+            .join(', ') || 'none';
+
+        if (set) {
+            const parity = set[0].structuredAppend.parity.toString(16).toUpperCase().padStart(2, '0');
+            info.textContent = `${set.length} linked codes, version ${qr.version} (${width}×${height}), parity ${parity}. ` +
+                `Code ${qr.structuredAppend.index + 1} uses ${qr.dataBits} of ${qr.capacityBits} data bits.`;
+            return;
+        }
+
+        info.textContent =
+            `Version ${qr.version} (${width}×${height})${qr.mask !== null ? `, mask ${qr.mask}` : ''}. ` +
+            `Segments: ${segments}${qr.eci ? ' with UTF-8 ECI' : ''}. ` +
+            `${qr.dataBits} of ${qr.capacityBits} data bits used.` +
+            (qr.version === 'M1' ? ' M1 detects errors but cannot correct them.' : '');
+    }
+
+    /**
+     * Measure the content box against the selected symbol type and show how full
+     * the symbol is, the room left at each error correction level and what to
+     * change when it is too long
+     * @param {Object} options - { deferSet: true to leave a Structured Append set unmeasured,
+     *     showing the last measurement as out of date, while the user types }
+     * @returns {Object|null} - CapacityMeter report plus the measured content, { pending: true, content }
+     *     for a deferred set, or null when the box is empty
+     */
+    updateCapacityMeter({ deferSet = false } = {}) {
+        const meter = document.getElementById('capacity-meter');
+        const content = document.getElementById('content-input').value.trim();
+        if (!content) {
+            meter.classList.add('hidden');
+            return null;
+        }
+
+        const options = this.getStyleOptions();
+        if (deferSet && options.structuredAppendCount) {
+            meter.classList.add('pending');
+            return { pending: true, content };
+        }
+
+        const report = CapacityMeter.measure(content, options);
+        const { status, ratio, levels, advice } = report;
+
+        meter.className = `capacity-meter ${status}`;
+        // EAN-13 and UPC-A have a fixed length and no fill to show
+        const percent = ratio !== null ? Math.min(100, ratio * 100) : (status === 'ok' ? 0 : 100);
+        document.getElementById('capacity-meter-fill').style.width = `${percent ? Math.max(percent, 1) : 0}%`;
+        document.getElementById('capacity-meter-summary').textContent =
+            [CapacityMeter.STATUS_LABELS[status], report.summary].filter(Boolean).join(' · ');
+
+        document.getElementById('capacity-meter-levels').innerHTML = levels.map(entry => {
+            const classes = [entry.level === report.errorCorrection ? 'selected' : '', entry.fits ? '' : 'over'].filter(Boolean).join(' ');
+            let room;
+            if (entry.symbols !== undefined) {
+                // Structured Append sets count codes instead of room left
+                room = entry.fits ? `${entry.symbols} codes` : 'too long';
+            } else if (!Number.isFinite(entry.remaining)) {
+                room = entry.fits ? 'fits' : 'too long';
+            } else {
+                room = entry.remaining >= 0
+                    ? `${CapacityMeter.formatAmount(entry.remaining, entry.unit)} left`
+                    : `${CapacityMeter.formatAmount(-entry.remaining, entry.unit, true)} over`;
+            }
+            return `<li class="${classes}">${entry.level}: ${room}</li>`;
+        }).join('');
+
+        const adviceElement = document.getElementById('capacity-meter-advice');
+        adviceElement.textContent = advice || '';
+        adviceElement.classList.toggle('hidden', !advice);
+
+        return { ...report, content };
+    }
+
+    /**
+     * Fill the export format choices from Config.EXPORT.FORMATS
+     */
+    initExportOptions() {
+        const { FORMATS, DEFAULT_FORMAT, DEFAULT_QUALITY, DEFAULT_FILENAME_PATTERN } = Config.EXPORT;
+
+        const select = document.getElementById('export-format-select');
+        select.innerHTML = Object.entries(FORMATS)
+            .map(([value, format]) => `<option value="${value}">${format.label}</option>`)
+            .join('');
+        select.value = DEFAULT_FORMAT;
+
+        document.getElementById('batch-formats').innerHTML = Object.entries(FORMATS)
+            .map(([value, format]) => `<label class="checkbox-label"><input type="checkbox" name="batch-format" value="${value}"${value === DEFAULT_FORMAT ? ' checked' : ''}> ${format.name}</label>`)
+            .join('');
+
+        document.getElementById('export-quality').value = DEFAULT_QUALITY;
+        document.getElementById('export-filename-pattern').value = DEFAULT_FILENAME_PATTERN;
+        this.updateExportOptions();
+    }
+
+    /**
+     * Fill the label sheet selects from Config and apply the default grid
+     */
+    initSheetOptions() {
+        const { PAGE_SIZES, LABEL_TEMPLATES, SHEET } = Config.EXPORT;
+
+        document.getElementById('sheet-page-size-select').innerHTML = Object.entries(PAGE_SIZES)
+            .map(([value, page]) => `<option value="${value}">${page.label}</option>`)
+            .join('');
+        document.getElementById('sheet-template-select').innerHTML = '<option value="custom">Custom grid</option>' +
+            Object.entries(LABEL_TEMPLATES)
+                .map(([value, template]) => `<option value="${value}">${template.label}</option>`)
+                .join('');
+
+        document.getElementById('sheet-rows').value = SHEET.DEFAULT_ROWS;
+        document.getElementById('sheet-columns').value = SHEET.DEFAULT_COLUMNS;
+        document.getElementById('sheet-margin').value = SHEET.DEFAULT_MARGIN;
+        document.getElementById('sheet-gutter').value = SHEET.DEFAULT_GUTTER;
+    }
+
+    /**
+     * Fill the DPI choices and default print size from Config
+     */
+    initPrintOptions() {
+        const { DPI_OPTIONS, DEFAULT_DPI, DEFAULT_WIDTH_MM, DEFAULT_SCAN_DISTANCE_MM } = Config.PRINT;
+
+        const dpiSelect = document.getElementById('print-dpi');
+        dpiSelect.innerHTML = DPI_OPTIONS.map(dpi => `<option value="${dpi}">${dpi} DPI</option>`).join('');
+        dpiSelect.value = DEFAULT_DPI;
+
+        this.printUnit = 'mm';
+        document.getElementById('print-unit').value = this.printUnit;
+        document.getElementById('print-width').value = DEFAULT_WIDTH_MM;
+        document.getElementById('scan-distance').value = DEFAULT_SCAN_DISTANCE_MM;
+        this.updatePrintOptions();
+    }
+
+    /**
+     * Read the print size fields
+     * @returns {Object} - { width, unit, dpi }
+     */
+    getPrintSize() {
+        const unit = this.printUnit;
+        const width = parseFloat(document.getElementById('print-width').value);
+
+        return {
+            width: width > 0 ? width : PrintSizing.round(PrintSizing.convert(Config.PRINT.DEFAULT_WIDTH_MM, 'mm', unit), unit),
+            unit,
+            dpi: parseInt(document.getElementById('print-dpi').value)
+        };
+    }
+
+    /**
+     * Switch print lengths to another unit, converting the values already entered
+     */
+    setPrintUnit(unit) {
+        const previous = this.printUnit;
+        this.printUnit = unit;
+
+        ['print-width', 'scan-distance'].forEach(id => {
+            const input = document.getElementById(id);
+            input.step = PrintSizing.UNITS[unit].step;
+            const value = parseFloat(input.value);
+            if (value > 0) {
+                input.value = PrintSizing.round(PrintSizing.convert(value, previous, unit), unit);
+            }
+        });
+
+        document.getElementById('print-unit').value = unit;
+        this.updatePrintOptions();
+    }
+
+    /**
+     * Show the print fields when "Print size" is selected and the pixel size they give
+     */
+    updatePrintOptions() {
+        const isPrint = document.getElementById('size-select').value === 'print';
+        document.getElementById('print-size-options').classList.toggle('hidden', !isPrint);
+        document.getElementById('scan-distance-unit').textContent = PrintSizing.UNITS[this.printUnit].label;
+
+        const print = this.getPrintSize();
+        const size = PrintSizing.getPixelSize(print);
+        const dpi = Math.round(PrintSizing.getEffectiveDPI(print, size));
+        const margin = QRCore.getDefaultMargin(document.getElementById('symbol-type-select').value);
+        document.getElementById('print-size-info').textContent = `${size} × ${size} px` +
+            (dpi !== print.dpi ? ` (prints at ${dpi} DPI)` : '') +
+            `, plus a ${margin}-module quiet zone on each side`;
+
+        this.updateScanDistanceHint();
+    }
+
+    /**
+     * Minimum print size for the current code at the entered scanning distance
+     * @returns {Object|null} - { width, moduleSize } in the current unit
+     */
+    getRecommendedPrintSize() {
+        const distance = parseFloat(document.getElementById('scan-distance').value);
+        if (!this.currentQRCode || !(distance > 0)) {
+            return null;
+        }
+
+        return PrintSizing.recommendSize({
+            distance,
+            unit: this.printUnit,
+            moduleCount: this.currentQRCode.qr.getModuleCount()
+        });
+    }
+
+    updateScanDistanceHint() {
+        const hint = document.getElementById('scan-distance-hint');
+        const recommended = this.getRecommendedPrintSize();
+        const unit = PrintSizing.UNITS[this.printUnit].label;
+
+        if (!this.currentQRCode) {
+            hint.textContent = 'Generate a code to get a recommended size';
+        } else if (!recommended) {
+            hint.textContent = 'Enter how far away the code will be scanned from';
+        } else {
+            const moduleCount = this.currentQRCode.qr.getModuleCount();
+            hint.textContent = `Print at least ${recommended.width} ${unit} wide ` +
+                `(${moduleCount} modules of ${recommended.moduleSize} ${unit})`;
+        }
+        document.getElementById('apply-print-size-btn').disabled = !recommended;
+    }
+
+    /**
+     * Show only the export settings that apply to the chosen format and layout
+     */
+    updateExportOptions() {
+        const format = document.getElementById('export-format-select').value;
+        const isPDF = format === 'pdf';
+        const isSheet = document.getElementById('pdf-layout-select').value === 'sheet';
+
+        document.getElementById('export-quality-options').classList.toggle('hidden', !Config.EXPORT.FORMATS[format].quality);
+        document.getElementById('export-quality-value').textContent = `${document.getElementById('export-quality').value}%`;
+        document.getElementById('pdf-options').classList.toggle('hidden', !isPDF);
+        document.getElementById('sheet-options').classList.toggle('hidden', !isSheet);
+        // Label templates fix their own page size and grid
+        document.getElementById('sheet-grid-options').classList.toggle('hidden',
+            document.getElementById('sheet-template-select').value !== 'custom');
+        document.getElementById('sheet-caption-text').classList.toggle('hidden',
+            document.getElementById('sheet-caption-select').value !== 'custom');
+    }
+
+    initGradientEditors() {
+        this.foregroundGradientEditor = new GradientEditor(document.getElementById('foreground-gradient'), {
+            idPrefix: 'foreground',
+            label: 'Foreground',
+            getBaseColor: () => document.getElementById('foreground-color').value,
+            defaultEndColor: '#0066ff',
+            onChange: () => this.regenerateIfActive()
+        });
+        this.backgroundGradientEditor = new GradientEditor(document.getElementById('background-gradient'), {
+            idPrefix: 'background',
+            label: 'Background',
+            getBaseColor: () => document.getElementById('background-color').value,
+            defaultEndColor: '#e0e7ff',
+            onChange: () => this.regenerateIfActive()
+        });
+    }
+
+    /**
+     * Fill the saved codes type filter and sort orders; the folder, tag and
+     * error correction filters offer what the saved codes use
+     */
+    initSavedCodesFilters() {
+        document.getElementById('saved-type-filter').innerHTML = '<option value="">All types</option>' +
+            Object.entries(PayloadBuilder.TYPES)
+                .map(([type, definition]) => `<option value="${type}">${definition.label}</option>`)
+                .join('');
+
+        const sortSelect = document.getElementById('saved-sort');
+        sortSelect.innerHTML = Object.entries(SavedCodesQuery.SORT_ORDERS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        sortSelect.value = this.savedQuery.sort;
+
+        const exportSelect = document.getElementById('bulk-export-format');
+        exportSelect.innerHTML = '<option value="pdf-pages">PDF, a page per code</option>' +
+            Object.entries(Config.EXPORT.FORMATS)
+                .map(([value, format]) => `<option value="${value}">ZIP of ${format.name} files</option>`)
+                .join('');
+        exportSelect.value = Config.EXPORT.DEFAULT_FORMAT;
+
+        this.updateSavedCodesFilters();
+        this.updateSavedViewButtons();
+    }
+
+    /**
+     * Offer the folders, tags and error correction levels of the saved codes,
+     * dropping a selected one that no code uses any more
+     */
+    updateSavedCodesFilters() {
+        const fill = (id, key, allLabel, options) => {
+            if (this.savedQuery[key] && !options.some(([value]) => value === this.savedQuery[key])) {
+                this.savedQuery[key] = '';
+            }
+            const select = document.getElementById(id);
+            select.innerHTML = `<option value="">${allLabel}</option>` + options
+                .map(([value, label]) => `<option value="${this.escapeHTML(value)}">${this.escapeHTML(label)}</option>`)
+                .join('');
+            select.value = this.savedQuery[key];
+        };
+
+        const folders = SavedCodesQuery.getFolders(this.savedCodes);
+        fill('saved-folder-filter', 'folder', 'All folders', [[SavedCodesQuery.UNFILED, 'Unfiled'], ...folders.map(folder => [folder, folder])]);
+        fill('saved-tag-filter', 'tag', 'All tags', SavedCodesQuery.getTags(this.savedCodes).map(tag => [tag, tag]));
+        const levels = [...new Set(this.savedCodes.map(q => q.errorCorrection).filter(Boolean))].sort();
+        fill('saved-ecc-filter', 'errorCorrection', 'All levels', levels.map(level => [level, level]));
+
+        // Folder names offered while editing a code's folder
+        document.getElementById('saved-folder-names').innerHTML = folders
+            .map(folder => `<option value="${this.escapeHTML(folder)}">`)
+            .join('');
+    }
+
+    /**
+     * Change the saved codes search, filters, sort order or page and list the
+     * codes again; any change but the page goes back to the first page
+     */
+    setSavedQuery(changes) {
+        this.savedQuery = { ...this.savedQuery, page: 1, ...changes };
+        this.updateSavedCodesList();
+    }
+
+    /**
+     * Show the saved codes as a list or a grid of thumbnails, remembering the choice
+     * @param {string} view - 'list' or 'grid'
+     */
+    setSavedView(view) {
+        this.savedView = view;
+        localStorage.setItem(Config.DATABASE.LOCAL_STORAGE_PREFIX + 'saved_view', view);
+        this.updateSavedViewButtons();
+        this.updateSavedCodesList();
+    }
+
+    updateSavedViewButtons() {
+        ['list', 'grid'].forEach(view => {
+            const button = document.getElementById(`saved-view-${view}`);
+            button.classList.toggle('active', this.savedView === view);
+            button.setAttribute('aria-pressed', String(this.savedView === view));
+        });
+    }
+
+    /**
+     * Show a thumbnail enlarged beside it, on whichever side has room
+     */
+    showThumbnailZoom(img) {
+        if (!img.getAttribute('src')) return;
+
+        const zoom = document.getElementById('thumbnail-zoom');
+        const enlarged = zoom.querySelector('img');
+        enlarged.src = img.src;
+        enlarged.style.width = `${Config.UI.THUMBNAIL_SIZE}px`;
+        zoom.classList.remove('hidden');
+
+        const rect = img.getBoundingClientRect();
+        const gap = 8;
+        const width = zoom.offsetWidth;
+        const height = zoom.offsetHeight;
+        const left = rect.right + gap + width <= window.innerWidth ? rect.right + gap : Math.max(gap, rect.left - gap - width);
+        const top = Math.max(gap, Math.min(rect.top + (rect.height - height) / 2, window.innerHeight - height - gap));
+        zoom.style.left = `${left}px`;
+        zoom.style.top = `${top}px`;
+    }
+
+    hideThumbnailZoom() {
+        document.getElementById('thumbnail-zoom').classList.add('hidden');
+    }
+
+    /**
+     * Clear the search and filters, keeping the sort order
+     */
+    clearSavedCodesFilters() {
+        document.getElementById('saved-search').value = '';
+        this.setSavedQuery({ search: '', folder: '', tag: '', payloadType: '', errorCorrection: '' });
+    }
+
+    initPayloadTypes() {
+        const select = document.getElementById('payload-type-select');
+        select.innerHTML = Object.entries(PayloadBuilder.TYPES)
+            .map(([type, definition]) => `<option value="${type}">${definition.label}</option>`)
+            .join('');
+        select.value = 'text';
+        this.renderPayloadFields('text');
+    }
+
+    /**
+     * Render the form fields for a structured payload type
+     */
+    renderPayloadFields(type, values = {}) {
+        const container = document.getElementById('payload-fields');
+        const contentInput = document.getElementById('content-input');
+        const { fields } = PayloadBuilder.getType(type);
+
+        container.innerHTML = fields.map(field => {
+            const id = `payload-field-${field.name}`;
+            const required = field.required ? ' required' : '';
+
+            if (field.type === 'checkbox') {
+                return `
+                    <div class="form-group">
+                        <label class="form-label checkbox-label" for="${id}">
+                            <input type="checkbox" id="${id}" data-field="${field.name}">
+                            ${field.label}
+                        </label>
+                    </div>
+                `;
+            }
+
+            let control;
+            if (field.type === 'select') {
+                control = `<select id="${id}" class="form-select" data-field="${field.name}">
+                    ${field.options.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+                </select>`;
+            } else if (field.type === 'textarea') {
+                control = `<textarea id="${id}" class="form-textarea" rows="3" data-field="${field.name}"${required}></textarea>`;
+            } else {
+                const step = field.step ? ` step="${field.step}"` : '';
+                control = `<input type="${field.type}" id="${id}" class="form-input" data-field="${field.name}"${step}${required}>`;
+            }
+
+            return `
+                <div class="form-group">
+                    <label for="${id}" class="form-label">${field.label}${field.required ? ' *' : ''}</label>
+                    ${control}
+                </div>
+            `;
+        }).join('');
+
+        this.setPayloadFields(type, values);
+
+        // Structured types drive the content box, which then becomes a read-only preview
+        const structured = fields.length > 0;
+        container.classList.toggle('hidden', !structured);
+        contentInput.readOnly = structured;
+        document.getElementById('content-input-label').textContent = structured ? 'Encoded Content' : 'Text or URL';
+    }
+
+    getPayloadType() {
+        return document.getElementById('payload-type-select').value;
+    }
+
+    getPayloadFields() {
+        const fields = {};
+        document.querySelectorAll('#payload-fields [data-field]').forEach(input => {
+            fields[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return fields;
+    }
+
+    setPayloadFields(type, values = {}) {
+        PayloadBuilder.getType(type).fields.forEach(field => {
+            const input = document.getElementById(`payload-field-${field.name}`);
+            if (!input) return;
+
+            const value = values[field.name] !== undefined ? values[field.name] : field.value;
+            if (field.type === 'checkbox') {
+                input.checked = !!value;
+            } else {
+                input.value = value !== undefined ? value : '';
+            }
+        });
+    }
+
+    /**
+     * Mirror the serialized structured payload into the content box
+     */
+    updatePayloadPreview() {
+        const type = this.getPayloadType();
+        if (type === 'text') return;
+
+        const contentInput = document.getElementById('content-input');
+        try {
+            contentInput.value = PayloadBuilder.build(type, this.getPayloadFields());
+        } catch (error) {
+            contentInput.value = '';
+        }
+    }
+
+    /**
+     * Get the content to encode, serializing structured payloads
+     * @returns {string} - Content, or an empty string when there is nothing to encode
+     */
+    getContent() {
+        const type = this.getPayloadType();
+        const contentInput = document.getElementById('content-input');
+
+        if (type !== 'text') {
+            // Let validation errors propagate so the user sees which field is wrong
+            contentInput.value = PayloadBuilder.build(type, this.getPayloadFields());
+        }
+
+        return contentInput.value.trim();
+    }
+
+    /**
+     * Encode the form into the preview and currentQRCode
+     * @returns {boolean} - Whether a code was generated; on failure currentQRCode still holds the previous one
+     */
+    generateQRCode() {
+        let content;
+        try {
+            content = this.getContent();
+        } catch (error) {
+            notificationManager.error(error.message);
+            return false;
+        }
+
+        if (!content) {
+            notificationManager.error('Please enter text or URL to generate QR code');
+            return false;
+        }
+
+        // Say what to change instead of the encoder's error when the content does not fit
+        const capacity = this.updateCapacityMeter();
+        if (capacity && (capacity.status === 'overflow' || capacity.status === 'invalid')) {
+            notificationManager.error(capacity.advice);
+            return false;
+        }
+
+        const options = this.getStyleOptions();
+
+        try {
+            // Show loading state
+            this.showLoadingState(true);
+
+            // A Structured Append set is previewed together; the badge shows its least scannable code
+            const set = options.structuredAppendCount ? this.buildQRCodeSet(content, options) : null;
+            const statuses = ['pass', 'warn', 'fail'];
+            const { qr, canvas, geometry, scannability } = set
+                ? set.reduce((worst, symbol) => (statuses.indexOf(symbol.scannability.status) > statuses.indexOf(worst.scannability.status) ? symbol : worst))
+                : this.buildQRCode(content, options);
+
+            // Update preview
+            if (set) {
+                this.updateSetPreview(set);
+            } else {
+                this.updatePreview(canvas);
+            }
+
+            if (geometry.logo) {
+                this.updateLogoSizeHint(geometry.logo);
+            }
+
+            this.updateScannabilityBadge(scannability);
+            this.updateMaskOptions(set ? null : qr);
+            this.updateEncodingInfo(qr, set);
+
+            // Store current QR code data
+            this.currentQRCode = {
+                content: content,
+                payloadType: this.getPayloadType(),
+                payloadFields: this.getPayloadType() === 'text' ? null : this.getPayloadFields(),
+                ...options,
+                canvas: canvas,
+                qr: qr, // Store QR code object for SVG generation
+                scannability,
+                // Every code of a Structured Append set, in order: { content, structuredAppend, version, qr, canvas, geometry, scannability }
+                structuredAppendSet: set,
+                timestamp: new Date().toISOString()
+            };
+
+            // Enable action buttons
+            this.toggleActionButtons(true);
+            this.updateScanDistanceHint();
+
+            if (scannability.status === 'fail') {
+                notificationManager.warning(`QR code generated, but it may not scan: ${scannability.issues[0].message}`);
+            } else if (set) {
+                notificationManager.success(`${set.length} linked QR codes generated successfully!`);
+            } else {
+                notificationManager.success('QR code generated successfully!');
+            }
+            return true;
+        } catch (error) {
+            console.error('Error generating QR code:', error);
+            notificationManager.error('Error generating QR code: ' + error.message);
+            return false;
+        } finally {
+            this.showLoadingState(false);
+        }
+    }
+
+    /**
+     * Read the size, error correction, color and shape options from the form
+     */
+    getStyleOptions() {
+        const customFinderColors = document.getElementById('finder-custom-colors').checked;
+        // null means a pixel preset with no physical size
+        const print = document.getElementById('size-select').value === 'print' ? this.getPrintSize() : null;
+        const symbolType = document.getElementById('symbol-type-select').value;
+        const versionValue = document.getElementById('version-select').value;
+        const maskValue = document.getElementById('mask-select').value;
+        const structuredAppendValue = document.getElementById('structured-append-select').value;
+
+        return {
+            size: print ? PrintSizing.getPixelSize(print) : parseInt(document.getElementById('size-select').value),
+            print,
+            symbolType,
+            errorCorrection: document.getElementById('error-correction-select').value,
+            // null means the smallest version that fits and the best scoring mask; Micro QR
+            // and rMQR versions are names such as M3 or R11x43
+            version: versionValue === 'auto' ? null : (symbolType === 'qr' ? parseInt(versionValue) : versionValue),
+            mask: maskValue === 'auto' ? null : parseInt(maskValue),
+            segmentMode: document.getElementById('segment-mode-select').value,
+            eci: document.getElementById('utf8-eci').checked,
+            // null means one code; 'auto' splits across the fewest linked codes
+            structuredAppendCount: symbolType !== 'qr' || structuredAppendValue === 'off' ? null
+                : (structuredAppendValue === 'auto' ? 'auto' : parseInt(structuredAppendValue)),
+            foregroundColor: document.getElementById('foreground-color').value,
+            backgroundColor: document.getElementById('background-color').value,
+            // null means a solid fill with the color above
+            foregroundGradient: this.foregroundGradientEditor.getValue(),
+            backgroundGradient: this.backgroundGradientEditor.getValue(),
+            moduleShape: document.getElementById('module-shape-select').value,
+            finderOuterShape: document.getElementById('finder-outer-shape-select').value,
+            finderInnerShape: document.getElementById('finder-inner-shape-select').value,
+            // null means "same as foreground"
+            finderOuterColor: customFinderColors ? document.getElementById('finder-outer-color').value : null,
+            finderInnerColor: customFinderColors ? document.getElementById('finder-inner-color').value : null,
+            logo: this.logo ? {
+                ...this.logo,
+                size: parseInt(document.getElementById('logo-size').value) / 100,
+                padding: parseFloat(document.getElementById('logo-padding').value),
+                cornerRadius: parseInt(document.getElementById('logo-radius').value) / 100,
+                knockout: document.getElementById('logo-knockout').checked
+            } : null
+        };
+    }
+
+    /**
+     * Restore form options from a saved QR code
+     */
+    applyStyleOptions(qr) {
+        if (qr.print) {
+            document.getElementById('size-select').value = 'print';
+            this.setPrintUnit(qr.print.unit);
+            document.getElementById('print-width').value = qr.print.width;
+            document.getElementById('print-dpi').value = qr.print.dpi;
+        } else {
+            document.getElementById('size-select').value = qr.size;
+        }
+        document.getElementById('symbol-type-select').value = qr.symbolType || 'qr';
+        this.updateSymbolTypeOptions();
+        this.updatePrintOptions();
+        document.getElementById('error-correction-select').value = qr.errorCorrection;
+        document.getElementById('version-select').value = qr.version || 'auto';
+        document.getElementById('mask-select').value = Number.isInteger(qr.mask) ? qr.mask : 'auto';
+        document.getElementById('segment-mode-select').value = qr.segmentMode || Config.QR_CODE.DEFAULT_SEGMENT_MODE;
+        document.getElementById('utf8-eci').checked = qr.eci !== undefined ? qr.eci : Config.QR_CODE.USE_UTF8_ECI;
+        document.getElementById('structured-append-select').value = qr.structuredAppendCount || 'off';
+        document.getElementById('foreground-color').value = qr.foregroundColor;
+        document.getElementById('background-color').value = qr.backgroundColor;
+        this.foregroundGradientEditor.setValue(qr.foregroundGradient || null);
+        this.backgroundGradientEditor.setValue(qr.backgroundGradient || null);
+        document.getElementById('module-shape-select').value = qr.moduleShape || 'square';
+        document.getElementById('finder-outer-shape-select').value = qr.finderOuterShape || 'square';
+        document.getElementById('finder-inner-shape-select').value = qr.finderInnerShape || 'square';
+
+        const customFinderColors = !!(qr.finderOuterColor || qr.finderInnerColor);
+        document.getElementById('finder-custom-colors').checked = customFinderColors;
+        document.getElementById('finder-outer-color').value = qr.finderOuterColor || qr.foregroundColor;
+        document.getElementById('finder-inner-color').value = qr.finderInnerColor || qr.foregroundColor;
+        this.toggleFinderColorInputs();
+
+        if (qr.logo) {
+            document.getElementById('logo-size').value = Math.round(qr.logo.size * 100);
+            document.getElementById('logo-padding').value = qr.logo.padding;
+            document.getElementById('logo-radius').value = Math.round(qr.logo.cornerRadius * 100);
+            document.getElementById('logo-knockout').checked = qr.logo.knockout;
+        }
+        this.updateLogoOptionLabels();
+    }
+
+    toggleFinderColorInputs() {
+        const enabled = document.getElementById('finder-custom-colors').checked;
+        document.getElementById('finder-colors').classList.toggle('hidden', !enabled);
+    }
+
+    /**
+     * Validate and load an uploaded logo, then suggest a stronger error correction level
+     */
+    async uploadLogo(file) {
+        if (!Config.LOGO.ACCEPTED_TYPES.includes(file.type)) {
+            notificationManager.error('Logo must be a PNG or SVG image');
+            return;
+        }
+        if (file.size > Config.LOGO.MAX_FILE_SIZE) {
+            notificationManager.error(`Logo must be smaller than ${this.formatBytes(Config.LOGO.MAX_FILE_SIZE)}`);
+            return;
+        }
+
+        try {
+            const dataUrl = await this.readFileAsDataURL(file);
+            const image = await this.loadLogoImage(dataUrl);
+
+            await this.setLogo({
+                dataUrl,
+                mimeType: file.type,
+                // SVGs without intrinsic dimensions report 0; treat them as square
+                width: image.naturalWidth || 1,
+                height: image.naturalHeight || 1
+            });
+        } catch (error) {
+            console.error('Error loading logo:', error);
+            notificationManager.error('Error loading logo: ' + error.message);
+            return;
+        }
+
+        const eccSelect = document.getElementById('error-correction-select');
+        const symbolType = document.getElementById('symbol-type-select').value;
+        // Other symbologies are drawn without the logo
+        if ((eccSelect.value === 'L' || eccSelect.value === 'M') && QRCore.isQRSymbol(symbolType) &&
+            QRCore.getEncoder(symbolType).ERROR_CORRECTION_LEVELS.includes('H')) {
+            const switchLevel = await notificationManager.confirm(
+                'A logo hides part of the code. Switch error correction to High (30%) so it stays scannable?',
+                { confirmText: 'Use High', cancelText: 'Keep ' + eccSelect.value, type: 'warning' }
+            );
+            if (switchLevel) {
+                eccSelect.value = 'H';
+                this.updateLogoSizeHint();
+            }
+        }
+
+        this.regenerateIfActive();
+    }
+
+    /**
+     * Set or clear the center logo and update its controls
+     * @param {Object|null} logo - { dataUrl, mimeType, width, height }
+     */
+    async setLogo(logo) {
+        if (logo) {
+            await this.loadLogoImage(logo.dataUrl);
+            this.logo = {
+                dataUrl: logo.dataUrl,
+                mimeType: logo.mimeType,
+                width: logo.width,
+                height: logo.height
+            };
+        } else {
+            this.logo = null;
+        }
+
+        const preview = document.getElementById('logo-preview');
+        preview.innerHTML = this.logo ? `<img src="${this.logo.dataUrl}" alt="Logo">` : '';
+        preview.classList.toggle('hidden', !this.logo);
+        document.getElementById('logo-remove-btn').classList.toggle('hidden', !this.logo);
+        document.getElementById('logo-options').classList.toggle('hidden', !this.logo);
+        this.updateLogoSizeHint();
+    }
+
+    /**
+     * Decode a logo data URL into an image, caching the result
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadLogoImage(dataUrl) {
+        if (this.logoImages.has(dataUrl)) {
+            return Promise.resolve(this.logoImages.get(dataUrl));
+        }
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                this.logoImages.set(dataUrl, image);
+                resolve(image);
+            };
+            image.onerror = () => reject(new Error('Could not decode image'));
+            image.src = dataUrl;
+        });
+    }
+
+    updateLogoOptionLabels() {
+        document.getElementById('logo-size-value').textContent = `${document.getElementById('logo-size').value}%`;
+        document.getElementById('logo-padding-value').textContent = `${document.getElementById('logo-padding').value} modules`;
+        document.getElementById('logo-radius-value').textContent = `${document.getElementById('logo-radius').value}%`;
+    }
+
+    /**
+     * Show how large the logo may be at the selected level
+     * @param {Object} logoBox - Rendered logo box, to report when the size was clamped
+     */
+    updateLogoSizeHint(logoBox = null) {
+        const level = document.getElementById('error-correction-select').value;
+        const hint = document.getElementById('logo-size-hint');
+
+        if (logoBox && logoBox.clamped) {
+            hint.textContent = `Reduced to ${Math.round(logoBox.sizeRatio * 100)}% to stay scannable at level ${level}`;
+        } else {
+            const maxSize = Math.floor(QRRenderer.getMaxLogoSize(level) * 100);
+            hint.textContent = `Up to ${maxSize}% at error correction level ${level}; larger logos are scaled down`;
+        }
+    }
+
+    readFileAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Render a QR code and read it back to check that it scans. Used for the
+     * preview and for every row of a batch.
+     * @returns {Object} - { qr, canvas, geometry, scannability }
+     */
+    buildQRCode(content, options) {
+        const { qr, canvas, geometry } = this.renderQRCode(content, options);
+
+        const scannability = ScannabilityChecker.check({
+            imageData: canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height),
+            content,
+            geometry,
+            options
+        });
+
+        return { qr, canvas, geometry, scannability };
+    }
+
+    /**
+     * Split content into a Structured Append set and render and check every code
+     * as buildQRCode does
+     * @param {string} content - Content to split
+     * @param {Object} options - Options as returned by getStyleOptions(), with structuredAppendCount
+     * @returns {Object[]} - [{ content, structuredAppend, version, qr, canvas, geometry, scannability }] in set order
+     */
+    buildQRCodeSet(content, options) {
+        const { version, parts } = StructuredAppend.split(content, { ...options, count: options.structuredAppendCount });
+        return parts.map(part => ({
+            ...part,
+            version,
+            ...this.buildQRCode(part.content, { ...options, version, structuredAppend: part.structuredAppend })
+        }));
+    }
+
+    /**
+     * Encode content and draw it onto a new canvas with the given options
+     * @param {string} content - Content to encode
+     * @param {Object} options - Options as returned by getStyleOptions()
+     * @returns {Object} - { qr, canvas, geometry }
+     */
+    renderQRCode(content, options) {
+        const { qr, geometry } = QRCore.createSymbol(content, options);
+        const canvas = QRCore.drawToCanvas(document.createElement('canvas'), geometry, {
+            ...options,
+            logoImage: options.logo ? this.logoImages.get(options.logo.dataUrl) : null
+        });
+
+        return { qr, canvas, geometry };
+    }
+
+    /**
+     * Re-render with the current form options if a QR code is showing
+     */
+    regenerateIfActive() {
+        if (this.currentQRCode) {
+            this.generateQRCode();
+        } else {
+            this.updateCapacityMeter();
+        }
+    }
+
+    updatePreview(canvas) {
+        const preview = document.getElementById('qr-preview');
+        preview.innerHTML = '';
+        preview.appendChild(canvas);
+    }
+
+    /**
+     * Show the codes of a Structured Append set in a grid, numbered in set order
+     */
+    updateSetPreview(set) {
+        const grid = document.createElement('div');
+        grid.className = 'structured-append-grid';
+        grid.style.gridTemplateColumns = `repeat(${Math.ceil(Math.sqrt(set.length))}, 1fr)`;
+        set.forEach(symbol => {
+            const figure = document.createElement('figure');
+            const caption = document.createElement('figcaption');
+            caption.textContent = ExportManager.getSetCaption(symbol.structuredAppend);
+            figure.append(symbol.canvas, caption);
+            grid.appendChild(figure);
+        });
+        this.updatePreview(grid);
+    }
+
+    /**
+     * Show the detected columns and row count of the batch table
+     */
+    updateBatchSummary() {
+        const summary = document.getElementById('batch-summary');
+        const text = document.getElementById('batch-data').value;
+
+        if (!text.trim()) {
+            summary.textContent = 'First row holds the column names';
+            return;
+        }
+
+        try {
+            const { headers, rows } = CSVParser.parse(text);
+            summary.textContent = `${rows.length} row${rows.length === 1 ? '' : 's'} · columns: ${headers.join(', ')}`;
+        } catch (error) {
+            summary.textContent = error.message;
+        }
+    }
+
+    async generateBatch() {
+        const button = document.getElementById('batch-generate-btn');
+        const errors = document.getElementById('batch-errors');
+        button.disabled = true;
+        errors.classList.add('hidden');
+
+        try {
+            const manifest = await this.batchGenerator.generate({
+                text: document.getElementById('batch-data').value,
+                contentTemplate: document.getElementById('batch-content-template').value,
+                filenameTemplate: document.getElementById('batch-filename-template').value,
+                formats: Array.from(document.querySelectorAll('input[name="batch-format"]:checked'), input => input.value)
+            });
+
+            // List the rows that failed, e.g. content over QR capacity
+            const failed = manifest ? manifest.filter(entry => entry.status === 'error') : [];
+            errors.innerHTML = failed.map(entry => `<li>Row ${entry.row}: ${entry.error}</li>`).join('');
+            errors.classList.toggle('hidden', failed.length === 0);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Show the pass/warn/fail result and its issues under the preview
+     */
+    updateScannabilityBadge(scannability) {
+        const badge = document.getElementById('scannability-badge');
+        const icons = { pass: 'fa-check-circle', warn: 'fa-exclamation-triangle', fail: 'fa-times-circle' };
+
+        badge.className = `scannability-badge ${scannability.status}`;
+        badge.innerHTML = `
+            <div class="scannability-summary">
+                <i class="fas ${icons[scannability.status]}"></i>
+                <span>${ScannabilityChecker.STATUS_LABELS[scannability.status]}</span>
+                <small class="text-secondary">Contrast ${scannability.contrastRatio.toFixed(1)}:1</small>
+            </div>
+            ${scannability.issues.length ? `
+                <ul class="scannability-issues">
+                    ${scannability.issues.map(issue => `<li class="${issue.level}">${issue.message}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    toggleActionButtons(enabled) {
+        const buttons = ['download-btn', 'save-btn', 'export-btn'];
+        buttons.forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) {
+                btn.disabled = !enabled;
+                if (enabled) {
+                    btn.classList.remove('btn-secondary');
+                } else {
+                    btn.classList.add('btn-secondary');
+                }
+            }
+        });
+    }
+
+    showLoadingState(loading) {
+        const generateBtn = document.getElementById('generate-btn');
+        if (loading) {
+            generateBtn.innerHTML = '<div class="spinner"></div>Generating...';
+            generateBtn.disabled = true;
+        } else {
+            generateBtn.innerHTML = '<i class="fas fa-magic"></i>Generate QR Code';
+            generateBtn.disabled = false;
+        }
+    }
+
+
+    /**
+     * Save the current code, updating the saved code it was loaded from
+     * @param {Object} options - { asNew } to save a copy under a new id instead
+     */
+    saveQRCode(options = {}) {
+        if (!this.currentQRCode) {
+            notificationManager.error('No QR code to save');
+            return;
+        }
+
+        let labels = {};
+        if (options.asNew) {
+            // The copy goes in the same folder, with the same tags
+            const source = this.savedCodes.find(q => q.id === this.editingId);
+            if (source) {
+                labels = { tags: source.tags || [], folder: source.folder || null };
+            }
+            this.editingId = null;
+        }
+
+        this.storeCurrentCode(labels)
+            .then(saved => {
+                if (!saved) return;
+                notificationManager.success('QR code saved to database!');
+            })
+            .catch(error => {
+                console.error('Error saving QR code:', error);
+                notificationManager.error('Error saving QR code: ' + error.message);
+            });
+    }
+
+    /**
+     * Save the current code under the id of the code being edited, or a new id,
+     * adding a revision to its history when something changed
+     * @param {Object} overrides - Fields to save over the current code's, e.g. a restored name
+     * @returns {Promise<Object|null>} - The saved record, or null if it could not be saved
+     */
+    async storeCurrentCode(overrides = {}) {
+        const previous = this.savedCodes.find(q => q.id === this.editingId) || null;
+        const qrData = RevisionHistory.record(previous, { ...this.buildQRData(previous), ...overrides });
+
+        const saved = await this.databaseManager.saveQRCodeToDatabase(qrData);
+        if (!saved) {
+            return null;
+        }
+
+        this.editingId = qrData.id;
+        this.putSavedCode(qrData);
+        this.updateDatabaseStatus();
+        return qrData;
+    }
+
+    /**
+     * Add a saved code to the panel, or replace the one with the same id
+     */
+    putSavedCode(qrData) {
+        const index = this.savedCodes.findIndex(q => q.id === qrData.id);
+        if (index === -1) {
+            this.savedCodes.push(qrData);
+        } else {
+            this.savedCodes[index] = qrData;
+        }
+        this.updateSavedCodesList();
+        this.updateEditingStatus();
+    }
+
+    /**
+     * A new id for a saved code: the current time in milliseconds, moved on
+     * past any id already in use so codes saved in the same millisecond differ
+     */
+    createQRCodeId() {
+        return this.savedCodes.reduce((id, q) => (typeof q.id === 'number' && q.id >= id ? q.id + 1 : id), Date.now());
+    }
+
+    /**
+     * Build the serializable data object for the current QR code
+     * @param {Object|null} saved - Saved code being updated, whose id, name, tags and folder are kept
+     */
+    buildQRData(saved = null) {
+        const now = new Date().toISOString();
+        return {
+            id: saved ? saved.id : (this.editingId || this.createQRCodeId()),
+            content: this.currentQRCode.content,
+            payloadType: this.currentQRCode.payloadType,
+            payloadFields: this.currentQRCode.payloadFields,
+            size: this.currentQRCode.size,
+            print: this.currentQRCode.print,
+            symbolType: this.currentQRCode.symbolType,
+            errorCorrection: this.currentQRCode.errorCorrection,
+            version: this.currentQRCode.version,
+            mask: this.currentQRCode.mask,
+            segmentMode: this.currentQRCode.segmentMode,
+            eci: this.currentQRCode.eci,
+            structuredAppendCount: this.currentQRCode.structuredAppendCount,
+            foregroundColor: this.currentQRCode.foregroundColor,
+            backgroundColor: this.currentQRCode.backgroundColor,
+            foregroundGradient: this.currentQRCode.foregroundGradient,
+            backgroundGradient: this.currentQRCode.backgroundGradient,
+            moduleShape: this.currentQRCode.moduleShape,
+            finderOuterShape: this.currentQRCode.finderOuterShape,
+            finderInnerShape: this.currentQRCode.finderInnerShape,
+            finderOuterColor: this.currentQRCode.finderOuterColor,
+            finderInnerColor: this.currentQRCode.finderInnerColor,
+            logo: this.currentQRCode.logo,
+            scannability: this.currentQRCode.scannability,
+            tags: saved ? saved.tags : [],
+            folder: saved ? saved.folder : null,
+            // When this revision was saved
+            timestamp: now,
+            lastUsedAt: now,
+            name: saved ? saved.name : this.generateQRName(this.currentQRCode.content)
+        };
+    }
+
+    generateQRName(content) {
+        // Generate a readable name from the content
+        const maxLength = 30;
+        let name = content.length > maxLength
+            ? content.substring(0, maxLength) + '...'
+            : content;
+
+        // Clean up the name
+        name = name.replace(/[^\w\s-]/g, '').replace(/\s+/g, '_');
+
+        return name || 'QR_Code_' + Date.now();
+    }
+
+    async loadSavedCodes() {
+        try {
+            this.savedCodes = await this.databaseManager.getLocalQRCodes();
+        } catch (error) {
+            console.error('Error loading saved QR codes:', error);
+            notificationManager.error('Error loading saved QR codes: ' + error.message);
+            this.savedCodes = [];
+        }
+        this.updateSavedCodesList();
+        this.updateEditingStatus();
+    }
+
+    updateSavedCodesList() {
+        const container = document.getElementById('saved-codes-list');
+        const grid = this.savedView === 'grid';
+        container.classList.toggle('grid', grid);
+        this.hideThumbnailZoom();
+        this.updateSavedCodesFilters();
+
+        // Codes deleted since they were selected are no longer selected
+        const savedIds = new Set(this.savedCodes.map(qr => qr.id));
+        this.selectedIds.forEach(id => {
+            if (!savedIds.has(id)) this.selectedIds.delete(id);
+        });
+        this.updateSelectionBar();
+
+        if (this.savedCodes.length === 0) {
+            this.listedIds = [];
+            this.updateSavedCodesPagination(null);
+            container.innerHTML = `
+                <div class="text-center" style="color: var(--text-secondary); padding: 20px;">
+                    <i class="fas fa-database" style="font-size: 24px; margin-bottom: 8px;"></i>
+                    <p>No saved QR codes</p>
+                </div>
+            `;
+            return;
+        }
+
+        const result = SavedCodesQuery.run(this.savedCodes, this.savedQuery);
+        this.savedQuery.page = result.page;
+        this.listedIds = result.codes.map(qr => qr.id);
+        this.updateSavedCodesPagination(result);
+
+        if (result.total === 0) {
+            container.innerHTML = `
+                <div class="text-center" style="color: var(--text-secondary); padding: 20px;">
+                    <i class="fas fa-search" style="font-size: 24px; margin-bottom: 8px;"></i>
+                    <p>No saved QR codes match</p>
+                    <button class="btn-link" type="button" data-action="clear-filters">Clear search and filters</button>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = result.codes
+            .map(qr => `
+                <div class="saved-code-item${qr.id === this.editingId ? ' editing' : ''}${this.selectedIds.has(qr.id) ? ' selected' : ''}" data-id="${qr.id}">
+                    <input type="checkbox" class="code-select" data-action="select"${this.selectedIds.has(qr.id) ? ' checked' : ''}
+                        aria-label="Select ${this.escapeHTML(qr.name)}" title="Select; shift-click selects a range">
+                    ${grid ? `<div class="saved-code-thumbnail"><img data-thumbnail-id="${qr.id}" alt="${this.escapeHTML(qr.name)}"></div>` : ''}
+                    <div class="code-info">
+                        <div class="code-title">${this.escapeHTML(qr.name)}</div>
+                        <div class="code-date">${this.formatDate(qr.timestamp)}${(qr.revision || 1) > 1 ? ` · revision ${qr.revision}` : ''}</div>
+                        ${this.renderCodeLabels(qr)}
+                    </div>
+                    <div class="code-actions">
+                        <button class="action-btn" type="button" data-action="load" title="Load">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                        <button class="action-btn" type="button" data-action="rename" title="Rename">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button class="action-btn" type="button" data-action="duplicate" title="Duplicate">
+                            <i class="fas fa-clone"></i>
+                        </button>
+                        <button class="action-btn" type="button" data-action="labels" title="Tags & folder">
+                            <i class="fas fa-tag"></i>
+                        </button>
+                        <button class="action-btn" type="button" data-action="history" title="History">
+                            <i class="fas fa-history"></i>
+                        </button>
+                        <button class="action-btn" type="button" data-action="delete" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                ${qr.id === this.labelsEditId ? this.renderLabelEditor(qr) : ''}
+                ${qr.id === this.historyOpenId ? this.renderRevisionHistory(qr) : ''}
+            `).join('');
+
+        if (grid) {
+            this.thumbnails.observe(container);
+        }
+    }
+
+    /**
+     * Id of the saved code an element of the list belongs to
+     * @returns {number|string|null}
+     */
+    findSavedCodeId(element) {
+        const holder = element.closest('[data-id]');
+        const qr = holder ? this.savedCodes.find(q => String(q.id) === holder.dataset.id) : null;
+        return qr ? qr.id : null;
+    }
+
+    /**
+     * Run the action of a button in the saved codes list; shift-clicking a code
+     * selects the codes from the last one selected, Ctrl- or Cmd-clicking adds or removes it
+     */
+    handleSavedCodeClick(e) {
+        const control = e.target.closest('[data-action]');
+        const qrId = this.findSavedCodeId(e.target);
+
+        if (!control) {
+            const item = e.target.closest('.saved-code-item');
+            if (item && qrId !== null && (e.shiftKey || e.ctrlKey || e.metaKey) && !e.target.closest('input')) {
+                this.selectSavedCode(qrId, !this.selectedIds.has(qrId), e.shiftKey);
+            }
+            return;
+        }
+
+        const revision = control.dataset.revision ? parseInt(control.dataset.revision) : null;
+        switch (control.dataset.action) {
+            case 'select':
+                this.selectSavedCode(qrId, control.checked, e.shiftKey);
+                break;
+            case 'load':
+                this.loadQRCode(qrId, revision);
+                break;
+            case 'restore':
+                this.restoreRevision(qrId, revision);
+                break;
+            case 'rename':
+                this.renameQRCode(qrId);
+                break;
+            case 'duplicate':
+                this.duplicateQRCode(qrId);
+                break;
+            case 'labels':
+                this.toggleLabelEditor(qrId);
+                break;
+            case 'history':
+                this.toggleRevisionHistory(qrId);
+                break;
+            case 'delete':
+                this.deleteQRCode(qrId);
+                break;
+            case 'clear-filters':
+                this.clearSavedCodesFilters();
+                break;
+        }
+    }
+
+    /**
+     * Select or deselect a saved code, or with `range` every listed code from
+     * the one clicked before it
+     */
+    selectSavedCode(qrId, selected, range = false) {
+        const from = this.listedIds.indexOf(this.selectionAnchorId);
+        const to = this.listedIds.indexOf(qrId);
+        const ids = range && from !== -1 && to !== -1
+            ? this.listedIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+            : [qrId];
+
+        ids.forEach(id => (selected ? this.selectedIds.add(id) : this.selectedIds.delete(id)));
+        this.selectionAnchorId = qrId;
+        this.updateSelectionState();
+    }
+
+    /**
+     * Select every code that matches the search and filters, on every page
+     */
+    selectAllSavedCodes() {
+        SavedCodesQuery.filter(this.savedCodes, this.savedQuery).forEach(qr => this.selectedIds.add(qr.id));
+        this.updateSelectionState();
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.selectionAnchorId = null;
+        this.updateSelectionState();
+    }
+
+    /**
+     * Tick the selected codes in the list without drawing it again
+     */
+    updateSelectionState() {
+        document.querySelectorAll('#saved-codes-list .saved-code-item').forEach(item => {
+            const selected = this.selectedIds.has(this.findSavedCodeId(item));
+            item.classList.toggle('selected', selected);
+            item.querySelector('.code-select').checked = selected;
+        });
+        this.updateSelectionBar();
+    }
+
+    /**
+     * Show the bulk actions while codes are selected
+     */
+    updateSelectionBar() {
+        const count = this.selectedIds.size;
+        const matching = SavedCodesQuery.filter(this.savedCodes, this.savedQuery);
+        document.getElementById('saved-bulk-bar').classList.toggle('hidden', count === 0);
+        document.getElementById('saved-selection-count').textContent = `${count} selected`;
+
+        const selectAll = document.getElementById('bulk-select-all-btn');
+        selectAll.textContent = `Select all ${matching.length}`;
+        selectAll.classList.toggle('hidden', matching.every(qr => this.selectedIds.has(qr.id)));
+        if (count === 0) {
+            this.toggleBulkLabels(false);
+        }
+    }
+
+    /**
+     * The selected saved codes, in the order the library is sorted in
+     */
+    getSelectedCodes() {
+        return SavedCodesQuery.sort(this.savedCodes.filter(qr => this.selectedIds.has(qr.id)), this.savedQuery.sort);
+    }
+
+    /**
+     * Show or hide the fields for tagging and moving the selected codes
+     * @param {boolean} open - Whether to show them; toggles when left out
+     */
+    toggleBulkLabels(open) {
+        const form = document.getElementById('bulk-labels-form');
+        const show = open !== undefined ? open : form.classList.contains('hidden');
+        form.classList.toggle('hidden', !show);
+        if (show) {
+            form.reset();
+            document.getElementById('bulk-add-tags').focus();
+        }
+    }
+
+    /**
+     * Add and remove tags on the selected codes and move them to a folder,
+     * each changed code getting a new revision
+     */
+    async applyBulkLabels() {
+        const addTags = SavedCodesQuery.parseTags(document.getElementById('bulk-add-tags').value);
+        const removeTags = SavedCodesQuery.parseTags(document.getElementById('bulk-remove-tags').value);
+        const folder = document.getElementById('bulk-folder').value.trim() || null;
+        const unfile = document.getElementById('bulk-unfile').checked;
+        const timestamp = new Date().toISOString();
+
+        const records = this.getSelectedCodes().map(qr => {
+            const tags = [...new Set([...(qr.tags || []), ...addTags])].filter(tag => !removeTags.includes(tag));
+            const nextFolder = unfile ? null : (folder || qr.folder || null);
+            if (JSON.stringify(tags) === JSON.stringify(qr.tags || []) && nextFolder === (qr.folder || null)) {
+                return null;
+            }
+            return RevisionHistory.record(qr, { ...qr, tags, folder: nextFolder, timestamp });
+        }).filter(Boolean);
+
+        this.toggleBulkLabels(false);
+        if (records.length === 0) {
+            notificationManager.info('The selected QR codes already have those tags and folders');
+            return;
+        }
+        await this.saveSavedCodes(records, `Updated the tags and folders of ${records.length} QR code${records.length > 1 ? 's' : ''}`);
+    }
+
+    /**
+     * Give the selected codes the colors and error correction level set in the
+     * editor, each as a new revision. Codes whose symbol type has no such level,
+     * or whose content would no longer fit at it, keep their own level.
+     */
+    async restyleSelectedCodes() {
+        const codes = this.getSelectedCodes();
+        const confirmed = await notificationManager.confirm(
+            `Apply the current colors and error correction level to ${codes.length} QR code${codes.length > 1 ? 's' : ''}?`,
+            { confirmText: 'Apply', cancelText: 'Cancel' }
+        );
+        if (!confirmed) return;
+
+        const style = this.getStyleOptions();
+        const colors = {
+            foregroundColor: style.foregroundColor,
+            backgroundColor: style.backgroundColor,
+            foregroundGradient: style.foregroundGradient,
+            backgroundGradient: style.backgroundGradient,
+            finderOuterColor: style.finderOuterColor,
+            finderInnerColor: style.finderInnerColor
+        };
+        const timestamp = new Date().toISOString();
+        const records = [];
+        let keptLevel = 0;
+
+        for (const qr of codes) {
+            // Data Matrix and linear barcodes have no level to set
+            const levels = QRCore.getEncoder(qr.symbolType || 'qr').ERROR_CORRECTION_LEVELS;
+            const candidates = levels.includes(style.errorCorrection)
+                ? [{ ...qr, ...colors, errorCorrection: style.errorCorrection }, { ...qr, ...colors }]
+                : [{ ...qr, ...colors }];
+
+            for (const next of candidates) {
+                try {
+                    next.scannability = await this.checkSavedCode(next);
+                } catch (error) {
+                    continue;
+                }
+                if (levels.length > 0 && next.errorCorrection !== style.errorCorrection) {
+                    keptLevel++;
+                }
+                const record = RevisionHistory.record(qr, { ...next, timestamp });
+                if (record.revision !== (qr.revision || 1)) {
+                    records.push(record);
+                }
+                break;
+            }
+        }
+
+        if (records.length === 0) {
+            notificationManager.info('The selected QR codes already have this style');
+            return;
+        }
+        await this.saveSavedCodes(records, `Restyled ${records.length} QR code${records.length > 1 ? 's' : ''}`);
+        if (keptLevel > 0) {
+            notificationManager.warning(`${keptLevel} QR code${keptLevel > 1 ? 's' : ''} kept ${keptLevel > 1 ? 'their' : 'its'} own error correction level: ` +
+                `level ${style.errorCorrection} is not available for ${keptLevel > 1 ? 'them' : 'it'} or the content would not fit`);
+        }
+    }
+
+    /**
+     * Render a saved code with its own options and check how well it scans
+     * @returns {Promise<Object>} - Scannability of the code, or of the least scannable code of its set
+     * @throws {Error} If the content cannot be encoded with the code's options
+     */
+    async checkSavedCode(qr) {
+        if (qr.logo) {
+            await this.loadLogoImage(qr.logo.dataUrl);
+        }
+
+        const statuses = ['pass', 'warn', 'fail'];
+        const symbols = qr.structuredAppendCount && qr.symbolType === 'qr'
+            ? this.buildQRCodeSet(qr.content, qr)
+            : [this.buildQRCode(qr.content, qr)];
+        return symbols.reduce((worst, symbol) => (statuses.indexOf(symbol.scannability.status) > statuses.indexOf(worst.scannability.status) ? symbol : worst))
+            .scannability;
+    }
+
+    /**
+     * Export the selected codes as a multi-page PDF or a ZIP of files
+     */
+    async exportSelectedCodes() {
+        await this.exportManager.exportSavedCodes(this.getSelectedCodes(), document.getElementById('bulk-export-format').value);
+    }
+
+    /**
+     * Delete the selected codes after a single confirmation
+     */
+    async deleteSelectedCodes() {
+        const ids = this.getSelectedCodes().map(qr => qr.id);
+        const confirmed = await notificationManager.confirm(
+            `Are you sure you want to delete ${ids.length} QR code${ids.length > 1 ? 's' : ''}?`,
+            { confirmText: 'Delete', cancelText: 'Cancel' }
+        );
+        if (!confirmed) return;
+
+        let deleted = 0;
+        for (const qrId of ids) {
+            if (await this.databaseManager.deleteQRCodeFromDatabase(qrId, { silent: true })) {
+                this.savedCodes = this.savedCodes.filter(q => q.id !== qrId);
+                deleted++;
+            }
+        }
+
+        if (!this.savedCodes.some(q => q.id === this.editingId)) {
+            this.editingId = null;
+            this.updateEditingStatus();
+        }
+        this.selectionAnchorId = null;
+        this.updateSavedCodesList();
+        this.updateDatabaseStatus();
+
+        if (deleted > 0) {
+            notificationManager.success(`${deleted} QR code${deleted > 1 ? 's' : ''} deleted!`);
+        }
+    }
+
+    /**
+     * Write saved codes that are not in the editor, with one notification for all of them
+     * @param {Object[]} records - Records to save
+     * @param {string} message - Success message
+     */
+    async saveSavedCodes(records, message) {
+        let failed = 0;
+        try {
+            for (const qrData of records) {
+                if (!await this.databaseManager.saveQRCodeToDatabase(qrData, { silent: true })) {
+                    failed++;
+                    continue;
+                }
+                const index = this.savedCodes.findIndex(q => q.id === qrData.id);
+                this.savedCodes[index] = qrData;
+            }
+        } catch (error) {
+            console.error('Error saving QR codes:', error);
+            notificationManager.error('Error saving QR codes: ' + error.message);
+        }
+
+        this.updateSavedCodesList();
+        this.updateEditingStatus();
+        this.updateDatabaseStatus();
+        if (failed < records.length) {
+            notificationManager.success(failed ? `${message}; ${failed} could not be saved` : message);
+        }
+    }
+
+    /**
+     * Show which codes of how many are listed, with the page buttons when there is more than one page
+     * @param {Object|null} result - SavedCodesQuery.run result, or null when nothing is saved
+     */
+    updateSavedCodesPagination(result) {
+        const pagination = document.getElementById('saved-pagination');
+        pagination.classList.toggle('hidden', !result || result.total === 0);
+        if (!result || result.total === 0) return;
 
-        // Auto-generate on input change (with debounce)
-        let generateTimeout;
-        document.getElementById('content-input').addEventListener('input', () => {
-            clearTimeout(generateTimeout);
-            generateTimeout = setTimeout(() => {
-                if (document.getElementById('content-input').value.trim()) {
-                    this.generateQRCode();
-                }
-            }, 500);
-        });
+        const pageSize = Config.UI.SAVED_CODES_PAGE_SIZE;
+        const first = (result.page - 1) * pageSize + 1;
+        const last = first + result.codes.length - 1;
+        const filtered = result.total < this.savedCodes.length ? ` (${this.savedCodes.length} saved)` : '';
+        document.getElementById('saved-page-info').textContent = `${first}–${last} of ${result.total}${filtered}`;
+        document.getElementById('saved-prev-btn').disabled = result.page <= 1;
+        document.getElementById('saved-next-btn').disabled = result.page >= result.pageCount;
+    }
 
-        // Settings panel toggle
-        document.getElementById('settings-btn').addEventListener('click', () => {
-            this.toggleSettingsPanel();
-        });
+    /**
+     * The folder and tags of a saved code, for its list entry
+     */
+    renderCodeLabels(qr) {
+        const labels = [
+            ...(qr.folder ? [`<span class="code-folder"><i class="fas fa-folder"></i> ${this.escapeHTML(qr.folder)}</span>`] : []),
+            ...(qr.tags || []).map(tag => `<span class="code-tag">${this.escapeHTML(tag)}</span>`)
+        ];
+        return labels.length ? `<div class="code-labels">${labels.join('')}</div>` : '';
     }
 
-    generateQRCode() {
-        const content = document.getElementById('content-input').value.trim();
+    /**
+     * Fields for a saved code's tags and folder, under its list entry
+     */
+    renderLabelEditor(qr) {
+        return `
+            <form class="code-label-editor" data-id="${qr.id}">
+                <input type="text" id="code-tags-input" class="form-input" value="${this.escapeHTML((qr.tags || []).join(', '))}"
+                    placeholder="Tags, separated by commas" aria-label="Tags of ${this.escapeHTML(qr.name)}">
+                <input type="text" id="code-folder-input" class="form-input" list="saved-folder-names" value="${this.escapeHTML(qr.folder || '')}"
+                    placeholder="Folder, or empty for none" aria-label="Folder of ${this.escapeHTML(qr.name)}">
+                <div class="revision-actions">
+                    <button class="btn-link" type="submit">Save</button>
+                    <button class="btn-link" type="button" data-action="labels">Cancel</button>
+                </div>
+            </form>`;
+    }
 
-        if (!content) {
-            notificationManager.error('Please enter text or URL to generate QR code');
+    /**
+     * Show or hide the tags and folder fields under a saved code
+     */
+    toggleLabelEditor(qrId) {
+        this.labelsEditId = this.labelsEditId === qrId ? null : qrId;
+        this.updateSavedCodesList();
+        if (this.labelsEditId !== null) {
+            const input = document.getElementById('code-tags-input');
+            if (input) input.focus();
+        }
+    }
+
+    /**
+     * Save the tags and folder typed for a saved code as a new revision of it
+     */
+    saveCodeLabels(qrId) {
+        const qr = this.savedCodes.find(q => q.id === qrId);
+        if (!qr) {
+            notificationManager.error('QR code not found');
             return;
         }
 
-        const size = parseInt(document.getElementById('size-select').value);
-        const errorCorrection = document.getElementById('error-correction-select').value;
-        const foregroundColor = document.getElementById('foreground-color').value;
-        const backgroundColor = document.getElementById('background-color').value;
+        const tags = SavedCodesQuery.parseTags(document.getElementById('code-tags-input').value);
+        const folder = document.getElementById('code-folder-input').value.trim() || null;
+        this.labelsEditId = null;
 
-        try {
-            // Show loading state
-            this.showLoadingState(true);
+        if (JSON.stringify(tags) === JSON.stringify(qr.tags || []) && folder === (qr.folder || null)) {
+            this.updateSavedCodesList();
+            return;
+        }
+        this.saveSavedCode(RevisionHistory.record(qr, { ...qr, tags, folder, timestamp: new Date().toISOString() }),
+            `Updated the tags and folder of "${qr.name}"`);
+    }
 
-            // Generate QR code using qrcode-generator library
-            const qr = qrcode(0, errorCorrection);
-            qr.addData(content);
-            qr.make();
-
-            // Create canvas
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            const cellSize = size / qr.getModuleCount();
-            const margin = parseInt(Config.QR_CODE.DEFAULT_MARGIN) * cellSize;
-
-            canvas.width = size + (margin * 2);
-            canvas.height = size + (margin * 2);
-
-            // Fill background
-            ctx.fillStyle = backgroundColor;
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-            // Draw QR code modules
-            ctx.fillStyle = foregroundColor;
-            for (let row = 0; row < qr.getModuleCount(); row++) {
-                for (let col = 0; col < qr.getModuleCount(); col++) {
-                    if (qr.isDark(row, col)) {
-                        ctx.fillRect(
-                            Math.round(col * cellSize) + margin,
-                            Math.round(row * cellSize) + margin,
-                            Math.ceil(cellSize),
-                            Math.ceil(cellSize)
-                        );
-                    }
-                }
+    /**
+     * Revisions of a saved code, newest first, each with what it changed and
+     * buttons to open it in the editor or restore it as the latest revision
+     */
+    renderRevisionHistory(qr) {
+        const rows = RevisionHistory.list(qr).map(entry => {
+            let changed = entry.changed === null ? 'earlier changes not kept' : entry.changed.join(', ');
+            if (entry.revision === 1) {
+                changed = 'created';
             }
+            const actions = entry.current ? '<span class="revision-current">current</span>' : `
+                <button class="btn-link" type="button" data-action="load" data-revision="${entry.revision}">Open</button>
+                <button class="btn-link" type="button" data-action="restore" data-revision="${entry.revision}">Restore</button>`;
+            return `
+                <li class="revision-entry">
+                    <div class="revision-info">
+                        <span>Revision ${entry.revision} · ${this.formatDate(entry.timestamp)}</span>
+                        <small class="text-secondary">${changed}</small>
+                    </div>
+                    <div class="revision-actions">${actions}</div>
+                </li>`;
+        }).join('');
 
-            // Update preview
-            this.updatePreview(canvas);
+        return `<ul class="revision-history" data-id="${qr.id}" aria-label="Revisions of ${this.escapeHTML(qr.name)}">${rows}</ul>`;
+    }
 
-            // Store current QR code data
-            this.currentQRCode = {
-                content: content,
-                size: size,
-                errorCorrection: errorCorrection,
-                foregroundColor: foregroundColor,
-                backgroundColor: backgroundColor,
-                canvas: canvas,
-                qr: qr, // Store QR code object for SVG generation
-                timestamp: new Date().toISOString()
-            };
+    /**
+     * Show or hide the revision history under a saved code
+     */
+    toggleRevisionHistory(qrId) {
+        this.historyOpenId = this.historyOpenId === qrId ? null : qrId;
+        this.updateSavedCodesList();
+    }
 
-            // Enable action buttons
-            this.toggleActionButtons(true);
+    /**
+     * Load a saved code into the editor; saving then updates it
+     * @param {number} qrId - Saved code id
+     * @param {number|null} revision - Earlier revision to load instead of the latest
+     * @returns {Promise<boolean>} - Whether the code was regenerated as saved, logo included
+     */
+    async loadQRCode(qrId, revision = null) {
+        const record = this.savedCodes.find(q => q.id === qrId);
+        if (!record) {
+            notificationManager.error('QR code not found');
+            return false;
+        }
+
+        let qr = record;
+        if (revision !== null) {
+            try {
+                qr = RevisionHistory.getRevision(record, revision);
+            } catch (error) {
+                notificationManager.error(error.message);
+                return false;
+            }
+        }
 
-            notificationManager.success('QR code generated successfully!');
+        // Load data into form, restoring structured fields when the code has them
+        const payloadType = qr.payloadType && PayloadBuilder.TYPES[qr.payloadType] ? qr.payloadType : 'text';
+        document.getElementById('payload-type-select').value = payloadType;
+        this.renderPayloadFields(payloadType, qr.payloadFields || {});
+        document.getElementById('content-input').value = qr.content;
+        this.applyStyleOptions(qr);
 
+        let logoLoaded = true;
+        try {
+            await this.setLogo(qr.logo || null);
         } catch (error) {
-            console.error('Error generating QR code:', error);
-            notificationManager.error('Error generating QR code: ' + error.message);
-        } finally {
-            this.showLoadingState(false);
+            console.error('Error loading logo:', error);
+            notificationManager.warning('Saved logo could not be loaded');
+            await this.setLogo(null);
+            logoLoaded = false;
         }
-    }
-
-    updatePreview(canvas) {
-        const preview = document.getElementById('qr-preview');
-        preview.innerHTML = '';
-        preview.appendChild(canvas);
-    }
 
-    toggleActionButtons(enabled) {
-        const buttons = ['download-btn', 'save-btn', 'export-btn'];
-        buttons.forEach(id => {
-            const btn = document.getElementById(id);
-            if (btn) {
-                btn.disabled = !enabled;
-                if (enabled) {
-                    btn.classList.remove('btn-secondary');
-                } else {
-                    btn.classList.add('btn-secondary');
-                }
-            }
-        });
-    }
+        this.editingId = record.id;
+        this.markCodeUsed(record);
+        this.updateEditingStatus();
+        this.updateSavedCodesList();
 
-    showLoadingState(loading) {
-        const generateBtn = document.getElementById('generate-btn');
-        if (loading) {
-            generateBtn.innerHTML = '<div class="spinner"></div>Generating...';
-            generateBtn.disabled = true;
-        } else {
-            generateBtn.innerHTML = '<i class="fas fa-magic"></i>Generate QR Code';
-            generateBtn.disabled = false;
+        // Regenerate the QR code
+        const generated = this.generateQRCode();
+        if (generated) {
+            notificationManager.success(revision !== null ? `Revision ${revision} loaded; save to make it the latest` : 'QR code loaded!');
         }
+        return generated && logoLoaded;
     }
 
+    /**
+     * Note when a saved code was last loaded, for sorting by last used. It is
+     * kept on this device, without a revision or a commit of its own.
+     */
+    markCodeUsed(record) {
+        record.lastUsedAt = new Date().toISOString();
+        this.databaseManager.saveQRCodeLocally(record, { silent: true });
+    }
 
-    saveQRCode() {
-        if (!this.currentQRCode) {
-            notificationManager.error('No QR code to save');
+    /**
+     * Load an earlier revision and save it straight away as the latest one, name included
+     */
+    async restoreRevision(qrId, revision) {
+        // Storing now would save whatever the editor still shows, or the revision without its logo
+        if (!await this.loadQRCode(qrId, revision) || this.editingId !== qrId) {
+            notificationManager.error(`Revision ${revision} was not restored`);
             return;
         }
 
-        // Generate unique ID for the QR code
-        const qrId = Date.now();
+        try {
+            const { name } = RevisionHistory.getRevision(this.savedCodes.find(q => q.id === qrId), revision);
+            const saved = await this.storeCurrentCode({ name });
+            if (saved) {
+                notificationManager.success(`Revision ${revision} restored as revision ${saved.revision}`);
+            }
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            notificationManager.error('Error restoring revision: ' + error.message);
+        }
+    }
+
+    /**
+     * Turn a saved code's title into a text field; Enter or leaving the field
+     * saves the new name, Escape keeps the old one
+     */
+    renameQRCode(qrId) {
+        const title = document.querySelector(`.saved-code-item[data-id="${qrId}"] .code-title`);
+        const qr = this.savedCodes.find(q => q.id === qrId);
+        if (!title || !qr) return;
 
-        // Create QR code data object
-        const qrData = {
-            id: qrId,
-            content: this.currentQRCode.content,
-            size: this.currentQRCode.size,
-            errorCorrection: this.currentQRCode.errorCorrection,
-            foregroundColor: this.currentQRCode.foregroundColor,
-            backgroundColor: this.currentQRCode.backgroundColor,
-            timestamp: this.currentQRCode.timestamp,
-            name: this.generateQRName(this.currentQRCode.content)
-        };
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-input code-title-input';
+        input.value = qr.name;
+        input.setAttribute('aria-label', 'QR code name');
+        title.replaceChildren(input);
+        input.focus();
+        input.select();
 
-        // Save to database
-        this.databaseManager.saveQRCodeToDatabase(qrData)
-            .then(() => {
-                this.savedCodes.push(qrData);
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            const name = input.value.trim();
+            if (save && name && name !== qr.name) {
+                this.saveSavedCode(RevisionHistory.record(qr, { ...qr, name, timestamp: new Date().toISOString() }), `Renamed to "${name}"`);
+            } else {
                 this.updateSavedCodesList();
-                notificationManager.success('QR code saved to database!');
-            })
-            .catch(error => {
-                console.error('Error saving QR code:', error);
-                notificationManager.error('Error saving QR code: ' + error.message);
-            });
+            }
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        // Clicks in the field should not reach the list item
+        input.addEventListener('click', (e) => e.stopPropagation());
     }
 
-    generateQRName(content) {
-        // Generate a readable name from the content
-        const maxLength = 30;
-        let name = content.length > maxLength
-            ? content.substring(0, maxLength) + '...'
-            : content;
+    /**
+     * Save a copy of a saved code under a new id, with a history of its own
+     */
+    duplicateQRCode(qrId) {
+        const qr = this.savedCodes.find(q => q.id === qrId);
+        if (!qr) {
+            notificationManager.error('QR code not found');
+            return;
+        }
 
-        // Clean up the name
-        name = name.replace(/[^\w\s-]/g, '').replace(/\s+/g, '_');
+        const copy = RevisionHistory.record(null, {
+            ...qr,
+            id: this.createQRCodeId(),
+            name: `${qr.name} (copy)`,
+            timestamp: new Date().toISOString()
+        });
+        this.saveSavedCode(copy, `Saved "${copy.name}"`);
+    }
 
-        return name || 'QR_Code_' + Date.now();
+    /**
+     * Write a saved code that is not in the editor, such as a renamed or duplicated one
+     * @param {Object} qrData - Record to save
+     * @param {string} message - Success message
+     */
+    async saveSavedCode(qrData, message) {
+        try {
+            const saved = await this.databaseManager.saveQRCodeToDatabase(qrData);
+            if (!saved) {
+                this.updateSavedCodesList();
+                return;
+            }
+            this.putSavedCode(qrData);
+            this.updateDatabaseStatus();
+            notificationManager.success(message);
+        } catch (error) {
+            console.error('Error saving QR code:', error);
+            notificationManager.error('Error saving QR code: ' + error.message);
+        }
     }
 
-    loadSavedCodes() {
-        // Load from localStorage initially
-        const saved = localStorage.getItem(Config.DATABASE.LOCAL_STORAGE_PREFIX + 'saved_codes');
-        if (saved) {
-            this.savedCodes = JSON.parse(saved);
-            this.updateSavedCodesList();
+    /**
+     * Say which saved code the save button updates, if any
+     */
+    updateEditingStatus() {
+        const qr = this.savedCodes.find(q => q.id === this.editingId);
+        document.getElementById('editing-status').classList.toggle('hidden', !qr);
+        document.getElementById('editing-name').textContent = qr ? qr.name : '';
+    }
+
+    /**
+     * Import images one after another, so the codes of a Structured Append set
+     * can be chosen, dropped or pasted together
+     * @param {Array<File|Blob>} files - Image files
+     */
+    async importFromImages(files) {
+        for (const file of files) {
+            await this.importFromImage(file);
         }
     }
 
-    updateSavedCodesList() {
-        const container = document.getElementById('saved-codes-list');
+    /**
+     * Decode a QR code from an image and load its content and error correction
+     * level into the editor, keeping the current styling. Codes from a Structured
+     * Append set are collected until the whole set is in.
+     * @param {File|Blob} file - Image file
+     */
+    async importFromImage(file) {
+        if (!file.type.startsWith('image/')) {
+            notificationManager.error('Please choose an image file');
+            return;
+        }
 
-        if (this.savedCodes.length === 0) {
-            container.innerHTML = `
-                <div class="text-center" style="color: var(--text-secondary); padding: 20px;">
-                    <i class="fas fa-database" style="font-size: 24px; margin-bottom: 8px;"></i>
-                    <p>No saved QR codes</p>
-                </div>
-            `;
+        let result;
+        try {
+            result = QRDecoder.decode(await this.readImageData(file));
+        } catch (error) {
+            console.error('Error decoding QR code:', error);
+            notificationManager.error(error.message);
             return;
         }
 
-        container.innerHTML = this.savedCodes
-            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-            .map(qr => `
-                <div class="saved-code-item" data-id="${qr.id}">
-                    <div class="code-info">
-                        <div class="code-title">${qr.name}</div>
-                        <div class="code-date">${this.formatDate(qr.timestamp)}</div>
-                    </div>
-                    <div class="code-actions">
-                        <button class="action-btn" onclick="app.loadQRCode(${qr.id})" title="Load">
-                            <i class="fas fa-eye"></i>
-                        </button>
-                        <button class="action-btn" onclick="app.deleteQRCode(${qr.id})" title="Delete">
-                            <i class="fas fa-trash"></i>
-                        </button>
-                    </div>
-                </div>
-            `).join('');
+        if (result.structuredAppend) {
+            this.addStructuredAppendPiece(result);
+            return;
+        }
+
+        if (!result.content) {
+            notificationManager.warning('The QR code in this image is empty');
+            return;
+        }
+
+        this.loadDecodedContent(result.content, result.errorCorrection, null);
+
+        notificationManager.success(`QR code imported (version ${result.version}, error correction ${result.errorCorrection})`);
     }
 
-    loadQRCode(qrId) {
-        const qr = this.savedCodes.find(q => q.id === qrId);
-        if (!qr) {
-            notificationManager.error('QR code not found');
+    /**
+     * Add a decoded code to the Structured Append set being collected, and load
+     * the joined content once every code of the set has been imported. A code
+     * from another set starts a new collection.
+     * @param {Object} result - QRDecoder result with `structuredAppend`
+     */
+    addStructuredAppendPiece(result) {
+        let joined;
+        try {
+            joined = StructuredAppend.join([...this.structuredAppendPieces, result]);
+            this.structuredAppendPieces.push(result);
+        } catch (error) {
+            this.structuredAppendPieces = [result];
+            joined = StructuredAppend.join(this.structuredAppendPieces);
+        }
+
+        const { total, missing, content, parityMatches } = joined;
+        if (content === null) {
+            notificationManager.info(`Code ${result.structuredAppend.index + 1} of ${total} imported. ` +
+                `Still needed: ${missing.map(index => index + 1).join(', ')}`);
             return;
         }
 
-        // Load data into form
-        document.getElementById('content-input').value = qr.content;
-        document.getElementById('size-select').value = qr.size;
-        document.getElementById('error-correction-select').value = qr.errorCorrection;
-        document.getElementById('foreground-color').value = qr.foregroundColor;
-        document.getElementById('background-color').value = qr.backgroundColor;
+        this.structuredAppendPieces = [];
+        this.loadDecodedContent(content, result.errorCorrection, total);
+
+        if (parityMatches) {
+            notificationManager.success(`Joined ${total} linked QR codes`);
+        } else {
+            notificationManager.warning(`Joined ${total} linked QR codes, but the parity does not match: ` +
+                'the codes may come from different sets');
+        }
+    }
+
+    /**
+     * Load decoded text into the editor as plain text for a QR code and generate it
+     * @param {string} content - Decoded text
+     * @param {string} errorCorrection - Level the code was read at
+     * @param {number|null} structuredAppendCount - Codes in the set it was joined from, or null for one code
+     */
+    loadDecodedContent(content, errorCorrection, structuredAppendCount) {
+        // Imported content is a new code, not an edit of the one loaded before
+        this.editingId = null;
+        this.updateEditingStatus();
+
+        document.getElementById('payload-type-select').value = 'text';
+        this.renderPayloadFields('text');
+        document.getElementById('content-input').value = content;
+        document.getElementById('symbol-type-select').value = 'qr';
+        this.updateSymbolTypeOptions();
+        document.getElementById('error-correction-select').value = errorCorrection;
+        // Choices pinned for the previous code may not fit or encode the imported content
+        document.getElementById('version-select').value = 'auto';
+        document.getElementById('mask-select').value = 'auto';
+        document.getElementById('segment-mode-select').value = Config.QR_CODE.DEFAULT_SEGMENT_MODE;
+        document.getElementById('utf8-eci').checked = Config.QR_CODE.USE_UTF8_ECI;
+        document.getElementById('structured-append-select').value = structuredAppendCount || 'off';
+        this.updateLogoSizeHint();
 
-        // Regenerate the QR code
         this.generateQRCode();
+    }
+
+    /**
+     * Draw an image file onto a canvas, scaled down to the decoder's size limit
+     * @returns {Promise<ImageData>}
+     */
+    async readImageData(file) {
+        const dataUrl = await this.readFileAsDataURL(file);
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Could not read the image file'));
+            img.src = dataUrl;
+        });
 
-        notificationManager.success('QR code loaded!');
+        const scale = Math.min(1, Config.DECODER.MAX_IMAGE_SIZE / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
     }
 
-    deleteQRCode(qrId) {
-        notificationManager.confirm('Are you sure you want to delete this QR code?', {
+    async deleteQRCode(qrId) {
+        const confirmed = await notificationManager.confirm('Are you sure you want to delete this QR code?', {
             confirmText: 'Delete',
             cancelText: 'Cancel'
-        }).then(result => {
-            if (!result) return;
+        });
+        if (!confirmed) return;
+
+        if (!this.savedCodes.some(q => q.id === qrId)) {
+            notificationManager.error('QR code not found');
+            return;
+        }
 
-            const index = this.savedCodes.findIndex(q => q.id === qrId);
-            if (index === -1) {
-                notificationManager.error('QR code not found');
+        try {
+            // Update the local store, and GitHub when connected; it reports its own errors
+            if (!await this.databaseManager.deleteQRCodeFromDatabase(qrId, { silent: true })) {
                 return;
             }
 
-            // Remove from local array
-            this.savedCodes.splice(index, 1);
-
-            // Update localStorage
-            localStorage.setItem(Config.DATABASE.LOCAL_STORAGE_PREFIX + 'saved_codes',
-                JSON.stringify(this.savedCodes));
+            this.savedCodes = this.savedCodes.filter(q => q.id !== qrId);
+            if (this.editingId === qrId) {
+                this.editingId = null;
+                this.updateEditingStatus();
+            }
 
-            // Update UI
             this.updateSavedCodesList();
-
+            this.updateDatabaseStatus();
             notificationManager.success('QR code deleted!');
-        });
+        } catch (error) {
+            console.error('Error deleting QR code:', error);
+            notificationManager.error('Error deleting QR code: ' + error.message);
+        }
     }
 
     async connectToDatabase() {
+        const tokenInput = document.getElementById('github-token-input');
+        const repoInput = document.getElementById('github-repo-input');
+
         try {
-            const result = await this.databaseManager.connectToGitHub();
+            const result = await this.databaseManager.connectToGitHub(tokenInput.value, repoInput.value);
             if (result) {
+                tokenInput.value = '';
                 this.updateDatabaseStatus();
                 notificationManager.success('Connected to database!');
+                // Send anything queued for this repository before it was disconnected
+                this.replayPendingChanges();
             }
         } catch (error) {
             console.error('Error connecting to database:', error);
@@ -334,19 +2484,71 @@ class QRCodeGenerator {
         }
     }
 
-    async loadAllFromDatabase() {
-        try {
-            const count = await this.databaseManager.loadAllQRCodesFromDatabase();
-            if (count > 0) {
-                this.loadSavedCodes(); // Reload from localStorage after database sync
-                notificationManager.success(`${count} QR codes loaded from database!`);
-            } else {
-                notificationManager.info('No QR codes found in database');
-            }
-        } catch (error) {
-            console.error('Error loading from database:', error);
-            notificationManager.error('Error loading from database: ' + error.message);
+    /**
+     * Sync every saved code with GitHub both ways, then show the merged collection
+     */
+    async syncWithDatabase() {
+        if (!this.databaseManager.isGitHubConnected()) {
+            notificationManager.info('Connect to GitHub to sync your saved QR codes');
+            return;
+        }
+
+        const summary = await this.databaseManager.syncWithGitHub();
+        if (summary) {
+            await this.loadSavedCodes(); // Reload from the local store after database sync
+            this.notifySyncSummary(summary);
+        }
+        this.updateDatabaseStatus();
+    }
+
+    /**
+     * Send changes queued while offline, if there are any
+     */
+    async replayPendingChanges() {
+        if (!this.databaseManager.isGitHubConnected() || this.databaseManager.sync.queue.length === 0) {
+            return;
+        }
+
+        const summary = await this.databaseManager.replayChanges();
+        if (summary && !summary.offline) {
+            this.notifySyncSummary(summary);
+        }
+        this.updateDatabaseStatus();
+    }
+
+    notifySyncSummary({ sent, received, conflicts, failed, offline }) {
+        const plural = count => (count === 1 ? '' : 's');
+        if (offline) {
+            notificationManager.info('You are offline; changes will be sent to GitHub when the connection returns');
+        } else if (conflicts > 0) {
+            notificationManager.warning(`${conflicts} QR code${plural(conflicts)} changed both here and on GitHub. Choose which version to keep under Database Operations.`);
+        } else if (failed > 0) {
+            notificationManager.error(`${failed} QR code${plural(failed)} could not be synced; they will be retried on the next sync`);
+        } else if (sent > 0 || received > 0) {
+            notificationManager.success(`Synced with database: ${sent} sent, ${received} received`);
+        } else {
+            notificationManager.info('Already in sync with the database');
+        }
+    }
+
+    /**
+     * Resolve a sync conflict from its button in the conflict list
+     * @param {string} qrId - Code id
+     * @param {string} action - 'keep-local', 'keep-remote' or 'keep-both'
+     */
+    async resolveSyncConflict(qrId, action) {
+        const choices = {
+            'keep-local': ['local', 'Kept the version from this device'],
+            'keep-remote': ['remote', 'Kept the version from GitHub'],
+            'keep-both': ['both', 'Kept both versions; this device\'s was saved as a copy']
+        };
+        const [choice, message] = choices[action];
+
+        if (await this.databaseManager.resolveSyncConflict(qrId, choice)) {
+            await this.loadSavedCodes();
+            notificationManager.success(message);
         }
+        this.updateDatabaseStatus();
     }
 
     async syncCurrentCode() {
@@ -356,19 +2558,10 @@ class QRCodeGenerator {
         }
 
         try {
-            const qrData = {
-                id: Date.now(),
-                content: this.currentQRCode.content,
-                size: this.currentQRCode.size,
-                errorCorrection: this.currentQRCode.errorCorrection,
-                foregroundColor: this.currentQRCode.foregroundColor,
-                backgroundColor: this.currentQRCode.backgroundColor,
-                timestamp: this.currentQRCode.timestamp,
-                name: this.generateQRName(this.currentQRCode.content)
-            };
-
-            await this.databaseManager.saveQRCodeToDatabase(qrData);
-            notificationManager.success('QR code synced to database!');
+            const saved = await this.storeCurrentCode();
+            if (saved) {
+                notificationManager.success('QR code synced to database!');
+            }
         } catch (error) {
             console.error('Error syncing QR code:', error);
             notificationManager.error('Error syncing QR code: ' + error.message);
@@ -376,14 +2569,23 @@ class QRCodeGenerator {
     }
 
 
-    updateDatabaseStatus() {
+    async updateDatabaseStatus() {
         const indicator = document.getElementById('db-status-indicator');
         const statusText = document.getElementById('db-status-text');
+        const storageText = document.getElementById('db-storage-text');
+        const credentials = document.getElementById('github-credentials');
         const connectBtn = document.getElementById('connect-github-btn');
+        const status = await this.databaseManager.getDatabaseStatus();
+
+        this.updateStorageMeter(status);
+        this.updateSyncStatus(status);
+
+        credentials.classList.toggle('hidden', status.githubConnected);
 
-        if (this.databaseManager.isGitHubConnected()) {
+        if (status.githubConnected) {
             indicator.classList.add('connected');
             statusText.textContent = 'Connected to GitHub';
+            storageText.textContent = `Repository: ${status.repoOwner}/${status.repoName}`;
             connectBtn.textContent = 'Disconnect';
             connectBtn.innerHTML = '<i class="fas fa-unlink"></i> Disconnect';
             connectBtn.onclick = () => {
@@ -394,6 +2596,7 @@ class QRCodeGenerator {
         } else {
             indicator.classList.remove('connected');
             statusText.textContent = 'Not connected';
+            storageText.textContent = status.storageBackend === 'indexeddb' ? 'Using IndexedDB' : 'Using local storage';
             connectBtn.textContent = 'Connect';
             connectBtn.innerHTML = '<i class="fab fa-github"></i> Connect';
             connectBtn.onclick = () => {
@@ -402,12 +2605,92 @@ class QRCodeGenerator {
         }
     }
 
+    /**
+     * Show how many changes wait to be sent, and the codes in conflict with
+     * a button for each way of resolving them
+     */
+    updateSyncStatus(status) {
+        const pending = status.githubConnected ? status.pendingChanges : 0;
+        const conflicts = status.githubConnected ? status.conflicts : [];
+
+        document.getElementById('db-sync-line').classList.toggle('hidden', pending === 0);
+        document.getElementById('db-sync-text').textContent =
+            `${pending} change${pending === 1 ? '' : 's'} waiting to be sent`;
+
+        const describe = qr => (qr
+            ? `revision ${qr.revision || 1}, ${this.formatDate(qr.updatedAt || qr.timestamp)}`
+            : 'deleted');
+
+        document.getElementById('sync-conflicts').classList.toggle('hidden', conflicts.length === 0);
+        document.getElementById('sync-conflict-list').innerHTML = conflicts.map(conflict => {
+            const { local, remote } = conflict;
+            const differences = local && remote
+                ? `<small class="text-secondary">Differs in ${this.escapeHTML(RevisionHistory.getGroups(RevisionHistory.diff(remote, local)).join(', '))}</small>`
+                : '';
+
+            return `
+                <li class="revision-entry" data-id="${this.escapeHTML(String(conflict.id))}">
+                    <div class="revision-info">
+                        <span>${this.escapeHTML((local || remote).name)}</span>
+                        <small class="text-secondary">Here: ${describe(local)}</small>
+                        <small class="text-secondary">GitHub: ${describe(remote)}</small>
+                        ${differences}
+                    </div>
+                    <div class="revision-actions">
+                        <button type="button" class="btn-link" data-action="keep-local">Keep local</button>
+                        <button type="button" class="btn-link" data-action="keep-remote">Keep remote</button>
+                        ${local && remote ? '<button type="button" class="btn-link" data-action="keep-both">Keep both</button>' : ''}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render local storage usage in the database status panel
+     */
+    updateStorageMeter(status) {
+        const meter = document.getElementById('storage-meter');
+        const fill = document.getElementById('storage-meter-fill');
+        const text = document.getElementById('storage-meter-text');
+        const { storage } = status;
+
+        if (!storage) {
+            meter.classList.add('hidden');
+            return;
+        }
+
+        const percent = Math.min(100, storage.ratio * 100);
+        meter.classList.remove('hidden');
+        meter.classList.toggle('warning', storage.ratio >= Config.DATABASE.STORAGE_WARNING_RATIO);
+        fill.style.width = `${Math.max(percent, 1)}%`;
+        text.textContent = `${status.localQRCodes} codes · ${this.formatBytes(storage.usage)} of ${this.formatBytes(storage.quota)} used`;
+    }
+
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
     toggleSettingsPanel() {
         // Toggle the settings panel visibility
         const settingsPanel = document.querySelector('.settings-panel');
         settingsPanel.classList.toggle('hidden');
     }
 
+    /**
+     * Escape text for use in HTML markup
+     */
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
     formatDate(timestamp) {
         return new Date(timestamp).toLocaleDateString('en-US', {
             year: 'numeric',
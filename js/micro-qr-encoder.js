@@ -0,0 +1,289 @@
+/**
+ * micro-qr-encoder.js - Micro QR code encoder for QR Code Generator
+ *
+ * Builds Micro QR symbols, versions M1 to M4 (ISO/IEC 18004): one finder
+ * pattern, timing patterns along the top and left edges and a single copy of
+ * the format information, so a short part number fits in 11 to 17 modules.
+ * Segment planning and Reed-Solomon arithmetic come from QREncoder.
+ */
+
+// Side length, then data bits, error correction codewords and symbol number per level.
+// M1 detects errors without correcting them and is offered at level L.
+const MICRO_QR_VERSIONS = {
+    M1: { size: 11, levels: { L: [20, 2, 0] } },
+    M2: { size: 13, levels: { L: [40, 5, 1], M: [32, 6, 2] } },
+    M3: { size: 15, levels: { L: [84, 6, 3], M: [68, 8, 4] } },
+    M4: { size: 17, levels: { L: [128, 8, 5], M: [112, 10, 6], Q: [80, 14, 7] } }
+};
+
+// QR mask pattern each of the four Micro QR masks uses
+const MICRO_QR_MASK_PATTERNS = [1, 4, 6, 7];
+
+class MicroQREncoder {
+    static get VERSIONS() {
+        return Object.keys(MICRO_QR_VERSIONS);
+    }
+
+    static get ERROR_CORRECTION_LEVELS() {
+        return ['L', 'M', 'Q'];
+    }
+
+    static get MASK_COUNT() {
+        return MICRO_QR_MASK_PATTERNS.length;
+    }
+
+    /**
+     * Version name with its size in modules
+     */
+    static getVersionLabel(version) {
+        const size = MICRO_QR_VERSIONS[version].size;
+        return `${version} (${size}×${size})`;
+    }
+
+    /**
+     * Encode text as a Micro QR code
+     * @param {string} content - Text to encode
+     * @param {Object} options - { errorCorrection: L, M or Q, version: M1-M4 or null for the smallest that fits,
+     *     mask: 0-3 or null for the highest score, segmentMode: a key of QREncoder.SEGMENT_MODES }
+     * @returns {Object} - { symbolType, version, errorCorrection, mask, maskScores: score per mask,
+     *     segments, eci, dataBits, capacityBits, width, height, finders, getModuleCount(), isDark(row, col) }
+     */
+    static encode(content, options = {}) {
+        const errorCorrection = options.errorCorrection || Config.QR_CODE.DEFAULT_ERROR_CORRECTION;
+        if (!MicroQREncoder.ERROR_CORRECTION_LEVELS.includes(errorCorrection)) {
+            throw new Error(`Micro QR codes support error correction levels ${MicroQREncoder.ERROR_CORRECTION_LEVELS.join(', ')}`);
+        }
+
+        const version = options.version ? String(options.version).toUpperCase() : null;
+        if (version !== null && !(version in MICRO_QR_VERSIONS)) {
+            throw new Error(`Micro QR version must be one of ${MicroQREncoder.VERSIONS.join(', ')}`);
+        }
+        if (version !== null && !(errorCorrection in MICRO_QR_VERSIONS[version].levels)) {
+            throw new Error(`Version ${version} supports error correction level ${Object.keys(MICRO_QR_VERSIONS[version].levels).join(', ')}`);
+        }
+
+        const mask = options.mask !== null && options.mask !== undefined && options.mask !== '' ? parseInt(options.mask) : null;
+        if (mask !== null && !(mask >= 0 && mask < MicroQREncoder.MASK_COUNT)) {
+            throw new Error(`Micro QR mask must be from 0 to ${MicroQREncoder.MASK_COUNT - 1}`);
+        }
+
+        const candidates = (version ? [version] : MicroQREncoder.VERSIONS)
+            .filter(v => errorCorrection in MICRO_QR_VERSIONS[v].levels)
+            .map(v => ({
+                version: v,
+                layout: MicroQREncoder.getSegmentLayout(v),
+                capacityBits: MICRO_QR_VERSIONS[v].levels[errorCorrection][0]
+            }));
+
+        // Micro QR has no ECI mode, so UTF-8 bytes go out unannounced
+        const fit = QREncoder.fitSegments(Array.from(String(content)), candidates, {
+            segmentMode: options.segmentMode || 'auto',
+            eci: false
+        });
+        if (!fit) {
+            throw new Error(version
+                ? `Content does not fit in version ${version} at error correction level ${errorCorrection}`
+                : `Content is too long for a Micro QR code at error correction level ${errorCorrection}`);
+        }
+
+        const { size } = MICRO_QR_VERSIONS[fit.version];
+        const [capacityBits, eccLength, symbolNumber] = MICRO_QR_VERSIONS[fit.version].levels[errorCorrection];
+        const data = MicroQREncoder.getDataCodewords(fit.segments, fit.version, capacityBits);
+        const ecc = QREncoder.getRemainder(data, QREncoder.getGeneratorPolynomial(eccLength));
+
+        // The final data codeword of M1 and M3 is 4 bits long
+        const stream = [];
+        data.forEach(byte => QREncoder.appendBits(stream, byte, 8));
+        stream.length = capacityBits;
+        ecc.forEach(byte => QREncoder.appendBits(stream, byte, 8));
+
+        const { modules: base, functionMask } = MicroQREncoder.drawFunctionPatterns(size);
+        MicroQREncoder.placeBits(base, functionMask, size, stream);
+
+        // Score every mask so the choice can be shown, even when one is fixed
+        const masked = [];
+        const maskScores = [];
+        for (let m = 0; m < MicroQREncoder.MASK_COUNT; m++) {
+            const modules = QREncoder.applyMask(base, functionMask, size, MICRO_QR_MASK_PATTERNS[m]);
+            MicroQREncoder.drawFormatBits(modules, size, symbolNumber, m);
+            masked.push(modules);
+            maskScores.push(MicroQREncoder.getMaskScore(modules, size));
+        }
+        const chosen = mask !== null ? mask : maskScores.indexOf(Math.max(...maskScores));
+        const modules = masked[chosen];
+
+        return {
+            symbolType: 'micro',
+            version: fit.version,
+            errorCorrection,
+            mask: chosen,
+            maskScores,
+            segments: fit.segments,
+            eci: false,
+            dataBits: fit.dataBits,
+            capacityBits,
+            width: size,
+            height: size,
+            finders: [{ row: 0, col: 0 }],
+            getModuleCount: () => size,
+            isDark: (row, col) => modules[row * size + col] === 1
+        };
+    }
+
+    /**
+     * Measure text without building the symbol (see QREncoder.measure)
+     * @returns {Object|null} - null when a pinned version lacks the error correction level
+     */
+    static measure(content, options = {}) {
+        const errorCorrection = options.errorCorrection || Config.QR_CODE.DEFAULT_ERROR_CORRECTION;
+        const version = options.version ? String(options.version).toUpperCase() : null;
+        const candidates = (version ? [version] : MicroQREncoder.VERSIONS)
+            .filter(v => v in MICRO_QR_VERSIONS && errorCorrection in MICRO_QR_VERSIONS[v].levels)
+            .map(v => ({
+                version: v,
+                layout: MicroQREncoder.getSegmentLayout(v),
+                capacityBits: MICRO_QR_VERSIONS[v].levels[errorCorrection][0]
+            }));
+
+        return QREncoder.measureSegments(Array.from(String(content)), candidates, {
+            segmentMode: options.segmentMode || 'auto',
+            eci: false
+        }, v => ({ version: v, width: MICRO_QR_VERSIONS[v].size, height: MICRO_QR_VERSIONS[v].size }));
+    }
+
+    /**
+     * Mode indicators and character count widths of a version: M1 holds numeric
+     * text only, M2 adds alphanumeric and M3 and M4 hold every mode
+     */
+    static getSegmentLayout(version) {
+        const number = MicroQREncoder.VERSIONS.indexOf(version) + 1;
+        const modes = ['numeric', 'alphanumeric', 'byte', 'kanji'].slice(0, [1, 2, 4, 4][number - 1]);
+        const indicators = {};
+        const countBits = {};
+        modes.forEach((mode, i) => {
+            indicators[mode] = i;
+            countBits[mode] = number + [2, 1, 1, 0][i];
+        });
+        return { indicatorBits: number - 1, indicators, countBits };
+    }
+
+    /**
+     * Write the segments, terminator and padding
+     * @returns {Uint8Array} - Data codewords; a final 4-bit codeword fills the high half of its byte
+     */
+    static getDataCodewords(segments, version, capacityBits) {
+        const bits = QREncoder.getSegmentBits(segments, false, MicroQREncoder.getSegmentLayout(version));
+        const append = (value, length) => QREncoder.appendBits(bits, value, length);
+        const terminatorBits = MicroQREncoder.VERSIONS.indexOf(version) * 2 + 3;
+
+        append(0, Math.min(terminatorBits, capacityBits - bits.length));
+        append(0, Math.min((8 - bits.length % 8) % 8, capacityBits - bits.length));
+        for (let pad = 0xEC; bits.length + 8 <= capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+        append(0, capacityBits - bits.length);
+
+        const codewords = new Uint8Array(Math.ceil(capacityBits / 8));
+        bits.forEach((bit, i) => {
+            codewords[i >> 3] |= bit << (7 - (i & 7));
+        });
+        return codewords;
+    }
+
+    /**
+     * Finder, separator and timing patterns, with the format information area reserved
+     * @returns {Object} - { modules, functionMask }: size * size arrays, 1 for dark and function modules
+     */
+    static drawFunctionPatterns(size) {
+        const modules = new Uint8Array(size * size);
+        const functionMask = new Uint8Array(size * size);
+        const set = (row, col, dark) => {
+            modules[row * size + col] = dark ? 1 : 0;
+            functionMask[row * size + col] = 1;
+        };
+
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+                set(r, c, ring !== 2 && ring !== 4);
+            }
+        }
+
+        for (let i = 8; i < size; i++) {
+            set(0, i, i % 2 === 0);
+            set(i, 0, i % 2 === 0);
+        }
+
+        for (let i = 1; i <= 8; i++) {
+            set(8, i, false);
+            set(i, 8, false);
+        }
+
+        return { modules, functionMask };
+    }
+
+    /**
+     * Fill the data area in two-column zigzags from the lower right, turning at each edge
+     */
+    static placeBits(modules, functionMask, size, bits) {
+        let bitIndex = 0;
+        let upward = true;
+
+        for (let right = size - 1; right >= 1; right -= 2, upward = !upward) {
+            for (let vert = 0; vert < size; vert++) {
+                const row = upward ? size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const index = row * size + right - j;
+                    if (functionMask[index]) continue;
+                    modules[index] = bitIndex < bits.length ? bits[bitIndex] : 0;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Format information: the symbol number (version and level) and mask, as a
+     * BCH(15,5) code masked with 0x4445
+     */
+    static getFormatBits(symbolNumber, mask) {
+        const data = (symbolNumber << 2) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        return ((data << 10) | remainder) ^ 0x4445;
+    }
+
+    /**
+     * Write the format information down column 8 and along row 8, beside the finder
+     */
+    static drawFormatBits(modules, size, symbolNumber, mask) {
+        const bits = MicroQREncoder.getFormatBits(symbolNumber, mask);
+        for (let i = 0; i < 8; i++) {
+            modules[(i + 1) * size + 8] = (bits >>> i) & 1;
+        }
+        for (let i = 8; i < 15; i++) {
+            modules[8 * size + 15 - i] = (bits >>> i) & 1;
+        }
+    }
+
+    /**
+     * Mask score (higher is better): dark modules along the right and bottom
+     * edges, weighted towards the edge with fewer
+     */
+    static getMaskScore(modules, size) {
+        let right = 0;
+        let bottom = 0;
+        for (let i = 1; i < size; i++) {
+            right += modules[i * size + size - 1];
+            bottom += modules[(size - 1) * size + i];
+        }
+        return right <= bottom ? right * 16 + bottom : bottom * 16 + right;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MicroQREncoder;
+}
@@ -27,7 +27,8 @@ class NotificationManager {
      * @param {number} duration - Duration in milliseconds (optional)
      */
     show(message, type = 'info', duration = null) {
-        const notificationId = Date.now() + Math.random();
+        // String ids, so the inline onclick handlers below look up the same Map key
+        const notificationId = String(Date.now() + Math.random());
         const durationMs = duration || this.defaultDuration;
 
         // Create notification element
@@ -172,6 +173,10 @@ class NotificationManager {
         const notificationId = this.show(message, 'info', null);
         const notificationData = this.notifications.get(notificationId);
 
+        // Stay visible until the caller finishes, however long that takes
+        clearTimeout(notificationData.timeout);
+        notificationData.timeout = null;
+
         return {
             update: (newMessage) => {
                 if (notificationData) {
@@ -203,7 +208,7 @@ class NotificationManager {
      */
     confirm(message, options = {}) {
         return new Promise((resolve) => {
-            const notificationId = Date.now() + Math.random();
+            const notificationId = String(Date.now() + Math.random());
             const {
                 confirmText = 'Yes',
                 cancelText = 'No',
@@ -0,0 +1,400 @@
+/**
+ * payload-builder.js - Structured payload serializers for QR Code Generator
+ *
+ * Each payload type describes the form fields it needs and how to turn
+ * those fields into the string that gets encoded, with the escaping rules
+ * of the target format (WIFI:, vCard, MECARD:, mailto:, SMSTO:, geo:, VEVENT).
+ */
+
+class PayloadBuilder {
+    /**
+     * Payload type definitions, in the order they appear in the selector
+     */
+    static get TYPES() {
+        return {
+            text: {
+                label: 'Text / URL',
+                fields: []
+            },
+            wifi: {
+                label: 'WiFi Network',
+                fields: [
+                    { name: 'ssid', label: 'Network Name (SSID)', type: 'text', required: true },
+                    {
+                        name: 'authType', label: 'Security', type: 'select', value: 'WPA',
+                        options: [
+                            { value: 'WPA', label: 'WPA/WPA2/WPA3' },
+                            { value: 'WEP', label: 'WEP' },
+                            { value: 'nopass', label: 'None (open network)' }
+                        ]
+                    },
+                    { name: 'password', label: 'Password', type: 'text' },
+                    { name: 'hidden', label: 'Hidden network', type: 'checkbox' }
+                ]
+            },
+            vcard: {
+                label: 'Contact (vCard)',
+                fields: [
+                    {
+                        name: 'version', label: 'vCard Version', type: 'select', value: '3.0',
+                        options: [
+                            { value: '3.0', label: 'vCard 3.0' },
+                            { value: '4.0', label: 'vCard 4.0' }
+                        ]
+                    },
+                    { name: 'firstName', label: 'First Name', type: 'text' },
+                    { name: 'lastName', label: 'Last Name', type: 'text' },
+                    { name: 'organization', label: 'Organization', type: 'text' },
+                    { name: 'title', label: 'Job Title', type: 'text' },
+                    { name: 'phone', label: 'Phone', type: 'tel' },
+                    { name: 'email', label: 'Email', type: 'email' },
+                    { name: 'url', label: 'Website', type: 'url' },
+                    { name: 'street', label: 'Street', type: 'text' },
+                    { name: 'city', label: 'City', type: 'text' },
+                    { name: 'region', label: 'State / Region', type: 'text' },
+                    { name: 'postcode', label: 'Postal Code', type: 'text' },
+                    { name: 'country', label: 'Country', type: 'text' },
+                    { name: 'note', label: 'Note', type: 'textarea' }
+                ]
+            },
+            mecard: {
+                label: 'Contact (MeCard)',
+                fields: [
+                    { name: 'firstName', label: 'First Name', type: 'text' },
+                    { name: 'lastName', label: 'Last Name', type: 'text' },
+                    { name: 'phone', label: 'Phone', type: 'tel' },
+                    { name: 'email', label: 'Email', type: 'email' },
+                    { name: 'url', label: 'Website', type: 'url' },
+                    { name: 'address', label: 'Address', type: 'text' },
+                    { name: 'birthday', label: 'Birthday', type: 'date' },
+                    { name: 'note', label: 'Note', type: 'textarea' }
+                ]
+            },
+            email: {
+                label: 'Email',
+                fields: [
+                    { name: 'to', label: 'Recipient', type: 'email', required: true },
+                    { name: 'subject', label: 'Subject', type: 'text' },
+                    { name: 'body', label: 'Message', type: 'textarea' }
+                ]
+            },
+            sms: {
+                label: 'SMS',
+                fields: [
+                    { name: 'phone', label: 'Phone Number', type: 'tel', required: true },
+                    { name: 'message', label: 'Message', type: 'textarea' }
+                ]
+            },
+            geo: {
+                label: 'Geo Location',
+                fields: [
+                    { name: 'latitude', label: 'Latitude', type: 'number', step: 'any', required: true },
+                    { name: 'longitude', label: 'Longitude', type: 'number', step: 'any', required: true },
+                    { name: 'altitude', label: 'Altitude (m)', type: 'number', step: 'any' }
+                ]
+            },
+            event: {
+                label: 'Calendar Event',
+                fields: [
+                    { name: 'summary', label: 'Title', type: 'text', required: true },
+                    { name: 'location', label: 'Location', type: 'text' },
+                    { name: 'start', label: 'Starts', type: 'datetime-local', required: true },
+                    { name: 'end', label: 'Ends', type: 'datetime-local' },
+                    { name: 'allDay', label: 'All-day event', type: 'checkbox' },
+                    { name: 'description', label: 'Description', type: 'textarea' }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Get the definition for a payload type
+     * @param {string} type - Payload type key
+     * @returns {Object} - Type definition
+     */
+    static getType(type) {
+        const definition = PayloadBuilder.TYPES[type];
+        if (!definition) {
+            throw new Error(`Unknown payload type: ${type}`);
+        }
+        return definition;
+    }
+
+    /**
+     * Serialize structured fields into the string to encode
+     * @param {string} type - Payload type key
+     * @param {Object} fields - Field values keyed by field name
+     * @returns {string} - Encoded payload content
+     */
+    static build(type, fields = {}) {
+        const definition = PayloadBuilder.getType(type);
+
+        definition.fields.forEach(field => {
+            const value = fields[field.name];
+            if (field.required && (value === undefined || value === null || String(value).trim() === '')) {
+                throw new Error(`${field.label} is required`);
+            }
+        });
+
+        switch (type) {
+            case 'text':
+                return String(fields.text || '');
+            case 'wifi':
+                return PayloadBuilder.buildWiFi(fields);
+            case 'vcard':
+                return PayloadBuilder.buildVCard(fields);
+            case 'mecard':
+                return PayloadBuilder.buildMeCard(fields);
+            case 'email':
+                return PayloadBuilder.buildEmail(fields);
+            case 'sms':
+                return PayloadBuilder.buildSMS(fields);
+            case 'geo':
+                return PayloadBuilder.buildGeo(fields);
+            case 'event':
+                return PayloadBuilder.buildEvent(fields);
+        }
+    }
+
+    /**
+     * WIFI:T:<auth>;S:<ssid>;P:<password>;H:<hidden>;;
+     */
+    static buildWiFi(fields) {
+        const authType = fields.authType || 'WPA';
+        const escape = PayloadBuilder.escapeMeCardValue;
+
+        if (authType !== 'nopass' && !fields.password) {
+            throw new Error('Password is required for secured networks');
+        }
+
+        let payload = `WIFI:T:${authType};S:${escape(fields.ssid)};`;
+        if (authType !== 'nopass') {
+            payload += `P:${escape(fields.password)};`;
+        }
+        if (fields.hidden) {
+            payload += 'H:true;';
+        }
+        return payload + ';';
+    }
+
+    /**
+     * vCard 3.0 (RFC 2426) or 4.0 (RFC 6350) with CRLF line endings and folding
+     */
+    static buildVCard(fields) {
+        const version = fields.version === '4.0' ? '4.0' : '3.0';
+        const escape = PayloadBuilder.escapeVCardValue;
+        const firstName = fields.firstName || '';
+        const lastName = fields.lastName || '';
+        const fullName = [firstName, lastName].filter(Boolean).join(' ') || fields.organization || '';
+
+        if (!fullName) {
+            throw new Error('A name or organization is required');
+        }
+
+        const lines = [
+            'BEGIN:VCARD',
+            `VERSION:${version}`,
+            `N:${escape(lastName)};${escape(firstName)};;;`,
+            `FN:${escape(fullName)}`
+        ];
+
+        if (fields.organization) lines.push(`ORG:${escape(fields.organization)}`);
+        if (fields.title) lines.push(`TITLE:${escape(fields.title)}`);
+        if (fields.phone) {
+            lines.push(version === '4.0'
+                ? `TEL;TYPE=voice;VALUE=uri:tel:${fields.phone.replace(/[^\d+]/g, '')}`
+                : `TEL;TYPE=VOICE:${escape(fields.phone)}`);
+        }
+        if (fields.email) lines.push(`EMAIL:${escape(fields.email)}`);
+        if (fields.url) lines.push(`URL:${fields.url}`);
+
+        const address = [fields.street, fields.city, fields.region, fields.postcode, fields.country];
+        if (address.some(Boolean)) {
+            lines.push(`ADR;TYPE=${version === '4.0' ? 'work' : 'WORK'}:;;${address.map(part => escape(part || '')).join(';')}`);
+        }
+        if (fields.note) lines.push(`NOTE:${escape(fields.note)}`);
+        lines.push('END:VCARD');
+
+        return lines.map(PayloadBuilder.foldLine).join('\r\n');
+    }
+
+    /**
+     * MECARD:N:<last>,<first>;TEL:...;EMAIL:...;;
+     */
+    static buildMeCard(fields) {
+        const escape = PayloadBuilder.escapeMeCardValue;
+        const name = [fields.lastName, fields.firstName].filter(Boolean).map(escape).join(',');
+
+        if (!name) {
+            throw new Error('A first or last name is required');
+        }
+
+        let payload = `MECARD:N:${name};`;
+        if (fields.phone) payload += `TEL:${escape(fields.phone)};`;
+        if (fields.email) payload += `EMAIL:${escape(fields.email)};`;
+        if (fields.url) payload += `URL:${escape(fields.url)};`;
+        if (fields.address) payload += `ADR:${escape(fields.address)};`;
+        if (fields.birthday) payload += `BDAY:${fields.birthday.replace(/-/g, '')};`;
+        if (fields.note) payload += `NOTE:${escape(fields.note)};`;
+        return payload + ';';
+    }
+
+    /**
+     * mailto:<to>?subject=...&body=...
+     */
+    static buildEmail(fields) {
+        const params = [];
+        if (fields.subject) params.push('subject=' + encodeURIComponent(fields.subject));
+        if (fields.body) params.push('body=' + encodeURIComponent(fields.body.replace(/\r?\n/g, '\r\n')));
+
+        return `mailto:${encodeURIComponent(fields.to.trim()).replace(/%40/g, '@')}` +
+            (params.length ? '?' + params.join('&') : '');
+    }
+
+    /**
+     * SMSTO:<phone>:<message>
+     */
+    static buildSMS(fields) {
+        const phone = fields.phone.replace(/[^\d+]/g, '');
+        if (!phone) {
+            throw new Error('Phone Number must contain digits');
+        }
+        return `SMSTO:${phone}:${fields.message || ''}`;
+    }
+
+    /**
+     * geo:<lat>,<lon>[,<alt>] (RFC 5870)
+     */
+    static buildGeo(fields) {
+        const latitude = parseFloat(fields.latitude);
+        const longitude = parseFloat(fields.longitude);
+
+        if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+            throw new Error('Latitude must be between -90 and 90');
+        }
+        if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+            throw new Error('Longitude must be between -180 and 180');
+        }
+
+        let payload = `geo:${latitude},${longitude}`;
+        if (fields.altitude !== undefined && String(fields.altitude).trim() !== '') {
+            const altitude = parseFloat(fields.altitude);
+            if (isNaN(altitude)) {
+                throw new Error('Altitude must be a number');
+            }
+            payload += `,${altitude}`;
+        }
+        return payload;
+    }
+
+    /**
+     * BEGIN:VEVENT ... END:VEVENT (RFC 5545)
+     */
+    static buildEvent(fields) {
+        const escape = PayloadBuilder.escapeICalValue;
+        const start = PayloadBuilder.parseDateTime(fields.start, 'Starts');
+        const end = fields.end ? PayloadBuilder.parseDateTime(fields.end, 'Ends') : null;
+
+        if (end && end < start) {
+            throw new Error('Event cannot end before it starts');
+        }
+
+        const lines = ['BEGIN:VEVENT', `SUMMARY:${escape(fields.summary)}`];
+
+        if (fields.allDay) {
+            // DTEND is exclusive for all-day events, so it points at the following day
+            const endDay = new Date(end || start);
+            endDay.setDate(endDay.getDate() + 1);
+            lines.push(`DTSTART;VALUE=DATE:${PayloadBuilder.formatICalDate(start)}`);
+            lines.push(`DTEND;VALUE=DATE:${PayloadBuilder.formatICalDate(endDay)}`);
+        } else {
+            lines.push(`DTSTART:${PayloadBuilder.formatICalDateTime(start)}`);
+            if (end) lines.push(`DTEND:${PayloadBuilder.formatICalDateTime(end)}`);
+        }
+
+        if (fields.location) lines.push(`LOCATION:${escape(fields.location)}`);
+        if (fields.description) lines.push(`DESCRIPTION:${escape(fields.description)}`);
+        lines.push('END:VEVENT');
+
+        return lines.map(PayloadBuilder.foldLine).join('\r\n');
+    }
+
+    /**
+     * Escape MECARD/WIFI values: backslash, semicolon, comma, colon and double quote
+     */
+    static escapeMeCardValue(value) {
+        return String(value || '').replace(/([\\;,:"])/g, '\\$1');
+    }
+
+    /**
+     * Escape vCard text values: backslash, semicolon, comma and newlines
+     */
+    static escapeVCardValue(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Escape iCalendar TEXT values, which follow the same rules as vCard
+     */
+    static escapeICalValue(value) {
+        return PayloadBuilder.escapeVCardValue(value);
+    }
+
+    /**
+     * Fold content lines longer than 75 octets (RFC 5545 / RFC 6350)
+     */
+    static foldLine(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= 75) {
+            return line;
+        }
+
+        const parts = [];
+        let current = '';
+        let currentLength = 0;
+        for (const char of line) {
+            const charLength = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts towards the limit
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentLength + charLength > limit) {
+                parts.push(current);
+                current = '';
+                currentLength = 0;
+            }
+            current += char;
+            currentLength += charLength;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    static parseDateTime(value, label) {
+        const date = new Date(value);
+        if (!value || isNaN(date.getTime())) {
+            throw new Error(`${label} must be a valid date and time`);
+        }
+        return date;
+    }
+
+    static formatICalDate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    }
+
+    /**
+     * Floating local time (no TZ suffix), matching what the user typed
+     */
+    static formatICalDateTime(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${PayloadBuilder.formatICalDate(date)}T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PayloadBuilder;
+}
@@ -0,0 +1,564 @@
+/**
+ * pdf417-encoder.js - PDF417 encoder for QR Code Generator
+ *
+ * Builds stacked PDF417 symbols (ISO/IEC 15438). Long digit runs go out in
+ * numeric compaction, printable ASCII in text compaction and everything else
+ * in byte compaction, with non-ASCII text UTF-8 announced by an ECI. The
+ * version is the number of data columns; rows are added to fit the content.
+ */
+
+// Bar and space patterns of the 929 codewords in clusters 0, 3 and 6, three
+// base-32 digits per codeword holding the 15 modules between the leading bar
+// and the trailing space
+const PDF417_CLUSTERS = [
+    // Cluster 0
+    'qn0tbouluqjgt9sukvl30qhol1ga10l0oa0gln0qrotduljgqpstcvb30lhob1gbn0lroqtubjglpsqsvbholoubroltubps' +
+    'lsvbtuuntqbgt5suivkj0q9ot4ukhgq8s910kgoq8e90gkgc908krgqdst6v9j0kpoqcu9hgkosqcf9gokoe9rgktsqev9po' +
+    'ksu9osksf9tskuv9su9sfkb0q5ot2uk9gq4st2f8h0k8oq4e8ggk8c8g88g48r0kdoq6u8pgkcsq6f8ookce8oc8o68tokeu' +
+    '8sskef8se8uuk5gq2st1f890k4oq2e88gk4cq27888k46884k438dgk6sq3f8cok6e8cck678c68c3k7f8e7850k2oq1e84g' +
+    'k2cq17848k26844k2384286o86c86682gq0nk16k13821pbgslsuavij0p9oskuihgp8sskf510igo50girgpdssmv5j0ipo' +
+    'pcu5hgios5go5gc5rgitspev5poisu5os5oe5tsiuv5su5uvrb0tlouqur9gtksuqfmh0r8otkemggr8ctk7mg8r86ib0p5o' +
+    'siumr0i9gp4ssifmpgrcstmfdh04ggi8cp47dggmocdg84r0idop6udr04pgicsp6fdpgmssrefdoo4ocdoc4toieudto4ss' +
+    'iefdssmufdse4uuduu4ufdufr5gtisupfm90r4otiem8gr4cti7m88r46m84m82i5gp2sshfmdgi4op2ecp048gr6ep27cog' +
+    '488i46co8mc6i434824dgi6sp3fctg4coi6ecsomeei67csc4c64c34esi7fcus4eecue4e7cu7cvfm50r2othem4gr2cth7' +
+    'm48r26m44r23m42m41450i2op1ecd044gi2cp17ccgm6cr37cc8444i23cc4m63cc246oi3eceo46ci37cecm77ce6463ce3' +
+    'cfecf7m2gr1ctgnm28r16m24r13m22m2142gi1cp0nc6g428i16c68m36i13c64422c6242143cc7cc76c73r0mr0jm11i0m' +
+    '414c34c32c31hb0olosauh9goks2h0h8ooke2ggh8c2g82g42r0hdoomu2pghcsomf2oohce2oc2o62toheu2sshef2se2uu' +
+    '2ufplgsqsudfj90pkosqej8gpkcsq7j88pk6j84pk3h5goiss9fjdgh4ooie6p028gpmeoi76ogjcch466o82846o42dgh6s' +
+    'ojf6tg2copnf6sojeeh676sc2c66s62esh7f6us2ee6ue2e72ff6vfrl0tqouterkgtqcut7rk8tq6rk4tq3rk2j50piospe' +
+    'nd0j4gtresp7ncgrmctr7nc8j44pi3nc4rm3j41250h2oohe6d024gh2coh7et06cgj6cpj7esgnecrn7h23es86c4j63es4' +
+    '24126oh3e6eo26ch37euo6ecj77eucnf72636e327e6fe277eve6f7rigtpcusnri8tp6ri4tp3ri2ri1j2gphcsonn6gj28' +
+    'tpnn68rj6ph3n64j22n62j21n6122gh1cogn66g228h16eeg668j36h13ee8n76222ee466222166123ch1n67c236efc676' +
+    '233ef667323nefnrh8tomrh4tojrh2rh1j18pgmn38j14pgjn34rhjn32j11n31218h0m638214h0je78634j1je74n3j211' +
+    'e72631e7163me7me7jtobrghpgbj0ij0h20k61ke3k20h61hglg190gko18ggkcoa7188gk6184gk31dggmsobf1cogme1cc' +
+    'gm71c61c31esgnf1ee1e71ffhl0oqosdehkgoqchk8oq6hk4oq3hk2150gioo9e3d014goreo973cghmcor73c8144gi33c4' +
+    'hm314116ogje3eo16cgj73echn73e616317e3fe1773f7pqgstcuenpq8st6pq4st3pq2pq1higopcjmghi8op6jm8pr6op3' +
+    'jm4hi2jm2hi1jm112gghc36g128opn7eg368hj6gh37e8jn61227e436212136113cghn37c1367fc3761337f637313n37n' +
+    '7fntt8uumtt4uujtt2tt1pp8ssmrr8ttmssjrr4ttjrr2pp1rr1hh8oomjj8hh4oojnn8jj4ppjnn4rrjhh1nn2jj1nn1118' +
+    'ggm338114ggj778334hhjff8774jjj111ff4nnj331ff211m33m11j77m33jffm77jffjtskuubtsitshpokssbrpktsrrpi' +
+    'pohrphhgkoobjhkhginjkjhihghnjijhhnjh10kggb31khgr73k31i10hf7k73i31hf7i73hf7h31rf7rts9roqropjgqnhq' +
+    'nhp30q71qf3qf3p0l00kggac0k80k40k20mo0mc0m60m30ne0n7gqggq8od6gq4od3gq2gq10igg9c1mggrcg961m8gr61m4' +
+    'gr31m20i11m10jcg9n1ncgrn1n60j31n30jn1nnot8ot4ot2ot1gp8hr8otmocjhr4otjhr2gp1hr10h81j80h4g8j3n81j4' +
+    '0h23n41j20h13n21j10hm1jm0hj3nm1jj3njsuksuisuhoskptksurptioshpthgokocbhpkosrjrkhpigohjrihphjrh0gk' +
+    'g8b1hkgor3jk1hi0gh7nk3ji1hh7ni3jh0gr1hr3jr7nruvauv9suatuqsu9tuposapsqos9rtqpsprtpgoahoqgo9jpqhop' +
+    'nrq',
+    // Cluster 3
+    'ulgvast90ukovaet8gukcva7t88uk6t84uk3t82tdgumsvbfqp0tcoumeqogtccum7qo8tc6qo4tc3qo2qtgtesunflp0qso' +
+    'teelogqscte7lo8qs6lo4qs3lo2ltgqustffbp0lsoqueboglscqu7bo8ls6bo4ls3btglusqvfbsoluebsclu7bs6buslvf' +
+    'buebu7t50uiov9et4guicv97t48ui6t44ui3t42t41qd0t6oujeqcgt6cuj7qc8t66qc4t63qc2qc1kt0qeot7eksgqect77' +
+    'ks8qe6ks4qe3ks2ks19t0kuoqfe9sgkucqf79s8ku69s4ku39s29uokve9uckv79u69u39ve9v7t2guhcv8nt28uh6t24uh3' +
+    't22t21q6gt3cuhnq68t36q64t33q62q61kegq7ct3nke8q76ke4q73ke2ke18ugkfcq7n8u8kf68u4kf38u28u18vckfn8v6' +
+    '8v38vnt18ugmt14ugjt12t11q38t1mq34t1jq32q31k78q3mk74q3jk72k718f8k7m8f4k7j8f28f18fm8fjt0kugbt0it0h' +
+    'q1kt0rq1iq1hk3kq1rk3ik3h87kk3r87i87ht0at09q0qq0pk1qk1psl0uaov5eskguacv57sk8ua6sk4ua3sk2sk1pd0smo' +
+    'ubepcgsmcub7pc8sm6pc4sm3pc2pc1it0peosneisgpecsn7is8pe6is4pe3is2is15t0iuopfe5sgiucpf75s8iu65s4iu3' +
+    '5s25uoive5uciv75u65u35ve5v7uqgvdcdfouq8vd6d7suq4vd3d3uuq2uq1sigu9cv4ntmgsi8vdntm8ur6u93tm4si2tm2' +
+    'si1tm1p6gsjcu9nregp68sj6re8tn6sj3re4p62re2p61re1iegp7csjnmugie8p76mu8rf6p73mu4ie2mu2ie1mu14ugifc' +
+    'p7ndug4u8if6du8mv6if3du44u2du24u14vcifndvc4v6dv64v3dv34vnup8vcmcnsup4vcjcjuup2chvup1sh8u8mtj8sh4' +
+    'u8jtj4upjtj2sh1tj1p38shmr78p34shjr74tjjr72p31r71i78p3mmf8i74p3jmf4r7jmf2i71mf14f8i7mcv84f4i7jcv4' +
+    'mfjcv24f1cv14fmcvm4fjcvjuokvcbcbuuoic9vuohsgku8bthkuorthisghthhp1ksgrr3kp1ir3ip1hr3hi3kp1rm7kr3r' +
+    'm7ii3hm7h47ki3rcfk47icfi47hcfh47rcfruoac5vuo9sgatgqsg9tgpp0qr1qp0pr1pi1qm3qi1pm3p43qc7q43pc7puo5' +
+    'sg5tgdp0dr0ti0tm1tsagu5cv2nsa8u56sa4u53sa2sa1omgsbcu5nom8sb6om4sb3om2om1hegoncsbnhe8on6he4on3he2' +
+    'he12ughfconn2u8hf62u4hf32u22u12vchfn2v62v32vnud8v6m6nsud4v6j6juud26hvud1s98u4msr8s94u4jsr4udjsr2' +
+    's91sr1oj8s9mpn8oj4s9jpn4srjpn2oj1pn1h78ojmjf8h74ojjjf4pnjjf2h71jf12f8h7m6v82f4h7j6v4jfj6v22f16v1' +
+    '2fm6vm2fj6vjvekenonbuveiejsn9vvehehuegvuckv6b6buutkvereru69vutiuchepvuths8ku4bspks8itrkutrs8htri' +
+    'sphtrhohks8rpjkohirnkpjiohhrnipjhrnhh3kohrj7kh3infkj7ih3hnfij7hnfh27kh3r6fk27ievk6fi27hevi6fhevh' +
+    '27r6frveaebsn5vve9e9ue8vuca65vusquc9edvusps8asoqs89tpqsoptppogqphqogprjqphprjph1qj3qh1pn7qj3pn7p' +
+    '23q67q23pefq67pefpve5e5ue4vuc5usds85sodtotogdpgtrhth0tj1tn3t21t63te7te2vs58u2ms54u2js52s51ob8s5m' +
+    'ob4s5job2ob1gn8obmgn4objgn2gn11f8gnm1f4gnj1f21f11fm1fju6kv3b3buu6i39vu6hs4ku2bsdks4isdis4hsdho9k' +
+    's4rorko9iorio9horhgjko9rhnkgjihnigjhhnh17kgjr3fk17i3fi17h3fh17r3frv7a7bsjlvv7979u78vu6a35vuequ69' +
+    '7dvueps4ascqs49stqscpstpo8qopqo8pprqoppprpghqhjqghpjnqhjpjnp13q37q13p7fq37p7fpfbonluf9snkvf8uf8f' +
+    'v7575uvfdfdu74vfcvu65ueduuts45scdsstttto8dootpptrrtggthhtjjtnnt11t33t77tf5snivf4uf4f72vf6vf2uf2f' +
+    'f1fs2ks2is2ho5ks2ro5io5hgbko5rgbigbh0nkgbr0ni0nh0nru3a1lvu39s2as6qs29s6po4qodqo4podpg9qgrqg9pgrp' +
+    '0jq1nq0jp1npv3l3lu3kvu35u7ds25s6dseto4doctottg8tgpthrt0ht1jt3nt7lsjqv7ku7kf3iv7mvflonqufksnqffke' +
+    'fk77iufmu7iffmffisnpffiefi77hffjffhefh7fgno2qo2pg5qg5p0bq0bps3do2do6tg4tgdt09t0rt1qv3qu3qf7qsjtf' +
+    '7qe7q73pf7rffqontefqcnt7fq6fq37pefre7p7fr7fpcnsnfp6fp37onfpnfomfoj1tf3te3t77tcjun7t67t33sn7tn7sm' +
+    '7sj',
+    // Cluster 6
+    'lfgqnsaf0l7oqjua7gl3sqhva3ol1ua1svb8bfglnsvb4b7oljuvb2b3slhvvb1b1uun8vbmbnsun4vbjbjuun2bhvun1tf8' +
+    'unmtf4unjtf2tf1qv8tfmqv4tfjqv2qv1lv8qvmlv4qvjlv29f0knoqbu97gkjsq9v93okhu91skgv90uv9k9nokruv9i9js' +
+    'kpvv9h9hu9gvujkv9r9ruuji9pvujht7kujrt7it7hqfkt7rqfiqfhkvkqfrkvikvh8ngkbsq5v8jok9u8hsk8v8gu8gfv8q' +
+    '8rskdvv8p8pu8ovuhq8tvuhpt3qt3pq7qq7pkfqkfp8bok5u89sk4v88u88fv8d8du8cvugtt1tq3t85sk2v84u84f86v82u' +
+    '82f5f0inopbu57gijsp9v53oihu51sigv50uv5k5noiruv5i5jsipvv5h5hu5gvubkv5r5ruubi5pvubhsnkubrsnisnhpfk' +
+    'snrpfipfhivkpfriviivhmngrbstlvd70mjor9ud3gmhsr8vd1omgud0smgfd0e4ngibsp5vdng4joi9udjompui8vdhs4gu' +
+    'dgu4gfdgfv4q4rsidvvdqv4pdrs4puvdpdpu4ovdovu9q4tvurqu9pdtvurpsjqtnqsjptnpp7qrfqp7prfpifqifpcn0mbo' +
+    'r5ucjgm9sr4vchom8ucgsm8fcgecg74boi5ucro49si4vcpsmcvcou48fcofv4d4duvctctu4cvcsvu8tuptshttjtp3tr7t' +
+    'i7tcbgm5sr2vc9om4uc8sm4fc8ec8745si2vcds44uccu44fccf46vcevc5om2uc4sm2fc4ec4742uc6u42fc6fc2sm1fc2e' +
+    'c2741fc3fc1ec172nghbsolv2joh9u2hsh8v2gu2gfv2q2rshdvv2p2pu2ovu5q2tvu5psbqsbponqonphfqhfp6n0jboplu' +
+    '6jgj9spkv6hoj8u6gsj8f6ge6g72boh5u6ro29sh4v6psjcv6ou28f6ofv2d2duv6t6tu2cv6svu4tudts9tsrtojtpnth7t' +
+    'nbgrlstqvej0n9orkuehgn8srkfegon8eegcn87eg66bgj5spiverg69oj4ueponcuj4feos68eeoe687eo725sh2v6ds24u' +
+    'ets6cu24fesu6cfesf26v6eveuveb0n5oriue9gn4srife8on4ee8cn47e86e8365oj2uedo64sj2fecsn6fece647ec722u' +
+    '66u22feeu66feefe5gn2srhfe4on2ee4cn27e46e4362sj1fe6s62ee6e627e6721f63fe7fe2on1ee2cn17e26e2361ee3e' +
+    '617e37e1cn0ne16e1360ne1ne0me0j1boglu19sgkv18u18f1du1cvu2ts5tobtgnt3bghlsoqv39ohku38shkf38e38715s' +
+    'giv3ds14u3cu14f3cf16v3ev7b0jlopqu79gjkspqf78ojke78cjk778678335ohiu7do34shif7cs34e7ce3477c712u36u' +
+    '12f7eu36f7efnlgrqsttff90nkorqef8gnkcrq7f88nk6f84nk3f8275gjisppffdg74ojiefconmeji7fcc746fc6743fc3' +
+    '32shhf76s32efes76e327fee767fe711f33f77fffff50niorpef4gnicrp7f48ni6f44ni3f42f4172ojhef6o72cjh7f6c' +
+    'nj7f66723f6331e73e317f7e737f77f2gnhcronf28nh6f24nh3f22f2171cjgnf3c716f36713f3330n71nf3nf18ngmf14' +
+    'ngjf12f1170mf1m70jf1jf0kngbf0if0h70bf0r0lsgav0ku0kf0mv1logqu1ksgqf1ke1k70iu1mu0if1mf3lghqsotf3ko' +
+    'hqe3kchq73k63k31isgpf3ms1ie3me1i73m70hf1jf3nf7l0jqopte7kgjqcpt77k8jq67k4jq37k27k13iohpe7mo3ichp7' +
+    '7mcjr77m63i37m31he3je1h77ne3j77n7nqgrtctunnq8rt6nq4rt3nq2nq17igjpcpsnfmg7i8jp6fm8nr6jp3fm47i2fm2' +
+    '7i1fm13hchon7jc3h6fnc7j63h3fn67j3fn31gn3hn7jnfnnnp8rsmnp4rsjnp2np17h8jomfj87h4jojfj4npjfj27h1fj1' +
+    '3gm7hm3gjfjm7hjfjjnokrsbnoinoh7gkjobfhk7gifhi7ghfhh3gb7grfhrnoano97gafgq7g9fgp0au0af0qsgdf0qe0q7' +
+    '09f0rf1qogte1qcgt71q61q30pe1re0p71r73qghtcoun3q8ht63q4ht33q23q11pcgsn3rchtn3r61p33r30on1pn3rnjt8' +
+    'pumjt4pujjt2jt13p8hsm7r8jtmhsj7r43p27r23p17r11om3pm1oj7rm3pj7rjruktvbruiruhjskpubntkjsintijshnth' +
+    '3okhsb7pk3oifrk7pi3ohfri7phfrh1ob3or7prfrrruaru9jsansqjs9nsp3oa7oq3o9fpq7opfppru5js5nsd3o57odfot' +
+    '0de0d70tcgen0t60t30cn0tn1t8gum1t4guj1t21t10sm1tm0sj1tjhukovbhuihuh1skgub3tkhur3ti1sh3th0sb1sr3tr' +
+    'pvapv9huajuqhu9jup1sa3sq1s97tq3sp7tppv5hu5jud1s53sd7st0em0ej0ukgfb0ui0uh0eb0urgvagv90ua1uq0u91up' +
+    'ovl'
+];
+
+// Text compaction submodes, indexed by value; the mixed submode's value 25 is
+// the punctuation latch, held here by a character that never reaches text mode
+const PDF417_TEXT_SUBMODES = {
+    alpha: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ ',
+    lower: 'abcdefghijklmnopqrstuvwxyz ',
+    mixed: '0123456789&\r\t,:#-.$/+%*=^\u0000 ',
+    punct: ';<>@[\\]_`~!\r\t,:\n-.$/"|*()?{}\''
+};
+
+// Codeword patterns per cluster, unpacked on first use
+let pdf417Patterns = null;
+
+class PDF417Encoder {
+    static get VERSIONS() {
+        return Array.from({ length: 30 }, (_, i) => String(i + 1));
+    }
+
+    static get ERROR_CORRECTION_LEVELS() {
+        return ['L', 'M', 'Q', 'H'];
+    }
+
+    // PDF417 security levels the error correction levels map to; level n adds 2^(n+1) codewords
+    static get SECURITY_LEVELS() {
+        return { L: 2, M: 3, Q: 4, H: 5 };
+    }
+
+    static get CODEWORDS() {
+        return { textLatch: 900, byteLatch: 901, numericLatch: 902, byteShift: 913, byteLatch6: 924, eci: 927 };
+    }
+
+    static get START_PATTERN() {
+        return { value: 0x1FEA8, length: 17 };
+    }
+
+    static get STOP_PATTERN() {
+        return { value: 0x3FA29, length: 18 };
+    }
+
+    static get MAX_ROWS() {
+        return 90;
+    }
+
+    // Codewords a symbol holds, counting the length descriptor and error correction
+    static get MAX_CODEWORDS() {
+        return 928;
+    }
+
+    static getVersionLabel(version) {
+        return `${version} column${version === '1' ? '' : 's'}`;
+    }
+
+    /**
+     * Encode text as a PDF417 symbol
+     * @param {string} content - Text to encode
+     * @param {Object} options - { errorCorrection: L, M, Q or H, version: number of data columns,
+     *     or null to aim for Config.BARCODE.PDF417_ASPECT_RATIO, eci: false to leave out the UTF-8 ECI }
+     * @returns {Object} - { symbolType, version, rows, errorCorrection, mask, eci, dataCodewords,
+     *     capacityCodewords, width, height, finders, getModuleCount(), isDark(row, col) }
+     */
+    static encode(content, options = {}) {
+        const { version, errorCorrection, data, eci, securityLevel, eccLength, fit } = PDF417Encoder.fitSymbol(content, options);
+        if (!fit) {
+            throw new Error(version !== null
+                ? `Content does not fit in ${PDF417Encoder.getVersionLabel(version)} of PDF417 at error correction level ${errorCorrection}`
+                : `Content is too long for a PDF417 symbol at error correction level ${errorCorrection}`);
+        }
+
+        const { columns, rows } = fit;
+        const capacity = rows * columns - eccLength;
+        const codewords = [capacity, ...data];
+        while (codewords.length < capacity) {
+            codewords.push(PDF417Encoder.CODEWORDS.textLatch);
+        }
+        codewords.push(...PDF417Encoder.getErrorCorrection(codewords, eccLength));
+
+        const width = PDF417Encoder.getWidth(columns);
+        const rowModules = PDF417Encoder.drawRows(codewords, rows, columns, securityLevel);
+        const rowHeight = Config.BARCODE.PDF417_ROW_HEIGHT;
+        const height = rows * rowHeight;
+
+        return {
+            symbolType: 'pdf417',
+            version: String(columns),
+            rows,
+            errorCorrection,
+            mask: null,
+            eci,
+            dataCodewords: data.length + 1,
+            capacityCodewords: capacity,
+            width,
+            height,
+            finders: [],
+            getModuleCount: () => width,
+            isDark: (row, col) => rowModules[Math.floor(row / rowHeight)][col] === 1
+        };
+    }
+
+    /**
+     * Measure text without building the symbol (see QREncoder.measure); sizes count
+     * codewords, the length descriptor included
+     */
+    static measure(content, options = {}) {
+        const { data, eci, eccLength, candidates, fit } = PDF417Encoder.fitSymbol(content, options);
+        const maxCapacity = Math.max(...candidates.map(columns =>
+            Math.min(PDF417Encoder.MAX_ROWS, Math.floor(PDF417Encoder.MAX_CODEWORDS / columns)) * columns - eccLength));
+
+        return {
+            fits: !!fit,
+            version: fit ? String(fit.columns) : null,
+            width: fit ? PDF417Encoder.getWidth(fit.columns) : null,
+            height: fit ? fit.rows * Config.BARCODE.PDF417_ROW_HEIGHT : null,
+            used: fit ? data.length + 1 : null,
+            capacity: fit ? fit.rows * fit.columns - eccLength : null,
+            maxUsed: data.length + 1,
+            maxCapacity,
+            unit: 'codewords',
+            segments: null,
+            eci
+        };
+    }
+
+    /**
+     * Data codewords and the column and row count that fit them
+     * @returns {Object} - { version: the chosen column count or null, errorCorrection, data, eci,
+     *     securityLevel, eccLength, candidates: column counts, fit: { columns, rows } or null }
+     */
+    static fitSymbol(content, options) {
+        const errorCorrection = options.errorCorrection || Config.QR_CODE.DEFAULT_ERROR_CORRECTION;
+        if (!PDF417Encoder.ERROR_CORRECTION_LEVELS.includes(errorCorrection)) {
+            throw new Error(`PDF417 supports error correction levels ${PDF417Encoder.ERROR_CORRECTION_LEVELS.join(', ')}`);
+        }
+
+        const version = options.version ? String(options.version) : null;
+        if (version !== null && !PDF417Encoder.VERSIONS.includes(version)) {
+            throw new Error('PDF417 version must be a column count from 1 to 30');
+        }
+
+        const bytes = new TextEncoder().encode(String(content));
+        const eci = options.eci !== false && bytes.some(byte => byte > 0x7F);
+        const data = PDF417Encoder.getDataCodewords(bytes, eci);
+
+        const securityLevel = PDF417Encoder.SECURITY_LEVELS[errorCorrection];
+        const eccLength = 2 << securityLevel;
+        // One more codeword in front for the length descriptor
+        const total = data.length + 1 + eccLength;
+        const rowHeight = Config.BARCODE.PDF417_ROW_HEIGHT;
+
+        let fit = null;
+        const candidates = version !== null ? [parseInt(version)] : PDF417Encoder.VERSIONS.map(Number);
+        candidates.forEach(columns => {
+            const rows = Math.max(3, Math.ceil(total / columns));
+            if (rows > PDF417Encoder.MAX_ROWS || rows * columns > PDF417Encoder.MAX_CODEWORDS) return;
+            const ratio = PDF417Encoder.getWidth(columns) / (rows * rowHeight);
+            const distance = Math.abs(ratio - Config.BARCODE.PDF417_ASPECT_RATIO);
+            if (!fit || distance < fit.distance) {
+                fit = { columns, rows, distance };
+            }
+        });
+        return { version, errorCorrection, data, eci, securityLevel, eccLength, candidates, fit };
+    }
+
+    // Start pattern, left row indicator, data columns, right row indicator and stop pattern
+    static getWidth(columns) {
+        return 17 * (columns + 4) + 1;
+    }
+
+    /**
+     * Codewords for the text, leaving out the length descriptor
+     * @param {Uint8Array} bytes - UTF-8 text
+     * @param {boolean} eci - Announce UTF-8 first
+     * @returns {number[]}
+     */
+    static getDataCodewords(bytes, eci) {
+        const { textLatch, numericLatch, eci: eciCodeword } = PDF417Encoder.CODEWORDS;
+        const codewords = eci ? [eciCodeword, QREncoder.ECI_UTF8] : [];
+
+        // Symbols start in text compaction with the alpha submode
+        let mode = 'text';
+        let submode = 'alpha';
+        let position = 0;
+        while (position < bytes.length) {
+            const digits = PDF417Encoder.countDigits(bytes, position);
+            if (digits >= 13) {
+                codewords.push(numericLatch, ...PDF417Encoder.getNumericCodewords(bytes.subarray(position, position + digits)));
+                mode = 'numeric';
+                position += digits;
+                continue;
+            }
+
+            const text = PDF417Encoder.countText(bytes, position);
+            if (text >= 5 || digits === bytes.length) {
+                if (mode !== 'text') {
+                    codewords.push(textLatch);
+                    mode = 'text';
+                    submode = 'alpha';
+                }
+                submode = PDF417Encoder.addTextCodewords(codewords, bytes.subarray(position, position + text), submode);
+                position += text;
+                continue;
+            }
+
+            const count = Math.max(1, PDF417Encoder.countBinary(bytes, position));
+            PDF417Encoder.addByteCodewords(codewords, bytes.subarray(position, position + count), mode === 'text');
+            // A single byte is shifted into text compaction, which keeps its submode
+            if (count > 1 || mode !== 'text') {
+                mode = 'byte';
+            }
+            position += count;
+        }
+        return codewords;
+    }
+
+    static isDigit(byte) {
+        return byte >= 0x30 && byte <= 0x39;
+    }
+
+    static isText(byte) {
+        return byte === 0x09 || byte === 0x0A || byte === 0x0D || (byte >= 0x20 && byte <= 0x7E);
+    }
+
+    static countDigits(bytes, start) {
+        let end = start;
+        while (end < bytes.length && PDF417Encoder.isDigit(bytes[end])) end++;
+        return end - start;
+    }
+
+    // Text up to the next run of 13 digits, which is shorter in numeric compaction
+    static countText(bytes, start) {
+        let end = start;
+        while (end < bytes.length && PDF417Encoder.isText(bytes[end])) {
+            const digits = PDF417Encoder.countDigits(bytes, end);
+            if (digits >= 13) break;
+            end += Math.max(digits, 1);
+        }
+        return end - start;
+    }
+
+    // Bytes up to the next run of 13 digits or 5 text characters
+    static countBinary(bytes, start) {
+        let end = start;
+        while (end < bytes.length) {
+            if (PDF417Encoder.countDigits(bytes, end) >= 13) break;
+            let text = 0;
+            while (text < 5 && end + text < bytes.length && PDF417Encoder.isText(bytes[end + text])) text++;
+            if (text >= 5) break;
+            end++;
+        }
+        return end - start;
+    }
+
+    /**
+     * Text compaction: two submode values per codeword
+     * @returns {string} - Submode at the end, which the next text run continues in
+     */
+    static addTextCodewords(codewords, bytes, submode) {
+        const { alpha, lower, mixed, punct } = PDF417_TEXT_SUBMODES;
+        const values = [];
+        const isIn = (table, char) => table.includes(char) && char !== '\u0000';
+
+        for (let i = 0; i < bytes.length; i++) {
+            const char = String.fromCharCode(bytes[i]);
+            if (submode === 'alpha') {
+                if (isIn(alpha, char)) {
+                    values.push(alpha.indexOf(char));
+                } else if (isIn(lower, char)) {
+                    values.push(27);
+                    submode = 'lower';
+                    i--;
+                } else if (isIn(mixed, char)) {
+                    values.push(28);
+                    submode = 'mixed';
+                    i--;
+                } else {
+                    values.push(29, punct.indexOf(char));
+                }
+            } else if (submode === 'lower') {
+                if (isIn(lower, char)) {
+                    values.push(lower.indexOf(char));
+                } else if (isIn(alpha, char)) {
+                    // Alpha shift for one capital
+                    values.push(27, alpha.indexOf(char));
+                } else if (isIn(mixed, char)) {
+                    values.push(28);
+                    submode = 'mixed';
+                    i--;
+                } else {
+                    values.push(29, punct.indexOf(char));
+                }
+            } else if (submode === 'mixed') {
+                if (isIn(mixed, char)) {
+                    values.push(mixed.indexOf(char));
+                } else if (isIn(alpha, char)) {
+                    values.push(28);
+                    submode = 'alpha';
+                    i--;
+                } else if (isIn(lower, char)) {
+                    values.push(27);
+                    submode = 'lower';
+                    i--;
+                } else if (i + 1 < bytes.length && isIn(punct, String.fromCharCode(bytes[i + 1]))) {
+                    values.push(25);
+                    submode = 'punct';
+                    i--;
+                } else {
+                    values.push(29, punct.indexOf(char));
+                }
+            } else if (isIn(punct, char)) {
+                values.push(punct.indexOf(char));
+            } else {
+                values.push(29);
+                submode = 'alpha';
+                i--;
+            }
+        }
+
+        // An odd value count is padded with a punctuation shift
+        if (values.length % 2) {
+            values.push(29);
+        }
+        for (let i = 0; i < values.length; i += 2) {
+            codewords.push(values[i] * 30 + values[i + 1]);
+        }
+        return submode;
+    }
+
+    /**
+     * Byte compaction: six bytes in five base-900 codewords, the rest one per codeword
+     * @param {boolean} inText - A single byte can be shifted in from text compaction
+     */
+    static addByteCodewords(codewords, bytes, inText) {
+        const { byteLatch, byteShift, byteLatch6 } = PDF417Encoder.CODEWORDS;
+        if (bytes.length === 1 && inText) {
+            codewords.push(byteShift, bytes[0]);
+            return;
+        }
+
+        codewords.push(bytes.length % 6 === 0 ? byteLatch6 : byteLatch);
+        let i = 0;
+        for (; i + 6 <= bytes.length; i += 6) {
+            let value = 0;
+            for (let j = 0; j < 6; j++) {
+                value = value * 256 + bytes[i + j];
+            }
+            const group = [];
+            for (let j = 0; j < 5; j++) {
+                group.unshift(value % 900);
+                value = Math.floor(value / 900);
+            }
+            codewords.push(...group);
+        }
+        for (; i < bytes.length; i++) {
+            codewords.push(bytes[i]);
+        }
+    }
+
+    // Numeric compaction: up to 44 digits with a leading 1, in base 900
+    static getNumericCodewords(digits) {
+        const codewords = [];
+        for (let i = 0; i < digits.length; i += 44) {
+            let value = BigInt('1' + String.fromCharCode(...digits.subarray(i, i + 44)));
+            const group = [];
+            while (value > 0n) {
+                group.unshift(Number(value % 900n));
+                value /= 900n;
+            }
+            codewords.push(...group);
+        }
+        return codewords;
+    }
+
+    /**
+     * Reed-Solomon error correction over GF(929) with roots 3^1 to 3^eccLength
+     * @param {number[]} data - Length descriptor, data and padding codewords
+     * @param {number} eccLength - Number of error correction codewords
+     * @returns {number[]}
+     */
+    static getErrorCorrection(data, eccLength) {
+        const modulus = 929;
+        // Generator polynomial, highest degree first with the leading 1 left out
+        let generator = [1];
+        let root = 1;
+        for (let i = 0; i < eccLength; i++) {
+            root = root * 3 % modulus;
+            const next = new Array(generator.length + 1).fill(0);
+            generator.forEach((coefficient, j) => {
+                next[j] = (next[j] + coefficient) % modulus;
+                next[j + 1] = (next[j + 1] + modulus - coefficient * root % modulus) % modulus;
+            });
+            generator = next;
+        }
+        generator = generator.slice(1);
+
+        const remainder = new Array(eccLength).fill(0);
+        data.forEach(word => {
+            const factor = (word + remainder[0]) % modulus;
+            remainder.copyWithin(0, 1);
+            remainder[eccLength - 1] = 0;
+            generator.forEach((coefficient, i) => {
+                remainder[i] = (remainder[i] + modulus - factor * coefficient % modulus) % modulus;
+            });
+        });
+        // The check codewords make the whole polynomial divisible, so they are the negated remainder
+        return remainder.map(value => (modulus - value) % modulus);
+    }
+
+    static getPatterns() {
+        if (!pdf417Patterns) {
+            pdf417Patterns = PDF417_CLUSTERS.map(packed => Array.from({ length: 929 }, (_, i) =>
+                0x10000 | parseInt(packed.substr(i * 3, 3), 32) << 1));
+        }
+        return pdf417Patterns;
+    }
+
+    /**
+     * Modules of each row: start, left indicator, data, right indicator and stop
+     * @returns {number[][]}
+     */
+    static drawRows(codewords, rows, columns, securityLevel) {
+        const patterns = PDF417Encoder.getPatterns();
+        const { START_PATTERN, STOP_PATTERN } = PDF417Encoder;
+        const pushBits = (row, value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                row.push((value >> i) & 1);
+            }
+        };
+
+        // Each row indicator carries the row count, column count or security level, by cluster
+        const rowCount = Math.floor((rows - 1) / 3);
+        const levelInfo = securityLevel * 3 + (rows - 1) % 3;
+        const indicators = [
+            [rowCount, columns - 1],
+            [levelInfo, rowCount],
+            [columns - 1, levelInfo]
+        ];
+
+        return Array.from({ length: rows }, (_, y) => {
+            const cluster = y % 3;
+            const base = Math.floor(y / 3) * 30;
+            const [left, right] = indicators[cluster];
+            const row = [];
+            pushBits(row, START_PATTERN.value, START_PATTERN.length);
+            pushBits(row, patterns[cluster][base + left], 17);
+            for (let x = 0; x < columns; x++) {
+                pushBits(row, patterns[cluster][codewords[y * columns + x]], 17);
+            }
+            pushBits(row, patterns[cluster][base + right], 17);
+            pushBits(row, STOP_PATTERN.value, STOP_PATTERN.length);
+            return row;
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDF417Encoder;
+}
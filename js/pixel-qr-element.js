@@ -0,0 +1,199 @@
+/**
+ * pixel-qr-element.js - <pixel-qr> custom element for QR Code Generator
+ *
+ * Renders a live QR code with the same core as the app, for pages that only
+ * need the code itself:
+ *
+ *   <pixel-qr content="https://example.com" size="256" ecc="M" fg="#000" bg="#fff"></pixel-qr>
+ *
+ * Needs config.js, qr-decoder.js, qr-encoder.js, micro-qr-encoder.js,
+ * rmqr-encoder.js, reed-solomon.js, datamatrix-encoder.js, aztec-encoder.js,
+ * pdf417-encoder.js, linear-barcode-encoder.js, qr-renderer.js and
+ * qr-core.js loaded first. Attributes: content, size (symbol width in
+ * pixels), symbol (qr, micro, rmqr, datamatrix, aztec, pdf417, code128,
+ * ean13 or upca), ecc (L, M, Q or H), version (1-40, M1-M4, an rMQR size
+ * such as R11x43, a Data Matrix size such as 16x16, C1-C4 or F1-F32 for
+ * Aztec, or PDF417 columns), mask (0-7), segment-mode, fg and bg (#rgb or
+ * #rrggbb colors), margin (quiet zone in modules, by default 4 for QR codes,
+ * 2 for Micro QR and rMQR, and the symbology's own for the others),
+ * module-shape, finder-shape, finder-eye-shape and mode ("svg" or
+ * "canvas"). The element re-renders when
+ * any of them change and fires `pixelqr-render` after each render and
+ * `pixelqr-error` when the content cannot be encoded.
+ */
+
+class PixelQRElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['content', 'size', 'symbol', 'ecc', 'version', 'mask', 'segment-mode', 'fg', 'bg', 'margin',
+            'module-shape', 'finder-shape', 'finder-eye-shape', 'mode'];
+    }
+
+    static get STYLES() {
+        return `
+            :host { display: inline-block; line-height: 0; }
+            :host([hidden]) { display: none; }
+            svg, canvas { display: block; max-width: 100%; height: auto; }
+        `;
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.geometry = null;
+        this.options = null;
+        this.renderQueued = false;
+    }
+
+    connectedCallback() {
+        this.render();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue !== newValue && this.isConnected) {
+            this.queueRender();
+        }
+    }
+
+    /**
+     * Render once after several attributes are set in a row
+     */
+    queueRender() {
+        if (this.renderQueued) return;
+        this.renderQueued = true;
+        queueMicrotask(() => {
+            if (this.renderQueued) this.render();
+        });
+    }
+
+    /**
+     * Style options from the attributes, with defaults from Config
+     */
+    getOptions() {
+        const { QR_CODE } = Config;
+        const number = (name, fallback) => {
+            const value = parseInt(this.getAttribute(name));
+            return Number.isNaN(value) ? fallback : value;
+        };
+        // Attribute values often come from page data; anything but a plain hex color
+        // could break out of the SVG markup built from it
+        const color = (name, fallback) => {
+            const value = this.getAttribute(name);
+            return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ? value : fallback;
+        };
+        const ecc = (this.getAttribute('ecc') || '').toUpperCase();
+        const symbol = (this.getAttribute('symbol') || '').toLowerCase();
+        const symbolType = symbol in QRCore.SYMBOL_TYPES ? symbol : QR_CODE.DEFAULT_SYMBOL_TYPE;
+
+        return {
+            size: Math.min(Math.max(number('size', QR_CODE.DEFAULT_SIZE), QR_CODE.MIN_SIZE), QR_CODE.MAX_SIZE),
+            symbolType,
+            errorCorrection: QR_CODE.ALLOWED_ERROR_CORRECTION_LEVELS.includes(ecc) ? ecc : QR_CODE.DEFAULT_ERROR_CORRECTION,
+            // Other versions are names such as M3, R11x43 or 16x16
+            version: symbolType === 'qr' ? number('version', null) : this.getAttribute('version') || null,
+            mask: number('mask', null),
+            segmentMode: this.getAttribute('segment-mode') || QR_CODE.DEFAULT_SEGMENT_MODE,
+            margin: Math.max(number('margin', QRCore.getDefaultMargin(symbolType)), 0),
+            foregroundColor: color('fg', QR_CODE.DEFAULT_COLOR_DARK),
+            backgroundColor: color('bg', QR_CODE.DEFAULT_COLOR_LIGHT),
+            moduleShape: this.getAttribute('module-shape') || 'square',
+            finderOuterShape: this.getAttribute('finder-shape') || 'square',
+            finderInnerShape: this.getAttribute('finder-eye-shape') || 'square'
+        };
+    }
+
+    get content() {
+        return this.getAttribute('content') || '';
+    }
+
+    set content(value) {
+        this.setAttribute('content', value);
+    }
+
+    get mode() {
+        return this.getAttribute('mode') === 'canvas' ? 'canvas' : 'svg';
+    }
+
+    render() {
+        const root = this.shadowRoot;
+        root.innerHTML = `<style>${PixelQRElement.STYLES}</style>`;
+        this.renderQueued = false;
+        this.geometry = null;
+        this.options = null;
+
+        if (!this.content) {
+            return;
+        }
+
+        const options = this.getOptions();
+        try {
+            this.geometry = QRCore.createSymbol(this.content, options).geometry;
+            this.options = options;
+        } catch (error) {
+            this.dispatchEvent(new CustomEvent('pixelqr-error', { detail: { error } }));
+            return;
+        }
+
+        let output;
+        if (this.mode === 'canvas') {
+            output = QRCore.drawToCanvas(document.createElement('canvas'), this.geometry, options);
+        } else {
+            const template = document.createElement('template');
+            template.innerHTML = QRRenderer.toSVG(this.geometry).replace(/^<\?xml[^>]*>\s*/, '');
+            output = template.content.firstElementChild;
+        }
+        output.setAttribute('role', 'img');
+        output.setAttribute('aria-label', this.getAttribute('aria-label') || this.content);
+        root.appendChild(output);
+
+        this.dispatchEvent(new CustomEvent('pixelqr-render', { detail: { geometry: this.geometry } }));
+    }
+
+    /**
+     * Geometry for the current attributes, rendering first if a change is still queued
+     */
+    getCurrentGeometry() {
+        if (this.renderQueued || !this.geometry) {
+            this.render();
+        }
+        if (!this.geometry) {
+            throw new Error('No QR code to export');
+        }
+        return this.geometry;
+    }
+
+    /**
+     * The current code as a standalone SVG document
+     * @returns {string}
+     */
+    toSVG() {
+        return QRRenderer.toSVG(this.getCurrentGeometry());
+    }
+
+    /**
+     * The current code as a PNG image
+     * @returns {Promise<Blob>}
+     */
+    toPNG() {
+        let canvas;
+        try {
+            canvas = QRCore.drawToCanvas(document.createElement('canvas'), this.getCurrentGeometry(), this.options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not encode image/png'));
+                }
+            }, 'image/png');
+        });
+    }
+}
+
+// No module export: extending HTMLElement only works where the DOM exists
+if (typeof customElements !== 'undefined' && !customElements.get('pixel-qr')) {
+    customElements.define('pixel-qr', PixelQRElement);
+}
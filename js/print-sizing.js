@@ -0,0 +1,79 @@
+/**
+ * print-sizing.js - Physical output sizes for QR Code Generator
+ *
+ * Converts a printed symbol width in millimetres or inches at a chosen DPI
+ * into the pixel size the renderer works with, and recommends the smallest
+ * printed size that still scans from a given distance.
+ *
+ * Print settings are { width, unit, dpi }. The width is the symbol itself;
+ * the quiet zone is added around it, as it is for pixel sizes.
+ */
+
+class PrintSizing {
+    static get UNITS() {
+        return {
+            mm: { label: 'mm', perInch: 25.4, step: 0.5, decimals: 1 },
+            in: { label: 'in', perInch: 1, step: 0.05, decimals: 2 }
+        };
+    }
+
+    /**
+     * Convert a length between units
+     */
+    static convert(value, fromUnit, toUnit) {
+        const units = PrintSizing.UNITS;
+        return value / units[fromUnit].perInch * units[toUnit].perInch;
+    }
+
+    /**
+     * Round a length to the precision shown for its unit
+     */
+    static round(value, unit) {
+        const factor = Math.pow(10, PrintSizing.UNITS[unit].decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Pixel size to render a printed width at, within the renderer's limits
+     * @param {Object} print - { width, unit, dpi }
+     * @returns {number} - Symbol width in pixels
+     */
+    static getPixelSize(print) {
+        const { MIN_PIXEL_SIZE, MAX_PIXEL_SIZE } = Config.PRINT;
+        const pixels = Math.round(PrintSizing.convert(print.width, print.unit, 'in') * print.dpi);
+        return Math.min(Math.max(pixels, MIN_PIXEL_SIZE), MAX_PIXEL_SIZE);
+    }
+
+    /**
+     * Resolution a rendered size actually prints at, which is lower than the
+     * requested DPI when the pixel size had to be capped
+     * @param {Object} print - { width, unit, dpi }
+     * @param {number} size - Symbol width in pixels
+     */
+    static getEffectiveDPI(print, size) {
+        return size / PrintSizing.convert(print.width, print.unit, 'in');
+    }
+
+    /**
+     * Smallest printed symbol that scans reliably from a distance. Phone
+     * cameras need each module to span a fixed fraction of the distance,
+     * with a floor set by what print processes reproduce cleanly.
+     * @param {Object} params - { distance, unit, moduleCount }
+     * @returns {Object} - { width, moduleSize } in the given unit, rounded up
+     */
+    static recommendSize({ distance, unit, moduleCount }) {
+        const { SCAN_DISTANCE_RATIO, MIN_MODULE_SIZE_MM } = Config.PRINT;
+        const factor = Math.pow(10, PrintSizing.UNITS[unit].decimals);
+        const moduleSize = Math.max(distance / SCAN_DISTANCE_RATIO, PrintSizing.convert(MIN_MODULE_SIZE_MM, 'mm', unit));
+
+        return {
+            moduleSize: Math.ceil(moduleSize * factor * 10) / (factor * 10),
+            width: Math.ceil(moduleSize * moduleCount * factor) / factor
+        };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrintSizing;
+}
@@ -0,0 +1,132 @@
+/**
+ * qr-code-store.js - IndexedDB storage for saved QR codes
+ *
+ * Wraps the IndexedDB request/transaction API in promises. Records are the
+ * same `qrData` objects the app saves, keyed by `id`, with indexes on
+ * timestamp, name and tags so the library can be queried without loading
+ * everything into localStorage.
+ */
+
+class QRCodeStore {
+    constructor(dbName = Config.DATABASE.INDEXED_DB_NAME, version = Config.DATABASE.INDEXED_DB_VERSION) {
+        this.dbName = dbName;
+        this.version = version;
+        this.storeName = 'qrcodes';
+        this.db = null;
+    }
+
+    /**
+     * Check if IndexedDB is available in this browser
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = (e) => {
+                this.upgrade(request.result, e.oldVersion, request.transaction);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgraded the schema; drop our handle so it can proceed
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+        });
+    }
+
+    /**
+     * Apply schema changes for each version step
+     */
+    upgrade(db, oldVersion, transaction) {
+        if (oldVersion < 1) {
+            const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('name', 'name');
+            store.createIndex('tags', 'tags', { multiEntry: true });
+        }
+    }
+
+    /**
+     * Run a request against the object store inside a transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the object store, returns an IDBRequest (optional)
+     * @returns {Promise<*>} - Resolves with the request result once the transaction completes
+     */
+    async transaction(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = callback(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    /**
+     * Get all records matching an index key, e.g. `getAllByIndex('tags', 'event')`
+     */
+    getAllByIndex(indexName, query) {
+        return this.transaction('readonly', store => store.index(indexName).getAll(query));
+    }
+
+    get(id) {
+        return this.transaction('readonly', store => store.get(id));
+    }
+
+    put(qrData) {
+        return this.transaction('readwrite', store => store.put(qrData));
+    }
+
+    putMany(qrCodes) {
+        return this.transaction('readwrite', store => {
+            qrCodes.forEach(qrData => store.put(qrData));
+        });
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Replace the whole collection in a single transaction
+     */
+    replaceAll(qrCodes) {
+        return this.transaction('readwrite', store => {
+            store.clear();
+            qrCodes.forEach(qrData => store.put(qrData));
+        });
+    }
+
+    count() {
+        return this.transaction('readonly', store => store.count());
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRCodeStore;
+}
@@ -0,0 +1,229 @@
+/**
+ * qr-core.js - DOM-free QR code pipeline for QR Code Generator
+ *
+ * Encodes content, builds the symbol geometry and lays out the PDF page
+ * without touching the document, so the browser app and the pixelqr
+ * command-line tool produce the same output. Canvases and the jsPDF
+ * constructor are passed in by the caller.
+ */
+
+class QRCore {
+    static get SYMBOL_TYPES() {
+        return {
+            qr: 'QR Code',
+            micro: 'Micro QR (M1–M4)',
+            rmqr: 'Rectangular Micro QR (rMQR)',
+            datamatrix: 'Data Matrix',
+            aztec: 'Aztec',
+            pdf417: 'PDF417',
+            code128: 'Code 128',
+            ean13: 'EAN-13',
+            upca: 'UPC-A'
+        };
+    }
+
+    /**
+     * Whether a symbol type is QR Code, Micro QR or rMQR, the symbols with
+     * finder patterns, segment modes and room for a logo
+     */
+    static isQRSymbol(symbolType) {
+        return ['qr', 'micro', 'rmqr'].includes(symbolType || Config.QR_CODE.DEFAULT_SYMBOL_TYPE);
+    }
+
+    /**
+     * Encoder class for a symbol type
+     * @param {string} symbolType - A key of SYMBOL_TYPES
+     * @returns {Function} - QREncoder, MicroQREncoder, RMQREncoder, DataMatrixEncoder,
+     *     AztecEncoder, PDF417Encoder or LinearBarcodeEncoder
+     */
+    static getEncoder(symbolType) {
+        switch (symbolType || Config.QR_CODE.DEFAULT_SYMBOL_TYPE) {
+            case 'qr': return QREncoder;
+            case 'micro': return MicroQREncoder;
+            case 'rmqr': return RMQREncoder;
+            case 'datamatrix': return DataMatrixEncoder;
+            case 'aztec': return AztecEncoder;
+            case 'pdf417': return PDF417Encoder;
+            case 'code128':
+            case 'ean13':
+            case 'upca': return LinearBarcodeEncoder;
+            default: throw new Error(`Unknown symbol type ${symbolType}`);
+        }
+    }
+
+    /**
+     * Quiet zone a symbol type needs, in modules
+     */
+    static getDefaultMargin(symbolType) {
+        const type = symbolType || Config.QR_CODE.DEFAULT_SYMBOL_TYPE;
+        if (type === 'qr') {
+            return Config.QR_CODE.DEFAULT_MARGIN;
+        }
+        return QRCore.isQRSymbol(type) ? Config.QR_CODE.MICRO_MARGIN : Config.BARCODE.QUIET_ZONES[type];
+    }
+
+    /**
+     * Encode content as a symbol of any symbol type
+     * @param {string} content - Content to encode
+     * @param {Object} options - symbolType, errorCorrection, version, mask, segmentMode, eci and
+     *     structuredAppend (see QREncoder.encode); each encoder reads the options its symbology has
+     * @returns {Object} - Encoded symbol
+     */
+    static encode(content, options = {}) {
+        return QRCore.getEncoder(options.symbolType).encode(content, {
+            symbolType: options.symbolType || Config.QR_CODE.DEFAULT_SYMBOL_TYPE,
+            errorCorrection: options.errorCorrection,
+            version: options.version,
+            mask: options.mask,
+            segmentMode: options.segmentMode || Config.QR_CODE.DEFAULT_SEGMENT_MODE,
+            eci: options.eci !== undefined ? options.eci : Config.QR_CODE.USE_UTF8_ECI,
+            structuredAppend: options.structuredAppend || null
+        });
+    }
+
+    /**
+     * Measure content against a symbol type without encoding it, for live capacity feedback
+     * @param {string} content - Text to measure
+     * @param {Object} options - As for encode(); the mask is ignored
+     * @returns {Object|null} - See QREncoder.measure(); null when a pinned version lacks the level
+     */
+    static measure(content, options = {}) {
+        return QRCore.getEncoder(options.symbolType).measure(content, {
+            symbolType: options.symbolType || Config.QR_CODE.DEFAULT_SYMBOL_TYPE,
+            errorCorrection: options.errorCorrection,
+            version: options.version,
+            segmentMode: options.segmentMode || Config.QR_CODE.DEFAULT_SEGMENT_MODE,
+            eci: options.eci !== undefined ? options.eci : Config.QR_CODE.USE_UTF8_ECI
+        });
+    }
+
+    /**
+     * Build the vector geometry of an encoded symbol, with the quiet zone its
+     * symbol type needs unless options.margin sets one. Only QR symbols take a logo.
+     * @param {Object} qr - Symbol from encode()
+     * @param {Object} options - Style options (see QRRenderer.buildGeometry)
+     */
+    static buildGeometry(qr, options = {}) {
+        return QRRenderer.buildGeometry(QRRenderer.fromQRCode(qr), {
+            ...options,
+            logo: QRCore.isQRSymbol(qr.symbolType) ? options.logo : null,
+            margin: options.margin !== undefined && options.margin !== null ? options.margin : QRCore.getDefaultMargin(qr.symbolType)
+        });
+    }
+
+    /**
+     * Encode content and build its geometry
+     * @returns {Object} - { qr, geometry }
+     */
+    static createSymbol(content, options) {
+        const qr = QRCore.encode(content, options);
+        return { qr, geometry: QRCore.buildGeometry(qr, options) };
+    }
+
+    /**
+     * Size a canvas to the geometry and draw it
+     * @param {Object} canvas - Browser canvas, or any canvas with the same 2D context API
+     * @param {Object} geometry - Geometry from buildGeometry
+     * @param {Object} options - Drawing options (see QRRenderer.drawToCanvas)
+     * @returns {Object} - The canvas
+     */
+    static drawToCanvas(canvas, geometry, options = {}) {
+        canvas.width = geometry.width;
+        canvas.height = geometry.height;
+        QRRenderer.drawToCanvas(canvas.getContext('2d'), geometry, options);
+        return canvas;
+    }
+
+    /**
+     * Build an A4 PDF with the code drawn as vectors in the middle of the page.
+     * Codes with a print size are placed at exactly that width, on a larger page
+     * if they do not fit on A4.
+     * @param {Function} jsPDF - jsPDF constructor
+     * @param {Object} geometry - Geometry from buildGeometry
+     * @param {Object} options - { size, print } the geometry was built with
+     * @param {string|null} logoImage - PNG data URL covering the logo box
+     * @returns {Object} - jsPDF document
+     */
+    static buildPDF(jsPDF, geometry, options = {}, logoImage = null) {
+        return QRCore.buildPagesPDF(jsPDF, [{ geometry, logoImage }], options);
+    }
+
+    /**
+     * Build a PDF with one code per page, laid out as buildPDF lays out a single
+     * code, with an optional caption under each. Every code shares the page size
+     * of the first, so the codes of a Structured Append set print alike; without
+     * a print size each code is fitted to its page.
+     * @param {Function} jsPDF - jsPDF constructor
+     * @param {Object[]} pages - [{ geometry, logoImage, caption }]
+     * @param {Object} options - { size, print } the geometries were built with
+     * @returns {Object} - jsPDF document
+     */
+    static buildPagesPDF(jsPDF, pages, options = {}) {
+        const { print } = options;
+        const size = options.size || Config.QR_CODE.DEFAULT_SIZE;
+        const margin = 20;
+        const first = pages[0].geometry;
+
+        let printSize = null;
+        let format = 'a4';
+        if (print) {
+            // The print width covers the symbol; the quiet zone scales with it
+            printSize = PrintSizing.convert(print.width, print.unit, 'mm') * first.width / size;
+
+            const a4 = Config.EXPORT.PAGE_SIZES.a4;
+            if (printSize + margin * 2 > a4.width) {
+                format = [printSize + margin * 2, Math.max(printSize + margin * 2, a4.height)];
+            }
+        }
+
+        const pdf = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format,
+            compress: true
+        });
+
+        // Calculate dimensions to fit on page with margins
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const availableWidth = pageWidth - (margin * 2);
+        const availableHeight = pageHeight - (margin * 2);
+
+        pages.forEach(({ geometry, logoImage, caption }, i) => {
+            if (i > 0) {
+                pdf.addPage(format, 'portrait');
+            }
+
+            // rMQR, PDF417 and linear barcodes are wider than they are tall
+            const aspect = geometry.height / geometry.width;
+            // Calculate scale to fit QR code on page
+            const qrSize = printSize !== null ? printSize : Math.min(availableWidth, availableHeight / aspect) * 0.8;
+
+            const y = (pageHeight - qrSize * aspect) / 2;
+            QRRenderer.drawToPDF(pdf, geometry, {
+                x: (pageWidth - qrSize) / 2,
+                y,
+                scale: qrSize / geometry.width,
+                logoImage: logoImage || null
+            });
+
+            if (caption) {
+                pdf.setFontSize(12);
+                pdf.text(caption, pageWidth / 2, Math.min(y + qrSize * aspect + 10, pageHeight - margin / 2), { align: 'center' });
+            }
+        });
+
+        pdf.setProperties({
+            title: 'QR Code',
+            subject: 'Generated QR Code',
+            creator: Config.APP_NAME
+        });
+
+        return pdf;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRCore;
+}
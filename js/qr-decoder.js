@@ -0,0 +1,1359 @@
+/**
+ * qr-decoder.js - Pure JavaScript QR code reader for QR Code Generator
+ *
+ * Finds and decodes a QR symbol in RGBA pixel data without a camera API or
+ * native BarcodeDetector: local-threshold binarization, finder and alignment
+ * pattern detection, perspective sampling between alignment patterns, format
+ * and version information, Reed-Solomon error correction and segment decoding.
+ *
+ * Module matrices use the same { width, isDark(row, col) } shape as
+ * QRRenderer.fromQRCode(), so a rendered matrix can be decoded directly.
+ */
+
+// GF(256) tables for Reed-Solomon, primitive polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF256_EXP = new Uint8Array(512);
+const GF256_LOG = new Uint8Array(256);
+(() => {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        GF256_EXP[i] = x;
+        GF256_LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) {
+            x ^= 0x11D;
+        }
+    }
+    for (let i = 255; i < 512; i++) {
+        GF256_EXP[i] = GF256_EXP[i - 255];
+    }
+})();
+
+// Error correction codewords per block and number of blocks, indexed [level][version]
+const QR_ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+const QR_NUM_ERROR_CORRECTION_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+class QRDecoder {
+    // Level encoded in the two format information bits
+    static get FORMAT_LEVELS() {
+        return { 1: 'L', 0: 'M', 3: 'Q', 2: 'H' };
+    }
+
+    static get ALPHANUMERIC_CHARSET() {
+        return '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+    }
+
+    // ECI assignment numbers the browser's TextDecoder can handle
+    static get ECI_CHARSETS() {
+        return {
+            1: 'iso-8859-1', 3: 'iso-8859-1', 4: 'iso-8859-2', 5: 'iso-8859-3', 6: 'iso-8859-4',
+            7: 'iso-8859-5', 8: 'iso-8859-6', 9: 'iso-8859-7', 10: 'iso-8859-8', 12: 'iso-8859-10',
+            13: 'iso-8859-11', 15: 'iso-8859-13', 16: 'iso-8859-14', 17: 'iso-8859-15', 18: 'iso-8859-16',
+            20: 'shift_jis', 21: 'windows-1250', 22: 'windows-1251', 23: 'windows-1252', 24: 'windows-1256',
+            25: 'utf-16be', 26: 'utf-8', 27: 'us-ascii', 28: 'big5', 29: 'gb18030', 30: 'euc-kr'
+        };
+    }
+
+    /**
+     * Find and decode a QR code in an image
+     * @param {ImageData|Object} imageData - { data: RGBA bytes, width, height }
+     * @returns {Object} - { content, errorCorrection, version, mask, errorsCorrected, structuredAppend }
+     */
+    static decode(imageData) {
+        const luminance = QRDecoder.getLuminance(imageData);
+        const { width, height } = imageData;
+        let located = false;
+        let lastError = null;
+
+        // Local thresholds cope with uneven lighting; a global threshold keeps large
+        // flat modules solid in noisy images. Light-on-dark codes are tried last.
+        for (const threshold of [QRDecoder.thresholdLocal, QRDecoder.thresholdGlobal]) {
+            const matrix = threshold(luminance, width, height);
+            for (const candidate of [matrix, QRDecoder.invert(matrix)]) {
+                const finderSets = QRDecoder.findFinderPatterns(candidate);
+                located = located || finderSets.length > 0;
+
+                for (const finders of finderSets) {
+                    // A mirrored code reads correctly with the two outer finders swapped
+                    for (const mirrored of [false, true]) {
+                        try {
+                            return QRDecoder.decodeFromFinders(candidate, mirrored
+                                ? { topLeft: finders.topLeft, topRight: finders.bottomLeft, bottomLeft: finders.topRight }
+                                : finders);
+                        } catch (error) {
+                            lastError = error;
+                        }
+                    }
+                }
+            }
+        }
+
+        if (!located) {
+            throw new Error('No QR code found in the image');
+        }
+        throw new Error(`QR code found but could not be read${lastError ? `: ${lastError.message}` : ''}`);
+    }
+
+    /**
+     * Grayscale values of RGBA pixels, with transparent pixels counted as white paper
+     */
+    static getLuminance(imageData) {
+        const { data, width, height } = imageData;
+        const luminance = new Uint8Array(width * height);
+
+        for (let i = 0; i < luminance.length; i++) {
+            const gray = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+            const alpha = data[i * 4 + 3];
+            luminance[i] = (gray * alpha + 255 * (255 - alpha)) / 255;
+        }
+
+        return luminance;
+    }
+
+    /**
+     * Split dark from light with one threshold for the whole image, chosen by
+     * Otsu's method from the luminance histogram
+     * @returns {Object} - { width, height, bits } with 1 for dark pixels
+     */
+    static thresholdGlobal(luminance, width, height) {
+        const histogram = new Array(256).fill(0);
+        luminance.forEach(value => histogram[value]++);
+
+        const total = luminance.length;
+        const weightedTotal = histogram.reduce((sum, count, value) => sum + count * value, 0);
+        let darkCount = 0;
+        let darkSum = 0;
+        let bestVariance = -1;
+        let threshold = 127;
+
+        for (let value = 0; value < 256; value++) {
+            darkCount += histogram[value];
+            darkSum += histogram[value] * value;
+            const lightCount = total - darkCount;
+            if (darkCount === 0 || lightCount === 0) continue;
+
+            const meanDifference = darkSum / darkCount - (weightedTotal - darkSum) / lightCount;
+            const variance = darkCount * lightCount * meanDifference * meanDifference;
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                threshold = value;
+            }
+        }
+
+        return { width, height, bits: luminance.map(value => (value <= threshold ? 1 : 0)) };
+    }
+
+    /**
+     * Split dark from light with thresholds local to each 8x8 block, so shadows
+     * and uneven lighting in photos and scans do not wipe out modules
+     * @returns {Object} - { width, height, bits } with 1 for dark pixels
+     */
+    static thresholdLocal(luminance, width, height) {
+        const blockSize = 8;
+        if (width < blockSize * 5 || height < blockSize * 5) {
+            return QRDecoder.thresholdGlobal(luminance, width, height);
+        }
+
+        const bits = new Uint8Array(width * height);
+        const blocksX = Math.ceil(width / blockSize);
+        const blocksY = Math.ceil(height / blockSize);
+        const blackPoints = new Float32Array(blocksX * blocksY);
+        const blockOrigin = (index, limit) => Math.min(index * blockSize, limit - blockSize);
+
+        for (let by = 0; by < blocksY; by++) {
+            const y0 = blockOrigin(by, height);
+            for (let bx = 0; bx < blocksX; bx++) {
+                const x0 = blockOrigin(bx, width);
+                let min = 255;
+                let max = 0;
+                let sum = 0;
+
+                for (let y = y0; y < y0 + blockSize; y++) {
+                    for (let x = x0; x < x0 + blockSize; x++) {
+                        const value = luminance[y * width + x];
+                        sum += value;
+                        min = Math.min(min, value);
+                        max = Math.max(max, value);
+                    }
+                }
+
+                let blackPoint = sum / (blockSize * blockSize);
+                if (max - min <= 24) {
+                    // Flat block: assume it is background unless its neighbours say otherwise
+                    blackPoint = min / 2;
+                    if (by > 0 && bx > 0) {
+                        const neighbours = (blackPoints[(by - 1) * blocksX + bx] +
+                            2 * blackPoints[by * blocksX + bx - 1] +
+                            blackPoints[(by - 1) * blocksX + bx - 1]) / 4;
+                        if (min < neighbours) {
+                            blackPoint = neighbours;
+                        }
+                    }
+                }
+                blackPoints[by * blocksX + bx] = blackPoint;
+            }
+        }
+
+        // Threshold each block against the average of the surrounding 5x5 blocks
+        for (let by = 0; by < blocksY; by++) {
+            const y0 = blockOrigin(by, height);
+            const top = Math.min(Math.max(by, 2), blocksY - 3);
+            for (let bx = 0; bx < blocksX; bx++) {
+                const x0 = blockOrigin(bx, width);
+                const left = Math.min(Math.max(bx, 2), blocksX - 3);
+                let sum = 0;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        sum += blackPoints[(top + dy) * blocksX + left + dx];
+                    }
+                }
+                const threshold = sum / 25;
+
+                for (let y = y0; y < y0 + blockSize; y++) {
+                    for (let x = x0; x < x0 + blockSize; x++) {
+                        bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+                    }
+                }
+            }
+        }
+
+        return { width, height, bits };
+    }
+
+    static invert(matrix) {
+        return {
+            width: matrix.width,
+            height: matrix.height,
+            bits: matrix.bits.map(bit => bit ^ 1)
+        };
+    }
+
+    /**
+     * Check that five run lengths are close to the 1:1:3:1:1 finder ratio
+     */
+    static isFinderRatio(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total < 7) {
+            return false;
+        }
+        const moduleSize = total / 7;
+        const maxVariance = moduleSize * 0.75;
+        return Math.abs(moduleSize - counts[0]) < maxVariance &&
+            Math.abs(moduleSize - counts[1]) < maxVariance &&
+            Math.abs(3 * moduleSize - counts[2]) < 3 * maxVariance &&
+            Math.abs(moduleSize - counts[3]) < maxVariance &&
+            Math.abs(moduleSize - counts[4]) < maxVariance;
+    }
+
+    /**
+     * Locate finder patterns and group them into plausible symbols
+     * @returns {Array} - [{ topLeft, topRight, bottomLeft }], best match first
+     */
+    static findFinderPatterns(matrix) {
+        const { width, height, bits } = matrix;
+        const candidates = [];
+
+        for (let y = 0; y < height; y++) {
+            // Run lengths of this row, starting with the first dark run
+            const starts = [];
+            const lengths = [];
+            let x = 0;
+            while (x < width && !bits[y * width + x]) x++;
+            while (x < width) {
+                const color = bits[y * width + x];
+                const start = x;
+                while (x < width && bits[y * width + x] === color) x++;
+                starts.push(start);
+                lengths.push(x - start);
+            }
+
+            // Dark runs sit at even indexes
+            for (let i = 0; i + 4 < lengths.length; i += 2) {
+                const counts = lengths.slice(i, i + 5);
+                if (QRDecoder.isFinderRatio(counts)) {
+                    QRDecoder.addFinderCandidate(matrix, counts, starts[i + 2] + lengths[i + 2] / 2, y, candidates);
+                }
+            }
+        }
+
+        return QRDecoder.selectFinderSets(candidates);
+    }
+
+    /**
+     * Confirm a horizontal finder hit in the other direction and merge it with
+     * earlier hits on the same pattern
+     */
+    static addFinderCandidate(matrix, counts, centerX, y, candidates) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const vertical = QRDecoder.crossCheck(matrix, Math.floor(centerX), y, 0, 1, counts[2], total);
+        if (!vertical) return;
+
+        const centerY = y + vertical.offset;
+        const horizontal = QRDecoder.crossCheck(matrix, Math.floor(centerX), Math.floor(centerY), 1, 0, counts[2], total);
+        if (!horizontal) return;
+
+        const x = Math.floor(centerX) + horizontal.offset;
+        const moduleSize = (vertical.total + horizontal.total) / 14;
+
+        const existing = candidates.find(c =>
+            Math.abs(c.x - x) <= moduleSize && Math.abs(c.y - centerY) <= moduleSize &&
+            Math.abs(c.moduleSize - moduleSize) <= Math.max(1, c.moduleSize));
+
+        if (existing) {
+            const n = existing.count;
+            existing.x = (existing.x * n + x) / (n + 1);
+            existing.y = (existing.y * n + centerY) / (n + 1);
+            existing.moduleSize = (existing.moduleSize * n + moduleSize) / (n + 1);
+            existing.count++;
+        } else {
+            candidates.push({ x, y: centerY, moduleSize, count: 1 });
+        }
+    }
+
+    /**
+     * Walk both ways from a pixel along (dx, dy) and measure the dark-light-dark-light-dark runs
+     * @returns {Object|null} - { offset of the pattern center from the start pixel, total run length }
+     */
+    static crossCheck(matrix, x, y, dx, dy, maxCount, originalTotal) {
+        const { width, height, bits } = matrix;
+        const isDark = (i) => {
+            const px = x + dx * i;
+            const py = y + dy * i;
+            return px >= 0 && py >= 0 && px < width && py < height ? bits[py * width + px] === 1 : null;
+        };
+        const counts = [0, 0, 0, 0, 0];
+
+        let i = 0;
+        while (isDark(i) === true) { counts[2]++; i--; }
+        if (isDark(i) === null) return null;
+        while (isDark(i) === false && counts[1] <= maxCount) { counts[1]++; i--; }
+        if (isDark(i) !== true || counts[1] > maxCount) return null;
+        while (isDark(i) === true && counts[0] <= maxCount) { counts[0]++; i--; }
+        if (counts[0] > maxCount) return null;
+
+        i = 1;
+        while (isDark(i) === true) { counts[2]++; i++; }
+        if (isDark(i) === null) return null;
+        while (isDark(i) === false && counts[3] <= maxCount) { counts[3]++; i++; }
+        if (isDark(i) !== true || counts[3] > maxCount) return null;
+        while (isDark(i) === true && counts[4] <= maxCount) { counts[4]++; i++; }
+        if (counts[4] > maxCount) return null;
+
+        // Seen at an angle, a finder can be half as wide again as it is tall
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (4 * Math.abs(total - originalTotal) >= 3 * originalTotal || !QRDecoder.isFinderRatio(counts)) {
+            return null;
+        }
+
+        return { offset: i - counts[4] - counts[3] - counts[2] / 2, total };
+    }
+
+    /**
+     * Pick triples of finder candidates that form a right isosceles triangle,
+     * measured in modules, and label their corners
+     */
+    static selectFinderSets(candidates) {
+        // Patterns seen on several rows are far more likely to be real
+        const confirmed = candidates.filter(c => c.count >= 2);
+        const pool = (confirmed.length >= 3 ? confirmed : candidates)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 12);
+
+        const sets = [];
+        // Measured in modules between the two patterns, so that a symbol seen at an
+        // angle, with one side nearer and larger, still makes a right isosceles triangle
+        const distanceSquared = (a, b) => ((a.x - b.x) ** 2 + (a.y - b.y) ** 2) / ((a.moduleSize + b.moduleSize) / 2) ** 2;
+
+        for (let i = 0; i < pool.length; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                for (let k = j + 1; k < pool.length; k++) {
+                    const patterns = [pool[i], pool[j], pool[k]];
+                    // Perspective can make the near finders nearly twice the size of the far ones
+                    const sizes = patterns.map(p => p.moduleSize);
+                    if (Math.max(...sizes) > 2 * Math.min(...sizes)) continue;
+
+                    const sides = [
+                        distanceSquared(pool[i], pool[j]),
+                        distanceSquared(pool[j], pool[k]),
+                        distanceSquared(pool[i], pool[k])
+                    ].sort((a, b) => a - b);
+                    // Legs equal and hypotenuse squared twice a leg squared
+                    const score = Math.abs(sides[2] - 2 * sides[1]) / sides[2] + Math.abs(sides[1] - sides[0]) / sides[1];
+                    if (score > 0.8 || sides[0] < 100) continue;
+
+                    // Rows cross a finder's three-module core on about three modules' worth of
+                    // rows, and lookalikes in the data on far fewer. Sets of well-crossed patterns
+                    // come first: seen at an angle, a symbol's finders can form a worse triangle
+                    // than some lookalikes do.
+                    const weak = patterns.filter(p => p.count < p.moduleSize * 2).length;
+                    sets.push({ weak, score, finders: QRDecoder.orderFinders(patterns) });
+                }
+            }
+        }
+
+        return sets.sort((a, b) => a.weak - b.weak || a.score - b.score).slice(0, 5).map(set => set.finders);
+    }
+
+    /**
+     * The corner opposite the longest side is top-left; the sign of the cross
+     * product tells top-right from bottom-left
+     */
+    static orderFinders(patterns) {
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const [p0, p1, p2] = patterns;
+        const d01 = distance(p0, p1);
+        const d12 = distance(p1, p2);
+        const d02 = distance(p0, p2);
+
+        let topLeft, a, c;
+        if (d12 >= d01 && d12 >= d02) {
+            [topLeft, a, c] = [p0, p1, p2];
+        } else if (d02 >= d01 && d02 >= d12) {
+            [topLeft, a, c] = [p1, p0, p2];
+        } else {
+            [topLeft, a, c] = [p2, p0, p1];
+        }
+
+        if ((c.x - topLeft.x) * (a.y - topLeft.y) - (c.y - topLeft.y) * (a.x - topLeft.x) < 0) {
+            [a, c] = [c, a];
+        }
+
+        return { topLeft, topRight: c, bottomLeft: a };
+    }
+
+    /**
+     * Sample the symbol located by three finder patterns and decode it
+     */
+    static decodeFromFinders(matrix, finders) {
+        const { topLeft, topRight, bottomLeft } = finders;
+
+        // Measuring along the lines between finders copes with rotation better
+        // than the row scans; fall back to those when the measurement fails
+        const measured = [
+            QRDecoder.measureFinder(matrix, topLeft, topRight),
+            QRDecoder.measureFinder(matrix, topRight, topLeft),
+            QRDecoder.measureFinder(matrix, topLeft, bottomLeft),
+            QRDecoder.measureFinder(matrix, bottomLeft, topLeft)
+        ].filter(size => size !== null);
+        const moduleSizes = [(topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3];
+        if (measured.length) {
+            moduleSizes.unshift(measured.reduce((sum, size) => sum + size, 0) / measured.length);
+        }
+
+        // Finder centers sit 3.5 modules in from each edge; round to a valid 4v + 17 size.
+        // Perspective makes the finders a poor measure of the modules between them,
+        // so the sizes either side of each estimate are tried last.
+        const span = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+            Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)) / 2;
+        const estimates = moduleSizes.map(size => Math.round((span / size + 7 - 17) / 4));
+        const versions = [...new Set([...estimates, ...estimates.flatMap(version => [version - 1, version + 1])])]
+            .filter(version => version >= 1 && version <= 40);
+        if (!versions.length) {
+            throw new Error('symbol size is out of range');
+        }
+
+        let lastError = null;
+        let confirmed = null;
+        for (const version of versions) {
+            // Once a symbol has been read as the version it was sampled for, other sizes are guesses
+            if (confirmed && version !== confirmed) {
+                continue;
+            }
+            for (const grid of QRDecoder.locateReferenceGrids(matrix, finders, version, span / (version * 4 + 10))) {
+                try {
+                    const modules = QRDecoder.sampleGrid(matrix, version, grid);
+
+                    // Larger versions carry their version number; trust it over the estimate
+                    if (version >= 7) {
+                        const encodedVersion = QRDecoder.readVersion(modules);
+                        if (encodedVersion === version) {
+                            confirmed = version;
+                        } else if (encodedVersion) {
+                            if (!versions.includes(encodedVersion)) {
+                                versions.push(encodedVersion);
+                            }
+                            throw new Error(`symbol is version ${encodedVersion}, not ${version}`);
+                        }
+                    }
+
+                    return QRDecoder.decodeModules(modules);
+                } catch (error) {
+                    lastError = error;
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Module size of a finder pattern measured across it along the line to another finder
+     * @returns {number|null} - Pixels per module, or null if the pattern edge was not found
+     */
+    static measureFinder(matrix, finder, towards) {
+        const { width, height, bits } = matrix;
+        const length = Math.hypot(towards.x - finder.x, towards.y - finder.y);
+        const ux = (towards.x - finder.x) / length;
+        const uy = (towards.y - finder.y) / length;
+
+        // Center to outer edge is dark, light, dark: 3.5 modules
+        const step = 0.5;
+        const toEdge = (direction) => {
+            let state = 0;
+            for (let d = 0; d < length / 2; d += step) {
+                const x = Math.floor(finder.x + ux * d * direction);
+                const y = Math.floor(finder.y + uy * d * direction);
+                if (x < 0 || y < 0 || x >= width || y >= height) {
+                    return state === 2 ? d : null;
+                }
+                const dark = bits[y * width + x] === 1;
+                if (state === 1 ? dark : !dark) {
+                    if (state === 2) return d;
+                    state++;
+                }
+            }
+            return null;
+        };
+
+        const forward = toEdge(1);
+        const backward = toEdge(-1);
+        // Each walk overshoots the edge by half a step on average
+        return forward !== null && backward !== null ? (forward + backward - step) / 7 : null;
+    }
+
+    /**
+     * Points to sample a symbol between: the finder centers and the alignment
+     * pattern centers, in a square grid with the finders at three corners
+     * @returns {Array} - Grids to try in turn, each rows of points { x, y, col, row }:
+     *     the position in the image and in modules
+     */
+    static locateReferenceGrids(matrix, finders, version, moduleSize) {
+        const size = version * 4 + 17;
+        const { topLeft, topRight, bottomLeft } = finders;
+        const place = (point, col, row) => ({ x: point.x, y: point.y, col, row });
+        const known = [place(topLeft, 3.5, 3.5), place(topRight, size - 3.5, 3.5), place(bottomLeft, 3.5, size - 3.5)];
+        const positions = QRDecoder.getAlignmentPatternPositions(version);
+
+        // The bottom-right alignment pattern, where there is one, makes the fourth corner
+        // for sampling the whole symbol at once. Perspective moves it away from where the
+        // finders predict, and data modules can look like one nearby, so the nearest few
+        // are each worth a try, and then a fourth finder's position.
+        const fourth = { col: size - 3.5, row: size - 3.5 };
+        const corners = [Object.assign(fourth, QRDecoder.localAffine(known, fourth)(fourth.col, fourth.row))];
+        if (version >= 2) {
+            const alignment = { col: size - 6.5, row: size - 6.5 };
+            // Search up to 16 modules away, but not as far as the next alignment pattern along
+            const allowance = Math.min(16, (positions[positions.length - 1] - positions[positions.length - 2]) / 2);
+            const estimate = QRDecoder.localAffine(known, alignment)(alignment.col, alignment.row);
+            const found = QRDecoder.findAlignmentPatterns(matrix, estimate, moduleSize, allowance);
+            corners.unshift(...found.slice(0, 4).map(center => place(center, alignment.col, alignment.row)));
+        }
+        const quadrilaterals = corners.map(corner => [[known[0], known[1]], [known[2], corner]]);
+        if (positions.length < 3) {
+            return quadrilaterals;
+        }
+
+        // Larger versions have a grid of them, tried before the corners alone. Work
+        // outwards from the top-left finder, predicting each from three patterns already
+        // found nearby, which follows the perspective far better than the finders alone,
+        // and look within half the spacing. Patterns missed are looked for again once the
+        // rest are known, and one that still cannot be found keeps its predicted position.
+        const last = positions.length - 1;
+        const grid = positions.map(() => []);
+        [grid[0][0], grid[0][last], grid[last][0]] = known;
+        const allowance = (positions[last] - positions[last - 1]) / 2;
+        const pending = [];
+        positions.forEach((_, i) => positions.forEach((_, j) => {
+            if (!grid[i][j]) pending.push([i, j]);
+        }));
+        pending.sort(([i1, j1], [i2, j2]) => i1 + j1 - (i2 + j2) || i1 - i2);
+
+        const search = (i, j) => {
+            const point = { col: positions[j] + 0.5, row: positions[i] + 0.5 };
+            const toImage = QRDecoder.localAffine(known, point);
+            const estimate = toImage(point.col, point.row);
+            const across = toImage(point.col + 1, point.row);
+            const down = toImage(point.col, point.row + 1);
+            const axes = {
+                across: { x: across.x - estimate.x, y: across.y - estimate.y },
+                down: { x: down.x - estimate.x, y: down.y - estimate.y }
+            };
+            // Data modules often look like an alignment pattern along a row and a
+            // column; only a candidate that matches nearly all 5x5 modules will do
+            const localSize = Math.sqrt(Math.abs(axes.across.x * axes.down.y - axes.across.y * axes.down.x));
+            let found = null;
+            let best = 19;
+            for (const center of QRDecoder.findAlignmentPatterns(matrix, estimate, localSize, allowance)) {
+                const fit = QRDecoder.alignmentFit(matrix, center, QRDecoder.scaleAxes(axes, center));
+                if (fit > best) {
+                    found = center;
+                    best = fit;
+                }
+            }
+            grid[i][j] = Object.assign(point, found || estimate);
+            return found;
+        };
+        const missed = [];
+        for (const [i, j] of pending) {
+            // Missing both patterns beside the top-left finder means the finders or the
+            // version are most likely wrong; the corners alone are quicker to rule out
+            if (i + j > 1 && known.length === 3) {
+                return quadrilaterals;
+            }
+            if (search(i, j)) {
+                known.push(grid[i][j]);
+            } else {
+                missed.push([i, j, known.length]);
+            }
+        }
+        for (const [i, j, knownBefore] of missed) {
+            if (known.length > knownBefore) {
+                search(i, j);
+            }
+        }
+        return [grid, ...quadrilaterals];
+    }
+
+    /**
+     * Scale predicted module axes to the size of the center module measured at a
+     * candidate, which perspective makes quite different from the prediction
+     * @param {Object} axes - { across, down }: image offsets of one module along a row and a column
+     * @param {Object} center - { width, height } of the center module
+     * @returns {Object} - { across, down }
+     */
+    static scaleAxes(axes, center) {
+        const { across, down } = axes;
+        const area = Math.abs(across.x * down.y - across.y * down.x);
+        // Length of a line through the middle of a module, along the image x or y axis
+        const chord = (dx, dy) => area / Math.max(Math.abs(dx * across.y - dy * across.x), Math.abs(dx * down.y - dy * down.x));
+        const scale = Math.sqrt(center.width / chord(1, 0) * (center.height / chord(0, 1)));
+        return {
+            across: { x: across.x * scale, y: across.y * scale },
+            down: { x: down.x * scale, y: down.y * scale }
+        };
+    }
+
+    /**
+     * Count the modules of a 5x5 alignment pattern that match around a center
+     * @param {Object} axes - { across, down }: image offsets of one module along a row and a column
+     * @returns {number} - Between 0 and 25
+     */
+    static alignmentFit(matrix, center, axes) {
+        const { width, height, bits } = matrix;
+        let fit = 0;
+        for (let row = -2; row <= 2; row++) {
+            for (let col = -2; col <= 2; col++) {
+                const x = Math.floor(center.x + col * axes.across.x + row * axes.down.x);
+                const y = Math.floor(center.y + col * axes.across.y + row * axes.down.y);
+                // Dark in the middle and around the edge, light between
+                const dark = Math.max(Math.abs(row), Math.abs(col)) !== 1;
+                if (x >= 0 && y >= 0 && x < width && y < height && (bits[y * width + x] === 1) === dark) {
+                    fit++;
+                }
+            }
+        }
+        return fit;
+    }
+
+    /**
+     * Affine map from modules to the image through the three placed points nearest
+     * a target that are not in line, for estimating positions around it
+     * @param {Object[]} known - Placed points { x, y, col, row }
+     * @param {Object} target - { col, row }
+     * @returns {Function} - (col, row) => { x, y }
+     */
+    static localAffine(known, target) {
+        const distance = point => Math.hypot(point.col - target.col, point.row - target.row);
+        const [a, b, ...rest] = [...known].sort((p, q) => distance(p) - distance(q));
+        const cross = (col, row) => (b.col - a.col) * (row - a.row) - (b.row - a.row) * (col - a.col);
+        // Points nearly in line with the first two would magnify any error across
+        // them; failing a nearby one well off the line, take the furthest off it
+        const reach = (b.col - a.col) ** 2 + (b.row - a.row) ** 2;
+        const offLine = point => Math.abs(cross(point.col, point.row));
+        const c = rest.find(point => offLine(point) >= reach / 2) ||
+            rest.reduce((best, point) => offLine(point) > offLine(best) ? point : best);
+
+        // Solve (col, row) = a + s (b - a) + t (c - a) in modules, then apply s and t in pixels
+        const determinant = cross(c.col, c.row);
+        return (col, row) => {
+            const s = ((col - a.col) * (c.row - a.row) - (row - a.row) * (c.col - a.col)) / determinant;
+            const t = cross(col, row) / determinant;
+            return {
+                x: a.x + s * (b.x - a.x) + t * (c.x - a.x),
+                y: a.y + s * (b.y - a.y) + t * (c.y - a.y)
+            };
+        };
+    }
+
+    /**
+     * Map module centers through a perspective transform for each cell of a
+     * reference grid, so bends between alignment patterns are followed, and read their pixels
+     * @param {Array} grid - Rows of reference points from locateReferenceGrids
+     * @returns {Object} - { width, isDark(row, col) }
+     */
+    static sampleGrid(matrix, version, grid) {
+        const size = version * 4 + 17;
+        const transforms = grid.slice(1).map((_, i) => grid[i].slice(1).map((_, j) => {
+            const corners = [grid[i][j], grid[i][j + 1], grid[i + 1][j + 1], grid[i + 1][j]];
+            return QRDecoder.quadrilateralToQuadrilateral(
+                corners.flatMap(point => [point.col, point.row]),
+                corners.flatMap(point => [point.x, point.y])
+            );
+        }));
+        // Cells split at the alignment patterns inside the grid; modules past the
+        // points at its edges use the cell next to them
+        const bounds = grid[0].slice(1, -1).map(point => point.col - 0.5);
+        const cells = Array.from({ length: size }, (_, index) => bounds.filter(bound => bound <= index).length);
+
+        const { width, height, bits } = matrix;
+        const modules = new Uint8Array(size * size);
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const point = QRDecoder.transformPoint(transforms[cells[row]][cells[col]], col + 0.5, row + 0.5);
+                const x = Math.floor(point.x);
+                const y = Math.floor(point.y);
+                if (x < -1 || y < -1 || x > width || y > height) {
+                    throw new Error('symbol extends beyond the image');
+                }
+                modules[row * size + col] = bits[Math.min(Math.max(y, 0), height - 1) * width + Math.min(Math.max(x, 0), width - 1)];
+            }
+        }
+
+        return { width: size, isDark: (row, col) => modules[row * size + col] === 1 };
+    }
+
+    /**
+     * Search a square around an estimated position for an alignment pattern: a dark
+     * module ringed by light and then dark modules, so 1:1:1:1:1 across its middle
+     * @returns {Array} - [{ x, y, width, height }] of the centers found, closest to the
+     *     estimate first, with the extent of the center module across and down the image
+     */
+    static findAlignmentPatterns(matrix, estimate, moduleSize, allowance) {
+        const { width, height, bits } = matrix;
+        const reach = allowance * moduleSize;
+        const left = Math.max(0, Math.floor(estimate.x - reach));
+        const right = Math.min(width - 1, Math.ceil(estimate.x + reach));
+        const top = Math.max(0, Math.floor(estimate.y - reach));
+        const bottom = Math.min(height - 1, Math.ceil(estimate.y + reach));
+        if (right - left < moduleSize * 3 || bottom - top < moduleSize * 3) {
+            return [];
+        }
+
+        const fits = (count) => Math.abs(count - moduleSize) < moduleSize * 0.75;
+        const runLength = (x, y, dx, dy, dark) => {
+            let n = 0;
+            while (x >= 0 && y >= 0 && x < width && y < height && (bits[y * width + x] === 1) === dark && n <= moduleSize * 2) {
+                n++;
+                x += dx;
+                y += dy;
+            }
+            return n;
+        };
+        // Light then dark from the edge of the center module outwards; the outer
+        // ring may run on into dark data modules, so only its start is checked
+        const ringed = (x, y, dx, dy) => {
+            const light = runLength(x, y, dx, dy, false);
+            return fits(light) && runLength(x + dx * light, y + dy * light, dx, dy, true) >= moduleSize * 0.5;
+        };
+
+        const centers = [];
+        for (let y = top; y <= bottom; y++) {
+            let x = left;
+            while (x <= right) {
+                // Find a dark run ringed by light and dark on both sides
+                if (!bits[y * width + x]) {
+                    x++;
+                    continue;
+                }
+                const start = x;
+                while (x <= right && bits[y * width + x]) x++;
+                const dark = x - start;
+                if (!fits(dark) || !ringed(start - 1, y, -1, 0) || !ringed(x, y, 1, 0)) {
+                    continue;
+                }
+
+                // Confirm vertically through the middle of the run, then
+                // horizontally again through the middle of the column
+                const cx = Math.floor(start + dark / 2);
+                const up = runLength(cx, y, 0, -1, true);
+                const down = runLength(cx, y + 1, 0, 1, true);
+                if (!fits(up + down) || !ringed(cx, y - up, 0, -1) || !ringed(cx, y + 1 + down, 0, 1)) {
+                    continue;
+                }
+                const cy = Math.floor(y - up + 1 + (up + down) / 2);
+                const leftward = runLength(cx, cy, -1, 0, true);
+                const rightward = runLength(cx + 1, cy, 1, 0, true);
+                if (!fits(leftward + rightward) || !ringed(cx - leftward, cy, -1, 0) || !ringed(cx + 1 + rightward, cy, 1, 0)) {
+                    continue;
+                }
+
+                // A pattern is crossed by several rows; keep one center for it
+                const center = {
+                    x: cx - leftward + 1 + (leftward + rightward) / 2,
+                    y: y - up + 1 + (up + down) / 2,
+                    width: leftward + rightward,
+                    height: up + down
+                };
+                if (!centers.some(other => Math.hypot(other.x - center.x, other.y - center.y) < moduleSize)) {
+                    centers.push(center);
+                }
+            }
+        }
+
+        const distance = (center) => Math.hypot(center.x - estimate.x, center.y - estimate.y);
+        return centers.sort((a, b) => distance(a) - distance(b));
+    }
+
+    /**
+     * Perspective transform mapping one quadrilateral onto another,
+     * given as [x0, y0, x1, y1, x2, y2, x3, y3] in clockwise order
+     */
+    static quadrilateralToQuadrilateral(from, to) {
+        const toSquare = QRDecoder.adjoint(QRDecoder.squareToQuadrilateral(from));
+        return QRDecoder.multiply(QRDecoder.squareToQuadrilateral(to), toSquare);
+    }
+
+    static squareToQuadrilateral([x0, y0, x1, y1, x2, y2, x3, y3]) {
+        const dx3 = x0 - x1 + x2 - x3;
+        const dy3 = y0 - y1 + y2 - y3;
+        if (dx3 === 0 && dy3 === 0) {
+            return [x1 - x0, x2 - x1, x0, y1 - y0, y2 - y1, y0, 0, 0, 1];
+        }
+
+        const dx1 = x1 - x2;
+        const dx2 = x3 - x2;
+        const dy1 = y1 - y2;
+        const dy2 = y3 - y2;
+        const denominator = dx1 * dy2 - dx2 * dy1;
+        const a13 = (dx3 * dy2 - dx2 * dy3) / denominator;
+        const a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+        return [
+            x1 - x0 + a13 * x1, x3 - x0 + a23 * x3, x0,
+            y1 - y0 + a13 * y1, y3 - y0 + a23 * y3, y0,
+            a13, a23, 1
+        ];
+    }
+
+    static adjoint([a11, a21, a31, a12, a22, a32, a13, a23, a33]) {
+        return [
+            a22 * a33 - a23 * a32, a23 * a31 - a21 * a33, a21 * a32 - a22 * a31,
+            a13 * a32 - a12 * a33, a11 * a33 - a13 * a31, a12 * a31 - a11 * a32,
+            a12 * a23 - a13 * a22, a13 * a21 - a11 * a23, a11 * a22 - a12 * a21
+        ];
+    }
+
+    static multiply(a, b) {
+        const [a11, a21, a31, a12, a22, a32, a13, a23, a33] = a;
+        const [b11, b21, b31, b12, b22, b32, b13, b23, b33] = b;
+        return [
+            a11 * b11 + a21 * b12 + a31 * b13, a11 * b21 + a21 * b22 + a31 * b23, a11 * b31 + a21 * b32 + a31 * b33,
+            a12 * b11 + a22 * b12 + a32 * b13, a12 * b21 + a22 * b22 + a32 * b23, a12 * b31 + a22 * b32 + a32 * b33,
+            a13 * b11 + a23 * b12 + a33 * b13, a13 * b21 + a23 * b22 + a33 * b23, a13 * b31 + a23 * b32 + a33 * b33
+        ];
+    }
+
+    static transformPoint([a11, a21, a31, a12, a22, a32, a13, a23, a33], x, y) {
+        const denominator = a13 * x + a23 * y + a33;
+        return {
+            x: (a11 * x + a21 * y + a31) / denominator,
+            y: (a12 * x + a22 * y + a32) / denominator
+        };
+    }
+
+    /**
+     * Decode a module matrix: format and version info, unmasking, codeword
+     * extraction, error correction and data segments
+     * @param {Object} modules - { width, isDark(row, col) } without quiet zone
+     */
+    static decodeModules(modules) {
+        const size = modules.width;
+        const version = (size - 17) / 4;
+        if (!Number.isInteger(version) || version < 1 || version > 40) {
+            throw new Error('symbol size is not a valid QR version');
+        }
+
+        const { errorCorrection, mask } = QRDecoder.readFormat(modules);
+        const codewords = QRDecoder.readCodewords(modules, version, mask);
+        const { data, errorsCorrected } = QRDecoder.correctErrors(codewords, version, errorCorrection);
+        const segments = QRDecoder.decodeSegments(data, version);
+
+        return { ...segments, errorCorrection, version, mask, errorsCorrected };
+    }
+
+    static getFormatBits(errorCorrectionBits, mask) {
+        const data = (errorCorrectionBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        return ((data << 10) | remainder) ^ 0x5412;
+    }
+
+    static getVersionBits(version) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        return (version << 12) | remainder;
+    }
+
+    static bitCount(value) {
+        let count = 0;
+        while (value) {
+            count += value & 1;
+            value >>>= 1;
+        }
+        return count;
+    }
+
+    /**
+     * Read both copies of the format information and match them against the
+     * 32 valid BCH codewords, tolerating up to 3 bit errors
+     */
+    static readFormat(modules) {
+        const size = modules.width;
+        const bit = (x, y) => (modules.isDark(y, x) ? 1 : 0);
+
+        let first = 0;
+        for (let i = 0; i <= 5; i++) first |= bit(8, i) << i;
+        first |= bit(8, 7) << 6;
+        first |= bit(8, 8) << 7;
+        first |= bit(7, 8) << 8;
+        for (let i = 9; i < 15; i++) first |= bit(14 - i, 8) << i;
+
+        let second = 0;
+        for (let i = 0; i < 8; i++) second |= bit(size - 1 - i, 8) << i;
+        for (let i = 8; i < 15; i++) second |= bit(8, size - 15 + i) << i;
+
+        let best = null;
+        for (let levelBits = 0; levelBits < 4; levelBits++) {
+            for (let mask = 0; mask < 8; mask++) {
+                const expected = QRDecoder.getFormatBits(levelBits, mask);
+                const distance = Math.min(QRDecoder.bitCount(expected ^ first), QRDecoder.bitCount(expected ^ second));
+                if (!best || distance < best.distance) {
+                    best = { distance, errorCorrection: QRDecoder.FORMAT_LEVELS[levelBits], mask };
+                }
+            }
+        }
+
+        if (best.distance > 3) {
+            throw new Error('format information is unreadable');
+        }
+        return { errorCorrection: best.errorCorrection, mask: best.mask };
+    }
+
+    /**
+     * Read the version information blocks (versions 7 and up)
+     * @returns {number|null} - Version, or null when neither copy is readable
+     */
+    static readVersion(modules) {
+        const size = modules.width;
+        let first = 0;
+        let second = 0;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            first |= (modules.isDark(b, a) ? 1 : 0) << i;
+            second |= (modules.isDark(a, b) ? 1 : 0) << i;
+        }
+
+        let best = null;
+        for (let version = 7; version <= 40; version++) {
+            const expected = QRDecoder.getVersionBits(version);
+            const distance = Math.min(QRDecoder.bitCount(expected ^ first), QRDecoder.bitCount(expected ^ second));
+            if (!best || distance < best.distance) {
+                best = { distance, version };
+            }
+        }
+
+        return best.distance <= 3 ? best.version : null;
+    }
+
+    static getAlignmentPatternPositions(version) {
+        if (version === 1) {
+            return [];
+        }
+        const count = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let position = version * 4 + 10; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    /**
+     * Mark finder, separator, timing, alignment, format and version modules
+     * @returns {Uint8Array} - size * size flags, 1 for function modules
+     */
+    static getFunctionPatternMask(version) {
+        const size = version * 4 + 17;
+        const mask = new Uint8Array(size * size);
+        const fill = (row, col, height, width) => {
+            for (let r = row; r < row + height; r++) {
+                for (let c = col; c < col + width; c++) {
+                    mask[r * size + c] = 1;
+                }
+            }
+        };
+
+        // Finders with separators and format information
+        fill(0, 0, 9, 9);
+        fill(0, size - 8, 9, 8);
+        fill(size - 8, 0, 8, 9);
+        // Timing patterns
+        fill(6, 0, 1, size);
+        fill(0, 6, size, 1);
+
+        const positions = QRDecoder.getAlignmentPatternPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((row, i) => {
+            positions.forEach((col, j) => {
+                // Skip the three that would overlap finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                fill(row - 2, col - 2, 5, 5);
+            });
+        });
+
+        if (version >= 7) {
+            fill(0, size - 11, 6, 3);
+            fill(size - 11, 0, 3, 6);
+        }
+
+        return mask;
+    }
+
+    static isMasked(mask, row, col) {
+        switch (mask) {
+            case 0: return (row + col) % 2 === 0;
+            case 1: return row % 2 === 0;
+            case 2: return col % 3 === 0;
+            case 3: return (row + col) % 3 === 0;
+            case 4: return (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0;
+            case 5: return (row * col) % 2 + (row * col) % 3 === 0;
+            case 6: return ((row * col) % 2 + (row * col) % 3) % 2 === 0;
+            default: return ((row + col) % 2 + (row * col) % 3) % 2 === 0;
+        }
+    }
+
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const count = Math.floor(version / 7) + 2;
+            result -= (25 * count - 10) * count - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Reed-Solomon block structure of a version and error correction level
+     * @returns {Object} - { numBlocks, eccLength } where eccLength counts codewords per block
+     */
+    static getBlockInfo(version, errorCorrection) {
+        return {
+            numBlocks: QR_NUM_ERROR_CORRECTION_BLOCKS[errorCorrection][version],
+            eccLength: QR_ECC_CODEWORDS_PER_BLOCK[errorCorrection][version]
+        };
+    }
+
+    /**
+     * Read the interleaved codewords in the two-column zigzag order, removing the mask
+     */
+    static readCodewords(modules, version, mask) {
+        const size = modules.width;
+        const functionMask = QRDecoder.getFunctionPatternMask(version);
+        const codewords = new Uint8Array(Math.floor(QRDecoder.getNumRawDataModules(version) / 8));
+        const totalBits = codewords.length * 8;
+        let bitIndex = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            // The vertical timing pattern shifts the column pairs left of it
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                const row = upward ? size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const col = right - j;
+                    if (functionMask[row * size + col] || bitIndex >= totalBits) continue;
+                    if (modules.isDark(row, col) !== QRDecoder.isMasked(mask, row, col)) {
+                        codewords[bitIndex >> 3] |= 0x80 >> (bitIndex & 7);
+                    }
+                    bitIndex++;
+                }
+            }
+        }
+
+        return codewords;
+    }
+
+    /**
+     * De-interleave the error correction blocks and repair each one
+     * @returns {Object} - { data: Uint8Array of data codewords, errorsCorrected }
+     */
+    static correctErrors(codewords, version, errorCorrection) {
+        const { numBlocks, eccLength } = QRDecoder.getBlockInfo(version, errorCorrection);
+        const numShortBlocks = numBlocks - codewords.length % numBlocks;
+        const shortDataLength = Math.floor(codewords.length / numBlocks) - eccLength;
+
+        const blocks = [];
+        for (let i = 0; i < numBlocks; i++) {
+            const dataLength = shortDataLength + (i < numShortBlocks ? 0 : 1);
+            blocks.push({ dataLength, codewords: new Uint8Array(dataLength + eccLength) });
+        }
+
+        // Data codewords are interleaved first, then error correction codewords
+        let index = 0;
+        for (let i = 0; i <= shortDataLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.dataLength) block.codewords[i] = codewords[index++];
+            });
+        }
+        for (let i = 0; i < eccLength; i++) {
+            blocks.forEach(block => {
+                block.codewords[block.dataLength + i] = codewords[index++];
+            });
+        }
+
+        let errorsCorrected = 0;
+        const data = [];
+        blocks.forEach(block => {
+            errorsCorrected += QRDecoder.correctBlock(block.codewords, eccLength);
+            data.push(...block.codewords.subarray(0, block.dataLength));
+        });
+
+        return { data: Uint8Array.from(data), errorsCorrected };
+    }
+
+    static gfMultiply(a, b) {
+        return a && b ? GF256_EXP[GF256_LOG[a] + GF256_LOG[b]] : 0;
+    }
+
+    static gfDivide(a, b) {
+        return a ? GF256_EXP[GF256_LOG[a] + 255 - GF256_LOG[b]] : 0;
+    }
+
+    // Polynomial coefficients lowest degree first
+    static evaluatePolynomial(coefficients, x) {
+        let result = 0;
+        for (let i = coefficients.length - 1; i >= 0; i--) {
+            result = QRDecoder.gfMultiply(result, x) ^ coefficients[i];
+        }
+        return result;
+    }
+
+    /**
+     * Reed-Solomon decode one block in place (Berlekamp-Massey, Chien search, Forney)
+     * @returns {number} - Number of corrected codewords
+     */
+    static correctBlock(block, eccLength) {
+        const n = block.length;
+        const syndromes = new Array(eccLength);
+        let clean = true;
+        for (let j = 0; j < eccLength; j++) {
+            let value = 0;
+            for (let i = 0; i < n; i++) {
+                value = QRDecoder.gfMultiply(value, GF256_EXP[j]) ^ block[i];
+            }
+            syndromes[j] = value;
+            clean = clean && value === 0;
+        }
+        if (clean) {
+            return 0;
+        }
+
+        // Error locator polynomial
+        let locator = [1];
+        let previous = [1];
+        let errors = 0;
+        let shift = 1;
+        let previousDiscrepancy = 1;
+        for (let k = 0; k < eccLength; k++) {
+            let discrepancy = syndromes[k];
+            for (let i = 1; i <= errors; i++) {
+                discrepancy ^= QRDecoder.gfMultiply(locator[i] || 0, syndromes[k - i]);
+            }
+            if (discrepancy === 0) {
+                shift++;
+                continue;
+            }
+
+            const saved = locator.slice();
+            const factor = QRDecoder.gfDivide(discrepancy, previousDiscrepancy);
+            while (locator.length < previous.length + shift) locator.push(0);
+            previous.forEach((coefficient, i) => {
+                locator[i + shift] ^= QRDecoder.gfMultiply(factor, coefficient);
+            });
+
+            if (2 * errors <= k) {
+                errors = k + 1 - errors;
+                previous = saved;
+                previousDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+        }
+        if (errors * 2 > eccLength) {
+            throw new Error('too many errors to correct');
+        }
+
+        // Codeword i carries the coefficient of x^(n - 1 - i)
+        const positions = [];
+        for (let i = 0; i < n; i++) {
+            if (QRDecoder.evaluatePolynomial(locator, GF256_EXP[255 - (n - 1 - i)]) === 0) {
+                positions.push(i);
+            }
+        }
+        if (positions.length !== errors) {
+            throw new Error('too many errors to correct');
+        }
+
+        // Error evaluator: syndromes * locator mod x^eccLength
+        const evaluator = new Array(eccLength).fill(0);
+        for (let i = 0; i < eccLength; i++) {
+            for (let j = 0; j < locator.length && i + j < eccLength; j++) {
+                evaluator[i + j] ^= QRDecoder.gfMultiply(syndromes[i], locator[j]);
+            }
+        }
+
+        positions.forEach(position => {
+            const power = n - 1 - position;
+            const inverse = GF256_EXP[255 - power];
+            // Formal derivative keeps only the odd-degree terms
+            let derivative = 0;
+            for (let i = 1; i < locator.length; i += 2) {
+                derivative ^= QRDecoder.gfMultiply(locator[i], GF256_EXP[(GF256_LOG[inverse] * (i - 1)) % 255]);
+            }
+            if (derivative === 0) {
+                throw new Error('too many errors to correct');
+            }
+            const magnitude = QRDecoder.gfDivide(QRDecoder.evaluatePolynomial(evaluator, inverse), derivative);
+            block[position] ^= QRDecoder.gfMultiply(GF256_EXP[power], magnitude);
+        });
+
+        return errors;
+    }
+
+    static getCharCountBits(mode, version) {
+        const group = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+        return {
+            numeric: [10, 12, 14],
+            alphanumeric: [9, 11, 13],
+            byte: [8, 16, 16],
+            kanji: [8, 10, 12]
+        }[mode][group];
+    }
+
+    /**
+     * Decode numeric, alphanumeric, byte, kanji and ECI segments into text
+     * @returns {Object} - { content, structuredAppend: { index, total, parity } or null }
+     */
+    static decodeSegments(data, version) {
+        let bitOffset = 0;
+        const available = () => data.length * 8 - bitOffset;
+        const read = (count) => {
+            if (count > available()) {
+                throw new Error('data ends in the middle of a segment');
+            }
+            let value = 0;
+            for (let i = 0; i < count; i++, bitOffset++) {
+                value = (value << 1) | ((data[bitOffset >> 3] >> (7 - (bitOffset & 7))) & 1);
+            }
+            return value;
+        };
+
+        let content = '';
+        let charset = null;
+        let structuredAppend = null;
+
+        while (available() >= 4) {
+            const mode = read(4);
+            if (mode === 0x0) {
+                break;
+            }
+
+            if (mode === 0x1) {
+                let count = read(QRDecoder.getCharCountBits('numeric', version));
+                for (; count >= 3; count -= 3) content += String(read(10)).padStart(3, '0');
+                if (count === 2) content += String(read(7)).padStart(2, '0');
+                if (count === 1) content += String(read(4));
+            } else if (mode === 0x2) {
+                const chars = QRDecoder.ALPHANUMERIC_CHARSET;
+                let count = read(QRDecoder.getCharCountBits('alphanumeric', version));
+                for (; count >= 2; count -= 2) {
+                    const value = read(11);
+                    content += chars[Math.floor(value / 45)] + chars[value % 45];
+                }
+                if (count === 1) content += chars[read(6)];
+            } else if (mode === 0x4) {
+                const count = read(QRDecoder.getCharCountBits('byte', version));
+                const bytes = new Uint8Array(count);
+                for (let i = 0; i < count; i++) bytes[i] = read(8);
+                content += QRDecoder.decodeBytes(bytes, charset);
+            } else if (mode === 0x8) {
+                const count = read(QRDecoder.getCharCountBits('kanji', version));
+                const bytes = new Uint8Array(count * 2);
+                for (let i = 0; i < count; i++) {
+                    const value = read(13);
+                    let code = ((Math.floor(value / 0xC0)) << 8) | (value % 0xC0);
+                    code += code < 0x1F00 ? 0x8140 : 0xC140;
+                    bytes[i * 2] = code >> 8;
+                    bytes[i * 2 + 1] = code & 0xFF;
+                }
+                content += QRDecoder.decodeBytes(bytes, 'shift_jis');
+            } else if (mode === 0x7) {
+                const first = read(8);
+                let assignment;
+                if ((first & 0x80) === 0) {
+                    assignment = first;
+                } else if ((first & 0xC0) === 0x80) {
+                    assignment = ((first & 0x3F) << 8) | read(8);
+                } else {
+                    assignment = ((first & 0x1F) << 16) | read(16);
+                }
+                charset = QRDecoder.ECI_CHARSETS[assignment] || null;
+            } else if (mode === 0x3) {
+                structuredAppend = { index: read(4), total: read(4) + 1, parity: read(8) };
+            } else if (mode === 0x5) {
+                // FNC1 in first position (GS1): no payload of its own
+            } else if (mode === 0x9) {
+                read(8); // FNC1 application indicator
+            } else {
+                throw new Error('unknown data mode');
+            }
+        }
+
+        return { content, structuredAppend };
+    }
+
+    /**
+     * Turn byte segment data into text: the ECI charset when one was given,
+     * otherwise UTF-8 with an ISO-8859-1 fallback for invalid sequences
+     */
+    static decodeBytes(bytes, charset) {
+        if (typeof TextDecoder !== 'undefined') {
+            try {
+                return new TextDecoder(charset || 'utf-8', { fatal: true }).decode(bytes);
+            } catch (error) {
+                // Fall through to ISO-8859-1
+            }
+        }
+        return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRDecoder;
+}
@@ -0,0 +1,816 @@
+/**
+ * qr-encoder.js - Pure JavaScript QR code encoder for QR Code Generator
+ *
+ * Builds QR symbols with an explicit or automatic version, a fixed mask or
+ * the one with the lowest penalty score, and numeric, alphanumeric, byte
+ * and kanji segments mixed to give the shortest bit stream. Byte segments
+ * hold UTF-8, announced with an ECI header when the text is not plain ASCII.
+ *
+ * Reed-Solomon arithmetic, block tables and the function pattern layout
+ * come from QRDecoder, so the encoder writes exactly what the decoder reads.
+ */
+
+// ECI assignment number for UTF-8
+const ECI_UTF8 = 26;
+
+// Unicode character to Shift JIS code for kanji mode, built on first use
+let kanjiTable = null;
+
+// Segment plans of the last text measured, reused by the measurement at each
+// error correction level while the user types
+let measuredPlans = { key: null, plans: null };
+
+class QREncoder {
+    static get VERSIONS() {
+        return Array.from({ length: 40 }, (_, i) => i + 1);
+    }
+
+    static get ERROR_CORRECTION_LEVELS() {
+        return ['L', 'M', 'Q', 'H'];
+    }
+
+    static get MASK_COUNT() {
+        return 8;
+    }
+
+    static get SEGMENT_MODES() {
+        return {
+            auto: 'Auto (shortest mix)',
+            numeric: 'Numeric',
+            alphanumeric: 'Alphanumeric',
+            byte: 'Byte (UTF-8)',
+            kanji: 'Kanji'
+        };
+    }
+
+    // ECI assignment number the other symbologies announce UTF-8 with
+    static get ECI_UTF8() {
+        return ECI_UTF8;
+    }
+
+    static get MODE_INDICATORS() {
+        return { numeric: 0x1, alphanumeric: 0x2, byte: 0x4, kanji: 0x8, eci: 0x7 };
+    }
+
+    // Structured Append header: mode indicator, symbol index, symbol count less one and parity
+    static get STRUCTURED_APPEND_INDICATOR() {
+        return 0x3;
+    }
+
+    static get STRUCTURED_APPEND_BITS() {
+        return 20;
+    }
+
+    // Level bits in the format information (the inverse of QRDecoder.FORMAT_LEVELS)
+    static get FORMAT_LEVEL_BITS() {
+        return { L: 1, M: 0, Q: 3, H: 2 };
+    }
+
+    // Mask penalty weights from ISO/IEC 18004
+    static get PENALTY_WEIGHTS() {
+        return { N1: 3, N2: 3, N3: 40, N4: 10 };
+    }
+
+    /**
+     * Version number with its size in modules
+     */
+    static getVersionLabel(version) {
+        const size = version * 4 + 17;
+        return `${version} (${size}×${size})`;
+    }
+
+    /**
+     * Encode text as a QR code
+     * @param {string} content - Text to encode
+     * @param {Object} options - { errorCorrection, version: 1-40 or null for the smallest that fits,
+     *     mask: 0-7 or null for the lowest penalty, segmentMode: a key of SEGMENT_MODES,
+     *     eci: false to leave out the UTF-8 ECI header, structuredAppend: { index, total, parity }
+     *     to mark the symbol as one of a linked set (see StructuredAppend) }
+     * @returns {Object} - { symbolType, version, errorCorrection, mask, penalties: score per mask,
+     *     segments: [{ mode, text }], eci, structuredAppend, dataBits, capacityBits, getModuleCount(),
+     *     isDark(row, col) }
+     */
+    static encode(content, options = {}) {
+        const errorCorrection = options.errorCorrection || Config.QR_CODE.DEFAULT_ERROR_CORRECTION;
+        if (!(errorCorrection in QREncoder.FORMAT_LEVEL_BITS)) {
+            throw new Error(`Unknown error correction level ${errorCorrection}`);
+        }
+
+        const version = options.version ? parseInt(options.version) : null;
+        if (version !== null && !(version >= 1 && version <= 40)) {
+            throw new Error('Version must be from 1 to 40');
+        }
+
+        const mask = options.mask !== null && options.mask !== undefined && options.mask !== '' ? parseInt(options.mask) : null;
+        if (mask !== null && !(mask >= 0 && mask <= 7)) {
+            throw new Error('Mask must be from 0 to 7');
+        }
+
+        const structuredAppend = options.structuredAppend || null;
+        if (structuredAppend) {
+            const { index, total, parity } = structuredAppend;
+            if (!(total >= 1 && total <= 16 && index >= 0 && index < total && parity >= 0 && parity <= 0xFF)) {
+                throw new Error('Structured Append needs a symbol index below a count of 1 to 16 and a parity byte');
+            }
+        }
+
+        const fit = QREncoder.fitVersion(Array.from(String(content)), {
+            errorCorrection,
+            version,
+            segmentMode: options.segmentMode || 'auto',
+            eci: options.eci !== false,
+            headerBits: structuredAppend ? QREncoder.STRUCTURED_APPEND_BITS : 0
+        });
+
+        const codewords = QREncoder.addErrorCorrection(
+            QREncoder.getDataCodewords(fit.segments, fit.eci, fit.version, fit.capacityBits, structuredAppend),
+            fit.version,
+            errorCorrection
+        );
+
+        const size = fit.version * 4 + 17;
+        const functionMask = QRDecoder.getFunctionPatternMask(fit.version);
+        const base = QREncoder.drawFunctionPatterns(fit.version);
+        QREncoder.placeCodewords(base, codewords, functionMask, size);
+
+        // Score every mask so the choice can be shown, even when one is fixed
+        const masked = [];
+        const penalties = [];
+        for (let m = 0; m < 8; m++) {
+            const modules = QREncoder.applyMask(base, functionMask, size, m);
+            QREncoder.drawFormatBits(modules, size, errorCorrection, m);
+            masked.push(modules);
+            penalties.push(QREncoder.getPenalty(modules, size));
+        }
+        const chosen = mask !== null ? mask : penalties.indexOf(Math.min(...penalties));
+        const modules = masked[chosen];
+
+        return {
+            symbolType: 'qr',
+            version: fit.version,
+            errorCorrection,
+            mask: chosen,
+            penalties,
+            segments: fit.segments,
+            eci: fit.eci,
+            structuredAppend,
+            dataBits: fit.dataBits,
+            capacityBits: fit.capacityBits,
+            getModuleCount: () => size,
+            isDark: (row, col) => modules[row * size + col] === 1
+        };
+    }
+
+    /**
+     * Measure text without building the symbol: the version it gets and how
+     * much of the largest version allowed it fills
+     * @param {string} content - Text to encode
+     * @param {Object} options - As for encode; the mask is ignored
+     * @returns {Object} - { fits, version, width, height, used, capacity, maxUsed, maxCapacity,
+     *     unit: 'bits', segments, eci }; version, width, height, used and capacity are null
+     *     when the content does not fit
+     */
+    static measure(content, options = {}) {
+        const errorCorrection = options.errorCorrection || Config.QR_CODE.DEFAULT_ERROR_CORRECTION;
+        if (!(errorCorrection in QREncoder.FORMAT_LEVEL_BITS)) {
+            throw new Error(`Unknown error correction level ${errorCorrection}`);
+        }
+        const version = options.version ? parseInt(options.version) : null;
+
+        const candidates = (version ? [version] : QREncoder.VERSIONS).map(v => ({
+            version: v,
+            layout: QREncoder.getSegmentLayout(v),
+            capacityBits: QREncoder.getDataCapacity(v, errorCorrection) * 8
+        }));
+        return QREncoder.measureSegments(Array.from(String(content)), candidates, {
+            segmentMode: options.segmentMode || 'auto',
+            eci: options.eci !== false
+        }, v => ({ version: v, width: v * 4 + 17, height: v * 4 + 17 }));
+    }
+
+    /**
+     * Fit segments as fitSegments does, and also size them in the candidate
+     * with the most room. Shared by the QR, Micro QR and rMQR measure().
+     * @param {Function} describe - Candidate version → { version, width, height }
+     * @returns {Object|null} - See measure(), or null when there are no candidates
+     * @throws {Error} If a character cannot be encoded in the segment mode
+     */
+    static measureSegments(chars, candidates, options, describe) {
+        if (!candidates.length) {
+            return null;
+        }
+
+        const key = JSON.stringify([chars.join(''), options.segmentMode, options.eci]);
+        if (measuredPlans.key !== key) {
+            measuredPlans = { key, plans: new Map() };
+        }
+        const planned = { ...options, plans: measuredPlans.plans };
+
+        const fit = QREncoder.fitSegments(chars, candidates, planned);
+        const largest = candidates.reduce((best, candidate) => (candidate.capacityBits > best.capacityBits ? candidate : best));
+        // Content past the largest symbol can also be too long for its character count
+        // fields; size it as if they were wide enough, so the overflow is still a number
+        const sized = QREncoder.fitSegments(chars, [{ ...largest, capacityBits: Infinity }], { ...planned, countLimit: false });
+        if (!sized || !Number.isFinite(sized.dataBits)) {
+            throw new Error('The content has characters this symbol cannot encode');
+        }
+
+        const symbol = fit ? describe(fit.version) : { version: null, width: null, height: null };
+        return {
+            fits: !!fit,
+            ...symbol,
+            used: fit ? fit.dataBits : null,
+            capacity: fit ? fit.capacityBits : null,
+            maxUsed: sized.dataBits,
+            maxCapacity: largest.capacityBits,
+            unit: 'bits',
+            segments: (fit || sized).segments,
+            eci: (fit || sized).eci
+        };
+    }
+
+    /**
+     * Pick the version and segments: the given version, or the smallest one the
+     * segments fit
+     * @returns {Object} - { version, segments, eci, dataBits, capacityBits }
+     */
+    static fitVersion(chars, { errorCorrection, version, segmentMode, eci, headerBits = 0 }) {
+        const versions = version ? [version] : QREncoder.VERSIONS;
+        const fit = QREncoder.fitSegments(chars, versions.map(v => ({
+            version: v,
+            layout: QREncoder.getSegmentLayout(v),
+            capacityBits: QREncoder.getDataCapacity(v, errorCorrection) * 8
+        })), { segmentMode, eci, headerBits });
+
+        if (!fit) {
+            throw new Error(version
+                ? `Content does not fit in version ${version} at error correction level ${errorCorrection}`
+                : `Content is too long for a QR code at error correction level ${errorCorrection}`);
+        }
+        return fit;
+    }
+
+    /**
+     * Try each candidate symbol in turn and return the first the segments fit.
+     * Segments are planned once per layout, so versions sharing character
+     * count widths share a plan.
+     * @param {string[]} chars - Code points
+     * @param {Object[]} candidates - [{ version, layout, capacityBits }], smallest first
+     * @param {Object} options - { segmentMode, eci, headerBits: bits written ahead of the segments,
+     *     plans: a Map of plans by layout to reuse, countLimit: false to let segments run past
+     *     their character count fields, when only sizing content }
+     * @returns {Object|null} - { version, segments, eci, dataBits, capacityBits }, or null if none fits
+     */
+    static fitSegments(chars, candidates, { segmentMode, eci, headerBits = 0, plans = new Map(), countLimit = true }) {
+
+        for (const { version, layout, capacityBits } of candidates) {
+            const key = JSON.stringify(layout);
+            if (!plans.has(key)) {
+                let segments = segmentMode === 'auto'
+                    ? QREncoder.optimizeSegments(chars, layout)
+                    : [QREncoder.makeSegment(chars, segmentMode)];
+                const needsECI = eci && 'eci' in layout.indicators && segments !== null &&
+                    segments.some(segment => segment.mode === 'byte' && /[^\x00-\x7F]/.test(segment.text));
+
+                // Readers apply the UTF-8 ECI to kanji segments as well, so keep kanji in byte mode then
+                if (needsECI && segmentMode === 'auto' && segments.some(segment => segment.mode === 'kanji')) {
+                    const { kanji, ...countBits } = layout.countBits;
+                    segments = QREncoder.optimizeSegments(chars, { ...layout, countBits });
+                }
+                plans.set(key, { segments, eci: needsECI });
+            }
+
+            const plan = plans.get(key);
+            if (!plan.segments) continue;
+            const dataBits = headerBits + QREncoder.getBitLength(plan.segments, plan.eci, layout, countLimit);
+            if (dataBits <= capacityBits) {
+                return { version, ...plan, dataBits, capacityBits };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Mode indicators and character count widths of a QR version. Micro QR and
+     * rMQR symbols describe their segment headers the same way.
+     * @returns {Object} - { indicatorBits, indicators: mode → indicator, countBits: mode → width,
+     *     for the modes the symbol can hold }
+     */
+    static getSegmentLayout(version) {
+        const countBits = {};
+        ['numeric', 'alphanumeric', 'byte', 'kanji'].forEach(mode => {
+            countBits[mode] = QRDecoder.getCharCountBits(mode, version);
+        });
+        return { indicatorBits: 4, indicators: QREncoder.MODE_INDICATORS, countBits };
+    }
+
+    /**
+     * Data codewords a version holds at an error correction level
+     */
+    static getDataCapacity(version, errorCorrection) {
+        const { numBlocks, eccLength } = QRDecoder.getBlockInfo(version, errorCorrection);
+        return Math.floor(QRDecoder.getNumRawDataModules(version) / 8) - numBlocks * eccLength;
+    }
+
+    static isNumeric(char) {
+        return char >= '0' && char <= '9';
+    }
+
+    static isAlphanumeric(char) {
+        return char.length === 1 && QRDecoder.ALPHANUMERIC_CHARSET.includes(char);
+    }
+
+    static isKanji(char) {
+        return QREncoder.getKanjiTable().has(char);
+    }
+
+    /**
+     * Map every character kanji mode can hold to its Shift JIS code, using the
+     * platform's Shift JIS decoder. Stays empty where there is none.
+     */
+    static getKanjiTable() {
+        if (kanjiTable) {
+            return kanjiTable;
+        }
+
+        kanjiTable = new Map();
+        let decoder;
+        try {
+            decoder = new TextDecoder('shift_jis', { fatal: true });
+        } catch (error) {
+            return kanjiTable;
+        }
+
+        // Kanji mode covers the double-byte ranges 0x8140-0x9FFC and 0xE040-0xEBBF
+        [[0x81, 0x9F], [0xE0, 0xEB]].forEach(([firstLead, lastLead]) => {
+            for (let lead = firstLead; lead <= lastLead; lead++) {
+                for (let trail = 0x40; trail <= 0xFC; trail++) {
+                    const code = (lead << 8) | trail;
+                    if (trail === 0x7F || code > 0xEBBF) continue;
+                    try {
+                        const char = decoder.decode(Uint8Array.of(lead, trail));
+                        if (Array.from(char).length === 1 && !kanjiTable.has(char)) {
+                            kanjiTable.set(char, code);
+                        }
+                    } catch (error) {
+                        // Unassigned code
+                    }
+                }
+            }
+        });
+
+        return kanjiTable;
+    }
+
+    /**
+     * Cost of one character in a mode, in sixths of a bit, or Infinity if the mode cannot hold it
+     */
+    static getCharCost(mode, char) {
+        switch (mode) {
+            case 'numeric': return QREncoder.isNumeric(char) ? 20 : Infinity;
+            case 'alphanumeric': return QREncoder.isAlphanumeric(char) ? 33 : Infinity;
+            case 'kanji': return QREncoder.isKanji(char) ? 78 : Infinity;
+            default: return new TextEncoder().encode(char).length * 48;
+        }
+    }
+
+    /**
+     * Split text into the segments with the fewest bits for a layout's character
+     * count widths: a shortest path over (character, mode) states where switching
+     * modes costs a new segment header.
+     * @param {string[]} chars - Code points
+     * @param {Object} layout - Segment layout (see getSegmentLayout)
+     * @returns {Array|null} - [{ mode, text }], or null if a character fits none of the layout's modes
+     */
+    static optimizeSegments(chars, layout) {
+        if (chars.length === 0) {
+            return [];
+        }
+
+        const modes = ['byte', 'alphanumeric', 'numeric', 'kanji'].filter(mode => mode in layout.countBits);
+        const headerCosts = modes.map(mode => (layout.indicatorBits + layout.countBits[mode]) * 6);
+        // previous[j] is the cheapest encoding so far that leaves mode j open
+        let previous = headerCosts.slice();
+        const steps = [];
+
+        chars.forEach(char => {
+            const costs = modes.map((mode, j) => previous[j] + QREncoder.getCharCost(mode, char));
+            const from = modes.map((mode, j) => (costs[j] < Infinity ? j : null));
+
+            // Close a segment after this character (rounding up to a whole bit) and open another
+            modes.forEach((_, j) => {
+                modes.forEach((__, k) => {
+                    if (from[k] === null || k === j) return;
+                    const cost = Math.ceil(costs[k] / 6) * 6 + headerCosts[j];
+                    if (cost < costs[j]) {
+                        costs[j] = cost;
+                        from[j] = k;
+                    }
+                });
+            });
+
+            steps.push(from);
+            previous = costs;
+        });
+
+        if (Math.min(...previous) === Infinity) {
+            return null;
+        }
+
+        // Walk back from the cheapest final state to the mode of each character
+        const charModes = new Array(chars.length);
+        let state = previous.indexOf(Math.min(...previous));
+        for (let i = chars.length - 1; i >= 0; i--) {
+            state = steps[i][state];
+            charModes[i] = modes[state];
+        }
+
+        const segments = [];
+        chars.forEach((char, i) => {
+            const last = segments[segments.length - 1];
+            if (last && last.mode === charModes[i]) {
+                last.text += char;
+            } else {
+                segments.push({ mode: charModes[i], text: char });
+            }
+        });
+        return segments;
+    }
+
+    /**
+     * One segment in a fixed mode
+     * @throws {Error} If a character cannot be encoded in the mode
+     */
+    static makeSegment(chars, mode) {
+        if (!(mode in QREncoder.MODE_INDICATORS) || mode === 'eci') {
+            throw new Error(`Unknown segment mode ${mode}`);
+        }
+
+        const invalid = chars.find(char => QREncoder.getCharCost(mode, char) === Infinity);
+        if (invalid !== undefined) {
+            throw new Error(`"${invalid}" cannot be encoded in ${QREncoder.SEGMENT_MODES[mode].toLowerCase()} mode`);
+        }
+        return { mode, text: chars.join('') };
+    }
+
+    /**
+     * Character count field value: bytes for byte mode, characters otherwise
+     */
+    static getCharCount(segment) {
+        return segment.mode === 'byte'
+            ? new TextEncoder().encode(segment.text).length
+            : Array.from(segment.text).length;
+    }
+
+    /**
+     * Bits taken by the segments, headers included, or Infinity if the layout
+     * lacks a segment's mode or a segment is too long for its character count field
+     * @param {boolean} countLimit - false to count a segment too long for its field as if the field were wider
+     */
+    static getBitLength(segments, eci, layout, countLimit = true) {
+        let bits = eci ? layout.indicatorBits + 8 : 0;
+        for (const segment of segments) {
+            const countBits = layout.countBits[segment.mode];
+            const count = QREncoder.getCharCount(segment);
+            if (countBits === undefined || (countLimit && count >= 1 << countBits)) {
+                return Infinity;
+            }
+
+            bits += layout.indicatorBits + countBits;
+            switch (segment.mode) {
+                case 'numeric': bits += Math.floor(count / 3) * 10 + [0, 4, 7][count % 3]; break;
+                case 'alphanumeric': bits += Math.floor(count / 2) * 11 + (count % 2) * 6; break;
+                case 'kanji': bits += count * 13; break;
+                default: bits += count * 8;
+            }
+        }
+        return bits;
+    }
+
+    /**
+     * Append a value to a bit array, most significant bit first
+     */
+    static appendBits(bits, value, length) {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    }
+
+    /**
+     * Write the ECI header and segments
+     * @param {Object} layout - Segment layout (see getSegmentLayout)
+     * @returns {number[]} - Bits
+     */
+    static getSegmentBits(segments, eci, layout) {
+        const bits = [];
+        const append = (value, length) => QREncoder.appendBits(bits, value, length);
+        const { indicators, indicatorBits } = layout;
+
+        if (eci) {
+            append(indicators.eci, indicatorBits);
+            append(ECI_UTF8, 8);
+        }
+
+        segments.forEach(segment => {
+            append(indicators[segment.mode], indicatorBits);
+            append(QREncoder.getCharCount(segment), layout.countBits[segment.mode]);
+
+            if (segment.mode === 'numeric') {
+                for (let i = 0; i < segment.text.length; i += 3) {
+                    const group = segment.text.substr(i, 3);
+                    append(parseInt(group, 10), [0, 4, 7, 10][group.length]);
+                }
+            } else if (segment.mode === 'alphanumeric') {
+                const chars = QRDecoder.ALPHANUMERIC_CHARSET;
+                for (let i = 0; i < segment.text.length; i += 2) {
+                    if (i + 1 < segment.text.length) {
+                        append(chars.indexOf(segment.text[i]) * 45 + chars.indexOf(segment.text[i + 1]), 11);
+                    } else {
+                        append(chars.indexOf(segment.text[i]), 6);
+                    }
+                }
+            } else if (segment.mode === 'kanji') {
+                const table = QREncoder.getKanjiTable();
+                Array.from(segment.text).forEach(char => {
+                    const code = table.get(char) - (table.get(char) <= 0x9FFC ? 0x8140 : 0xC140);
+                    append((code >> 8) * 0xC0 + (code & 0xFF), 13);
+                });
+            } else {
+                new TextEncoder().encode(segment.text).forEach(byte => append(byte, 8));
+            }
+        });
+
+        return bits;
+    }
+
+    /**
+     * Write the Structured Append header, segments, terminator and pad bytes
+     * @param {Object|null} structuredAppend - { index, total, parity } of a linked symbol
+     * @returns {Uint8Array} - Data codewords
+     */
+    static getDataCodewords(segments, eci, version, capacityBits, structuredAppend = null) {
+        const bits = [];
+        const append = (value, length) => QREncoder.appendBits(bits, value, length);
+        if (structuredAppend) {
+            append(QREncoder.STRUCTURED_APPEND_INDICATOR, 4);
+            append(structuredAppend.index, 4);
+            append(structuredAppend.total - 1, 4);
+            append(structuredAppend.parity, 8);
+        }
+        bits.push(...QREncoder.getSegmentBits(segments, eci, QREncoder.getSegmentLayout(version)));
+
+        // Terminator, then zero bits to a byte boundary
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        const codewords = new Uint8Array(capacityBits / 8);
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords[i / 8] = parseInt(bits.slice(i, i + 8).join(''), 2);
+        }
+        // Alternate pad bytes fill the rest of the capacity
+        for (let i = bits.length / 8, pad = 0xEC; i < codewords.length; i++, pad ^= 0xEC ^ 0x11) {
+            codewords[i] = pad;
+        }
+        return codewords;
+    }
+
+    /**
+     * Split the data into blocks, append each block's Reed-Solomon codewords
+     * and interleave them the way QRDecoder.correctErrors reads them back
+     * @returns {Uint8Array} - Every codeword in placement order
+     */
+    static addErrorCorrection(data, version, errorCorrection) {
+        const { numBlocks, eccLength } = QRDecoder.getBlockInfo(version, errorCorrection);
+        const rawCodewords = Math.floor(QRDecoder.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortDataLength = Math.floor(rawCodewords / numBlocks) - eccLength;
+        const generator = QREncoder.getGeneratorPolynomial(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const dataLength = shortDataLength + (i < numShortBlocks ? 0 : 1);
+            const blockData = data.subarray(offset, offset + dataLength);
+            blocks.push({ data: blockData, ecc: QREncoder.getRemainder(blockData, generator) });
+            offset += dataLength;
+        }
+
+        const result = [];
+        for (let i = 0; i <= shortDataLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < eccLength; i++) {
+            blocks.forEach(block => result.push(block.ecc[i]));
+        }
+        return Uint8Array.from(result);
+    }
+
+    /**
+     * Reed-Solomon generator polynomial (x - 2^0)(x - 2^1)...(x - 2^(degree-1)),
+     * highest degree first with the leading 1 left out
+     */
+    static getGeneratorPolynomial(degree) {
+        const result = new Uint8Array(degree);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = QRDecoder.gfMultiply(result[j], root);
+                if (j + 1 < degree) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = QRDecoder.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    /**
+     * Remainder of the data polynomial divided by the generator: the error correction codewords
+     */
+    static getRemainder(data, generator) {
+        const remainder = new Uint8Array(generator.length);
+        data.forEach(byte => {
+            const factor = byte ^ remainder[0];
+            remainder.copyWithin(0, 1);
+            remainder[remainder.length - 1] = 0;
+            generator.forEach((coefficient, i) => {
+                remainder[i] ^= QRDecoder.gfMultiply(coefficient, factor);
+            });
+        });
+        return remainder;
+    }
+
+    /**
+     * Finder, timing and alignment patterns, the dark module and version information
+     * @returns {Uint8Array} - size * size modules, 1 for dark
+     */
+    static drawFunctionPatterns(version) {
+        const size = version * 4 + 17;
+        const modules = new Uint8Array(size * size);
+        const set = (row, col, dark) => {
+            modules[row * size + col] = dark ? 1 : 0;
+        };
+
+        // Finders: a dark ring, a light ring and a dark 3x3 eye; separators stay light
+        [[0, 0], [0, size - 7], [size - 7, 0]].forEach(([top, left]) => {
+            for (let r = 0; r < 7; r++) {
+                for (let c = 0; c < 7; c++) {
+                    const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+                    set(top + r, left + c, ring !== 2);
+                }
+            }
+        });
+
+        for (let i = 8; i < size - 8; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        const positions = QRDecoder.getAlignmentPatternPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((row, i) => {
+            positions.forEach((col, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let r = -2; r <= 2; r++) {
+                    for (let c = -2; c <= 2; c++) {
+                        set(row + r, col + c, Math.max(Math.abs(r), Math.abs(c)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Always-dark module beside the lower-left format information
+        set(size - 8, 8, true);
+
+        if (version >= 7) {
+            const bits = QRDecoder.getVersionBits(version);
+            for (let i = 0; i < 18; i++) {
+                const dark = (bits >>> i) & 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                set(b, a, dark);
+                set(a, b, dark);
+            }
+        }
+
+        return modules;
+    }
+
+    /**
+     * Fill the data area in the two-column zigzag order QRDecoder.readCodewords uses.
+     * Remainder bits past the last codeword stay light.
+     */
+    static placeCodewords(modules, codewords, functionMask, size) {
+        const totalBits = codewords.length * 8;
+        let bitIndex = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                const row = upward ? size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const col = right - j;
+                    if (functionMask[row * size + col]) continue;
+                    if (bitIndex < totalBits) {
+                        modules[row * size + col] = (codewords[bitIndex >> 3] >> (7 - (bitIndex & 7))) & 1;
+                    }
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Copy of the modules with a mask pattern applied to the data area
+     */
+    static applyMask(modules, functionMask, size, mask) {
+        const result = modules.slice();
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const index = row * size + col;
+                if (!functionMask[index] && QRDecoder.isMasked(mask, row, col)) {
+                    result[index] ^= 1;
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Write both copies of the format information, where QRDecoder.readFormat looks for them
+     */
+    static drawFormatBits(modules, size, errorCorrection, mask) {
+        const bits = QRDecoder.getFormatBits(QREncoder.FORMAT_LEVEL_BITS[errorCorrection], mask);
+        const bit = i => (bits >>> i) & 1;
+        // Coordinates are (x, y), as in readFormat
+        const set = (x, y, value) => {
+            modules[y * size + x] = value;
+        };
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    }
+
+    /**
+     * Mask penalty score (ISO/IEC 18004 section 7.8.3): long runs, 2x2 blocks,
+     * finder-like patterns and an unbalanced share of dark modules all add to it
+     */
+    static getPenalty(modules, size) {
+        const { N1, N2, N3, N4 } = QREncoder.PENALTY_WEIGHTS;
+        let penalty = 0;
+
+        // 1:1:3:1:1 dark/light runs with four light modules on one side; outside the symbol is light
+        const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+
+        for (let line = 0; line < size; line++) {
+            [col => modules[line * size + col], row => modules[row * size + line]].forEach(get => {
+                let run = 1;
+                for (let i = 1; i <= size; i++) {
+                    if (i < size && get(i) === get(i - 1)) {
+                        run++;
+                    } else {
+                        if (run >= 5) penalty += N1 + run - 5;
+                        run = 1;
+                    }
+                }
+
+                const at = i => (i < 0 || i >= size ? 0 : get(i));
+                for (let start = -4; start + 10 < size + 4; start++) {
+                    finderLike.forEach(pattern => {
+                        if (pattern.every((value, k) => at(start + k) === value)) penalty += N3;
+                    });
+                }
+            });
+        }
+
+        let dark = 0;
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const value = modules[row * size + col];
+                dark += value;
+                if (row < size - 1 && col < size - 1 && value === modules[row * size + col + 1] &&
+                    value === modules[(row + 1) * size + col] && value === modules[(row + 1) * size + col + 1]) {
+                    penalty += N2;
+                }
+            }
+        }
+
+        penalty += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * N4;
+        return penalty;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QREncoder;
+}
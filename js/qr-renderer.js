@@ -0,0 +1,797 @@
+/**
+ * qr-renderer.js - Module and finder pattern geometry for QR Code Generator
+ *
+ * Turns a module matrix into vector paths once, so the canvas preview and
+ * the SVG, PDF and EPS exports draw exactly the same shapes.
+ * Paths are arrays of commands: ['M', x, y], ['L', x, y],
+ * ['C', x1, y1, x2, y2, x, y] and ['Z'].
+ *
+ * Fills are { color, gradient }, where gradient is null for solid fills or a
+ * resolved gradient in pixel coordinates (see resolveGradient).
+ */
+
+// Control point offset for approximating a quarter circle with a cubic Bézier
+const BEZIER_CIRCLE_KAPPA = 0.5522847498;
+
+// jsPDF needs a document-unique key for every shading pattern it embeds
+let pdfPatternCount = 0;
+
+class QRRenderer {
+    static get MODULE_SHAPES() {
+        return {
+            square: 'Square',
+            rounded: 'Rounded',
+            dot: 'Dot',
+            diamond: 'Diamond',
+            connected: 'Connected'
+        };
+    }
+
+    static get FINDER_OUTER_SHAPES() {
+        return {
+            square: 'Square',
+            rounded: 'Rounded',
+            circle: 'Circle'
+        };
+    }
+
+    static get FINDER_INNER_SHAPES() {
+        return {
+            square: 'Square',
+            rounded: 'Rounded',
+            dot: 'Dot',
+            diamond: 'Diamond'
+        };
+    }
+
+    /**
+     * Largest logo width, as a fraction of the symbol width, for an error correction level.
+     * The covered area has to stay well inside what the level can recover, and the
+     * logo must not reach the finder or timing patterns.
+     */
+    static getMaxLogoSize(errorCorrection, moduleCount) {
+        const maxArea = Config.LOGO.MAX_AREA_RATIO[errorCorrection] || Config.LOGO.MAX_AREA_RATIO.L;
+        const clearOfFinders = moduleCount ? Math.max(0, (moduleCount - 16) / moduleCount) : 1;
+        return Math.min(Math.sqrt(maxArea), clearOfFinders);
+    }
+
+    /**
+     * Wrap an encoded symbol as a renderer matrix
+     * @param {Object} qr - Symbol from QREncoder.encode, or any object with getModuleCount() and
+     *     isDark(row, col). Micro QR, rMQR and other symbologies add width, height and finders,
+     *     and linear barcodes add bars.
+     * @returns {Object} - { width, height, isDark(row, col), finders: [{ row, col }], bars }
+     */
+    static fromQRCode(qr) {
+        const count = qr.getModuleCount();
+        return {
+            width: qr.width || count,
+            height: qr.height || count,
+            isDark: (row, col) => qr.isDark(row, col),
+            finders: qr.finders || [
+                { row: 0, col: 0 },
+                { row: 0, col: count - 7 },
+                { row: count - 7, col: 0 }
+            ],
+            bars: qr.bars || null
+        };
+    }
+
+    /**
+     * Build the vector geometry for a symbol
+     * @param {Object} matrix - Renderer matrix (see fromQRCode)
+     * @param {Object} options - size, margin (in modules), colors, gradients and shape options
+     * @returns {Object} - { width, height, cellSize, margin, background, layers: [{ color, gradient, fillRule, path }] }
+     */
+    static buildGeometry(matrix, options = {}) {
+        const size = options.size || Config.QR_CODE.DEFAULT_SIZE;
+        const marginModules = options.margin !== undefined ? options.margin : Config.QR_CODE.DEFAULT_MARGIN;
+        const moduleShape = options.moduleShape || 'square';
+        const foregroundColor = options.foregroundColor || Config.QR_CODE.DEFAULT_COLOR_DARK;
+
+        const cellSize = size / matrix.width;
+        const margin = parseInt(marginModules) * cellSize;
+        const width = Math.floor(size + (margin * 2));
+        const height = Math.floor(matrix.height * cellSize + (margin * 2));
+
+        const finderCells = QRRenderer.getFinderCells(matrix);
+        const logo = QRRenderer.getLogoBox(matrix, options, cellSize, margin);
+        const isKnockedOut = (row, col) => logo && logo.knockout &&
+            col + 1 > logo.moduleLeft && col < logo.moduleRight && row + 1 > logo.moduleTop && row < logo.moduleBottom;
+        const isModule = (row, col) => row >= 0 && col >= 0 && row < matrix.height && col < matrix.width &&
+            matrix.isDark(row, col) && !finderCells.has(row * matrix.width + col) && !isKnockedOut(row, col);
+
+        // Data, timing and alignment modules
+        const modulePath = [];
+        if (matrix.bars) {
+            // Linear barcodes draw each run of dark modules as one full-height bar, whatever the module shape
+            for (let col = 0; col < matrix.width; col++) {
+                if (!matrix.bars[col]) continue;
+                let end = col;
+                while (matrix.bars[end + 1]) end++;
+                const x = Math.round(col * cellSize) + margin;
+                QRRenderer.appendRect(modulePath, x, margin, Math.round((end + 1) * cellSize) + margin - x, matrix.height * cellSize);
+                col = end;
+            }
+        } else {
+            for (let row = 0; row < matrix.height; row++) {
+                for (let col = 0; col < matrix.width; col++) {
+                    if (!isModule(row, col)) continue;
+
+                    if (moduleShape === 'square') {
+                        // Snap to whole pixels so adjacent squares never show hairline seams
+                        const x = Math.round(col * cellSize) + margin;
+                        const y = Math.round(row * cellSize) + margin;
+                        QRRenderer.appendRect(modulePath, x, y, Math.ceil(cellSize), Math.ceil(cellSize));
+                    } else {
+                        const x = col * cellSize + margin;
+                        const y = row * cellSize + margin;
+                        QRRenderer.appendModule(modulePath, moduleShape, x, y, cellSize, {
+                            top: isModule(row - 1, col),
+                            right: isModule(row, col + 1),
+                            bottom: isModule(row + 1, col),
+                            left: isModule(row, col - 1)
+                        });
+                    }
+                }
+            }
+        }
+
+        // Foreground gradients span the symbol, background gradients the whole image
+        const foregroundGradient = QRRenderer.resolveGradient(options.foregroundGradient,
+            margin, margin, matrix.width * cellSize, matrix.height * cellSize);
+        const background = {
+            color: options.backgroundColor || Config.QR_CODE.DEFAULT_COLOR_LIGHT,
+            gradient: QRRenderer.resolveGradient(options.backgroundGradient, 0, 0, width, height)
+        };
+
+        const layers = [{ role: 'modules', color: foregroundColor, gradient: foregroundGradient, fillRule: 'nonzero', path: modulePath }];
+
+        // Finder patterns: a 7×7 ring (drawn with an even-odd hole) around a 3×3 eye
+        const outerPath = [];
+        const innerPath = [];
+        matrix.finders.forEach(finder => {
+            const x = finder.col * cellSize + margin;
+            const y = finder.row * cellSize + margin;
+            QRRenderer.appendFinderOuter(outerPath, options.finderOuterShape || 'square', x, y, cellSize);
+            QRRenderer.appendFinderInner(innerPath, options.finderInnerShape || 'square',
+                x + 2 * cellSize, y + 2 * cellSize, cellSize);
+        });
+
+        if (outerPath.length) {
+            // Custom finder colors are solid; otherwise finders share the foreground fill
+            layers.push({
+                role: 'finderOuter',
+                color: options.finderOuterColor || foregroundColor,
+                gradient: options.finderOuterColor ? null : foregroundGradient,
+                fillRule: 'evenodd',
+                path: outerPath
+            });
+            layers.push({
+                role: 'finderInner',
+                color: options.finderInnerColor || foregroundColor,
+                gradient: options.finderInnerColor ? null : foregroundGradient,
+                fillRule: 'nonzero',
+                path: innerPath
+            });
+        }
+
+        return { width, height, cellSize, margin, background, layers, logo };
+    }
+
+    /**
+     * Resolve a gradient setting against the box it fills
+     * @param {Object|null} spec - { type: 'linear'|'radial', angle, centerX, centerY, stops: [{ offset, color }] }.
+     *   Linear angles are in degrees, 0 running left to right and 90 top to bottom;
+     *   radial centers are fractions of the box.
+     * @returns {Object|null} - Gradient in pixel coordinates, or null for a solid fill
+     */
+    static resolveGradient(spec, x, y, width, height) {
+        if (!spec || (spec.type !== 'linear' && spec.type !== 'radial') || !Array.isArray(spec.stops) || spec.stops.length < 2) {
+            return null;
+        }
+
+        const stops = spec.stops
+            .map(stop => ({ offset: Math.min(Math.max(parseFloat(stop.offset) || 0, 0), 1), color: stop.color }))
+            .sort((a, b) => a.offset - b.offset);
+
+        if (spec.type === 'radial') {
+            const cx = x + width * (spec.centerX !== undefined ? spec.centerX : 0.5);
+            const cy = y + height * (spec.centerY !== undefined ? spec.centerY : 0.5);
+            // Reach the farthest corner so the last stop covers the whole box
+            const r = Math.max(
+                Math.hypot(cx - x, cy - y),
+                Math.hypot(x + width - cx, cy - y),
+                Math.hypot(cx - x, y + height - cy),
+                Math.hypot(x + width - cx, y + height - cy)
+            );
+            return { type: 'radial', cx, cy, r, stops };
+        }
+
+        const angle = (parseFloat(spec.angle) || 0) * Math.PI / 180;
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        // Project the box onto the gradient line so the end stops touch its corners
+        const half = (Math.abs(dx) * width + Math.abs(dy) * height) / 2;
+        const cx = x + width / 2;
+        const cy = y + height / 2;
+        return { type: 'linear', x1: cx - dx * half, y1: cy - dy * half, x2: cx + dx * half, y2: cy + dy * half, stops };
+    }
+
+    /**
+     * Place the logo in the middle of the symbol, clamped to the size the
+     * error correction level can afford
+     * @returns {Object|null} - Box (px and module units) for the backdrop and the image inside it
+     */
+    static getLogoBox(matrix, options, cellSize, margin) {
+        const logo = options.logo;
+        if (!logo || !logo.dataUrl) {
+            return null;
+        }
+
+        const maxSize = QRRenderer.getMaxLogoSize(options.errorCorrection, Math.min(matrix.width, matrix.height));
+        const sizeRatio = Math.min(logo.size || Config.LOGO.DEFAULT_SIZE, maxSize);
+        const boxModules = Math.min(matrix.width, matrix.height) * sizeRatio;
+
+        const moduleLeft = (matrix.width - boxModules) / 2;
+        const moduleTop = (matrix.height - boxModules) / 2;
+        const x = moduleLeft * cellSize + margin;
+        const y = moduleTop * cellSize + margin;
+        const boxSize = boxModules * cellSize;
+
+        // Fit the image inside the padded box, keeping its aspect ratio
+        const padding = Math.min((logo.padding || 0) * cellSize, boxSize / 4);
+        const available = boxSize - padding * 2;
+        const aspect = logo.width && logo.height ? logo.width / logo.height : 1;
+        const imageWidth = aspect >= 1 ? available : available * aspect;
+        const imageHeight = aspect >= 1 ? available / aspect : available;
+
+        return {
+            dataUrl: logo.dataUrl,
+            knockout: !!logo.knockout,
+            sizeRatio,
+            clamped: sizeRatio < (logo.size || Config.LOGO.DEFAULT_SIZE),
+            moduleLeft,
+            moduleTop,
+            moduleRight: moduleLeft + boxModules,
+            moduleBottom: moduleTop + boxModules,
+            x,
+            y,
+            size: boxSize,
+            radius: boxSize / 2 * Math.min(Math.max(logo.cornerRadius || 0, 0), 1),
+            imageX: x + (boxSize - imageWidth) / 2,
+            imageY: y + (boxSize - imageHeight) / 2,
+            imageWidth,
+            imageHeight
+        };
+    }
+
+    /**
+     * Set of `row * width + col` indexes covered by finder patterns
+     */
+    static getFinderCells(matrix) {
+        const cells = new Set();
+        matrix.finders.forEach(finder => {
+            for (let row = finder.row; row < finder.row + 7; row++) {
+                for (let col = finder.col; col < finder.col + 7; col++) {
+                    cells.add(row * matrix.width + col);
+                }
+            }
+        });
+        return cells;
+    }
+
+    /**
+     * Append a single module in the given shape
+     * @param {Object} neighbors - Which orthogonal neighbors are dark (used by 'connected')
+     */
+    static appendModule(path, shape, x, y, s, neighbors) {
+        switch (shape) {
+            case 'rounded':
+                QRRenderer.appendRoundedRect(path, x, y, s, s, s * 0.3);
+                break;
+            case 'dot':
+                QRRenderer.appendCircle(path, x + s / 2, y + s / 2, s * 0.45);
+                break;
+            case 'diamond':
+                path.push(['M', x + s / 2, y], ['L', x + s, y + s / 2], ['L', x + s / 2, y + s], ['L', x, y + s / 2], ['Z']);
+                break;
+            case 'connected': {
+                // Round a corner only when both sides meeting at it are free,
+                // so runs of modules join into smooth blobs
+                const r = s / 2;
+                QRRenderer.appendRoundedRect(path, x, y, s, s, [
+                    !neighbors.top && !neighbors.left ? r : 0,
+                    !neighbors.top && !neighbors.right ? r : 0,
+                    !neighbors.bottom && !neighbors.right ? r : 0,
+                    !neighbors.bottom && !neighbors.left ? r : 0
+                ]);
+                break;
+            }
+            default:
+                QRRenderer.appendRect(path, x, y, s, s);
+        }
+    }
+
+    static appendFinderOuter(path, shape, x, y, s) {
+        const outer = 7 * s;
+        const inner = 5 * s;
+        switch (shape) {
+            case 'rounded':
+                QRRenderer.appendRoundedRect(path, x, y, outer, outer, 2 * s);
+                QRRenderer.appendRoundedRect(path, x + s, y + s, inner, inner, 1.25 * s);
+                break;
+            case 'circle':
+                QRRenderer.appendCircle(path, x + outer / 2, y + outer / 2, outer / 2);
+                QRRenderer.appendCircle(path, x + outer / 2, y + outer / 2, inner / 2);
+                break;
+            default:
+                QRRenderer.appendRect(path, x, y, outer, outer);
+                QRRenderer.appendRect(path, x + s, y + s, inner, inner);
+        }
+    }
+
+    static appendFinderInner(path, shape, x, y, s) {
+        const eye = 3 * s;
+        switch (shape) {
+            case 'rounded':
+                QRRenderer.appendRoundedRect(path, x, y, eye, eye, s);
+                break;
+            case 'dot':
+                QRRenderer.appendCircle(path, x + eye / 2, y + eye / 2, eye / 2);
+                break;
+            case 'diamond':
+                path.push(['M', x + eye / 2, y], ['L', x + eye, y + eye / 2], ['L', x + eye / 2, y + eye], ['L', x, y + eye / 2], ['Z']);
+                break;
+            default:
+                QRRenderer.appendRect(path, x, y, eye, eye);
+        }
+    }
+
+    static appendRect(path, x, y, w, h) {
+        path.push(['M', x, y], ['L', x + w, y], ['L', x + w, y + h], ['L', x, y + h], ['Z']);
+    }
+
+    /**
+     * Rounded rectangle, clockwise from the top-left corner
+     * @param {number|number[]} radius - One radius, or [topLeft, topRight, bottomRight, bottomLeft]
+     */
+    static appendRoundedRect(path, x, y, w, h, radius) {
+        const [tl, tr, br, bl] = Array.isArray(radius) ? radius : [radius, radius, radius, radius];
+        const k = BEZIER_CIRCLE_KAPPA;
+
+        path.push(['M', x + tl, y]);
+        path.push(['L', x + w - tr, y]);
+        if (tr) path.push(['C', x + w - tr + tr * k, y, x + w, y + tr - tr * k, x + w, y + tr]);
+        path.push(['L', x + w, y + h - br]);
+        if (br) path.push(['C', x + w, y + h - br + br * k, x + w - br + br * k, y + h, x + w - br, y + h]);
+        path.push(['L', x + bl, y + h]);
+        if (bl) path.push(['C', x + bl - bl * k, y + h, x, y + h - bl + bl * k, x, y + h - bl]);
+        path.push(['L', x, y + tl]);
+        if (tl) path.push(['C', x, y + tl - tl * k, x + tl - tl * k, y, x + tl, y]);
+        path.push(['Z']);
+    }
+
+    static appendCircle(path, cx, cy, r) {
+        const k = r * BEZIER_CIRCLE_KAPPA;
+        path.push(
+            ['M', cx, cy - r],
+            ['C', cx + k, cy - r, cx + r, cy - k, cx + r, cy],
+            ['C', cx + r, cy + k, cx + k, cy + r, cx, cy + r],
+            ['C', cx - k, cy + r, cx - r, cy + k, cx - r, cy],
+            ['C', cx - r, cy - k, cx - k, cy - r, cx, cy - r],
+            ['Z']
+        );
+    }
+
+    /**
+     * Trace path commands onto a canvas 2D context (also works with canvas-like contexts)
+     */
+    static tracePath(ctx, path) {
+        ctx.beginPath();
+        path.forEach(command => {
+            switch (command[0]) {
+                case 'M': ctx.moveTo(command[1], command[2]); break;
+                case 'L': ctx.lineTo(command[1], command[2]); break;
+                case 'C': ctx.bezierCurveTo(command[1], command[2], command[3], command[4], command[5], command[6]); break;
+                case 'Z': ctx.closePath(); break;
+            }
+        });
+    }
+
+    /**
+     * Draw background and every layer of the geometry onto a canvas context.
+     * options.transparentBackground leaves the background and the logo backdrop unpainted.
+     */
+    static drawToCanvas(ctx, geometry, options = {}) {
+        if (!options.transparentBackground) {
+            ctx.fillStyle = QRRenderer.createCanvasFill(ctx, geometry.background);
+            ctx.fillRect(0, 0, geometry.width, geometry.height);
+        }
+
+        geometry.layers.forEach(layer => {
+            if (!layer.path.length) return;
+            QRRenderer.tracePath(ctx, layer.path);
+            ctx.fillStyle = QRRenderer.createCanvasFill(ctx, layer);
+            ctx.fill(layer.fillRule);
+        });
+
+        // options.logoImage is the decoded image for geometry.logo.dataUrl
+        const logo = geometry.logo;
+        if (logo && options.logoImage) {
+            const clip = QRRenderer.getLogoClipPath(logo);
+            if (logo.knockout && !options.transparentBackground) {
+                QRRenderer.tracePath(ctx, clip);
+                ctx.fillStyle = QRRenderer.createCanvasFill(ctx, geometry.background);
+                ctx.fill();
+            }
+
+            ctx.save();
+            QRRenderer.tracePath(ctx, clip);
+            ctx.clip();
+            ctx.drawImage(options.logoImage, logo.imageX, logo.imageY, logo.imageWidth, logo.imageHeight);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Canvas fillStyle for a { color, gradient } fill
+     */
+    static createCanvasFill(ctx, fill) {
+        const gradient = fill.gradient;
+        if (!gradient) {
+            return fill.color;
+        }
+
+        const canvasGradient = gradient.type === 'radial'
+            ? ctx.createRadialGradient(gradient.cx, gradient.cy, 0, gradient.cx, gradient.cy, gradient.r)
+            : ctx.createLinearGradient(gradient.x1, gradient.y1, gradient.x2, gradient.y2);
+        gradient.stops.forEach(stop => canvasGradient.addColorStop(stop.offset, stop.color));
+        return canvasGradient;
+    }
+
+    /**
+     * Rounded box the logo (and its knockout backdrop) is clipped to
+     */
+    static getLogoClipPath(logo) {
+        const path = [];
+        QRRenderer.appendRoundedRect(path, logo.x, logo.y, logo.size, logo.size, logo.radius);
+        return path;
+    }
+
+    /**
+     * Serialize path commands as SVG path data
+     */
+    static toSVGPathData(path) {
+        const n = value => +value.toFixed(3);
+        return path.map(command => command[0] + command.slice(1).map(n).join(' ')).join('');
+    }
+
+    /**
+     * Escape text for an SVG attribute value or text node. Colors and logos come
+     * from saved records, imports and element attributes, not only from the editor.
+     */
+    static escapeXML(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    /**
+     * SVG gradient definition for a resolved gradient
+     */
+    static toSVGGradient(id, gradient) {
+        const n = value => +value.toFixed(3);
+        const stops = gradient.stops
+            .map(stop => `<stop offset="${n(stop.offset)}" stop-color="${QRRenderer.escapeXML(stop.color)}"/>`)
+            .join('');
+
+        if (gradient.type === 'radial') {
+            return `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${n(gradient.cx)}" cy="${n(gradient.cy)}" r="${n(gradient.r)}">${stops}</radialGradient>`;
+        }
+        return `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${n(gradient.x1)}" y1="${n(gradient.y1)}" x2="${n(gradient.x2)}" y2="${n(gradient.y2)}">${stops}</linearGradient>`;
+    }
+
+    /**
+     * Build a standalone SVG document for the geometry
+     * @param {Object} geometry - Geometry from buildGeometry
+     * @param {Object} options - idPrefix: prepended to gradient and clip ids, so several
+     *     documents can share one page
+     */
+    static toSVG(geometry, options = {}) {
+        const idPrefix = options.idPrefix || '';
+        const defs = [];
+        const fillAttribute = (id, fill) => {
+            if (!fill.gradient) {
+                return QRRenderer.escapeXML(fill.color);
+            }
+            defs.push(QRRenderer.toSVGGradient(idPrefix + id, fill.gradient));
+            return `url(#${idPrefix + id})`;
+        };
+
+        const backgroundFill = fillAttribute('background-gradient', geometry.background);
+        const paths = geometry.layers
+            .filter(layer => layer.path.length)
+            .map(layer => {
+                const fillRule = layer.fillRule === 'evenodd' ? ' fill-rule="evenodd"' : '';
+                const fill = fillAttribute(`${layer.role}-gradient`, layer);
+                return `    <path d="${QRRenderer.toSVGPathData(layer.path)}" fill="${fill}"${fillRule}/>`;
+            })
+            .join('\n');
+
+        let logo = '';
+        if (geometry.logo) {
+            const box = geometry.logo;
+            const n = value => +value.toFixed(3);
+            const href = QRRenderer.escapeXML(box.dataUrl);
+            const clipData = QRRenderer.toSVGPathData(QRRenderer.getLogoClipPath(box));
+            defs.push(`<clipPath id="${idPrefix}logo-clip"><path d="${clipData}"/></clipPath>`);
+            logo = (box.knockout ? `
+    <path d="${clipData}" fill="${backgroundFill}"/>` : '') + `
+    <image x="${n(box.imageX)}" y="${n(box.imageY)}" width="${n(box.imageWidth)}" height="${n(box.imageHeight)}" ` +
+                `preserveAspectRatio="xMidYMid meet" clip-path="url(#${idPrefix}logo-clip)" href="${href}" xlink:href="${href}"/>`;
+        }
+
+        const defsBlock = defs.length ? `
+    <defs>
+        ${defs.join('\n        ')}
+    </defs>` : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${geometry.width}" height="${geometry.height}" viewBox="0 0 ${geometry.width} ${geometry.height}">${defsBlock}
+    <rect width="100%" height="100%" fill="${backgroundFill}"/>
+${paths}${logo}
+</svg>`;
+    }
+
+    /**
+     * Build one SVG document laying out several codes in a grid, each with an
+     * optional caption underneath, for the symbols of a Structured Append set
+     * @param {Object[]} items - [{ geometry, caption }], in reading order
+     * @returns {string} - SVG source
+     */
+    static toSVGSheet(items) {
+        const n = value => +value.toFixed(3);
+        const cellWidth = Math.max(...items.map(item => item.geometry.width));
+        const cellHeight = Math.max(...items.map(item => item.geometry.height));
+        const gap = cellWidth * Config.STRUCTURED_APPEND.SHEET_GAP;
+        const fontSize = cellWidth * Config.STRUCTURED_APPEND.CAPTION_SIZE;
+        const captionHeight = items.some(item => item.caption) ? fontSize * 1.6 : 0;
+
+        const columns = Math.ceil(Math.sqrt(items.length));
+        const rows = Math.ceil(items.length / columns);
+        const width = columns * cellWidth + (columns - 1) * gap;
+        const height = rows * (cellHeight + captionHeight) + (rows - 1) * gap;
+
+        const symbols = items.map(({ geometry, caption }, i) => {
+            const x = (i % columns) * (cellWidth + gap) + (cellWidth - geometry.width) / 2;
+            const y = Math.floor(i / columns) * (cellHeight + captionHeight + gap);
+            const svg = QRRenderer.toSVG(geometry, { idPrefix: `symbol-${i + 1}-` })
+                .replace(/^<\?xml[^>]*>\s*/, '')
+                .replace('<svg ', `<svg x="${n(x)}" y="${n(y)}" `);
+            const text = caption ? `
+<text x="${n(x + geometry.width / 2)}" y="${n(y + cellHeight + fontSize * 1.2)}" font-family="sans-serif" font-size="${n(fontSize)}" ` +
+                `text-anchor="middle" fill="${QRRenderer.escapeXML(geometry.layers[0].color)}">${QRRenderer.escapeXML(caption)}</text>` : '';
+            return svg + text;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${n(width)}" height="${n(height)}" viewBox="0 0 ${n(width)} ${n(height)}">
+${symbols.join('\n')}
+</svg>`;
+    }
+
+    /**
+     * Split a #rgb or #rrggbb color into [r, g, b] channels from 0 to 255
+     */
+    static parseColor(color) {
+        let hex = String(color).replace('#', '');
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16) || 0);
+    }
+
+    /**
+     * Draw the geometry into a jsPDF document as vector paths
+     * @param {Object} pdf - jsPDF document
+     * @param {Object} geometry - Geometry from buildGeometry
+     * @param {Object} placement - { x, y, scale } mapping geometry pixels to document units, and
+     *     logoImage: a PNG data URL covering the logo box (see geometry.logo)
+     */
+    static drawToPDF(pdf, geometry, placement = {}) {
+        const { x = 0, y = 0, scale = 1, logoImage = null } = placement;
+
+        const fillPath = (doc, path, fill, fillRule) => {
+            QRRenderer.tracePDFPath(doc, path);
+            const gradient = fill.gradient;
+            let pattern;
+            if (gradient) {
+                const key = `qr-gradient-${++pdfPatternCount}`;
+                const coords = gradient.type === 'radial'
+                    ? [gradient.cx, gradient.cy, 0, gradient.cx, gradient.cy, gradient.r]
+                    : [gradient.x1, gradient.y1, gradient.x2, gradient.y2];
+                const colors = gradient.stops.map(stop => ({ offset: stop.offset, color: QRRenderer.parseColor(stop.color) }));
+                doc.addShadingPattern(key, new doc.ShadingPattern(gradient.type === 'radial' ? 'radial' : 'axial', coords, colors));
+                pattern = { key, matrix: doc.unitMatrix };
+            } else {
+                doc.setFillColor(fill.color);
+            }
+
+            if (fillRule === 'evenodd') {
+                doc.fillEvenOdd(pattern);
+            } else {
+                doc.fill(pattern);
+            }
+        };
+
+        // Advanced mode keeps the y axis pointing down, like the canvas and SVG
+        pdf.advancedAPI(doc => {
+            doc.saveGraphicsState();
+            doc.setCurrentTransformationMatrix(new doc.Matrix(scale, 0, 0, scale, x, y));
+
+            const backgroundPath = [];
+            QRRenderer.appendRect(backgroundPath, 0, 0, geometry.width, geometry.height);
+            fillPath(doc, backgroundPath, geometry.background, 'nonzero');
+
+            geometry.layers.forEach(layer => {
+                if (!layer.path.length) return;
+                fillPath(doc, layer.path, layer, layer.fillRule);
+            });
+
+            const logo = geometry.logo;
+            if (logo && logoImage) {
+                const clip = QRRenderer.getLogoClipPath(logo);
+                if (logo.knockout) {
+                    fillPath(doc, clip, geometry.background, 'nonzero');
+                }
+
+                doc.saveGraphicsState();
+                QRRenderer.tracePDFPath(doc, clip);
+                doc.clip();
+                doc.discardPath();
+                doc.addImage(logoImage, 'PNG', logo.x, logo.y, logo.size, logo.size);
+                doc.restoreGraphicsState();
+            }
+
+            doc.restoreGraphicsState();
+        });
+    }
+
+    /**
+     * Trace path commands with jsPDF's path operators
+     */
+    static tracePDFPath(pdf, path) {
+        path.forEach(command => {
+            switch (command[0]) {
+                case 'M': pdf.moveTo(command[1], command[2]); break;
+                case 'L': pdf.lineTo(command[1], command[2]); break;
+                case 'C': pdf.curveTo(command[1], command[2], command[3], command[4], command[5], command[6]); break;
+                case 'Z': pdf.close(); break;
+            }
+        });
+    }
+
+    /**
+     * Serialize path commands as PostScript using the m/l/c/z procedures from the EPS prolog
+     */
+    static toEPSPath(path) {
+        const n = value => +value.toFixed(3);
+        return path.map(command => {
+            const operands = command.slice(1).map(n).join(' ');
+            return (operands ? operands + ' ' : '') + command[0].toLowerCase();
+        }).join(' ');
+    }
+
+    /**
+     * PostScript LanguageLevel 3 shading dictionary for a resolved gradient
+     */
+    static toEPSShading(gradient) {
+        const n = value => +value.toFixed(3);
+        const rgb = color => QRRenderer.parseColor(color).map(c => n(c / 255)).join(' ');
+
+        // Extend the end stops to 0 and 1 so the stitching function covers its whole domain
+        const stops = [...gradient.stops];
+        if (stops[0].offset > 0) stops.unshift({ offset: 0, color: stops[0].color });
+        if (stops[stops.length - 1].offset < 1) stops.push({ offset: 1, color: stops[stops.length - 1].color });
+
+        const functions = [];
+        for (let i = 0; i < stops.length - 1; i++) {
+            functions.push(`<< /FunctionType 2 /Domain [0 1] /C0 [${rgb(stops[i].color)}] /C1 [${rgb(stops[i + 1].color)}] /N 1 >>`);
+        }
+        const bounds = stops.slice(1, -1).map(stop => n(stop.offset)).join(' ');
+        const encode = functions.map(() => '0 1').join(' ');
+
+        const coords = gradient.type === 'radial'
+            ? [gradient.cx, gradient.cy, 0, gradient.cx, gradient.cy, gradient.r]
+            : [gradient.x1, gradient.y1, gradient.x2, gradient.y2];
+
+        return `<< /ShadingType ${gradient.type === 'radial' ? 3 : 2} /ColorSpace /DeviceRGB ` +
+            `/Coords [${coords.map(n).join(' ')}] /Extend [true true] ` +
+            `/Function << /FunctionType 3 /Domain [0 1] /Functions [${functions.join(' ')}] /Bounds [${bounds}] /Encode [${encode}] >> >>`;
+    }
+
+    /**
+     * Build an Encapsulated PostScript document for the geometry, one point per pixel
+     * @param {Object} geometry - Geometry from buildGeometry
+     * @param {Object} options - logoImage: { width, height, data } RGBA pixels covering the logo box
+     * @returns {string} - EPS source
+     */
+    static toEPS(geometry, options = {}) {
+        const n = value => +value.toFixed(3);
+        const { width, height } = geometry;
+
+        const fill = (path, fillStyle, fillRule) => {
+            const data = QRRenderer.toEPSPath(path);
+            const evenOdd = fillRule === 'evenodd';
+            if (fillStyle.gradient) {
+                return `gsave ${data} ${evenOdd ? 'eoclip' : 'clip'} newpath\n${QRRenderer.toEPSShading(fillStyle.gradient)} shfill grestore`;
+            }
+            const rgb = QRRenderer.parseColor(fillStyle.color).map(c => n(c / 255)).join(' ');
+            return `${rgb} setrgbcolor ${data} ${evenOdd ? 'eofill' : 'fill'}`;
+        };
+
+        const body = [fill([['M', 0, 0], ['L', width, 0], ['L', width, height], ['L', 0, height], ['Z']], geometry.background, 'nonzero')];
+        geometry.layers.forEach(layer => {
+            if (layer.path.length) {
+                body.push(fill(layer.path, layer, layer.fillRule));
+            }
+        });
+
+        const logo = geometry.logo;
+        const image = options.logoImage;
+        if (logo && image) {
+            const clip = QRRenderer.getLogoClipPath(logo);
+            if (logo.knockout) {
+                body.push(fill(clip, geometry.background, 'nonzero'));
+            }
+
+            // Flatten the RGBA pixels to RGB hex, 36 pixels per line
+            const lines = [];
+            let line = '';
+            for (let i = 0; i < image.width * image.height; i++) {
+                for (let c = 0; c < 3; c++) {
+                    line += image.data[i * 4 + c].toString(16).padStart(2, '0');
+                }
+                if ((i + 1) % 36 === 0) {
+                    lines.push(line);
+                    line = '';
+                }
+            }
+            if (line) lines.push(line);
+
+            body.push(`gsave ${QRRenderer.toEPSPath(clip)} clip newpath
+${n(logo.x)} ${n(logo.y)} translate ${n(logo.size)} ${n(logo.size)} scale
+${image.width} ${image.height} 8 [${image.width} 0 0 ${image.height} 0 0] currentfile /ASCIIHexDecode filter false 3 colorimage
+${lines.join('\n')}>
+grestore`);
+        }
+
+        return `%!PS-Adobe-3.0 EPSF-3.0
+%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}
+%%HiResBoundingBox: 0 0 ${n(width)} ${n(height)}
+%%Creator: ${Config.APP_NAME}
+%%Title: QR Code
+%%LanguageLevel: 3
+%%Pages: 1
+%%EndComments
+%%BeginProlog
+/m { moveto } bind def
+/l { lineto } bind def
+/c { curveto } bind def
+/z { closepath } bind def
+%%EndProlog
+%%Page: 1 1
+gsave
+% Flip the y axis so coordinates match the SVG export
+0 ${n(height)} translate 1 -1 scale
+${body.join('\n')}
+grestore
+showpage
+%%EOF
+`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRRenderer;
+}
@@ -0,0 +1,91 @@
+/**
+ * reed-solomon.js - Reed-Solomon error correction over GF(2^m) for QR Code Generator
+ *
+ * Data Matrix and Aztec symbols use other Galois fields and generator roots
+ * than QR codes, so this builds the log tables for any field polynomial on
+ * first use. QR, Micro QR and rMQR keep the GF(256) arithmetic in QRDecoder.
+ */
+
+// Log and antilog tables per field polynomial, built on first use
+const galoisFields = new Map();
+
+class ReedSolomon {
+    /**
+     * Log and antilog tables of GF(2^m)
+     * @param {number} polynomial - Primitive polynomial with its x^m term, e.g. 0x12D for GF(256)
+     * @returns {Object} - { size, exp, log }
+     */
+    static getField(polynomial) {
+        if (!galoisFields.has(polynomial)) {
+            const size = 1 << Math.floor(Math.log2(polynomial));
+            const exp = new Uint16Array(size * 2);
+            const log = new Uint16Array(size);
+            let x = 1;
+            for (let i = 0; i < size - 1; i++) {
+                exp[i] = x;
+                log[x] = i;
+                x <<= 1;
+                if (x & size) {
+                    x ^= polynomial;
+                }
+            }
+            // A second period saves reducing exponent sums
+            for (let i = size - 1; i < size * 2; i++) {
+                exp[i] = exp[i - (size - 1)];
+            }
+            galoisFields.set(polynomial, { size, exp, log });
+        }
+        return galoisFields.get(polynomial);
+    }
+
+    static multiply(field, a, b) {
+        return a && b ? field.exp[field.log[a] + field.log[b]] : 0;
+    }
+
+    /**
+     * Generator polynomial (x - a^base)(x - a^(base+1))...(x - a^(base+degree-1)),
+     * highest degree first with the leading 1 left out
+     */
+    static getGenerator(field, degree, base) {
+        let generator = [1];
+        for (let i = 0; i < degree; i++) {
+            const root = field.exp[base + i];
+            const next = new Array(generator.length + 1).fill(0);
+            generator.forEach((coefficient, j) => {
+                next[j] ^= coefficient;
+                next[j + 1] ^= ReedSolomon.multiply(field, coefficient, root);
+            });
+            generator = next;
+        }
+        return generator.slice(1);
+    }
+
+    /**
+     * Error correction words for a block of data words
+     * @param {number[]} data - Data words
+     * @param {number} eccLength - Number of error correction words
+     * @param {number} polynomial - Field polynomial (see getField)
+     * @param {number} base - Exponent of the first generator root
+     * @returns {number[]}
+     */
+    static encode(data, eccLength, polynomial, base = 1) {
+        const field = ReedSolomon.getField(polynomial);
+        const generator = ReedSolomon.getGenerator(field, eccLength, base);
+        const remainder = new Array(eccLength).fill(0);
+
+        data.forEach(word => {
+            const factor = word ^ remainder[0];
+            remainder.copyWithin(0, 1);
+            remainder[eccLength - 1] = 0;
+            generator.forEach((coefficient, i) => {
+                remainder[i] ^= ReedSolomon.multiply(field, coefficient, factor);
+            });
+        });
+        return remainder;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReedSolomon;
+}
@@ -0,0 +1,158 @@
+/**
+ * revision-history.js - Revision history for saved QR codes
+ *
+ * Every save of a code that changes its content or styling bumps its
+ * `revision` and appends an entry to its `history`. An entry holds the values
+ * the changed fields had before the save, so walking the history backwards
+ * from the saved record rebuilds any earlier revision without storing a full
+ * copy of each one.
+ */
+
+class RevisionHistory {
+    // Bookkeeping fields that are not part of a revision
+    static get UNTRACKED_FIELDS() {
+        return ['id', 'revision', 'history', 'timestamp', 'createdAt', 'updatedAt', 'lastUsedAt', 'scannability'];
+    }
+
+    // What each field is shown as when describing a change
+    static get FIELD_GROUPS() {
+        return {
+            name: 'name',
+            content: 'content',
+            payloadType: 'content',
+            payloadFields: 'content',
+            size: 'size',
+            print: 'size',
+            symbolType: 'encoding',
+            errorCorrection: 'encoding',
+            version: 'encoding',
+            mask: 'encoding',
+            segmentMode: 'encoding',
+            eci: 'encoding',
+            structuredAppendCount: 'encoding',
+            foregroundColor: 'colors',
+            backgroundColor: 'colors',
+            foregroundGradient: 'colors',
+            backgroundGradient: 'colors',
+            finderOuterColor: 'colors',
+            finderInnerColor: 'colors',
+            moduleShape: 'shapes',
+            finderOuterShape: 'shapes',
+            finderInnerShape: 'shapes',
+            logo: 'logo',
+            tags: 'tags',
+            folder: 'folder'
+        };
+    }
+
+    /**
+     * Fields that differ between two versions of a code
+     * @returns {Object} - Changed field → its value in `previous`, null where it had none
+     */
+    static diff(previous, next) {
+        const untracked = RevisionHistory.UNTRACKED_FIELDS;
+        const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+        const changes = {};
+        fields.forEach(field => {
+            if (untracked.includes(field)) return;
+            const before = previous[field] === undefined ? null : previous[field];
+            const after = next[field] === undefined ? null : next[field];
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                changes[field] = before;
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Carry the identity and history of the saved record over to a new save
+     * @param {Object|null} previous - Saved record, or null for a new code
+     * @param {Object} next - Code data to save
+     * @returns {Object} - next with createdAt, revision and history; the revision
+     *     only moves on when something changed
+     */
+    static record(previous, next) {
+        if (!previous) {
+            return { ...next, createdAt: next.timestamp, revision: 1, history: [] };
+        }
+
+        const revision = previous.revision || 1;
+        const history = previous.history || [];
+        const createdAt = previous.createdAt || previous.timestamp;
+        const changes = RevisionHistory.diff(previous, next);
+        if (Object.keys(changes).length === 0) {
+            return { ...next, createdAt, revision, history };
+        }
+
+        return {
+            ...next,
+            createdAt,
+            revision: revision + 1,
+            history: [...history, { revision, timestamp: previous.timestamp, changes }]
+                .slice(-Config.DATABASE.MAX_REVISIONS)
+        };
+    }
+
+    /**
+     * Rebuild an earlier revision of a saved record
+     * @param {Object} record - Saved record
+     * @param {number} revision - Revision to rebuild
+     * @returns {Object} - The code as it was at that revision, with the record's id and history
+     * @throws {Error} If the revision is no longer kept
+     */
+    static getRevision(record, revision) {
+        if (revision === (record.revision || 1)) {
+            return { ...record };
+        }
+
+        const history = record.history || [];
+        const target = history.find(entry => entry.revision === revision);
+        if (!target) {
+            throw new Error(`Revision ${revision} is no longer kept`);
+        }
+
+        const snapshot = { ...record };
+        for (let i = history.length - 1; history[i] !== target; i--) {
+            Object.assign(snapshot, history[i].changes);
+        }
+        return { ...snapshot, ...target.changes, revision, timestamp: target.timestamp };
+    }
+
+    /**
+     * Revisions of a saved record, newest first, for browsing
+     * @returns {Object[]} - [{ revision, timestamp, current, changed: groups changed since the
+     *     revision before, or null when that revision is no longer kept }]
+     */
+    static list(record) {
+        const history = record.history || [];
+        const changedSince = (revision) => {
+            if (revision === 1) return [];
+            const entry = history.find(item => item.revision === revision - 1);
+            return entry ? RevisionHistory.getGroups(entry.changes) : null;
+        };
+
+        const current = record.revision || 1;
+        return [
+            { revision: current, timestamp: record.timestamp, current: true, changed: changedSince(current) },
+            ...history.slice().reverse().map(entry => ({
+                revision: entry.revision,
+                timestamp: entry.timestamp,
+                current: false,
+                changed: changedSince(entry.revision)
+            }))
+        ];
+    }
+
+    /**
+     * Names of the groups a set of changes touches, e.g. ['content', 'colors']
+     */
+    static getGroups(changes) {
+        const groups = RevisionHistory.FIELD_GROUPS;
+        return [...new Set(Object.keys(changes).map(field => groups[field] || field))];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RevisionHistory;
+}
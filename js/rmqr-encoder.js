@@ -0,0 +1,400 @@
+/**
+ * rmqr-encoder.js - Rectangular Micro QR (rMQR) encoder for QR Code Generator
+ *
+ * Builds rMQR symbols (ISO/IEC 23941), 7 to 17 modules tall and 27 to 139
+ * wide, for narrow spaces such as cable tags and component edges. A finder
+ * pattern sits on the left, a smaller finder sub-pattern in the lower right
+ * corner, and timing patterns run along every edge and down each alignment
+ * column. All versions use the same mask. Segment planning and Reed-Solomon
+ * arithmetic come from QREncoder.
+ */
+
+// Versions in version indicator order: height, width, [blocks, error correction
+// codewords per block] at levels M and H, and the numeric, alphanumeric, byte and
+// kanji character count widths
+const RMQR_VERSIONS = [
+    [7, 43, [1, 7], [1, 10], [4, 3, 3, 2]],
+    [7, 59, [1, 9], [1, 14], [5, 5, 4, 3]],
+    [7, 77, [1, 12], [1, 22], [6, 5, 5, 4]],
+    [7, 99, [1, 16], [1, 30], [7, 6, 5, 5]],
+    [7, 139, [1, 24], [2, 22], [7, 6, 6, 5]],
+    [9, 43, [1, 9], [1, 14], [5, 5, 4, 3]],
+    [9, 59, [1, 12], [1, 22], [6, 5, 5, 4]],
+    [9, 77, [1, 18], [2, 16], [7, 6, 5, 5]],
+    [9, 99, [1, 24], [2, 22], [7, 6, 6, 5]],
+    [9, 139, [2, 18], [3, 22], [8, 7, 6, 6]],
+    [11, 27, [1, 8], [1, 10], [4, 4, 3, 2]],
+    [11, 43, [1, 12], [1, 20], [6, 5, 5, 4]],
+    [11, 59, [1, 16], [2, 16], [7, 6, 5, 5]],
+    [11, 77, [1, 24], [2, 22], [7, 6, 6, 5]],
+    [11, 99, [2, 16], [2, 30], [8, 7, 6, 6]],
+    [11, 139, [2, 24], [3, 30], [8, 7, 7, 6]],
+    [13, 27, [1, 9], [1, 14], [5, 5, 4, 3]],
+    [13, 43, [1, 14], [1, 28], [6, 6, 5, 5]],
+    [13, 59, [1, 22], [2, 20], [7, 6, 6, 5]],
+    [13, 77, [2, 16], [2, 28], [7, 7, 6, 6]],
+    [13, 99, [2, 20], [3, 26], [8, 7, 7, 6]],
+    [13, 139, [3, 20], [4, 28], [8, 8, 7, 7]],
+    [15, 43, [1, 18], [2, 18], [7, 6, 6, 5]],
+    [15, 59, [1, 26], [2, 24], [7, 7, 6, 5]],
+    [15, 77, [2, 18], [3, 24], [8, 7, 7, 6]],
+    [15, 99, [2, 24], [4, 22], [8, 7, 7, 6]],
+    [15, 139, [3, 24], [5, 26], [9, 8, 7, 7]],
+    [17, 43, [1, 22], [2, 20], [7, 6, 6, 5]],
+    [17, 59, [2, 16], [2, 30], [8, 7, 6, 6]],
+    [17, 77, [2, 22], [3, 28], [8, 7, 7, 6]],
+    [17, 99, [3, 20], [4, 26], [8, 8, 7, 6]],
+    [17, 139, [4, 20], [6, 26], [9, 8, 8, 7]]
+];
+
+// Center columns of the alignment patterns for each symbol width
+const RMQR_ALIGNMENT_COLUMNS = {
+    27: [],
+    43: [21],
+    59: [19, 39],
+    77: [25, 51],
+    99: [23, 49, 75],
+    139: [27, 55, 83, 111]
+};
+
+class RMQREncoder {
+    static get VERSIONS() {
+        return RMQR_VERSIONS.map(([height, width]) => `R${height}x${width}`);
+    }
+
+    static get ERROR_CORRECTION_LEVELS() {
+        return ['M', 'H'];
+    }
+
+    static get MODE_INDICATORS() {
+        return { numeric: 1, alphanumeric: 2, byte: 3, kanji: 4, eci: 7 };
+    }
+
+    // Masks for the two copies of the format information, beside the finder and the sub-pattern
+    static get FORMAT_MASKS() {
+        return [0x1FAB2, 0x20A7B];
+    }
+
+    // rMQR version names already give the size
+    static getVersionLabel(version) {
+        return version;
+    }
+
+    /**
+     * Encode text as an rMQR code
+     * @param {string} content - Text to encode
+     * @param {Object} options - { errorCorrection: M or H, version: e.g. 'R11x43', or null for the
+     *     fewest modules that fit, segmentMode: a key of QREncoder.SEGMENT_MODES,
+     *     eci: false to leave out the UTF-8 ECI header }
+     * @returns {Object} - { symbolType, version, errorCorrection, mask, segments, eci, dataBits,
+     *     capacityBits, width, height, finders, getModuleCount(), isDark(row, col) }
+     */
+    static encode(content, options = {}) {
+        const errorCorrection = options.errorCorrection || Config.QR_CODE.DEFAULT_ERROR_CORRECTION;
+        if (!RMQREncoder.ERROR_CORRECTION_LEVELS.includes(errorCorrection)) {
+            throw new Error(`rMQR codes support error correction levels ${RMQREncoder.ERROR_CORRECTION_LEVELS.join(', ')}`);
+        }
+
+        const index = RMQREncoder.getVersionIndex(options.version);
+
+        const fit = QREncoder.fitSegments(Array.from(String(content)), RMQREncoder.getCandidates(index, errorCorrection), {
+            segmentMode: options.segmentMode || 'auto',
+            eci: options.eci !== false
+        });
+        if (!fit) {
+            throw new Error(index !== null
+                ? `Content does not fit in version ${RMQREncoder.VERSIONS[index]} at error correction level ${errorCorrection}`
+                : `Content is too long for an rMQR code at error correction level ${errorCorrection}`);
+        }
+
+        const [height, width] = RMQR_VERSIONS[fit.version];
+        const { modules, functionMask } = RMQREncoder.drawFunctionPatterns(fit.version);
+        const codewords = RMQREncoder.addErrorCorrection(
+            RMQREncoder.getDataCodewords(fit.segments, fit.eci, fit.version, fit.capacityBits),
+            fit.version,
+            errorCorrection
+        );
+        RMQREncoder.placeCodewords(modules, functionMask, width, height, codewords);
+        RMQREncoder.drawFormatBits(modules, width, height, errorCorrection, fit.version);
+
+        return {
+            symbolType: 'rmqr',
+            version: RMQREncoder.VERSIONS[fit.version],
+            errorCorrection,
+            mask: null,
+            segments: fit.segments,
+            eci: fit.eci,
+            dataBits: fit.dataBits,
+            capacityBits: fit.capacityBits,
+            width,
+            height,
+            finders: [{ row: 0, col: 0 }],
+            getModuleCount: () => width,
+            isDark: (row, col) => modules[row * width + col] === 1
+        };
+    }
+
+    /**
+     * Measure text without building the symbol (see QREncoder.measure)
+     */
+    static measure(content, options = {}) {
+        const errorCorrection = options.errorCorrection || Config.QR_CODE.DEFAULT_ERROR_CORRECTION;
+        if (!RMQREncoder.ERROR_CORRECTION_LEVELS.includes(errorCorrection)) {
+            throw new Error(`rMQR codes support error correction levels ${RMQREncoder.ERROR_CORRECTION_LEVELS.join(', ')}`);
+        }
+        const index = RMQREncoder.getVersionIndex(options.version);
+
+        return QREncoder.measureSegments(Array.from(String(content)), RMQREncoder.getCandidates(index, errorCorrection), {
+            segmentMode: options.segmentMode || 'auto',
+            eci: options.eci !== false
+        }, i => ({ version: RMQREncoder.VERSIONS[i], width: RMQR_VERSIONS[i][1], height: RMQR_VERSIONS[i][0] }));
+    }
+
+    /**
+     * Index of a version name such as 'R11x43', or null when none is given
+     */
+    static getVersionIndex(version) {
+        if (!version) {
+            return null;
+        }
+        const index = RMQREncoder.VERSIONS.findIndex(name => name.toUpperCase() === String(version).toUpperCase());
+        if (index < 0) {
+            throw new Error(`rMQR version must be one of ${RMQREncoder.VERSIONS.join(', ')}`);
+        }
+        return index;
+    }
+
+    /**
+     * Versions to try, by index: the given one, or all with the smallest area
+     * first so the code takes as little label space as it can
+     * @returns {Object[]} - [{ version, layout, capacityBits }]
+     */
+    static getCandidates(index, errorCorrection) {
+        const indexes = index !== null
+            ? [index]
+            : RMQR_VERSIONS.map((_, i) => i).sort((a, b) =>
+                RMQR_VERSIONS[a][0] * RMQR_VERSIONS[a][1] - RMQR_VERSIONS[b][0] * RMQR_VERSIONS[b][1] || a - b);
+
+        return indexes.map(i => ({
+            version: i,
+            layout: RMQREncoder.getSegmentLayout(i),
+            capacityBits: RMQREncoder.getDataCapacity(i, errorCorrection) * 8
+        }));
+    }
+
+    /**
+     * Mode indicators and character count widths of a version (by index)
+     */
+    static getSegmentLayout(index) {
+        const countBits = {};
+        ['numeric', 'alphanumeric', 'byte', 'kanji'].forEach((mode, i) => {
+            countBits[mode] = RMQR_VERSIONS[index][4][i];
+        });
+        return { indicatorBits: 3, indicators: RMQREncoder.MODE_INDICATORS, countBits };
+    }
+
+    /**
+     * Reed-Solomon block structure of a version (by index) and level
+     * @returns {Object} - { numBlocks, eccLength } where eccLength counts codewords per block
+     */
+    static getBlockInfo(index, errorCorrection) {
+        const [numBlocks, eccLength] = RMQR_VERSIONS[index][errorCorrection === 'H' ? 3 : 2];
+        return { numBlocks, eccLength };
+    }
+
+    /**
+     * Codewords the data area of a version (by index) holds
+     */
+    static getRawCodewords(index) {
+        const { functionMask } = RMQREncoder.drawFunctionPatterns(index);
+        return Math.floor(functionMask.filter(isFunction => !isFunction).length / 8);
+    }
+
+    /**
+     * Data codewords a version (by index) holds at an error correction level
+     */
+    static getDataCapacity(index, errorCorrection) {
+        const { numBlocks, eccLength } = RMQREncoder.getBlockInfo(index, errorCorrection);
+        return RMQREncoder.getRawCodewords(index) - numBlocks * eccLength;
+    }
+
+    /**
+     * Write the segments, a 3-bit terminator and pad bytes
+     * @returns {Uint8Array} - Data codewords
+     */
+    static getDataCodewords(segments, eci, index, capacityBits) {
+        const bits = QREncoder.getSegmentBits(segments, eci, RMQREncoder.getSegmentLayout(index));
+        const append = (value, length) => QREncoder.appendBits(bits, value, length);
+
+        append(0, Math.min(3, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = new Uint8Array(capacityBits / 8);
+        bits.forEach((bit, i) => {
+            codewords[i >> 3] |= bit << (7 - (i & 7));
+        });
+        return codewords;
+    }
+
+    /**
+     * Split the data into blocks and interleave them with their Reed-Solomon
+     * codewords, longer blocks last as in QR codes
+     * @returns {Uint8Array} - Every codeword in placement order
+     */
+    static addErrorCorrection(data, index, errorCorrection) {
+        const { numBlocks, eccLength } = RMQREncoder.getBlockInfo(index, errorCorrection);
+        const shortDataLength = Math.floor(data.length / numBlocks);
+        const numShortBlocks = numBlocks - data.length % numBlocks;
+        const generator = QREncoder.getGeneratorPolynomial(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const dataLength = shortDataLength + (i < numShortBlocks ? 0 : 1);
+            const blockData = data.subarray(offset, offset + dataLength);
+            blocks.push({ data: blockData, ecc: QREncoder.getRemainder(blockData, generator) });
+            offset += dataLength;
+        }
+
+        const result = [];
+        for (let i = 0; i <= shortDataLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < eccLength; i++) {
+            blocks.forEach(block => result.push(block.ecc[i]));
+        }
+        return Uint8Array.from(result);
+    }
+
+    /**
+     * Timing, finder, corner, alignment and sub-finder patterns, with both
+     * format information areas reserved
+     * @returns {Object} - { modules, functionMask }: width * height arrays, 1 for dark and function modules
+     */
+    static drawFunctionPatterns(index) {
+        const [height, width] = RMQR_VERSIONS[index];
+        const modules = new Uint8Array(width * height);
+        const functionMask = new Uint8Array(width * height);
+        const set = (row, col, dark) => {
+            modules[row * width + col] = dark ? 1 : 0;
+            functionMask[row * width + col] = 1;
+        };
+
+        // Timing patterns around the edge
+        for (let col = 0; col < width; col++) {
+            set(0, col, col % 2 === 0);
+            set(height - 1, col, col % 2 === 0);
+        }
+        for (let row = 1; row < height - 1; row++) {
+            set(row, 0, row % 2 === 0);
+            set(row, width - 1, row % 2 === 0);
+        }
+
+        // Corner finder patterns in the upper right and lower left; the finder
+        // and its separator cover the lower left one in short symbols
+        set(0, width - 2, true);
+        set(1, width - 2, false);
+        set(1, width - 1, true);
+        set(height - 1, 1, true);
+        set(height - 2, 1, false);
+        set(height - 2, 0, true);
+
+        // Finder pattern with its separator
+        for (let r = 0; r < Math.min(8, height); r++) {
+            for (let c = 0; c < 8; c++) {
+                const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+                set(r, c, ring !== 2 && ring !== 4);
+            }
+        }
+
+        // Alignment patterns at the top and bottom edges, joined by a vertical timing pattern
+        RMQR_ALIGNMENT_COLUMNS[width].forEach(center => {
+            for (let c = center - 1; c <= center + 1; c++) {
+                for (let r = 0; r < 3; r++) {
+                    set(r, c, r !== 1 || c !== center);
+                    set(height - 1 - r, c, r !== 1 || c !== center);
+                }
+            }
+            for (let row = 3; row < height - 3; row++) {
+                set(row, center, row % 2 === 0);
+            }
+        });
+
+        // Finder sub-pattern
+        for (let r = 0; r < 5; r++) {
+            for (let c = 0; c < 5; c++) {
+                set(height - 5 + r, width - 5 + c, Math.max(Math.abs(r - 2), Math.abs(c - 2)) !== 1);
+            }
+        }
+
+        // Format information areas
+        for (let r = 1; r <= 5; r++) {
+            for (let c = 0; c < 3; c++) {
+                set(r, 8 + c, false);
+                set(height - 1 - r, width - 8 + c, false);
+            }
+        }
+        for (let i = 0; i < 3; i++) {
+            set(1 + i, 11, false);
+            set(height - 6, width - 5 + i, false);
+        }
+
+        return { modules, functionMask };
+    }
+
+    /**
+     * Fill the data area in two-column zigzags from the lower right, then apply
+     * the mask. Remainder bits past the last codeword stay light before masking.
+     */
+    static placeCodewords(modules, functionMask, width, height, codewords) {
+        const totalBits = codewords.length * 8;
+        let bitIndex = 0;
+        let upward = true;
+
+        for (let right = width - 2; right >= 1; right -= 2, upward = !upward) {
+            for (let vert = 0; vert < height; vert++) {
+                const row = upward ? height - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const col = right - j;
+                    const index = row * width + col;
+                    if (functionMask[index]) continue;
+                    const bit = bitIndex < totalBits ? (codewords[bitIndex >> 3] >> (7 - (bitIndex & 7))) & 1 : 0;
+                    modules[index] = bit ^ (QRDecoder.isMasked(4, row, col) ? 1 : 0);
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Write both copies of the format information: the level and version
+     * indicator as a BCH(18,6) code, masked differently on each side
+     */
+    static drawFormatBits(modules, width, height, errorCorrection, index) {
+        const data = ((errorCorrection === 'H' ? 1 : 0) << 5) | index;
+        const [finderSide, subFinderSide] = RMQREncoder.FORMAT_MASKS.map(mask => QRDecoder.getVersionBits(data) ^ mask);
+        const set = (row, col, bits, i) => {
+            modules[row * width + col] = (bits >>> i) & 1;
+        };
+
+        for (let r = 1; r <= 5; r++) {
+            for (let c = 0; c < 3; c++) {
+                set(r, 8 + c, finderSide, c * 5 + r - 1);
+                set(height - 1 - r, width - 8 + c, subFinderSide, c * 5 + 5 - r);
+            }
+        }
+        for (let i = 0; i < 3; i++) {
+            set(1 + i, 11, finderSide, 15 + i);
+            set(height - 6, width - 5 + i, subFinderSide, 15 + i);
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RMQREncoder;
+}
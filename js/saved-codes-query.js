@@ -0,0 +1,119 @@
+/**
+ * saved-codes-query.js - Search, filters, sorting and pages for the saved codes library
+ *
+ * Saved codes carry `tags` (an array of strings, indexed by QRCodeStore) and a
+ * `folder` (a name, or null for unfiled codes). Queries run over the codes the
+ * panel already holds, so the library can be narrowed down as the user types.
+ */
+
+class SavedCodesQuery {
+    static get SORT_ORDERS() {
+        return {
+            newest: 'Newest saved',
+            oldest: 'Oldest saved',
+            name: 'Name A–Z',
+            'name-desc': 'Name Z–A',
+            'last-used': 'Last used',
+            size: 'Largest size',
+            'size-asc': 'Smallest size'
+        };
+    }
+
+    // Folder filter value for codes in no folder
+    static get UNFILED() {
+        return '__unfiled__';
+    }
+
+    /**
+     * Narrow, sort and page the saved codes
+     * @param {Object[]} codes - Saved codes
+     * @param {Object} criteria - { search, folder: a folder name, UNFILED or '' for all, tag,
+     *     payloadType, errorCorrection, sort: a key of SORT_ORDERS, page: from 1, pageSize }
+     * @returns {Object} - { codes: the codes on the page, total: codes matching, page, pageCount }
+     */
+    static run(codes, criteria = {}) {
+        const matching = SavedCodesQuery.sort(SavedCodesQuery.filter(codes, criteria), criteria.sort);
+        const pageSize = criteria.pageSize || Config.UI.SAVED_CODES_PAGE_SIZE;
+        const pageCount = Math.max(1, Math.ceil(matching.length / pageSize));
+        const page = Math.min(Math.max(1, criteria.page || 1), pageCount);
+
+        return {
+            codes: matching.slice((page - 1) * pageSize, page * pageSize),
+            total: matching.length,
+            page,
+            pageCount
+        };
+    }
+
+    /**
+     * Codes matching every criterion given. Search terms are matched, ignoring
+     * case, against the name, content, tags and folder; every term must match.
+     */
+    static filter(codes, { search = '', folder = '', tag = '', payloadType = '', errorCorrection = '' } = {}) {
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return codes.filter(qr => {
+            if (folder === SavedCodesQuery.UNFILED ? !!qr.folder : (folder && qr.folder !== folder)) {
+                return false;
+            }
+            if (tag && !(qr.tags || []).includes(tag)) {
+                return false;
+            }
+            if (payloadType && (qr.payloadType || 'text') !== payloadType) {
+                return false;
+            }
+            if (errorCorrection && qr.errorCorrection !== errorCorrection) {
+                return false;
+            }
+
+            const text = [qr.name, qr.content, qr.folder, ...(qr.tags || [])].filter(Boolean).join('\n').toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+    }
+
+    /**
+     * Sort a copy of the codes. Size is the pixel size the code renders at;
+     * codes never loaded count as last used when they were saved.
+     */
+    static sort(codes, order = 'newest') {
+        const time = value => new Date(value || 0).getTime();
+        const byName = (a, b) => String(a.name || '').localeCompare(String(b.name || ''), undefined, { numeric: true, sensitivity: 'base' });
+        const comparators = {
+            newest: (a, b) => time(b.timestamp) - time(a.timestamp),
+            oldest: (a, b) => time(a.timestamp) - time(b.timestamp),
+            name: byName,
+            'name-desc': (a, b) => byName(b, a),
+            'last-used': (a, b) => time(b.lastUsedAt || b.timestamp) - time(a.lastUsedAt || a.timestamp),
+            size: (a, b) => (b.size || 0) - (a.size || 0) || byName(a, b),
+            'size-asc': (a, b) => (a.size || 0) - (b.size || 0) || byName(a, b)
+        };
+        return codes.slice().sort(comparators[order] || comparators.newest);
+    }
+
+    /**
+     * Every tag in use, sorted
+     */
+    static getTags(codes) {
+        return [...new Set(codes.flatMap(qr => qr.tags || []))].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Every folder in use, sorted
+     */
+    static getFolders(codes) {
+        return [...new Set(codes.map(qr => qr.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Tags typed as comma-separated text: trimmed, lower-cased and without repeats
+     * @returns {string[]}
+     */
+    static parseTags(text) {
+        return [...new Set(String(text).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SavedCodesQuery;
+}
@@ -0,0 +1,149 @@
+/**
+ * scannability-checker.js - Post-render scannability checks for QR Code Generator
+ *
+ * Reads a rendered code back with QRDecoder and checks the things that most
+ * often make styled codes unreadable: weak contrast, light-on-dark colors,
+ * a narrow quiet zone and modules only a pixel or two wide. QRDecoder reads
+ * full QR codes only, so the other symbol types get the other checks.
+ */
+
+class ScannabilityChecker {
+    static get STATUS_LABELS() {
+        return {
+            pass: 'Scannable',
+            warn: 'Scannable with warnings',
+            fail: 'May not scan'
+        };
+    }
+
+    /**
+     * Check a rendered QR code
+     * @param {Object} params - { imageData, content, geometry, options } where options are
+     *     the style and symbol type options it was rendered with
+     * @returns {Object} - { status: 'pass'|'warn'|'fail', contrastRatio, inverted, quietZone,
+     *     modulePixels, issues: [{ level, message }] }
+     */
+    static check({ imageData, content, geometry, options }) {
+        const limits = Config.SCANNABILITY;
+        const issues = [];
+        const symbolType = options.symbolType || Config.QR_CODE.DEFAULT_SYMBOL_TYPE;
+
+        if (symbolType === 'qr') {
+            try {
+                const result = QRDecoder.decode(imageData);
+                if (result.content !== content) {
+                    issues.push({ level: 'fail', message: 'Decoded content does not match the input' });
+                }
+            } catch (error) {
+                issues.push({ level: 'fail', message: 'The rendered code could not be read back by a decoder' });
+            }
+        }
+
+        const { foreground, background } = ScannabilityChecker.getColors(options);
+        const contrastRatio = ScannabilityChecker.getWorstContrast(foreground, background);
+        if (contrastRatio < limits.MIN_CONTRAST_RATIO) {
+            issues.push({ level: 'fail', message: `Contrast ${contrastRatio.toFixed(1)}:1 is too low (needs ${limits.MIN_CONTRAST_RATIO}:1)` });
+        } else if (contrastRatio < limits.RECOMMENDED_CONTRAST_RATIO) {
+            issues.push({ level: 'warn', message: `Contrast ${contrastRatio.toFixed(1)}:1 is below the recommended ${limits.RECOMMENDED_CONTRAST_RATIO}:1` });
+        }
+
+        const average = (colors) => colors.reduce((sum, color) => sum + ScannabilityChecker.getLuminance(color), 0) / colors.length;
+        const inverted = average(foreground) > average(background);
+        if (inverted) {
+            issues.push({ level: 'warn', message: 'Light modules on a dark background are not supported by many scanners' });
+        }
+
+        const quietZone = geometry.margin / geometry.cellSize;
+        let minQuietZone = Config.BARCODE.QUIET_ZONES[symbolType];
+        if (QRCore.isQRSymbol(symbolType)) {
+            minQuietZone = symbolType === 'qr' ? limits.MIN_QUIET_ZONE : limits.MIN_MICRO_QUIET_ZONE;
+        }
+        if (quietZone < minQuietZone) {
+            issues.push({ level: 'warn', message: `Quiet zone is ${Math.round(quietZone * 10) / 10} modules (recommended ${minQuietZone})` });
+        }
+
+        const modulePixels = geometry.cellSize;
+        if (modulePixels < limits.MIN_MODULE_PIXELS) {
+            issues.push({ level: 'warn', message: `Modules are ${Math.round(modulePixels * 10) / 10} px wide; use a larger size for reliable scanning` });
+        }
+
+        let status = 'pass';
+        if (issues.some(issue => issue.level === 'fail')) {
+            status = 'fail';
+        } else if (issues.length > 0) {
+            status = 'warn';
+        }
+
+        return {
+            status,
+            contrastRatio: Math.round(contrastRatio * 100) / 100,
+            inverted,
+            quietZone: Math.round(quietZone * 100) / 100,
+            modulePixels: Math.round(modulePixels * 100) / 100,
+            issues
+        };
+    }
+
+    /**
+     * Every color the modules and background are painted with, including gradient stops
+     */
+    static getColors(options) {
+        const fillColors = (color, gradient) => (gradient && gradient.stops && gradient.stops.length
+            ? gradient.stops.map(stop => stop.color)
+            : [color]);
+
+        const foreground = fillColors(options.foregroundColor, options.foregroundGradient);
+        [options.finderOuterColor, options.finderInnerColor].forEach(color => {
+            if (color) foreground.push(color);
+        });
+
+        return {
+            foreground,
+            background: fillColors(options.backgroundColor, options.backgroundGradient)
+        };
+    }
+
+    /**
+     * Lowest contrast ratio between any foreground and background color
+     */
+    static getWorstContrast(foreground, background) {
+        let worst = Infinity;
+        foreground.forEach(dark => {
+            background.forEach(light => {
+                worst = Math.min(worst, ScannabilityChecker.getContrastRatio(dark, light));
+            });
+        });
+        return worst;
+    }
+
+    /**
+     * WCAG contrast ratio between two hex colors, from 1 to 21
+     */
+    static getContrastRatio(colorA, colorB) {
+        const a = ScannabilityChecker.getLuminance(colorA);
+        const b = ScannabilityChecker.getLuminance(colorB);
+        return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+    }
+
+    /**
+     * WCAG relative luminance of a #rgb or #rrggbb color
+     */
+    static getLuminance(color) {
+        let hex = String(color).replace('#', '');
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+
+        const [r, g, b] = [0, 2, 4].map(i => {
+            const channel = parseInt(hex.substr(i, 2), 16) / 255;
+            return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+        });
+
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScannabilityChecker;
+}
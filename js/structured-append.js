@@ -0,0 +1,160 @@
+/**
+ * structured-append.js - Structured Append sets for QR Code Generator
+ *
+ * Splits content that is too long for one comfortable QR code across up to
+ * 16 linked symbols. Each symbol starts with a Structured Append header: its
+ * position, the symbol count and a parity byte shared by the whole set, which
+ * is the XOR of every UTF-8 byte of the content. Readers put the pieces back
+ * together in order; join() does the same for codes read with QRDecoder.
+ */
+
+class StructuredAppend {
+    static get MAX_SYMBOLS() {
+        return Config.STRUCTURED_APPEND.MAX_SYMBOLS;
+    }
+
+    /**
+     * Parity byte of the content: the XOR of its UTF-8 bytes
+     */
+    static getParity(content) {
+        return new TextEncoder().encode(content).reduce((parity, byte) => parity ^ byte, 0);
+    }
+
+    /**
+     * Split content into the parts of a set, every part fitting one QR code of the same version
+     * @param {string} content - Text to split
+     * @param {Object} options - { count: 2-16, or 'auto' for the fewest symbols, errorCorrection,
+     *     version: the version of every symbol, or null for the smallest that fits them all,
+     *     segmentMode, eci }
+     * @returns {Object} - { version, parity, parts: [{ content, structuredAppend: { index, total, parity } }] }
+     * @throws {Error} If the content does not fit the symbols allowed
+     */
+    static split(content, options = {}) {
+        const errorCorrection = options.errorCorrection || Config.QR_CODE.DEFAULT_ERROR_CORRECTION;
+        const version = options.version ? parseInt(options.version) : null;
+        const count = options.count && options.count !== 'auto' ? parseInt(options.count) : null;
+        const max = StructuredAppend.MAX_SYMBOLS;
+        if (count !== null && !(count >= 2 && count <= max)) {
+            throw new Error(`A Structured Append set has 2 to ${max} symbols`);
+        }
+
+        const chars = Array.from(String(content));
+        if (chars.length < (count || 2)) {
+            throw new Error(`Content is too short to split across ${count || 2} symbols`);
+        }
+
+        const segmentOptions = {
+            segmentMode: options.segmentMode || Config.QR_CODE.DEFAULT_SEGMENT_MODE,
+            eci: options.eci !== false,
+            headerBits: QREncoder.STRUCTURED_APPEND_BITS
+        };
+        const candidatesUpTo = last => QREncoder.VERSIONS.filter(v => v <= last).map(v => ({
+            version: v,
+            layout: QREncoder.getSegmentLayout(v),
+            capacityBits: QREncoder.getDataCapacity(v, errorCorrection) * 8
+        }));
+
+        // Automatic sets keep to comfortable versions when they can; a pinned version is the only choice
+        const ranges = version !== null
+            ? [candidatesUpTo(version).slice(-1)]
+            : [candidatesUpTo(Config.STRUCTURED_APPEND.COMFORTABLE_VERSION), candidatesUpTo(40)];
+
+        for (const candidates of ranges) {
+            // No set can be smaller than the content over the largest symbol's room. The whole
+            // content may be too long for one symbol's character count fields, but its parts are not.
+            const largest = candidates[candidates.length - 1];
+            const sized = QREncoder.fitSegments(chars, [{ ...largest, capacityBits: Infinity }], { ...segmentOptions, headerBits: 0, countLimit: false });
+            if (!sized || !Number.isFinite(sized.dataBits)) {
+                throw new Error('The content has characters this symbol cannot encode');
+            }
+            const fewest = Math.max(2, Math.ceil(sized.dataBits / (largest.capacityBits - QREncoder.STRUCTURED_APPEND_BITS)));
+
+            const counts = count !== null ? [count] : Array.from({ length: Math.max(0, max - fewest + 1) }, (_, i) => fewest + i);
+            for (const total of counts) {
+                const parts = StructuredAppend.splitEvenly(chars, total);
+                const fits = parts.map(part => QREncoder.fitSegments(Array.from(part), candidates, segmentOptions));
+                if (fits.every(Boolean)) {
+                    const parity = StructuredAppend.getParity(String(content));
+                    return {
+                        version: Math.max(...fits.map(fit => fit.version)),
+                        parity,
+                        parts: parts.map((part, index) => ({ content: part, structuredAppend: { index, total, parity } }))
+                    };
+                }
+            }
+        }
+
+        if (count !== null) {
+            throw new Error(`Content does not fit in ${count} QR codes${version ? ` of version ${version}` : ''} at error correction level ${errorCorrection}`);
+        }
+        throw new Error(`Content needs more than ${max} QR codes${version ? ` of version ${version}` : ''} at error correction level ${errorCorrection}`);
+    }
+
+    /**
+     * Cut characters into parts of about the same number of UTF-8 bytes, each
+     * at least one character long
+     * @param {string[]} chars - Code points
+     * @param {number} count - Number of parts
+     * @returns {string[]}
+     */
+    static splitEvenly(chars, count) {
+        const weights = chars.map(char => {
+            const code = char.codePointAt(0);
+            return code < 0x80 ? 1 : (code < 0x800 ? 2 : (code < 0x10000 ? 3 : 4));
+        });
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+        const parts = [];
+        let start = 0;
+        let sum = 0;
+        for (let part = 1; part <= count; part++) {
+            // Leave at least one character for each part still to come
+            const last = chars.length - (count - part);
+            let end = start;
+            while (end < last && (end === start || part === count || sum + weights[end] <= total * part / count)) {
+                sum += weights[end];
+                end++;
+            }
+            parts.push(chars.slice(start, end).join(''));
+            start = end;
+        }
+        return parts;
+    }
+
+    /**
+     * Put the pieces of a scanned set back together
+     * @param {Object[]} pieces - Decoder results, each { content, structuredAppend: { index, total, parity } }
+     * @returns {Object} - { total, parity, missing: indexes not read yet, content: the joined text, or null
+     *     while pieces are missing, parityMatches: whether the joined text has the set's parity }
+     * @throws {Error} If the pieces come from different sets
+     */
+    static join(pieces) {
+        if (!pieces.length || pieces.some(piece => !piece.structuredAppend)) {
+            throw new Error('Only codes from a Structured Append set can be joined');
+        }
+
+        const { total, parity } = pieces[0].structuredAppend;
+        const byIndex = new Map();
+        pieces.forEach(({ content, structuredAppend }) => {
+            if (structuredAppend.total !== total || structuredAppend.parity !== parity) {
+                throw new Error('These codes belong to different Structured Append sets');
+            }
+            byIndex.set(structuredAppend.index, content);
+        });
+
+        const missing = Array.from({ length: total }, (_, i) => i).filter(i => !byIndex.has(i));
+        const content = missing.length ? null : Array.from({ length: total }, (_, i) => byIndex.get(i)).join('');
+        return {
+            total,
+            parity,
+            missing,
+            content,
+            parityMatches: content !== null && StructuredAppend.getParity(content) === parity
+        };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StructuredAppend;
+}
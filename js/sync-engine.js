@@ -0,0 +1,380 @@
+/**
+ * sync-engine.js - Two-way sync between the local store and the GitHub repository
+ *
+ * While connected, every change is saved locally first and queued as a create,
+ * update or delete of its code. The queue is kept in localStorage, so changes
+ * made offline survive a reload, and is replayed when the connection returns.
+ *
+ * For every code the engine remembers the blob SHA of its repository file and
+ * the `updatedAt` of the record as they were when both sides last agreed: its
+ * base. Comparing the record with its base also catches changes made while
+ * disconnected, which were never queued. A code changed on one side since its
+ * base is copied to the other side. A code changed on both sides is a
+ * conflict, which waits until the user keeps the local version, the remote
+ * one or both.
+ *
+ * Each repository has its own queue and bases, so disconnecting, or working
+ * with another repository for a while, loses no queued change.
+ */
+
+class SyncEngine {
+    constructor(databaseManager) {
+        this.db = databaseManager;
+        this.repository = null; // "owner/name" of the repository synced with, or null when disconnected
+        this.queue = []; // [{ id, op: 'put' or 'delete', queuedAt }], oldest first
+        this.bases = new Map(); // String(id) → { sha, updatedAt }
+        this.conflicts = new Map(); // String(id) → { id, local, remote, remoteSha }; null for a deleted side
+        this.running = Promise.resolve(); // Syncs run one after another
+    }
+
+    /**
+     * Sync with a repository from now on, picking up the queue and bases kept for it
+     * @param {string|null} repository - "owner/name", or null to stop syncing
+     */
+    useRepository(repository) {
+        this.repository = repository || null;
+        this.queue = this.repository ? SyncEngine.readJSON(this.getStorageKey('sync_queue'), []) : [];
+        this.bases = new Map(this.repository ? Object.entries(SyncEngine.readJSON(this.getStorageKey('sync_bases'), {})) : []);
+        this.conflicts.clear();
+    }
+
+    getStorageKey(name) {
+        return `${Config.DATABASE.LOCAL_STORAGE_PREFIX}${name}:${this.repository}`;
+    }
+
+    saveQueue() {
+        if (this.repository) {
+            localStorage.setItem(this.getStorageKey('sync_queue'), JSON.stringify(this.queue));
+        }
+    }
+
+    saveBases() {
+        if (this.repository) {
+            localStorage.setItem(this.getStorageKey('sync_bases'), JSON.stringify(Object.fromEntries(this.bases)));
+        }
+    }
+
+    static readJSON(key, fallback) {
+        try {
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : fallback;
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Whether a request failed for want of a connection, as DatabaseManager.githubRequest
+     * marks it, rather than with an HTTP error or a bug
+     */
+    static isOffline(error) {
+        return !!(error && error.offline);
+    }
+
+    /**
+     * Whether two versions of a code have the same content and styling
+     */
+    static isSameCode(a, b) {
+        return Object.keys(RevisionHistory.diff(a, b)).length === 0;
+    }
+
+    /**
+     * Queue a change to a code, replacing any change to it still waiting
+     * @param {number|string} id - Code id
+     * @param {string} op - 'put' for a created or updated code, 'delete' for a deleted one
+     */
+    enqueue(id, op) {
+        const key = String(id);
+        this.queue = this.queue.filter(entry => String(entry.id) !== key);
+        this.queue.push({ id, op, queuedAt: new Date().toISOString() });
+        this.saveQueue();
+    }
+
+    dequeue(key) {
+        this.queue = this.queue.filter(entry => String(entry.id) !== key);
+        this.saveQueue();
+    }
+
+    getPending(key) {
+        const entry = this.queue.find(item => String(item.id) === key);
+        return entry ? entry.op : null;
+    }
+
+    /**
+     * Remember what both sides agree on: the file's SHA and the record's `updatedAt`,
+     * or nothing once the code is gone from both
+     */
+    setBase(key, sha, record) {
+        if (sha) {
+            this.bases.set(key, { sha, updatedAt: (record && record.updatedAt) || null });
+        } else {
+            this.bases.delete(key);
+        }
+        this.saveBases();
+    }
+
+    getConflicts() {
+        return Array.from(this.conflicts.values());
+    }
+
+    /**
+     * Run a sync after the one in progress
+     */
+    run(task) {
+        const result = this.running.then(task);
+        this.running = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Replay the queued changes
+     * @returns {Promise<Object>} - Summary (see reconcileAll)
+     */
+    flush() {
+        return this.run(() => this.reconcileAll(this.queue.map(entry => String(entry.id)), null));
+    }
+
+    /**
+     * Bring both sides up to date: every code in the repository, the local
+     * store or the queue is sent, received, left alone or found in conflict
+     * @returns {Promise<Object>} - Summary (see reconcileAll)
+     */
+    syncAll() {
+        return this.run(async () => {
+            let listing;
+            try {
+                listing = await this.listRemote();
+            } catch (error) {
+                if (SyncEngine.isOffline(error)) {
+                    return { sent: 0, received: 0, conflicts: 0, failed: 0, offline: true };
+                }
+                throw error;
+            }
+
+            const localCodes = await this.db.getLocalQRCodes();
+            const keys = new Set([
+                ...listing.keys(),
+                ...localCodes.map(qr => String(qr.id)),
+                ...this.queue.map(entry => String(entry.id)),
+                ...this.bases.keys()
+            ]);
+            return this.reconcileAll(Array.from(keys), listing);
+        });
+    }
+
+    /**
+     * Reconcile codes one by one, stopping when the connection is lost
+     * @param {string[]} keys - Code ids as strings
+     * @param {Map|null} listing - Remote files by code id, or null to fetch each code's file
+     * @returns {Promise<Object>} - { sent, received, conflicts, failed: codes that could not be
+     *     synced, offline: whether the connection was lost }
+     */
+    async reconcileAll(keys, listing) {
+        const summary = { sent: 0, received: 0, conflicts: 0, failed: 0, offline: false };
+        const localCodes = new Map((await this.db.getLocalQRCodes()).map(qr => [String(qr.id), qr]));
+
+        for (const key of keys) {
+            try {
+                const remote = listing ? (listing.get(key) || null) : await this.fetchRemote(key);
+                const outcome = await this.reconcile(key, localCodes.get(key) || null, remote);
+                if (outcome !== 'unchanged') {
+                    summary[outcome]++;
+                }
+            } catch (error) {
+                if (SyncEngine.isOffline(error)) {
+                    summary.offline = true;
+                    break;
+                }
+                console.error(`Error syncing QR code ${key}:`, error);
+                summary.failed++;
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Bring one code up to date on both sides
+     * @param {string} key - Code id as a string
+     * @param {Object|null} local - Local record, or null if there is none
+     * @param {Object|null} remote - { sha, record } of the repository file (record may be left
+     *     out until it is needed), or null if there is none
+     * @returns {Promise<string>} - 'sent', 'received', 'conflicts' or 'unchanged'
+     */
+    async reconcile(key, local, remote) {
+        this.conflicts.delete(key);
+
+        const base = this.bases.get(key);
+        const remoteChanged = remote ? !base || remote.sha !== base.sha : !!base;
+        // Queued changes, codes never synced, and edits and deletions made while disconnected
+        const localChanged = this.getPending(key) !== null ||
+            (local ? !base || (local.updatedAt || null) !== base.updatedAt : !!base);
+
+        if (!remoteChanged && !localChanged) {
+            return 'unchanged';
+        }
+        if (!remoteChanged) {
+            await this.push(key, local, remote);
+            return 'sent';
+        }
+        if (!localChanged) {
+            await this.pull(key, local, remote);
+            return 'received';
+        }
+
+        // Changed on both sides; making the same change on both is no conflict
+        const remoteRecord = remote ? (await this.loadRemote(key, remote)).record : null;
+        if ((!local && !remoteRecord) || (local && remoteRecord && SyncEngine.isSameCode(local, remoteRecord))) {
+            this.setBase(key, remote ? remote.sha : null, local);
+            this.dequeue(key);
+            return 'unchanged';
+        }
+
+        this.conflicts.set(key, {
+            id: local ? local.id : remoteRecord.id,
+            local,
+            remote: remoteRecord,
+            remoteSha: remote ? remote.sha : null
+        });
+        return 'conflicts';
+    }
+
+    /**
+     * Resolve a conflict
+     * @param {number|string} id - Code id
+     * @param {string} choice - 'local' to keep this device's version, 'remote' to keep the
+     *     repository's, 'both' to keep the repository's under the id and this device's as a copy
+     * @throws {Error} If there is no such conflict, or 'both' is asked for when one side was deleted
+     */
+    resolve(id, choice) {
+        return this.run(async () => {
+            const key = String(id);
+            const conflict = this.conflicts.get(key);
+            if (!conflict) {
+                throw new Error('This conflict has already been resolved');
+            }
+
+            const { local, remote, remoteSha } = conflict;
+            const remoteState = remote ? { sha: remoteSha, record: remote } : null;
+            if (choice === 'local') {
+                await this.push(key, local, remoteState);
+            } else if (choice === 'remote') {
+                await this.pull(key, local, remoteState);
+            } else if (choice === 'both') {
+                if (!local || !remote) {
+                    throw new Error('Both versions can only be kept when neither was deleted');
+                }
+                const copy = { ...local, id: this.db.app.createQRCodeId(), name: `${local.name} (local copy)` };
+                if (!await this.db.saveQRCodeLocally(copy, { silent: true })) {
+                    throw new Error('The local copy could not be saved');
+                }
+                this.enqueue(copy.id, 'put');
+                await this.pull(key, local, remoteState);
+                await this.push(String(copy.id), copy, null);
+            } else {
+                throw new Error(`Unknown choice: ${choice}`);
+            }
+            this.conflicts.delete(key);
+        });
+    }
+
+    /**
+     * Make the repository match the local record, deleting its file when there is none
+     */
+    async push(key, local, remote) {
+        const filePath = this.db.getQRCodeFilePath(key);
+        if (remote) {
+            this.db.fileShas.set(filePath, remote.sha);
+        } else {
+            this.db.fileShas.delete(filePath);
+        }
+
+        if (local) {
+            const result = await this.db.putRepositoryFile(filePath, JSON.stringify(local, null, 2), `Save QR code "${local.name}"`);
+            this.setBase(key, result.content.sha, local);
+        } else {
+            if (remote) {
+                await this.db.githubRequest(this.db.getContentsPath(filePath), {
+                    method: 'DELETE',
+                    body: { message: `Delete QR code ${key}`, sha: remote.sha }
+                });
+            }
+            this.db.fileShas.delete(filePath);
+            this.setBase(key, null);
+        }
+        this.dequeue(key);
+    }
+
+    /**
+     * Make the local store match the repository, deleting the local record when there is no file
+     */
+    async pull(key, local, remote) {
+        if (remote) {
+            const { sha, record } = await this.loadRemote(key, remote);
+            if (!await this.db.saveQRCodeLocally(record, { silent: true })) {
+                throw new Error(`"${record.name}" could not be saved locally`);
+            }
+            this.setBase(key, sha, record);
+        } else {
+            if (local) {
+                await this.db.deleteQRCodeLocally(local.id, { silent: true });
+            }
+            this.setBase(key, null);
+        }
+        this.dequeue(key);
+    }
+
+    /**
+     * Code files in the repository
+     * @returns {Promise<Map>} - Code id as a string → { sha }
+     */
+    async listRemote() {
+        let listing;
+        try {
+            listing = await this.db.githubRequest(this.db.getContentsPath(this.db.CODES_PATH));
+        } catch (error) {
+            // The codes folder only exists once something has been saved
+            if (error.status === 404) {
+                return new Map();
+            }
+            throw error;
+        }
+
+        const files = new Map();
+        (Array.isArray(listing) ? listing : []).forEach(entry => {
+            const match = entry.type === 'file' && entry.name.match(/^qrcode_(.+)\.json$/);
+            if (match) {
+                files.set(match[1], { sha: entry.sha });
+            }
+        });
+        return files;
+    }
+
+    /**
+     * A code's repository file, or null if there is none
+     * @returns {Promise<Object|null>} - { sha, record }
+     */
+    async fetchRemote(key) {
+        const file = await this.db.fetchRepositoryFile(this.db.getQRCodeFilePath(key));
+        return file ? { sha: file.sha, record: JSON.parse(this.db.decodeBase64(file.content)) } : null;
+    }
+
+    /**
+     * Fill in the record of a listed repository file
+     */
+    async loadRemote(key, remote) {
+        if (!remote.record) {
+            const file = await this.fetchRemote(key);
+            if (!file) {
+                throw new Error(`QR code ${key} was deleted from GitHub during the sync`);
+            }
+            Object.assign(remote, file);
+        }
+        return remote;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncEngine;
+}
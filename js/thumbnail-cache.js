@@ -0,0 +1,140 @@
+/**
+ * thumbnail-cache.js - Thumbnails of saved QR codes for the library grid
+ *
+ * Thumbnails are drawn with each code's saved colors, shapes and logo once they
+ * scroll into view, one at a time so the page stays responsive, and are kept
+ * as PNG data URLs so paging, filtering and scrolling back show them at once.
+ * A thumbnail is keyed by the save time of its code, so saving the code again
+ * draws a new one.
+ */
+
+class ThumbnailCache {
+    constructor(app) {
+        this.app = app;
+        this.thumbnails = new Map(); // Cache key → PNG data URL, least recently drawn first
+        this.pending = new Map(); // Cache key → Promise of a thumbnail being drawn
+        this.queue = Promise.resolve(); // Thumbnails are drawn one after another
+        this.observer = typeof IntersectionObserver !== 'undefined'
+            ? new IntersectionObserver(entries => this.handleIntersection(entries), { rootMargin: '100px' })
+            : null;
+    }
+
+    static getKey(qr) {
+        return `${qr.id}@${qr.timestamp}`;
+    }
+
+    /**
+     * Fill the thumbnails of a container: cached ones straight away, the rest
+     * as they come into view, or all of them where that cannot be observed
+     * @param {Object} container - Element holding img[data-thumbnail-id] elements
+     */
+    observe(container) {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+
+        container.querySelectorAll('img[data-thumbnail-id]').forEach(img => {
+            const qr = this.findCode(img);
+            if (qr && this.thumbnails.has(ThumbnailCache.getKey(qr))) {
+                img.src = this.thumbnails.get(ThumbnailCache.getKey(qr));
+            } else if (this.observer) {
+                this.observer.observe(img);
+            } else {
+                this.load(img);
+            }
+        });
+    }
+
+    handleIntersection(entries) {
+        entries.filter(entry => entry.isIntersecting).forEach(entry => {
+            this.observer.unobserve(entry.target);
+            this.load(entry.target);
+        });
+    }
+
+    findCode(img) {
+        return this.app.savedCodes.find(q => String(q.id) === img.dataset.thumbnailId) || null;
+    }
+
+    /**
+     * Draw the thumbnail of an image's saved code into it
+     */
+    async load(img) {
+        const qr = this.findCode(img);
+        if (!qr) return;
+
+        try {
+            img.src = await this.get(qr);
+        } catch (error) {
+            console.warn(`Could not draw the thumbnail of "${qr.name}":`, error);
+            img.parentElement.classList.add('failed');
+            img.parentElement.title = 'No preview: ' + error.message;
+        }
+    }
+
+    /**
+     * The thumbnail of a saved code, drawn if it is not cached
+     * @returns {Promise<string>} - PNG data URL
+     */
+    get(qr) {
+        const key = ThumbnailCache.getKey(qr);
+        if (this.thumbnails.has(key)) {
+            return Promise.resolve(this.thumbnails.get(key));
+        }
+
+        if (!this.pending.has(key)) {
+            const drawn = this.queue
+                .then(() => new Promise(resolve => setTimeout(resolve)))
+                .then(() => this.draw(qr))
+                .then(dataUrl => {
+                    this.remember(qr, dataUrl);
+                    return dataUrl;
+                })
+                .finally(() => this.pending.delete(key));
+            this.queue = drawn.catch(() => {});
+            this.pending.set(key, drawn);
+        }
+        return this.pending.get(key);
+    }
+
+    /**
+     * Draw a saved code at thumbnail size; a Structured Append set is shown by its first code
+     * @returns {Promise<string>} - PNG data URL
+     */
+    async draw(qr) {
+        if (qr.logo) {
+            await this.app.loadLogoImage(qr.logo.dataUrl);
+        }
+
+        const options = { ...qr, size: Config.UI.THUMBNAIL_SIZE };
+        let content = qr.content;
+        if (qr.structuredAppendCount && qr.symbolType === 'qr') {
+            const { version, parts } = StructuredAppend.split(qr.content, { ...qr, count: qr.structuredAppendCount });
+            Object.assign(options, { version, structuredAppend: parts[0].structuredAppend });
+            content = parts[0].content;
+        }
+
+        return this.app.renderQRCode(content, options).canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Cache a thumbnail in place of any earlier one of the same code, dropping
+     * the least recently drawn when the cache is full
+     */
+    remember(qr, dataUrl) {
+        const prefix = `${qr.id}@`;
+        [...this.thumbnails.keys()]
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.thumbnails.delete(key));
+
+        this.thumbnails.set(ThumbnailCache.getKey(qr), dataUrl);
+        if (this.thumbnails.size > Config.UI.THUMBNAIL_CACHE_SIZE) {
+            this.thumbnails.delete(this.thumbnails.keys().next().value);
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThumbnailCache;
+}
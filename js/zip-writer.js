@@ -0,0 +1,132 @@
+/**
+ * zip-writer.js - Minimal ZIP archive builder for QR Code Generator
+ *
+ * Writes uncompressed ("stored") ZIP files in the browser without any
+ * library. PNG and PDF output is already compressed, so deflating it again
+ * would gain little. File names are stored as UTF-8.
+ */
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class ZipWriter {
+    constructor() {
+        this.files = [];
+    }
+
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Convert strings, ArrayBuffers and typed arrays to bytes
+     */
+    static toBytes(data) {
+        if (typeof data === 'string') {
+            return new TextEncoder().encode(data);
+        }
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
+        }
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive, using / as separator
+     * @param {string|ArrayBuffer|Uint8Array} data - File contents
+     * @param {Date} date - Modification time
+     */
+    addFile(name, data, date = new Date()) {
+        const bytes = ZipWriter.toBytes(data);
+        this.files.push({
+            name: new TextEncoder().encode(name),
+            bytes,
+            crc: ZipWriter.crc32(bytes),
+            // MS-DOS time and date fields
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        });
+    }
+
+    /**
+     * Build the archive
+     * @returns {Uint8Array} - ZIP file bytes
+     */
+    generate() {
+        const localSize = this.files.reduce((sum, file) => sum + 30 + file.name.length + file.bytes.length, 0);
+        const centralSize = this.files.reduce((sum, file) => sum + 46 + file.name.length, 0);
+        const output = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(output.buffer);
+        const offsets = [];
+        let offset = 0;
+
+        // Fields shared by the local header and the central directory entry
+        const writeEntryFields = (file, at) => {
+            view.setUint16(at, 20, true); // Version needed to extract
+            view.setUint16(at + 2, 0x0800, true); // UTF-8 file names
+            view.setUint16(at + 4, 0, true); // Stored, no compression
+            view.setUint16(at + 6, file.time, true);
+            view.setUint16(at + 8, file.date, true);
+            view.setUint32(at + 10, file.crc, true);
+            view.setUint32(at + 14, file.bytes.length, true);
+            view.setUint32(at + 18, file.bytes.length, true);
+            view.setUint16(at + 22, file.name.length, true);
+            view.setUint16(at + 24, 0, true); // Extra field length
+        };
+
+        this.files.forEach(file => {
+            offsets.push(offset);
+            view.setUint32(offset, 0x04034B50, true);
+            writeEntryFields(file, offset + 4);
+            output.set(file.name, offset + 30);
+            output.set(file.bytes, offset + 30 + file.name.length);
+            offset += 30 + file.name.length + file.bytes.length;
+        });
+
+        const centralOffset = offset;
+        this.files.forEach((file, i) => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true); // Version made by
+            writeEntryFields(file, offset + 6);
+            // Comment length, disk number, internal and external attributes stay zero
+            view.setUint32(offset + 42, offsets[i], true);
+            output.set(file.name, offset + 46);
+            offset += 46 + file.name.length;
+        });
+
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, this.files.length, true);
+        view.setUint16(offset + 10, this.files.length, true);
+        view.setUint32(offset + 12, offset - centralOffset, true);
+        view.setUint32(offset + 16, centralOffset, true);
+
+        return output;
+    }
+
+    /**
+     * Build the archive as a Blob ready for download
+     */
+    toBlob() {
+        return new Blob([this.generate()], { type: 'application/zip' });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}
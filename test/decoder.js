@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * decoder.js - Checks for the QR decoder on photographed codes
+ *
+ * Renders codes with js/qr-encoder.js as if photographed at an angle, one side
+ * nearer the camera than the other, and reads them back with js/qr-decoder.js.
+ *
+ *   node test/decoder.js
+ */
+
+const assert = require('assert');
+
+// The browser loads these as <script> globals; recreate that scope for Node
+global.Config = require('../js/config.js');
+global.QRDecoder = require('../js/qr-decoder.js');
+const QREncoder = require('../js/qr-encoder.js');
+
+const CONTENT = 'https://example.com/' + 'x'.repeat(140);
+// Modules of light margin; wide enough that turned codes stay inside the image
+const QUIET_ZONE = 10;
+
+/**
+ * RGBA pixels of a code whose corners, clockwise from the top left, are moved
+ * by `offsets` (fractions of its width) and then turned by `degrees`
+ * @returns {Object} - { data, width, height } as a canvas ImageData holds them
+ */
+function photograph(content, version, { offsets, degrees = 0, scale = version < 10 ? 6 : 4 }) {
+    const code = QREncoder.encode(content, { version, errorCorrection: 'M' });
+    const count = code.getModuleCount();
+    const size = (count + QUIET_ZONE * 2) * scale;
+    const start = QUIET_ZONE * scale;
+    const end = (QUIET_ZONE + count) * scale;
+    const square = [start, start, end, start, end, end, start, end];
+
+    const angle = degrees * Math.PI / 180;
+    const corners = [];
+    for (let i = 0; i < 8; i += 2) {
+        const x = square[i] + offsets[i] * count * scale - size / 2;
+        const y = square[i + 1] + offsets[i + 1] * count * scale - size / 2;
+        corners.push(size / 2 + x * Math.cos(angle) - y * Math.sin(angle), size / 2 + x * Math.sin(angle) + y * Math.cos(angle));
+    }
+    const toSquare = QRDecoder.quadrilateralToQuadrilateral(corners, square);
+
+    const data = new Uint8ClampedArray(size * size * 4).fill(255);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const point = QRDecoder.transformPoint(toSquare, x + 0.5, y + 0.5);
+            const row = Math.floor(point.y / scale) - QUIET_ZONE;
+            const col = Math.floor(point.x / scale) - QUIET_ZONE;
+            if (row >= 0 && col >= 0 && row < count && col < count && code.isDark(row, col)) {
+                data.fill(0, (y * size + x) * 4, (y * size + x) * 4 + 3);
+            }
+        }
+    }
+    return { data, width: size, height: size };
+}
+
+/**
+ * Read one code per version, reporting every version that fails rather than the first
+ */
+function assertReads(versions, view) {
+    const failures = [];
+    for (const version of versions) {
+        const content = CONTENT.slice(0, version * 7);
+        try {
+            assert.strictEqual(QRDecoder.decode(photograph(content, version, view)).content, content);
+        } catch (error) {
+            failures.push(`version ${version}: ${error.message}`);
+        }
+    }
+    assert.deepStrictEqual(failures, []);
+}
+
+const VERSIONS = [2, 5, 7, 10, 15, 20];
+
+const checks = {
+    async 'a code seen straight on is read'() {
+        assertReads(VERSIONS, { offsets: [0, 0, 0, 0, 0, 0, 0, 0] });
+    },
+
+    async 'a code leaning back, its top edge a quarter shorter, is read'() {
+        assertReads(VERSIONS, { offsets: [0.125, 0, -0.125, 0, 0, 0, 0, 0] });
+    },
+
+    async 'a code turned away, its right edge a quarter shorter, is read'() {
+        assertReads(VERSIONS, { offsets: [0, 0, 0, 0.125, 0, -0.125, 0, 0] });
+    },
+
+    async 'a code leaning far back, its top edge a third shorter, is read'() {
+        // The finders along the bottom look half as large again as the top one
+        assertReads([2, 5, 7], { offsets: [0.175, 0, -0.175, 0, 0, 0, 0, 0] });
+    },
+
+    async 'a code turned away on its left and rotated is read'() {
+        assertReads(VERSIONS, { offsets: [0, 0.1, 0, 0, 0, 0, 0, -0.1], degrees: 10 });
+    },
+
+    async 'a code with every corner moved differently is read'() {
+        assertReads(VERSIONS, { offsets: [0.08, 0.05, -0.02, 0.1, -0.06, -0.04, 0.03, -0.02], degrees: 4 });
+    },
+
+    async 'a small keystoned code is read at two pixels a module'() {
+        assertReads([7], { offsets: [0.05, 0, -0.05, 0, 0, 0, 0, 0], degrees: 5, scale: 2 });
+    }
+};
+
+(async () => {
+    let failed = 0;
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            await check();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`not ok - ${name}`);
+            console.log(error.stack.split('\n').map(line => `    ${line}`).join('\n'));
+        }
+    }
+    console.log(`${Object.keys(checks).length - failed} of ${Object.keys(checks).length} checks passed`);
+    process.exitCode = failed ? 1 : 0;
+})();
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * sync-engine.js - Checks for the two-way sync engine
+ *
+ * Runs js/sync-engine.js against an in-memory local store and repository that
+ * stand in for DatabaseManager and the GitHub Contents API, covering each way
+ * a code can change between syncs.
+ *
+ *   node test/sync-engine.js
+ */
+
+const assert = require('assert');
+
+// The browser loads these as <script> globals; recreate that scope for Node
+global.Config = require('../js/config.js');
+global.RevisionHistory = require('../js/revision-history.js');
+const SyncEngine = require('../js/sync-engine.js');
+
+// localStorage as the browser keeps it, one store shared by every engine below
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const REPOSITORY = 'alice/pixel-qr-codes';
+const clone = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * A DatabaseManager stand-in: the local store, the repository files with their
+ * blob SHAs, and the requests the engine makes, failing as githubRequest does
+ */
+function createDatabase() {
+    const local = new Map();
+    const remote = new Map(); // Path → { sha, record }
+    let shas = 0;
+
+    const db = {
+        online: true,
+        local,
+        remote,
+        CODES_PATH: 'qr-codes',
+        fileShas: new Map(),
+        app: { createQRCodeId: () => 1000 + local.size },
+
+        getQRCodeFilePath: id => `qr-codes/qrcode_${id}.json`,
+        getContentsPath: filePath => filePath,
+        decodeBase64: base64 => Buffer.from(base64, 'base64').toString(),
+
+        async getLocalQRCodes() {
+            return Array.from(local.values(), clone);
+        },
+        async saveQRCodeLocally(record) {
+            local.set(String(record.id), clone(record));
+            return true;
+        },
+        async deleteQRCodeLocally(id) {
+            local.delete(String(id));
+            return true;
+        },
+
+        async githubRequest(filePath, { method = 'GET', body } = {}) {
+            if (!db.online) {
+                throw Object.assign(new TypeError('Failed to fetch'), { offline: true });
+            }
+            if (method === 'GET' && filePath === db.CODES_PATH) {
+                return Array.from(remote.entries(), ([path, file]) => ({ type: 'file', name: path.split('/').pop(), path, sha: file.sha }));
+            }
+            const file = remote.get(filePath);
+            if (method === 'GET') {
+                if (!file) throw Object.assign(new Error('GitHub API 404: Not Found'), { status: 404 });
+                return { sha: file.sha, content: Buffer.from(JSON.stringify(file.record)).toString('base64') };
+            }
+            if (method === 'DELETE') {
+                if (!file || file.sha !== body.sha) throw Object.assign(new Error('GitHub API 409: sha mismatch'), { status: 409 });
+                remote.delete(filePath);
+                return null;
+            }
+            throw new Error(`Unexpected ${method} ${filePath}`);
+        },
+        async fetchRepositoryFile(filePath) {
+            try {
+                return await db.githubRequest(filePath);
+            } catch (error) {
+                if (error.status === 404) return null;
+                throw error;
+            }
+        },
+        async putRepositoryFile(filePath, fileContent) {
+            if (!db.online) {
+                throw Object.assign(new TypeError('Failed to fetch'), { offline: true });
+            }
+            const file = remote.get(filePath);
+            if ((file ? file.sha : undefined) !== db.fileShas.get(filePath)) {
+                throw Object.assign(new Error('GitHub API 409: sha mismatch'), { status: 409 });
+            }
+            const sha = `sha${++shas}`;
+            remote.set(filePath, { sha, record: JSON.parse(fileContent) });
+            return { content: { sha } };
+        },
+
+        // Another device changing or deleting a file
+        editRemote(id, changes) {
+            const file = remote.get(db.getQRCodeFilePath(id));
+            remote.set(db.getQRCodeFilePath(id), { sha: `sha${++shas}`, record: { ...file.record, ...changes } });
+        },
+        getRemote(id) {
+            const file = remote.get(db.getQRCodeFilePath(id));
+            return file ? file.record : null;
+        }
+    };
+    return db;
+}
+
+let stamp = 0;
+const code = (id, content) => ({ id, name: `Code ${id}`, content, revision: 1, updatedAt: new Date(Date.UTC(2026, 0, 1, 0, 0, ++stamp)).toISOString() });
+
+// Save locally and queue the change, as DatabaseManager.saveQRCodeToDatabase does
+async function saveLocally(db, engine, record) {
+    record = { ...record, updatedAt: new Date(Date.UTC(2026, 0, 1, 0, 0, ++stamp)).toISOString() };
+    await db.saveQRCodeLocally(record);
+    engine.enqueue(record.id, 'put');
+    return record;
+}
+
+async function deleteLocally(db, engine, id) {
+    await db.deleteQRCodeLocally(id);
+    engine.enqueue(id, 'delete');
+}
+
+// A database and engine with codes 1 to 3 synced on both sides
+async function setUp() {
+    storage.clear();
+    const db = createDatabase();
+    const engine = new SyncEngine(db);
+    engine.useRepository(REPOSITORY);
+    for (const id of [1, 2, 3]) {
+        await db.saveQRCodeLocally(code(id, `content ${id}`));
+    }
+    const summary = await engine.syncAll();
+    assert.deepStrictEqual(summary, { sent: 3, received: 0, conflicts: 0, failed: 0, offline: false });
+    return { db, engine };
+}
+
+const checks = {
+    async 'a local-only edit is sent'() {
+        const { db, engine } = await setUp();
+        await saveLocally(db, engine, { ...db.local.get('1'), content: 'edited here' });
+
+        assert.strictEqual((await engine.flush()).sent, 1);
+        assert.strictEqual(db.getRemote(1).content, 'edited here');
+        assert.strictEqual(engine.queue.length, 0);
+        assert.strictEqual((await engine.syncAll()).sent, 0);
+    },
+
+    async 'a remote-only edit is received'() {
+        const { db, engine } = await setUp();
+        db.editRemote(2, { content: 'edited there' });
+
+        assert.deepStrictEqual(await engine.syncAll(), { sent: 0, received: 1, conflicts: 0, failed: 0, offline: false });
+        assert.strictEqual(db.local.get('2').content, 'edited there');
+    },
+
+    async 'a remote deletion deletes the local code'() {
+        const { db, engine } = await setUp();
+        db.remote.delete(db.getQRCodeFilePath(3));
+
+        assert.strictEqual((await engine.syncAll()).received, 1);
+        assert.ok(!db.local.has('3'));
+    },
+
+    async 'an edit made while disconnected is sent'() {
+        const { db, engine } = await setUp();
+        // Saved locally without being queued
+        await db.saveQRCodeLocally({ ...db.local.get('1'), content: 'edited offline', updatedAt: '2026-02-01T00:00:00.000Z' });
+
+        assert.strictEqual((await engine.syncAll()).sent, 1);
+        assert.strictEqual(db.getRemote(1).content, 'edited offline');
+    },
+
+    async 'edits on both sides are a conflict until resolved'() {
+        const { db, engine } = await setUp();
+        db.editRemote(1, { content: 'remote 1' });
+        db.editRemote(2, { content: 'remote 2' });
+        await saveLocally(db, engine, { ...db.local.get('1'), content: 'local 1' });
+        await saveLocally(db, engine, { ...db.local.get('2'), content: 'local 2' });
+
+        assert.strictEqual((await engine.syncAll()).conflicts, 2);
+        assert.strictEqual(db.getRemote(1).content, 'remote 1', 'a conflict leaves GitHub alone');
+        assert.strictEqual(db.local.get('1').content, 'local 1', 'a conflict leaves the local code alone');
+        assert.deepStrictEqual(engine.getConflicts().map(conflict => conflict.local.content), ['local 1', 'local 2']);
+
+        await engine.resolve(1, 'local');
+        assert.strictEqual(db.getRemote(1).content, 'local 1');
+        await engine.resolve(2, 'remote');
+        assert.strictEqual(db.local.get('2').content, 'remote 2');
+
+        assert.strictEqual(engine.getConflicts().length, 0);
+        assert.strictEqual(engine.queue.length, 0);
+        assert.deepStrictEqual(await engine.syncAll(), { sent: 0, received: 0, conflicts: 0, failed: 0, offline: false });
+    },
+
+    async 'keeping both saves the local version as a copy'() {
+        const { db, engine } = await setUp();
+        db.editRemote(1, { content: 'remote' });
+        await saveLocally(db, engine, { ...db.local.get('1'), content: 'local' });
+        await engine.syncAll();
+
+        await engine.resolve(1, 'both');
+        const copy = Array.from(db.local.values()).find(record => record.name === 'Code 1 (local copy)');
+        assert.ok(copy, 'the local version is kept under a new id');
+        assert.strictEqual(copy.content, 'local');
+        assert.strictEqual(db.getRemote(copy.id).content, 'local');
+        assert.strictEqual(db.local.get('1').content, 'remote');
+        assert.strictEqual(engine.queue.length, 0);
+    },
+
+    async 'the same edit on both sides is no conflict'() {
+        const { db, engine } = await setUp();
+        db.editRemote(3, { content: 'same' });
+        await saveLocally(db, engine, { ...db.local.get('3'), content: 'same' });
+
+        assert.deepStrictEqual(await engine.syncAll(), { sent: 0, received: 0, conflicts: 0, failed: 0, offline: false });
+        assert.strictEqual(engine.queue.length, 0);
+    },
+
+    async 'a local deletion against a remote edit is a conflict'() {
+        const { db, engine } = await setUp();
+        await deleteLocally(db, engine, 1);
+        db.editRemote(1, { content: 'edited there' });
+
+        assert.strictEqual((await engine.flush()).conflicts, 1);
+        const [conflict] = engine.getConflicts();
+        assert.strictEqual(conflict.local, null);
+        assert.strictEqual(conflict.remote.content, 'edited there');
+        await assert.rejects(engine.resolve(1, 'both'), /neither was deleted/);
+
+        await engine.resolve(1, 'remote');
+        assert.strictEqual(db.local.get('1').content, 'edited there');
+    },
+
+    async 'a local edit against a remote deletion is a conflict'() {
+        const { db, engine } = await setUp();
+        await saveLocally(db, engine, { ...db.local.get('2'), content: 'edited here' });
+        db.remote.delete(db.getQRCodeFilePath(2));
+
+        assert.strictEqual((await engine.syncAll()).conflicts, 1);
+        assert.strictEqual(engine.getConflicts()[0].remote, null);
+
+        await engine.resolve(2, 'local');
+        assert.strictEqual(db.getRemote(2).content, 'edited here');
+    },
+
+    async 'a deletion queued offline survives disconnecting and reconnecting'() {
+        const { db, engine } = await setUp();
+        db.online = false;
+        await deleteLocally(db, engine, 1);
+        assert.strictEqual((await engine.flush()).offline, true);
+        assert.ok(db.getRemote(1), 'nothing reaches GitHub while offline');
+
+        // Disconnect, then reload the page and connect to the same repository again
+        engine.useRepository(null);
+        assert.strictEqual(engine.queue.length, 0);
+        const reloaded = new SyncEngine(db);
+        reloaded.useRepository(REPOSITORY);
+        assert.deepStrictEqual(reloaded.queue.map(entry => [entry.id, entry.op]), [[1, 'delete']]);
+
+        db.online = true;
+        assert.strictEqual((await reloaded.syncAll()).sent, 1);
+        assert.strictEqual(db.getRemote(1), null);
+        assert.ok(!db.local.has('1'), 'the deleted code is not downloaded again');
+    },
+
+    async 'another repository has its own queue'() {
+        const { db, engine } = await setUp();
+        db.online = false;
+        await deleteLocally(db, engine, 2);
+
+        engine.useRepository('alice/other-codes');
+        assert.strictEqual(engine.queue.length, 0);
+        assert.strictEqual(engine.bases.size, 0);
+        engine.useRepository(REPOSITORY);
+        assert.strictEqual(engine.queue.length, 1);
+    },
+
+    async 'a bug is reported as a failure, not as being offline'() {
+        const { db, engine } = await setUp();
+        await saveLocally(db, engine, { ...db.local.get('1'), content: 'edited here' });
+        await saveLocally(db, engine, { ...db.local.get('2'), content: 'edited here' });
+        const putRepositoryFile = db.putRepositoryFile;
+        db.putRepositoryFile = async (filePath, fileContent) => {
+            if (filePath === db.getQRCodeFilePath(1)) {
+                return undefined.content;
+            }
+            return putRepositoryFile(filePath, fileContent);
+        };
+
+        const originalError = console.error;
+        console.error = () => {};
+        let summary;
+        try {
+            summary = await engine.flush();
+        } finally {
+            console.error = originalError;
+        }
+        assert.deepStrictEqual(summary, { sent: 1, received: 0, conflicts: 0, failed: 1, offline: false });
+        assert.deepStrictEqual(engine.queue.map(entry => entry.id), [1], 'the failed change stays queued');
+    }
+};
+
+(async () => {
+    let failed = 0;
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            await check();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`not ok - ${name}`);
+            console.log(error.stack.split('\n').map(line => `    ${line}`).join('\n'));
+        }
+    }
+    console.log(`${Object.keys(checks).length - failed} of ${Object.keys(checks).length} checks passed`);
+    process.exitCode = failed ? 1 : 0;
+})();